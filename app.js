@@ -0,0 +1,449 @@
+const path = require("path");
+const express = require("express");
+const cors = require("cors");
+const helmet = require("helmet");
+const morgan = require("morgan");
+const { rateLimit, MemoryStore } = require("express-rate-limit");
+
+const swaggerUi = require("swagger-ui-express");
+const swaggerJsdoc = require("swagger-jsdoc");
+
+const defaultConfig = require("./config");
+const { createStore } = require("./data/store");
+const { createAdapter } = require("./data/adapters");
+const { createProductSearch } = require("./services/search");
+const { createWebhookDispatcher } = require("./services/webhooks");
+const { createChangeFeed } = require("./services/changeFeed");
+const { FILTER_OPERATORS } = require("./services/filters");
+const {
+  openApiComponents,
+  openApiListParameters,
+} = require("./services/schema");
+const schemas = require("./schemas");
+
+// Import routes
+const authRoutes = require("./routes/auth");
+const usersRoutes = require("./routes/users");
+const productsRoutes = require("./routes/products");
+const ordersRoutes = require("./routes/orders");
+const webhooksRoutes = require("./routes/webhooks");
+const eventsRoutes = require("./routes/events");
+const batchRoutes = require("./routes/batch");
+
+// Import middleware
+const errorHandler = require("./middleware/errorHandler");
+const notFound = require("./middleware/notFound");
+const { authenticate } = require("./middleware/auth");
+const responseValidation = require("./middleware/responseValidation");
+const negotiate = require("./middleware/negotiate");
+const { TooManyRequestsError } = require("./services/errors");
+
+const RESOURCE_SCHEMAS = Object.values(schemas);
+
+// Resources whose list endpoints take filter, sort and fields
+const LIST_SCHEMAS = [schemas.user, schemas.product, schemas.order];
+
+// Error responses come as problem+json, or the legacy shape for clients
+// that only accept application/json (see middleware/errorHandler.js)
+const errorContent = (extension) => ({
+  "application/problem+json": {
+    schema: extension
+      ? { allOf: [{ $ref: "#/components/schemas/Problem" }, extension] }
+      : { $ref: "#/components/schemas/Problem" },
+  },
+  "application/json": {
+    schema: extension
+      ? { allOf: [{ $ref: "#/components/schemas/Error" }, extension] }
+      : { $ref: "#/components/schemas/Error" },
+  },
+});
+
+// Swagger configuration
+const swaggerOptions = {
+  definition: {
+    openapi: "3.0.0",
+    info: {
+      title: "RESTful API Assessment",
+      version: "1.0.0",
+      description:
+        "A comprehensive RESTful API implementation following industry best practices",
+      contact: {
+        name: "API Support",
+        email: "support@example.com",
+      },
+    },
+    servers: [
+      {
+        url: "http://localhost:3000",
+        description: "Development server",
+      },
+    ],
+    security: [{ bearerAuth: [] }],
+    components: {
+      securitySchemes: {
+        bearerAuth: {
+          type: "http",
+          scheme: "bearer",
+          bearerFormat: "JWT",
+        },
+      },
+      responses: {
+        Unauthorized: {
+          description: "Missing, invalid or expired access token",
+          content: errorContent(),
+        },
+        Forbidden: {
+          description: "The caller's role does not allow this operation",
+          content: errorContent(),
+        },
+        BlockedByOrders: {
+          description:
+            "Orders still reference the record and the delete policy is restrict",
+          content: errorContent({
+            type: "object",
+            properties: {
+              blockingOrders: {
+                type: "array",
+                items: {
+                  type: "object",
+                  properties: {
+                    id: { type: "string", format: "uuid" },
+                    status: { type: "string" },
+                  },
+                },
+              },
+            },
+          }),
+        },
+        PreconditionFailed: {
+          description:
+            "If-Match does not match the current version of the resource",
+          content: errorContent(),
+        },
+        NotInTrash: {
+          description: "No soft-deleted record with this ID",
+          content: errorContent(),
+        },
+        IdempotencyKeyReused: {
+          description:
+            "The Idempotency-Key was already used with a different request",
+          content: errorContent(),
+        },
+        IdempotencyKeyInUse: {
+          description:
+            "A request with the same Idempotency-Key is still running",
+          content: errorContent(),
+        },
+        RateLimited: {
+          description:
+            "Too many requests from this IP address; try again after the window resets",
+          content: errorContent(),
+        },
+        InternalError: {
+          description:
+            "Unexpected server error (internal_error); the cause is not exposed",
+          content: errorContent(),
+        },
+      },
+      parameters: {
+        // UserFilter, UserSort, UserFields, ... for the list endpoints
+        ...Object.assign(
+          {},
+          ...LIST_SCHEMAS.map((schema) =>
+            openApiListParameters(schema, FILTER_OPERATORS)
+          )
+        ),
+        // WebhookSort and WebhookDeliverySort; those lists take no filter or fields
+        ...Object.fromEntries(
+          [schemas.webhook, schemas.webhookDelivery].map((schema) => [
+            `${schema.name}Sort`,
+            openApiListParameters(schema, FILTER_OPERATORS)[
+              `${schema.name}Sort`
+            ],
+          ])
+        ),
+        IfMatch: {
+          in: "header",
+          name: "If-Match",
+          required: false,
+          schema: { type: "string" },
+          description:
+            'ETag from a previous response (e.g. "3"). The change is only applied if the resource is still at that version; otherwise the response is 412.',
+        },
+        IfNoneMatch: {
+          in: "header",
+          name: "If-None-Match",
+          required: false,
+          schema: { type: "string" },
+          description:
+            "ETag of a cached copy. The response is 304 with no body if the resource has not changed.",
+        },
+        IncludeDeleted: {
+          in: "query",
+          name: "includeDeleted",
+          required: false,
+          schema: { type: "boolean", default: false },
+          description:
+            "Also return soft-deleted records (admins only; others get 403).",
+        },
+        After: {
+          in: "query",
+          name: "after",
+          required: false,
+          schema: { type: "string" },
+          description:
+            "Cursor pagination: return the page after this cursor (from links.next). Empty for the first page. Cannot be combined with page.",
+        },
+        Before: {
+          in: "query",
+          name: "before",
+          required: false,
+          schema: { type: "string" },
+          description:
+            "Cursor pagination: return the page before this cursor (from links.prev). Empty for the last page.",
+        },
+        Format: {
+          in: "query",
+          name: "format",
+          required: false,
+          schema: { type: "string", enum: ["json", "csv", "ndjson", "xml"] },
+          description:
+            "Response format, in place of the Accept header (application/json, text/csv, application/x-ndjson or application/xml). CSV, NDJSON and XML carry only the records: CSV flattens nested fields into columns such as products[0].productId, the total is in X-Total-Count, and a list without limit comes in pages of FORMAT_PAGE_SIZE records (10000 by default) instead of 10.",
+        },
+        IdempotencyKey: {
+          in: "header",
+          name: "Idempotency-Key",
+          required: false,
+          schema: { type: "string", minLength: 1, maxLength: 255 },
+          description:
+            "Unique key for safely retrying the request. The first response is stored and replayed (with Idempotent-Replayed: true) for retries with the same payload; a retry while the first request is still running gets a 409.",
+        },
+      },
+      schemas: {
+        // User, UserCreate, ... generated from schemas/
+        ...openApiComponents(RESOURCE_SCHEMAS),
+        Problem: {
+          type: "object",
+          description:
+            "RFC 7807 problem details. Some problems add members, e.g. errors, shortages or blockingOrders",
+          properties: {
+            type: {
+              type: "string",
+              format: "uri",
+              example: "https://api.example.com/problems/user-not-found",
+            },
+            title: { type: "string", example: "Not Found" },
+            status: { type: "integer", example: 404 },
+            detail: { type: "string", example: "User not found" },
+            instance: { type: "string", example: "/api/v1/users/123" },
+            code: {
+              type: "string",
+              description: "Stable machine-readable error code",
+              example: "user_not_found",
+            },
+            timestamp: { type: "string", format: "date-time" },
+            errors: {
+              type: "array",
+              description: "Per-field details of a validation_failed problem",
+              items: {
+                type: "object",
+                properties: {
+                  field: { type: "string" },
+                  location: {
+                    type: "string",
+                    enum: ["body", "query", "params", "headers", "cookies"],
+                  },
+                  message: { type: "string" },
+                },
+              },
+            },
+          },
+        },
+        Error: {
+          type: "object",
+          description:
+            "Legacy error shape, sent when the request accepts only application/json",
+          properties: {
+            error: { type: "boolean" },
+            message: { type: "string" },
+            statusCode: { type: "integer" },
+            timestamp: { type: "string", format: "date-time" },
+            path: { type: "string" },
+            method: { type: "string" },
+          },
+        },
+        Pagination: {
+          type: "object",
+          description:
+            "page and totalPages in page mode; hasPrev and hasNext in cursor mode",
+          properties: {
+            page: { type: "integer" },
+            limit: { type: "integer" },
+            total: { type: "integer" },
+            totalPages: { type: "integer" },
+            hasPrev: { type: "boolean" },
+            hasNext: { type: "boolean" },
+          },
+        },
+        PageLinks: {
+          type: "object",
+          description: "Absolute URLs of neighbouring pages (null when none)",
+          properties: {
+            self: { type: "string", format: "uri" },
+            first: { type: "string", format: "uri" },
+            prev: { type: "string", format: "uri", nullable: true },
+            next: { type: "string", format: "uri", nullable: true },
+            last: { type: "string", format: "uri" },
+          },
+        },
+      },
+      headers: {
+        Link: {
+          description:
+            'RFC 8288 links to the first, prev, next and last pages, e.g. <...?after=abc>; rel="next"',
+          schema: { type: "string" },
+        },
+        XTotalCount: {
+          description:
+            "Number of matching records; sent with CSV, NDJSON and XML lists, which leave out pagination",
+          schema: { type: "integer" },
+        },
+      },
+    },
+  },
+  apis: [path.join(__dirname, "routes", "*.js")],
+};
+
+const swaggerSpec = swaggerJsdoc(swaggerOptions);
+
+/**
+ * Build an Express application wired to the given store
+ * Nothing is shared between instances, so several apps can run in one process.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.store] - Store from data/store.js; built from config.store when omitted
+ * @param {Object} [options.config] - Configuration, defaults to config/index.js
+ * @param {Object} [options.responseCoverage] - From createResponseCoverage
+ *   (services/openapi.js); records the documented responses the app sends
+ * @returns {express.Application}
+ */
+const createApp = ({
+  store,
+  config = defaultConfig,
+  responseCoverage,
+} = {}) => {
+  const app = express();
+
+  app.locals.config = config;
+  app.locals.store = store || createStore(createAdapter(config.store));
+  app.locals.searchIndex = createProductSearch(app.locals.store);
+  app.locals.webhooks = createWebhookDispatcher(
+    app.locals.store,
+    config.webhooks
+  );
+  app.locals.changeFeed = createChangeFeed(app.locals.store, config.changeFeed);
+
+  // Rate limiting
+  // Batches charge their extra operations to the same hit counts (see
+  // routes/batch.js)
+  const rateLimitStore = new MemoryStore();
+  app.locals.rateLimitStore = rateLimitStore;
+  const limiter = rateLimit({
+    windowMs: config.rateLimit.windowMs,
+    max: config.rateLimit.max,
+    store: rateLimitStore,
+    handler: (req, res, next, options) =>
+      next(
+        new TooManyRequestsError(
+          "Too many requests from this IP, please try again later."
+        )
+      ),
+    standardHeaders: true,
+    legacyHeaders: false,
+  });
+
+  // Middleware
+  app.use(helmet()); // Security headers
+  app.use(cors()); // Enable CORS
+  app.use(limiter); // Rate limiting
+  app.use(morgan("combined")); // Logging
+  app.use(express.json({ limit: "10mb" })); // Parse JSON bodies
+  app.use(express.urlencoded({ extended: true, limit: "10mb" })); // Parse URL-encoded bodies
+
+  // Check responses against the API documentation (development and tests)
+  if (config.responseValidation.mode !== "off" || responseCoverage) {
+    app.use(
+      responseValidation(swaggerSpec, {
+        mode: config.responseValidation.mode,
+        coverage: responseCoverage,
+      })
+    );
+  }
+
+  // API Documentation
+  app.use("/api-docs", swaggerUi.serve, swaggerUi.setup(swaggerSpec));
+
+  // Health check endpoint
+  app.get("/health", (req, res) => {
+    res.status(200).json({
+      status: "OK",
+      message: "API is running",
+      timestamp: new Date().toISOString(),
+      uptime: process.uptime(),
+    });
+  });
+
+  // API Routes
+  // The resource routes are also what batch operations are dispatched to
+  const resources = express.Router();
+  resources.use("/api/v1/users", authenticate, negotiate("users"), usersRoutes);
+  resources.use(
+    "/api/v1/products",
+    authenticate,
+    negotiate("products"),
+    productsRoutes
+  );
+  resources.use(
+    "/api/v1/orders",
+    authenticate,
+    negotiate("orders"),
+    ordersRoutes
+  );
+  resources.use("/api/v1/webhooks", authenticate, webhooksRoutes);
+  app.locals.resources = resources;
+
+  app.use("/api/v1/auth", authRoutes);
+  app.use(resources);
+  app.use("/api/v1/events", authenticate, eventsRoutes);
+  app.use("/api/v1/batch", authenticate, batchRoutes);
+
+  // Root endpoint
+  app.get("/", (req, res) => {
+    res.status(200).json({
+      message: "Welcome to RESTful API Assessment",
+      version: "1.0.0",
+      documentation: "/api-docs",
+      health: "/health",
+      endpoints: {
+        auth: "/api/v1/auth",
+        users: "/api/v1/users",
+        products: "/api/v1/products",
+        orders: "/api/v1/orders",
+        webhooks: "/api/v1/webhooks",
+        events: "/api/v1/events",
+        batch: "/api/v1/batch",
+      },
+    });
+  });
+
+  // Error handling middleware
+  app.use(notFound);
+  app.use(errorHandler);
+
+  return app;
+};
+
+module.exports = {
+  createApp,
+  swaggerSpec,
+};
@@ -0,0 +1,162 @@
+const path = require("path");
+require("dotenv").config();
+const { DELETE_POLICIES } = require("../services/integrity");
+
+const env = process.env.NODE_ENV || "development";
+const isTest = env === "test";
+
+// Responses are checked against the API documentation outside production
+const RESPONSE_VALIDATION_MODES = ["off", "log", "fail"];
+const DEFAULT_RESPONSE_VALIDATION = { test: "fail", development: "log" };
+
+/**
+ * Application configuration
+ * Every value can be overridden through environment variables (see .env)
+ */
+const config = {
+  env,
+  port: parseInt(process.env.PORT) || 3000,
+  rateLimit: {
+    windowMs: parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 15 * 60 * 1000, // 15 minutes
+    max: parseInt(process.env.RATE_LIMIT_MAX) || 100, // limit each IP to 100 requests per windowMs
+  },
+  auth: {
+    jwtSecret: process.env.JWT_SECRET || "development-access-secret",
+    refreshSecret:
+      process.env.JWT_REFRESH_SECRET || "development-refresh-secret",
+    accessTokenTtl: process.env.JWT_ACCESS_TTL || "15m",
+    refreshTokenTtl: process.env.JWT_REFRESH_TTL || "7d",
+    issuer: "restful-api-assessment",
+  },
+  // What deleting a user or product does to orders that reference it:
+  // restrict | cascade | anonymize (see services/integrity.js)
+  deletePolicies: {
+    users: process.env.USER_DELETE_POLICY || "restrict",
+    products: process.env.PRODUCT_DELETE_POLICY || "restrict",
+  },
+  trash: {
+    // How long deleted records can be restored before they are purged
+    retentionMs:
+      parseInt(process.env.TRASH_RETENTION_MS) || 30 * 24 * 60 * 60 * 1000, // 30 days
+    purgeIntervalMs:
+      parseInt(process.env.TRASH_PURGE_INTERVAL_MS) || 60 * 60 * 1000, // 1 hour
+  },
+  errors: {
+    // Problem type URIs are this base plus the error code, e.g. .../not-found
+    typeBaseUrl:
+      process.env.PROBLEM_TYPE_BASE_URL || "https://api.example.com/problems",
+  },
+  facets: {
+    // Boundaries of the price bands counted by ?facets=price
+    priceBuckets: (process.env.FACET_PRICE_BUCKETS || "25,100,500,1000")
+      .split(",")
+      .map(Number),
+  },
+  responseValidation: {
+    // off | log | fail (see middleware/responseValidation.js)
+    mode:
+      process.env.RESPONSE_VALIDATION ||
+      DEFAULT_RESPONSE_VALIDATION[env] ||
+      "off",
+  },
+  webhooks: {
+    // Attempts per delivery before it is dead-lettered
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6,
+    // Retries wait retryBaseMs, doubling on each failure up to retryMaxMs
+    retryBaseMs: parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 30 * 1000, // 30 seconds
+    retryMaxMs: parseInt(process.env.WEBHOOK_RETRY_MAX_MS) || 60 * 60 * 1000, // 1 hour
+    timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000, // 10 seconds
+    pollIntervalMs: parseInt(process.env.WEBHOOK_POLL_INTERVAL_MS) || 10 * 1000, // 10 seconds
+    // How long delivered and dead-lettered deliveries stay in the log
+    retentionMs:
+      parseInt(process.env.WEBHOOK_DELIVERY_RETENTION_MS) ||
+      7 * 24 * 60 * 60 * 1000, // 7 days
+    // Loopback and private URLs are only for local receivers
+    allowPrivateTargets: process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS
+      ? process.env.WEBHOOK_ALLOW_PRIVATE_TARGETS === "true"
+      : env === "development" || isTest,
+  },
+  changeFeed: {
+    // Recent events kept for clients that reconnect with Last-Event-ID
+    bufferSize: parseInt(process.env.CHANGE_FEED_BUFFER_SIZE) || 1000,
+    // Comment lines that keep idle streams open through proxies
+    heartbeatMs: parseInt(process.env.CHANGE_FEED_HEARTBEAT_MS) || 15 * 1000, // 15 seconds
+  },
+  productImport: {
+    // Rows read from one import; the rest of the file is skipped
+    maxRows: parseInt(process.env.PRODUCT_IMPORT_MAX_ROWS) || 10000,
+  },
+  formats: {
+    // Records per page of a CSV, NDJSON or XML list without ?limit=
+    pageSize: parseInt(process.env.FORMAT_PAGE_SIZE) || 10000,
+  },
+  batch: {
+    // Sub-requests accepted in one POST /api/v1/batch
+    maxOperations: parseInt(process.env.BATCH_MAX_OPERATIONS) || 50,
+  },
+  idempotency: {
+    // How long a stored response is replayed for its Idempotency-Key
+    ttlMs: parseInt(process.env.IDEMPOTENCY_TTL_MS) || 24 * 60 * 60 * 1000, // 24 hours
+  },
+  store: {
+    // memory | file | sqlite
+    driver: process.env.STORE_DRIVER || (isTest ? "memory" : "file"),
+    dataDir: process.env.DATA_DIR || path.join(__dirname, "..", "data", "db"),
+    sqliteFile: process.env.SQLITE_FILE || null,
+    compactThreshold: parseInt(process.env.DATA_COMPACT_THRESHOLD) || 500,
+    compactInterval: parseInt(process.env.DATA_COMPACT_INTERVAL_MS) || 60000,
+    // What an empty store starts with: the sample data in development and
+    // tests, otherwise only an admin account with ADMIN_PASSWORD
+    sampleData: env === "development" || isTest,
+    adminEmail: process.env.ADMIN_EMAIL || "admin@example.com",
+    adminPassword: process.env.ADMIN_PASSWORD || null,
+  },
+};
+
+// Never sign production tokens with the development secrets
+if (
+  config.env === "production" &&
+  (!process.env.JWT_SECRET || !process.env.JWT_REFRESH_SECRET)
+) {
+  throw new Error(
+    "JWT_SECRET and JWT_REFRESH_SECRET must be set in production"
+  );
+}
+
+// A production store must not start without a way to sign in
+if (config.env === "production" && !config.store.adminPassword) {
+  throw new Error("ADMIN_PASSWORD must be set in production");
+}
+
+// Fail fast on a misspelt delete policy
+Object.entries(config.deletePolicies).forEach(([collection, policy]) => {
+  if (!DELETE_POLICIES.includes(policy)) {
+    throw new Error(
+      `Delete policy for ${collection} must be one of: ${DELETE_POLICIES.join(
+        ", "
+      )}`
+    );
+  }
+});
+
+// Price bands need ascending numeric boundaries
+if (
+  config.facets.priceBuckets.some(
+    (boundary, i, boundaries) =>
+      !Number.isFinite(boundary) || (i > 0 && boundary <= boundaries[i - 1])
+  )
+) {
+  throw new Error(
+    "FACET_PRICE_BUCKETS must be comma-separated numbers in ascending order"
+  );
+}
+
+if (!RESPONSE_VALIDATION_MODES.includes(config.responseValidation.mode)) {
+  throw new Error(
+    `RESPONSE_VALIDATION must be one of: ${RESPONSE_VALIDATION_MODES.join(
+      ", "
+    )}`
+  );
+}
+
+module.exports = config;
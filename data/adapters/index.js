@@ -0,0 +1,64 @@
+const path = require("path");
+const { createMemoryAdapter } = require("./memory");
+const { createSqliteAdapter } = require("./sqlite");
+const { createPersistence } = require("../persistence");
+const { seedFor } = require("../seed");
+
+/**
+ * Storage adapter contract
+ *
+ * Every adapter is synchronous and exposes:
+ * - list(collection)                -> array of records in insertion order
+ * - get(collection, id)             -> record or undefined
+ * - findBy(collection, field, value)-> array of records where field === value
+ * - insert(collection, record)      -> record
+ * - replace(collection, record)     -> record, or null if the id is unknown
+ * - remove(collection, id)          -> true if a record was removed
+ * - transaction(fn)                 -> result of fn; all writes roll back if it throws
+ * - transactionAsync(fn)            -> promise of fn's result; all writes roll
+ *                                      back if the promise fn returns rejects
+ * - close()                         -> flush and release resources
+ *
+ * Collections are "users", "products", "orders", "refreshTokens",
+ * "idempotencyKeys", "webhooks" and "webhookDeliveries".
+ */
+
+/**
+ * Build the adapter selected by the store configuration
+ * @param {Object} storeConfig - config.store
+ * @param {string} storeConfig.driver - memory | file | sqlite
+ */
+const createAdapter = (storeConfig) => {
+  const seed = seedFor(storeConfig);
+  switch (storeConfig.driver) {
+    case "memory":
+      return createMemoryAdapter({ seed });
+
+    case "file":
+      return createMemoryAdapter({
+        seed,
+        persistence: createPersistence({
+          dir: storeConfig.dataDir,
+          compactThreshold: storeConfig.compactThreshold,
+          compactInterval: storeConfig.compactInterval,
+        }),
+      });
+
+    case "sqlite":
+      return createSqliteAdapter({
+        seed,
+        filename:
+          storeConfig.sqliteFile ||
+          path.join(storeConfig.dataDir, "store.sqlite"),
+      });
+
+    default:
+      throw new Error(`Unknown store driver "${storeConfig.driver}"`);
+  }
+};
+
+module.exports = {
+  createAdapter,
+  createMemoryAdapter,
+  createSqliteAdapter,
+};
@@ -0,0 +1,146 @@
+const { createSeedData } = require("../seed");
+
+const clone = (value) => JSON.parse(JSON.stringify(value));
+
+/**
+ * In-memory storage adapter
+ * Keeps every collection in an array. When a persistence layer is supplied
+ * (the "file" driver) each write is journalled before it is applied.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.persistence] - Journal created by data/persistence.js
+ * @param {Object} [options.seed] - Initial collections, defaults to the seed data
+ */
+const createMemoryAdapter = ({ persistence = null, seed } = {}) => {
+  let collections = null;
+
+  if (persistence) collections = persistence.load();
+  const firstBoot = !collections;
+  if (firstBoot) collections = seed || createSeedData();
+
+  if (persistence) {
+    persistence.open(() => collections);
+    if (firstBoot) persistence.compact();
+  }
+
+  // Journal entries buffered while a transaction is open
+  let pending = null;
+
+  const record = (entry) => {
+    if (!persistence) return;
+
+    if (pending) {
+      pending.push(entry);
+    } else if (entry.op === "put") {
+      persistence.recordPut(entry.collection, entry.record);
+    } else {
+      persistence.recordDelete(entry.collection, entry.id);
+    }
+  };
+
+  // Start buffering journal entries; returns a function that undoes every
+  // write since
+  const begin = () => {
+    const backup = clone(collections);
+    pending = [];
+    return () => {
+      pending = null;
+      collections = backup;
+    };
+  };
+
+  const commit = () => {
+    const entries = pending;
+    pending = null;
+    if (persistence && entries.length > 0) persistence.recordBatch(entries);
+  };
+
+  const recordsOf = (collection) => {
+    if (!collections[collection]) collections[collection] = [];
+    return collections[collection];
+  };
+
+  return {
+    name: "memory",
+
+    list: (collection) => [...recordsOf(collection)],
+
+    get: (collection, id) =>
+      recordsOf(collection).find((record) => record.id === id),
+
+    findBy: (collection, field, value) =>
+      recordsOf(collection).filter((record) => record[field] === value),
+
+    insert: (collection, newRecord) => {
+      record({ op: "put", collection, id: newRecord.id, record: newRecord });
+      recordsOf(collection).push(newRecord);
+      return newRecord;
+    },
+
+    replace: (collection, updatedRecord) => {
+      const records = recordsOf(collection);
+      const index = records.findIndex((item) => item.id === updatedRecord.id);
+      if (index === -1) return null;
+
+      record({
+        op: "put",
+        collection,
+        id: updatedRecord.id,
+        record: updatedRecord,
+      });
+      records[index] = updatedRecord;
+      return updatedRecord;
+    },
+
+    remove: (collection, id) => {
+      const records = recordsOf(collection);
+      const index = records.findIndex((item) => item.id === id);
+      if (index === -1) return false;
+
+      record({ op: "delete", collection, id });
+      records.splice(index, 1);
+      return true;
+    },
+
+    /**
+     * Run fn atomically: if it throws, every collection is restored.
+     * Journal entries are held back and written as a single batch line.
+     */
+    transaction: (fn) => {
+      if (pending) return fn();
+
+      const rollback = begin();
+      try {
+        const result = fn();
+        commit();
+        return result;
+      } catch (error) {
+        rollback();
+        throw error;
+      }
+    },
+
+    // The same for an async fn; the caller keeps other writes out meanwhile
+    transactionAsync: async (fn) => {
+      if (pending) return fn();
+
+      const rollback = begin();
+      try {
+        const result = await fn();
+        commit();
+        return result;
+      } catch (error) {
+        rollback();
+        throw error;
+      }
+    },
+
+    close: () => {
+      if (persistence) persistence.close();
+    },
+  };
+};
+
+module.exports = {
+  createMemoryAdapter,
+};
@@ -0,0 +1,315 @@
+const fs = require("fs");
+const path = require("path");
+const Database = require("better-sqlite3");
+const { createSeedData } = require("../seed");
+
+/**
+ * Table and indexed columns per collection (record field -> column name)
+ * The full record is stored as JSON in the data column; these columns are
+ * copies kept for lookups and indexes.
+ */
+const TABLES = {
+  users: { table: "users", columns: { email: "email" } },
+  products: {
+    table: "products",
+    columns: { category: "category", price: "price", sku: "sku" },
+  },
+  orders: {
+    table: "orders",
+    columns: {
+      userId: "user_id",
+      status: "status",
+      totalAmount: "total_amount",
+    },
+  },
+  refreshTokens: {
+    table: "refresh_tokens",
+    columns: { userId: "user_id", family: "family" },
+  },
+  idempotencyKeys: {
+    table: "idempotency_keys",
+    columns: { userId: "user_id" },
+  },
+  webhooks: { table: "webhooks", columns: {} },
+  webhookDeliveries: {
+    table: "webhook_deliveries",
+    columns: { webhookId: "webhook_id", status: "status" },
+  },
+};
+
+/**
+ * Schema migrations, applied in order inside a transaction
+ * Never edit a released migration; append a new one instead.
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    name: "create_resource_tables",
+    up: `
+      CREATE TABLE users (
+        id TEXT PRIMARY KEY,
+        email TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX idx_users_email ON users (email);
+
+      CREATE TABLE products (
+        id TEXT PRIMARY KEY,
+        category TEXT NOT NULL,
+        price REAL NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX idx_products_category ON products (category);
+      CREATE INDEX idx_products_price ON products (price);
+
+      CREATE TABLE orders (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        status TEXT NOT NULL,
+        total_amount REAL NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX idx_orders_user_id ON orders (user_id);
+      CREATE INDEX idx_orders_status ON orders (status);
+    `,
+  },
+  {
+    version: 2,
+    name: "create_refresh_tokens",
+    up: `
+      CREATE TABLE refresh_tokens (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        family TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX idx_refresh_tokens_user_id ON refresh_tokens (user_id);
+      CREATE INDEX idx_refresh_tokens_family ON refresh_tokens (family);
+    `,
+  },
+  {
+    version: 3,
+    name: "create_idempotency_keys",
+    up: `
+      CREATE TABLE idempotency_keys (
+        id TEXT PRIMARY KEY,
+        user_id TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX idx_idempotency_keys_user_id ON idempotency_keys (user_id);
+    `,
+  },
+  {
+    // Anonymized orders have no user; SQLite cannot drop NOT NULL in place
+    version: 4,
+    name: "allow_orders_without_user",
+    up: `
+      CREATE TABLE orders_new (
+        id TEXT PRIMARY KEY,
+        user_id TEXT,
+        status TEXT NOT NULL,
+        total_amount REAL NOT NULL,
+        data TEXT NOT NULL
+      );
+      INSERT INTO orders_new (id, user_id, status, total_amount, data)
+        SELECT id, user_id, status, total_amount, data FROM orders ORDER BY rowid;
+      DROP TABLE orders;
+      ALTER TABLE orders_new RENAME TO orders;
+      CREATE INDEX idx_orders_user_id ON orders (user_id);
+      CREATE INDEX idx_orders_status ON orders (status);
+    `,
+  },
+  {
+    version: 5,
+    name: "create_webhooks",
+    up: `
+      CREATE TABLE webhooks (
+        id TEXT PRIMARY KEY,
+        data TEXT NOT NULL
+      );
+
+      CREATE TABLE webhook_deliveries (
+        id TEXT PRIMARY KEY,
+        webhook_id TEXT NOT NULL,
+        status TEXT NOT NULL,
+        data TEXT NOT NULL
+      );
+      CREATE INDEX idx_webhook_deliveries_webhook_id ON webhook_deliveries (webhook_id);
+      CREATE INDEX idx_webhook_deliveries_status ON webhook_deliveries (status);
+    `,
+  },
+  {
+    version: 6,
+    name: "add_product_sku",
+    up: `
+      ALTER TABLE products ADD COLUMN sku TEXT;
+      UPDATE products SET sku = json_extract(data, '$.sku');
+      CREATE INDEX idx_products_sku ON products (sku);
+    `,
+  },
+];
+
+const migrate = (db) => {
+  db.exec(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name TEXT NOT NULL,
+      applied_at TEXT NOT NULL
+    )
+  `);
+
+  const current =
+    db.prepare("SELECT MAX(version) AS version FROM schema_migrations").get()
+      .version || 0;
+
+  const pending = MIGRATIONS.filter((migration) => migration.version > current);
+  const applyAll = db.transaction(() => {
+    for (const migration of pending) {
+      db.exec(migration.up);
+      db.prepare(
+        "INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)"
+      ).run(migration.version, migration.name, new Date().toISOString());
+    }
+  });
+  applyAll();
+
+  return current;
+};
+
+/**
+ * SQLite storage adapter (embedded database via better-sqlite3)
+ * Implements the same synchronous contract as the memory adapter.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.filename=":memory:"] - Database file path
+ * @param {Object} [options.seed] - Initial collections, defaults to the seed data
+ */
+const createSqliteAdapter = ({ filename = ":memory:", seed } = {}) => {
+  if (filename !== ":memory:") {
+    fs.mkdirSync(path.dirname(filename), { recursive: true });
+  }
+
+  const db = new Database(filename);
+  db.pragma("journal_mode = WAL");
+  db.pragma("synchronous = FULL");
+
+  const statements = {};
+
+  const tableFor = (collection) => {
+    if (!TABLES[collection]) {
+      throw new Error(`Unknown collection "${collection}"`);
+    }
+    return TABLES[collection];
+  };
+
+  const prepare = (collection) => {
+    if (statements[collection]) return statements[collection];
+
+    const { table, columns: columnMap } = tableFor(collection);
+    const columns = Object.values(columnMap);
+    const allColumns = ["id", ...columns, "data"];
+    statements[collection] = {
+      list: db.prepare(`SELECT data FROM ${table} ORDER BY rowid`),
+      get: db.prepare(`SELECT data FROM ${table} WHERE id = ?`),
+      insert: db.prepare(
+        `INSERT INTO ${table} (${allColumns.join(", ")})
+         VALUES (${allColumns.map((column) => `@${column}`).join(", ")})`
+      ),
+      update: db.prepare(
+        `UPDATE ${table}
+         SET ${[...columns, "data"]
+           .map((column) => `${column} = @${column}`)
+           .join(", ")}
+         WHERE id = @id`
+      ),
+      remove: db.prepare(`DELETE FROM ${table} WHERE id = ?`),
+    };
+    return statements[collection];
+  };
+
+  const toRow = (collection, record) => {
+    const row = { id: record.id, data: JSON.stringify(record) };
+    for (const [field, column] of Object.entries(
+      tableFor(collection).columns
+    )) {
+      const value = record[field];
+      row[column] = typeof value === "boolean" ? Number(value) : value ?? null;
+    }
+    return row;
+  };
+
+  const parse = (row) => (row ? JSON.parse(row.data) : undefined);
+
+  const adapter = {
+    name: "sqlite",
+
+    list: (collection) => prepare(collection).list.all().map(parse),
+
+    get: (collection, id) => parse(prepare(collection).get.get(id)),
+
+    findBy: (collection, field, value) => {
+      const { table, columns } = tableFor(collection);
+      const column = columns[field];
+      if (!column) {
+        return adapter
+          .list(collection)
+          .filter((record) => record[field] === value);
+      }
+
+      return db
+        .prepare(`SELECT data FROM ${table} WHERE ${column} = ? ORDER BY rowid`)
+        .all(value)
+        .map(parse);
+    },
+
+    insert: (collection, record) => {
+      prepare(collection).insert.run(toRow(collection, record));
+      return record;
+    },
+
+    replace: (collection, record) => {
+      const result = prepare(collection).update.run(toRow(collection, record));
+      return result.changes === 0 ? null : record;
+    },
+
+    remove: (collection, id) => prepare(collection).remove.run(id).changes > 0,
+
+    // Nested calls become savepoints, so transactions compose
+    transaction: (fn) => db.transaction(fn)(),
+
+    // The connection is shared, so the caller must keep other writes out
+    // until the promise settles (store.transactionAsync does)
+    transactionAsync: async (fn) => {
+      if (db.inTransaction) return fn();
+
+      db.exec("BEGIN");
+      try {
+        const result = await fn();
+        db.exec("COMMIT");
+        return result;
+      } catch (error) {
+        if (db.inTransaction) db.exec("ROLLBACK");
+        throw error;
+      }
+    },
+
+    close: () => db.close(),
+  };
+
+  const previousVersion = migrate(db);
+  if (previousVersion === 0) {
+    const data = seed || createSeedData();
+    adapter.transaction(() => {
+      for (const [collection, records] of Object.entries(data)) {
+        records.forEach((record) => adapter.insert(collection, record));
+      }
+    });
+  }
+
+  return adapter;
+};
+
+module.exports = {
+  createSqliteAdapter,
+  MIGRATIONS,
+};
@@ -0,0 +1,212 @@
+const fs = require("fs");
+const path = require("path");
+
+const SNAPSHOT_FILE = "snapshot.json";
+const JOURNAL_FILE = "journal.ndjson";
+
+/**
+ * Write a file so that readers only ever see the old or the new contents.
+ * The data is written to a temporary file, flushed to disk and then renamed
+ * over the target, which is atomic on POSIX filesystems.
+ */
+const writeFileAtomic = (filePath, contents) => {
+  const tmpPath = `${filePath}.tmp`;
+  const fd = fs.openSync(tmpPath, "w");
+  try {
+    fs.writeSync(fd, contents);
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmpPath, filePath);
+  syncDirectory(path.dirname(filePath));
+};
+
+// Persist the directory entry after a rename (not supported on every platform)
+const syncDirectory = (dir) => {
+  let fd;
+  try {
+    fd = fs.openSync(dir, "r");
+    fs.fsyncSync(fd);
+  } catch (error) {
+    // Directory fsync is best effort
+  } finally {
+    if (fd !== undefined) fs.closeSync(fd);
+  }
+};
+
+const applyEntry = (collections, entry) => {
+  // Transactions are journalled as one line so they replay all or nothing
+  if (entry.op === "batch") {
+    entry.entries.forEach((child) => applyEntry(collections, child));
+    return;
+  }
+
+  const records = collections[entry.collection] || [];
+  collections[entry.collection] = records;
+  const index = records.findIndex((record) => record.id === entry.id);
+
+  if (entry.op === "put") {
+    if (index === -1) records.push(entry.record);
+    else records[index] = entry.record;
+  } else if (entry.op === "delete" && index !== -1) {
+    records.splice(index, 1);
+  }
+};
+
+/**
+ * File-backed persistence for the data store
+ * Every mutation is appended to a journal and fsynced before it is applied.
+ * The journal is periodically compacted into a snapshot of all collections.
+ *
+ * @param {Object} options
+ * @param {string} options.dir - Directory holding the snapshot and journal
+ * @param {number} [options.compactThreshold=500] - Journal entries before compaction
+ * @param {number} [options.compactInterval=60000] - Milliseconds between periodic compactions
+ */
+const createPersistence = ({
+  dir,
+  compactThreshold = 500,
+  compactInterval = 60 * 1000,
+}) => {
+  const snapshotPath = path.join(dir, SNAPSHOT_FILE);
+  const journalPath = path.join(dir, JOURNAL_FILE);
+
+  let journalFd = null;
+  let journalEntries = 0;
+  let sequence = 0;
+  let timer = null;
+  let getState = null;
+
+  /**
+   * Read the snapshot and replay the journal on top of it.
+   * Returns null when nothing has been persisted yet.
+   * A torn final journal line (crash mid-append) is discarded and truncated.
+   */
+  const load = () => {
+    fs.mkdirSync(dir, { recursive: true });
+
+    const hasSnapshot = fs.existsSync(snapshotPath);
+    const hasJournal = fs.existsSync(journalPath);
+    if (!hasSnapshot && !hasJournal) return null;
+
+    let collections = {};
+    if (hasSnapshot) {
+      const snapshot = JSON.parse(fs.readFileSync(snapshotPath, "utf8"));
+      collections = snapshot.collections;
+      sequence = snapshot.sequence || 0;
+    }
+
+    if (hasJournal) {
+      const contents = fs.readFileSync(journalPath, "utf8");
+      let offset = 0;
+
+      for (const line of contents.split("\n")) {
+        // A line without its trailing newline was never fully written
+        if (offset + line.length >= contents.length) break;
+
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch (error) {
+          break;
+        }
+
+        offset += line.length + 1;
+        if (entry.seq <= sequence) continue;
+
+        applyEntry(collections, entry);
+        sequence = entry.seq;
+        journalEntries++;
+      }
+
+      if (offset < contents.length) {
+        fs.truncateSync(
+          journalPath,
+          Buffer.byteLength(contents.slice(0, offset))
+        );
+      }
+    }
+
+    return collections;
+  };
+
+  /**
+   * Start accepting writes.
+   * @param {Function} stateProvider - Returns the current collections for snapshots
+   */
+  const open = (stateProvider) => {
+    getState = stateProvider;
+    fs.mkdirSync(dir, { recursive: true });
+    journalFd = fs.openSync(journalPath, "a");
+
+    if (compactInterval > 0) {
+      timer = setInterval(() => {
+        if (journalEntries > 0) compact();
+      }, compactInterval);
+      timer.unref();
+    }
+  };
+
+  const append = (entry) => {
+    if (journalFd === null) return;
+
+    // Entries are written before the store applies them, so compaction has
+    // to happen here, when every earlier entry is already in memory
+    if (journalEntries >= compactThreshold) compact();
+
+    sequence++;
+    fs.writeSync(journalFd, `${JSON.stringify({ seq: sequence, ...entry })}\n`);
+    fs.fsyncSync(journalFd);
+    journalEntries++;
+  };
+
+  /**
+   * Write a snapshot of the current state and reset the journal.
+   * If the process dies between the two steps, entries already covered by
+   * the snapshot are skipped on the next load by their sequence number.
+   */
+  const compact = () => {
+    if (!getState) return;
+
+    writeFileAtomic(
+      snapshotPath,
+      JSON.stringify({
+        sequence,
+        createdAt: new Date().toISOString(),
+        collections: getState(),
+      })
+    );
+
+    if (journalFd !== null) fs.closeSync(journalFd);
+    fs.truncateSync(journalPath, 0);
+    journalFd = fs.openSync(journalPath, "a");
+    journalEntries = 0;
+  };
+
+  const close = () => {
+    if (timer) clearInterval(timer);
+    timer = null;
+    if (journalFd === null) return;
+
+    compact();
+    fs.closeSync(journalFd);
+    journalFd = null;
+  };
+
+  return {
+    load,
+    open,
+    compact,
+    close,
+    recordPut: (collection, record) =>
+      append({ op: "put", collection, id: record.id, record }),
+    recordDelete: (collection, id) => append({ op: "delete", collection, id }),
+    recordBatch: (entries) => append({ op: "batch", entries }),
+  };
+};
+
+module.exports = {
+  createPersistence,
+  writeFileAtomic,
+};
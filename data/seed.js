@@ -0,0 +1,180 @@
+const { v4: uuidv4 } = require("uuid");
+const { hashPassword } = require("../services/auth");
+
+// Seed data loaded into an empty store on first boot. The sample accounts,
+// products and order are only loaded in development and tests; elsewhere
+// an empty store starts with just the bootstrap admin (see seedFor).
+
+// Sample accounts share the development password "Password123!"
+const SEED_PASSWORD_HASH =
+  "scrypt$35656564356131743565656435613174$94e0ea078670cefb3ea49238c04a875e41c016d6ce6a80f80d3b1bf77635813dd2cc3aa47aee3917491f54a4cbc835177acc82aab7eff7ac0692552c3df59587";
+
+const users = [
+  {
+    id: "550e8400-e29b-41d4-a716-446655440000",
+    name: "John Doe",
+    email: "john.doe@example.com",
+    age: 30,
+    role: "customer",
+    passwordHash: SEED_PASSWORD_HASH,
+    version: 1,
+    createdAt: "2024-01-15T10:00:00.000Z",
+    updatedAt: "2024-01-15T10:00:00.000Z",
+  },
+  {
+    id: "550e8400-e29b-41d4-a716-446655440001",
+    name: "Jane Smith",
+    email: "jane.smith@example.com",
+    age: 25,
+    role: "customer",
+    passwordHash: SEED_PASSWORD_HASH,
+    version: 1,
+    createdAt: "2024-01-15T11:00:00.000Z",
+    updatedAt: "2024-01-15T11:00:00.000Z",
+  },
+  {
+    id: "550e8400-e29b-41d4-a716-446655440002",
+    name: "Sam Staff",
+    email: "staff@example.com",
+    age: 35,
+    role: "staff",
+    passwordHash: SEED_PASSWORD_HASH,
+    version: 1,
+    createdAt: "2024-01-15T12:00:00.000Z",
+    updatedAt: "2024-01-15T12:00:00.000Z",
+  },
+  {
+    id: "550e8400-e29b-41d4-a716-446655440003",
+    name: "Ada Admin",
+    email: "admin@example.com",
+    age: 40,
+    role: "admin",
+    passwordHash: SEED_PASSWORD_HASH,
+    version: 1,
+    createdAt: "2024-01-15T12:00:00.000Z",
+    updatedAt: "2024-01-15T12:00:00.000Z",
+  },
+];
+
+const products = [
+  {
+    id: "660e8400-e29b-41d4-a716-446655440000",
+    name: "iPhone 15 Pro",
+    description: "Latest iPhone with advanced features",
+    price: 999.99,
+    category: "electronics",
+    stockQuantity: 50,
+    inStock: true,
+    version: 1,
+    createdAt: "2024-01-15T10:00:00.000Z",
+    updatedAt: "2024-01-15T10:00:00.000Z",
+  },
+  {
+    id: "660e8400-e29b-41d4-a716-446655440001",
+    name: "MacBook Air M2",
+    description: "Powerful laptop with M2 chip",
+    price: 1199.99,
+    category: "electronics",
+    stockQuantity: 25,
+    inStock: true,
+    version: 1,
+    createdAt: "2024-01-15T10:00:00.000Z",
+    updatedAt: "2024-01-15T10:00:00.000Z",
+  },
+  {
+    id: "660e8400-e29b-41d4-a716-446655440002",
+    name: "Cotton T-Shirt",
+    description: "Comfortable cotton t-shirt",
+    price: 29.99,
+    category: "clothing",
+    stockQuantity: 200,
+    inStock: true,
+    version: 1,
+    createdAt: "2024-01-15T10:00:00.000Z",
+    updatedAt: "2024-01-15T10:00:00.000Z",
+  },
+];
+
+const orders = [
+  {
+    id: "770e8400-e29b-41d4-a716-446655440000",
+    userId: "550e8400-e29b-41d4-a716-446655440000",
+    products: [
+      {
+        productId: "660e8400-e29b-41d4-a716-446655440000",
+        name: "iPhone 15 Pro",
+        quantity: 1,
+        price: 999.99,
+      },
+    ],
+    totalAmount: 999.99,
+    status: "delivered",
+    statusHistory: [
+      { status: "pending", from: null, at: "2024-01-15T12:00:00.000Z" },
+      {
+        status: "processing",
+        from: "pending",
+        at: "2024-01-15T12:00:00.000Z",
+      },
+      {
+        status: "shipped",
+        from: "processing",
+        at: "2024-01-15T12:00:00.000Z",
+      },
+      {
+        status: "delivered",
+        from: "shipped",
+        at: "2024-01-15T12:00:00.000Z",
+      },
+    ],
+    processedAt: "2024-01-15T12:00:00.000Z",
+    shippedAt: "2024-01-15T12:00:00.000Z",
+    deliveredAt: "2024-01-15T12:00:00.000Z",
+    version: 1,
+    createdAt: "2024-01-15T12:00:00.000Z",
+    updatedAt: "2024-01-15T12:00:00.000Z",
+  },
+];
+
+/**
+ * Fresh copy of the seed collections, safe for the caller to mutate
+ */
+const createSeedData = () =>
+  JSON.parse(JSON.stringify({ users, products, orders }));
+
+/**
+ * Seed collections for an empty store, as the store configuration asks
+ * Without sample data the only record is an admin account for adminEmail
+ * with adminPassword, and nothing at all when no password is set.
+ *
+ * @param {Object} storeConfig - config.store
+ * @param {boolean} storeConfig.sampleData - Load the sample data
+ * @param {string} storeConfig.adminEmail
+ * @param {string|null} storeConfig.adminPassword
+ */
+const seedFor = ({ sampleData, adminEmail, adminPassword }) => {
+  if (sampleData) return createSeedData();
+  if (!adminPassword) return { users: [] };
+
+  const now = new Date().toISOString();
+  return {
+    users: [
+      {
+        id: uuidv4(),
+        name: "Administrator",
+        email: adminEmail,
+        age: 18,
+        role: "admin",
+        passwordHash: hashPassword(adminPassword),
+        version: 1,
+        createdAt: now,
+        updatedAt: now,
+      },
+    ],
+  };
+};
+
+module.exports = {
+  createSeedData,
+  seedFor,
+};
@@ -1,184 +1,333 @@
+const { EventEmitter } = require("events");
+const { AsyncLocalStorage } = require("async_hooks");
 const { v4: uuidv4 } = require("uuid");
-
-// In-memory data store
-let users = [
-  {
-    id: "550e8400-e29b-41d4-a716-446655440000",
-    name: "John Doe",
-    email: "john.doe@example.com",
-    age: 30,
-    createdAt: "2024-01-15T10:00:00.000Z",
-    updatedAt: "2024-01-15T10:00:00.000Z",
-  },
-  {
-    id: "550e8400-e29b-41d4-a716-446655440001",
-    name: "Jane Smith",
-    email: "jane.smith@example.com",
-    age: 25,
-    createdAt: "2024-01-15T11:00:00.000Z",
-    updatedAt: "2024-01-15T11:00:00.000Z",
-  },
-];
-
-let products = [
-  {
-    id: "660e8400-e29b-41d4-a716-446655440000",
-    name: "iPhone 15 Pro",
-    description: "Latest iPhone with advanced features",
-    price: 999.99,
-    category: "electronics",
-    inStock: true,
-    createdAt: "2024-01-15T10:00:00.000Z",
-    updatedAt: "2024-01-15T10:00:00.000Z",
-  },
-  {
-    id: "660e8400-e29b-41d4-a716-446655440001",
-    name: "MacBook Air M2",
-    description: "Powerful laptop with M2 chip",
-    price: 1199.99,
-    category: "electronics",
-    inStock: true,
-    createdAt: "2024-01-15T10:00:00.000Z",
-    updatedAt: "2024-01-15T10:00:00.000Z",
-  },
-  {
-    id: "660e8400-e29b-41d4-a716-446655440002",
-    name: "Cotton T-Shirt",
-    description: "Comfortable cotton t-shirt",
-    price: 29.99,
-    category: "clothing",
-    inStock: true,
-    createdAt: "2024-01-15T10:00:00.000Z",
-    updatedAt: "2024-01-15T10:00:00.000Z",
-  },
-];
-
-let orders = [
-  {
-    id: "770e8400-e29b-41d4-a716-446655440000",
-    userId: "550e8400-e29b-41d4-a716-446655440000",
-    products: [
-      {
-        productId: "660e8400-e29b-41d4-a716-446655440000",
-        quantity: 1,
-        price: 999.99,
-      },
-    ],
-    totalAmount: 999.99,
-    status: "delivered",
-    createdAt: "2024-01-15T12:00:00.000Z",
-    updatedAt: "2024-01-15T12:00:00.000Z",
-  },
-];
+const { DEFAULT_ROLE } = require("../services/access");
+const { PreconditionFailedError } = require("../services/errors");
 
 // Helper functions
 const generateId = () => uuidv4();
 const getCurrentTimestamp = () => new Date().toISOString();
 
-// Users CRUD operations
-const userOperations = {
-  getAll: () => [...users],
-  getById: (id) => users.find((user) => user.id === id),
-  create: (userData) => {
-    const newUser = {
-      id: generateId(),
-      ...userData,
-      createdAt: getCurrentTimestamp(),
-      updatedAt: getCurrentTimestamp(),
-    };
-    users.push(newUser);
-    return newUser;
-  },
-  update: (id, userData) => {
-    const index = users.findIndex((user) => user.id === id);
-    if (index === -1) return null;
+// Records written before versioning count as version 1
+const versionOf = (record) => record.version || 1;
 
-    users[index] = {
-      ...users[index],
-      ...userData,
-      updatedAt: getCurrentTimestamp(),
-    };
-    return users[index];
-  },
-  delete: (id) => {
-    const index = users.findIndex((user) => user.id === id);
-    if (index === -1) return false;
+const versionConflict = (record) =>
+  new PreconditionFailedError(
+    `Resource has been modified (current version is ${versionOf(record)})`,
+    { code: "version_mismatch", currentVersion: versionOf(record) }
+  );
 
-    users.splice(index, 1);
-    return true;
-  },
+/**
+ * Throw a 412 error unless the record is at the expected version
+ * @param {Object} record - Current record
+ * @param {number|Array<number>} [expectedVersion] - Acceptable version(s);
+ *   undefined skips the check
+ */
+const assertVersion = (record, expectedVersion) => {
+  if (expectedVersion === undefined) return;
+  if (![].concat(expectedVersion).includes(versionOf(record))) {
+    throw versionConflict(record);
+  }
 };
 
-// Products CRUD operations
-const productOperations = {
-  getAll: () => [...products],
-  getById: (id) => products.find((product) => product.id === id),
-  create: (productData) => {
-    const newProduct = {
+/**
+ * Generic CRUD operations for one collection, backed by a storage adapter
+ * Every write bumps the record's version. update and delete accept an
+ * expectedVersion and throw a 412 error when the record has moved on; adapters
+ * are synchronous, so nothing can write between the check and the write.
+ * Each write is reported through emit (see createStore's change events); the
+ * event option lets wrappers name the change, e.g. a soft delete.
+ */
+const createOperations = (adapter, collection, emit = () => {}) => ({
+  getAll: () => adapter.list(collection),
+  getById: (id) => adapter.get(collection, id),
+  create: (data) => {
+    const newRecord = {
       id: generateId(),
-      ...productData,
+      ...data,
+      version: 1,
       createdAt: getCurrentTimestamp(),
       updatedAt: getCurrentTimestamp(),
     };
-    products.push(newProduct);
-    return newProduct;
+    const created = adapter.insert(collection, newRecord);
+    emit({ type: "created", collection, record: created, previous: null });
+    return created;
   },
-  update: (id, productData) => {
-    const index = products.findIndex((product) => product.id === id);
-    if (index === -1) return null;
+  update: (id, data, { expectedVersion, event = "updated" } = {}) => {
+    const existing = adapter.get(collection, id);
+    if (!existing) return null;
+    assertVersion(existing, expectedVersion);
 
-    products[index] = {
-      ...products[index],
-      ...productData,
+    const updated = adapter.replace(collection, {
+      ...existing,
+      ...data,
+      id,
+      version: versionOf(existing) + 1,
       updatedAt: getCurrentTimestamp(),
-    };
-    return products[index];
+    });
+    emit({ type: event, collection, record: updated, previous: existing });
+    return updated;
   },
-  delete: (id) => {
-    const index = products.findIndex((product) => product.id === id);
-    if (index === -1) return false;
+  delete: (id, { expectedVersion, event = "deleted" } = {}) => {
+    const existing = adapter.get(collection, id);
+    if (!existing) return false;
+    assertVersion(existing, expectedVersion);
 
-    products.splice(index, 1);
-    return true;
+    const removed = adapter.remove(collection, id);
+    emit({ type: event, collection, record: existing, previous: existing });
+    return removed;
   },
+});
+
+const isDeleted = (record) => Boolean(record.deletedAt);
+
+/**
+ * Soft delete on top of the generic operations
+ * delete stamps deletedAt instead of removing the record. Reads and updates
+ * skip deleted records unless called with { includeDeleted: true }. restore
+ * clears the stamp; purge removes the record for good.
+ */
+const withSoftDelete = (operations) => {
+  const getById = (id, { includeDeleted = false } = {}) => {
+    const record = operations.getById(id);
+    return record && (includeDeleted || !isDeleted(record))
+      ? record
+      : undefined;
+  };
+
+  return {
+    ...operations,
+    getAll: ({ includeDeleted = false } = {}) =>
+      includeDeleted
+        ? operations.getAll()
+        : operations.getAll().filter((record) => !isDeleted(record)),
+    getById,
+    getDeleted: () => operations.getAll().filter(isDeleted),
+    update: (id, data, { includeDeleted = false, ...options } = {}) =>
+      getById(id, { includeDeleted })
+        ? operations.update(id, data, options)
+        : null,
+    delete: (id, options) => {
+      if (!getById(id)) return false;
+      operations.update(
+        id,
+        { deletedAt: getCurrentTimestamp() },
+        { ...options, event: "deleted" }
+      );
+      return true;
+    },
+    restore: (id, options) => {
+      const existing = operations.getById(id);
+      if (!existing || !isDeleted(existing)) return null;
+      return operations.update(
+        id,
+        { deletedAt: null },
+        { ...options, event: "restored" }
+      );
+    },
+    purge: (id, options) =>
+      operations.delete(id, { ...options, event: "purged" }),
+  };
 };
 
-// Orders CRUD operations
-const orderOperations = {
-  getAll: () => [...orders],
-  getById: (id) => orders.find((order) => order.id === id),
-  create: (orderData) => {
-    const newOrder = {
-      id: generateId(),
-      ...orderData,
-      createdAt: getCurrentTimestamp(),
-      updatedAt: getCurrentTimestamp(),
-    };
-    orders.push(newOrder);
-    return newOrder;
-  },
-  update: (id, orderData) => {
-    const index = orders.findIndex((order) => order.id === id);
-    if (index === -1) return null;
+// inStock is derived from stockQuantity and never taken from the caller
+const withStockStatus = ({ inStock, ...data }) =>
+  data.stockQuantity === undefined
+    ? data
+    : { ...data, inStock: data.stockQuantity > 0 };
 
-    orders[index] = {
-      ...orders[index],
-      ...orderData,
-      updatedAt: getCurrentTimestamp(),
-    };
-    return orders[index];
-  },
-  delete: (id) => {
-    const index = orders.findIndex((order) => order.id === id);
-    if (index === -1) return false;
+/**
+ * Build the store operations on top of a storage adapter
+ * store.events emits "change" after every write, with
+ * { type, collection, record, previous }. type is created, updated, deleted,
+ * restored or purged; record is the record after the change (the removed
+ * record for a purge). Changes made inside store.transaction() or
+ * store.transactionAsync() are emitted once it commits, and dropped if it
+ * rolls back.
+ *
+ * @param {Object} adapter - See data/adapters/index.js for the contract
+ */
+const createStore = (adapter) => {
+  const events = new EventEmitter();
 
-    orders.splice(index, 1);
-    return true;
-  },
+  // Change events held back until the outermost transaction commits
+  let pendingEvents = null;
+  const emit = (event) => {
+    if (pendingEvents) pendingEvents.push(event);
+    else events.emit("change", event);
+  };
+
+  // While an async transaction is open, only code running inside it may
+  // write; anything else would be committed or rolled back along with it
+  const transactionContext = new AsyncLocalStorage();
+  let openTransaction = null;
+  let unlocked = null; // settles when the open async transaction does
+  const assertWritable = () => {
+    if (openTransaction && transactionContext.getStore() !== openTransaction) {
+      throw new Error("The store is locked by an open transaction");
+    }
+  };
+  const guarded = {
+    ...adapter,
+    insert: (...args) => {
+      assertWritable();
+      return adapter.insert(...args);
+    },
+    replace: (...args) => {
+      assertWritable();
+      return adapter.replace(...args);
+    },
+    remove: (...args) => {
+      assertWritable();
+      return adapter.remove(...args);
+    },
+  };
+
+  const transaction = (fn) => {
+    assertWritable();
+    if (pendingEvents) {
+      const mark = pendingEvents.length;
+      try {
+        return adapter.transaction(fn);
+      } catch (error) {
+        pendingEvents.length = mark;
+        throw error;
+      }
+    }
+
+    pendingEvents = [];
+    let committed;
+    try {
+      const result = adapter.transaction(fn);
+      committed = pendingEvents;
+      return result;
+    } finally {
+      pendingEvents = null;
+      if (committed) committed.forEach((event) => events.emit("change", event));
+    }
+  };
+
+  /**
+   * Like transaction, for an async fn
+   * Writes from outside fn fail until it settles, so keep it short and do
+   * not wait on the network inside it. Only one can be open at a time.
+   * @param {Function} fn - Returns a promise
+   * @returns {Promise} Resolves with fn's result once committed
+   */
+  const transactionAsync = async (fn) => {
+    if (openTransaction && transactionContext.getStore() === openTransaction) {
+      return fn();
+    }
+    assertWritable();
+    if (pendingEvents) {
+      throw new Error("Cannot open an async transaction inside a transaction");
+    }
+
+    const token = {};
+    let unlock;
+    openTransaction = token;
+    unlocked = new Promise((resolve) => (unlock = resolve));
+    pendingEvents = [];
+    let committed;
+    try {
+      const result = await transactionContext.run(token, () =>
+        adapter.transactionAsync(fn)
+      );
+      committed = pendingEvents;
+      return result;
+    } finally {
+      openTransaction = null;
+      pendingEvents = null;
+      if (committed) committed.forEach((event) => events.emit("change", event));
+      unlock();
+    }
+  };
+
+  /**
+   * Wait until no async transaction is open
+   * Background work (webhook deliveries) can then write without being
+   * locked out, as long as it writes before awaiting anything else. Never
+   * await this inside a transaction: it would wait for itself.
+   * @returns {Promise}
+   */
+  const whenUnlocked = async () => {
+    while (openTransaction) await unlocked;
+  };
+
+  const operationsFor = (collection) =>
+    createOperations(guarded, collection, emit);
+
+  const users = withSoftDelete(operationsFor("users"));
+  const userOperations = {
+    ...users,
+    create: (userData) => users.create({ role: DEFAULT_ROLE, ...userData }),
+    getByEmail: (email) =>
+      adapter.findBy("users", "email", email).find((user) => !isDeleted(user)),
+  };
+
+  const products = withSoftDelete(operationsFor("products"));
+  const productOperations = {
+    ...products,
+    create: (productData) =>
+      products.create(withStockStatus({ stockQuantity: 0, ...productData })),
+    update: (id, productData, options) =>
+      products.update(id, withStockStatus(productData), options),
+    getBySku: (sku) =>
+      adapter
+        .findBy("products", "sku", sku)
+        .find((product) => !isDeleted(product)),
+  };
+
+  const orderOperations = {
+    ...withSoftDelete(operationsFor("orders")),
+    getByUserId: (userId, { includeDeleted = false } = {}) =>
+      adapter
+        .findBy("orders", "userId", userId)
+        .filter((order) => includeDeleted || !isDeleted(order)),
+  };
+
+  const refreshTokenOperations = {
+    ...operationsFor("refreshTokens"),
+    getByUserId: (userId) => adapter.findBy("refreshTokens", "userId", userId),
+    getByFamily: (family) => adapter.findBy("refreshTokens", "family", family),
+  };
+
+  const idempotencyKeyOperations = {
+    ...operationsFor("idempotencyKeys"),
+    getByUserId: (userId) =>
+      adapter.findBy("idempotencyKeys", "userId", userId),
+  };
+
+  // Subscriptions are removed outright; their deliveries go with them
+  const webhookOperations = operationsFor("webhooks");
+
+  const webhookDeliveryOperations = {
+    ...operationsFor("webhookDeliveries"),
+    getByWebhookId: (webhookId) =>
+      adapter.findBy("webhookDeliveries", "webhookId", webhookId),
+    getPending: () => adapter.findBy("webhookDeliveries", "status", "pending"),
+  };
+
+  return {
+    adapter,
+    userOperations,
+    productOperations,
+    orderOperations,
+    refreshTokenOperations,
+    idempotencyKeyOperations,
+    webhookOperations,
+    webhookDeliveryOperations,
+    events,
+    transaction,
+    transactionAsync,
+    whenUnlocked,
+    close: () => adapter.close(),
+  };
 };
 
 module.exports = {
-  userOperations,
-  productOperations,
-  orderOperations,
+  createStore,
+  versionOf,
+  assertVersion,
+  isDeleted,
 };
@@ -0,0 +1,75 @@
+const { verifyAccessToken } = require("../services/auth");
+const { hasRole } = require("../services/access");
+const { UnauthorizedError, ForbiddenError } = require("../services/errors");
+
+/**
+ * Authentication middleware
+ * Requires a valid "Authorization: Bearer <access token>" header and loads
+ * the caller into req.user. Token errors are passed to the error handler,
+ * which maps JsonWebTokenError and TokenExpiredError to 401.
+ */
+const authenticate = (req, res, next) => {
+  res.set("WWW-Authenticate", 'Bearer realm="api"');
+
+  const [scheme, token] = (req.headers.authorization || "").split(" ");
+  if (scheme !== "Bearer" || !token) {
+    return next(
+      new UnauthorizedError("Authentication required", {
+        code: "authentication_required",
+      })
+    );
+  }
+
+  try {
+    const { config, store } = req.app.locals;
+    const payload = verifyAccessToken(token, config.auth);
+
+    const user = store.userOperations.getById(payload.sub);
+    if (!user) {
+      return next(
+        new UnauthorizedError("User no longer exists", {
+          code: "account_not_found",
+        })
+      );
+    }
+
+    req.user = user;
+    res.removeHeader("WWW-Authenticate");
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * Authorization middleware
+ * Allows the request only when the authenticated caller has one of the given
+ * roles; everyone else gets a 403 from the error handler.
+ * @param {...string} roles - customer | staff | admin
+ */
+const authorize =
+  (...roles) =>
+  (req, res, next) => {
+    if (!req.user || !hasRole(req.user, ...roles)) {
+      return next(new ForbiddenError());
+    }
+    next();
+  };
+
+/**
+ * Soft-deleted records stay hidden unless an admin asks for them with
+ * ?includeDeleted=true. Place after validate, which has already turned the
+ * query value into a boolean.
+ */
+const authorizeIncludeDeleted = (req, res, next) => {
+  if (req.query.includeDeleted === true && !hasRole(req.user, "admin")) {
+    return next(new ForbiddenError("Only admins can include deleted records"));
+  }
+  next();
+};
+
+module.exports = {
+  authenticate,
+  authorize,
+  authorizeIncludeDeleted,
+};
@@ -0,0 +1,49 @@
+const { versionOf } = require("../data/store");
+
+/**
+ * Conditional request helpers
+ * A resource's ETag is its version, so clients can read it with GET and send
+ * it back in If-Match to make sure they are not overwriting a newer write.
+ * The CSV, NDJSON and XML representations (see middleware/negotiate.js) are
+ * tagged with their format as well ("3-csv"), since a strong tag must not
+ * match a different body; If-Match takes either form.
+ */
+
+// Strong entity tag for the record's current version, in a format
+const etagFor = (record, format) =>
+  format ? `"${versionOf(record)}-${format}"` : `"${versionOf(record)}"`;
+
+/**
+ * Set ETag and Last-Modified for a single resource
+ * Express answers a matching If-None-Match (or an If-Modified-Since that is
+ * not older than Last-Modified) with 304 once these headers are set.
+ */
+const setValidators = (res, record) => {
+  res.set("ETag", etagFor(record, res.locals.format));
+  res.set("Last-Modified", new Date(record.updatedAt).toUTCString());
+};
+
+/**
+ * Versions accepted by the request's If-Match header
+ * Returns undefined when the header is absent or "*" (any version). Weak and
+ * malformed tags never match, as If-Match uses strong comparison.
+ * @returns {Array<number>|undefined} Pass to the store as expectedVersion
+ */
+const ifMatch = (req) => {
+  const header = req.get("If-Match");
+  if (header === undefined) return undefined;
+
+  const tags = header.split(",").map((tag) => tag.trim());
+  if (tags.includes("*")) return undefined;
+
+  return tags
+    .map((tag) => /^"(\d+)(?:-[a-z]+)?"$/.exec(tag))
+    .filter(Boolean)
+    .map((match) => parseInt(match[1]));
+};
+
+module.exports = {
+  etagFor,
+  setValidators,
+  ifMatch,
+};
@@ -1,87 +1,97 @@
+const {
+  ApiError,
+  BadRequestError,
+  UnauthorizedError,
+  InternalServerError,
+} = require("../services/errors");
+const { logError } = require("../services/logger");
+
+const PROBLEM_TYPE = "application/problem+json";
+
+/**
+ * Map any error to an ApiError
+ * Errors from libraries (jsonwebtoken, body-parser) get their own codes; any
+ * other error is a 500 whose message is not shown outside development.
+ */
+const toApiError = (err) => {
+  if (err instanceof ApiError) return err;
+
+  if (err.name === "TokenExpiredError") {
+    return new UnauthorizedError("Token expired", { code: "token_expired" });
+  }
+  if (err.name === "JsonWebTokenError") {
+    return new UnauthorizedError("Invalid token", { code: "invalid_token" });
+  }
+  if (err.type === "entity.parse.failed") {
+    return new BadRequestError("Invalid JSON format", { code: "invalid_json" });
+  }
+  // Other body-parser errors (payload too large, bad charset) carry a 4xx
+  if (err.status >= 400 && err.status < 500 && err.expose) {
+    return new ApiError(err.status, err.message, {
+      code: String(err.type || "bad_request").replace(/\W/g, "_"),
+    });
+  }
+
+  return new InternalServerError(undefined, { cause: err });
+};
+
+// "token_expired" -> https://.../problems/token-expired
+const typeFor = (code, baseUrl) => `${baseUrl}/${code.replace(/_/g, "-")}`;
+
 /**
  * Global error handling middleware
- * Follows RESTful API best practices for error responses
+ * Renders every error as an RFC 7807 problem (application/problem+json):
+ *
+ *   { type, title, status, detail, instance, code, timestamp, ...extensions }
+ *
+ * Clients that only accept application/json (Accept: application/json) get
+ * the legacy { error, message, statusCode, timestamp, path, method } body
+ * instead, with the code and the same extension members added.
  */
 const errorHandler = (err, req, res, next) => {
-  let error = { ...err };
-  error.message = err.message;
+  const error = toApiError(err);
+  const cause = error.cause || err;
 
   // Log error for debugging
-  console.error("Error:", {
-    message: err.message,
-    stack: err.stack,
-    url: req.url,
-    method: req.method,
-    timestamp: new Date().toISOString(),
-  });
-
-  // Mongoose bad ObjectId
-  if (err.name === "CastError") {
-    const message = "Resource not found";
-    error = {
-      message,
-      statusCode: 404,
-    };
-  }
-
-  // Mongoose duplicate key
-  if (err.code === 11000) {
-    const message = "Duplicate field value entered";
-    error = {
-      message,
-      statusCode: 400,
-    };
-  }
+  logError("Error", cause, { url: req.url, method: req.method });
 
-  // Mongoose validation error
-  if (err.name === "ValidationError") {
-    const message = Object.values(err.errors)
-      .map((val) => val.message)
-      .join(", ");
-    error = {
-      message,
-      statusCode: 400,
-    };
-  }
+  if (res.headersSent) return next(err);
 
-  // JWT errors
-  if (err.name === "JsonWebTokenError") {
-    const message = "Invalid token";
-    error = {
-      message,
-      statusCode: 401,
-    };
-  }
+  const { config } = req.app.locals;
+  const development = config.env === "development";
+  const timestamp = new Date().toISOString();
+  const detail =
+    error instanceof InternalServerError && development && error.cause
+      ? error.cause.message
+      : error.message;
 
-  if (err.name === "TokenExpiredError") {
-    const message = "Token expired";
-    error = {
-      message,
-      statusCode: 401,
-    };
-  }
+  res.status(error.status);
+  res.vary("Accept");
 
-  // Express validator errors
-  if (err.type === "entity.parse.failed") {
-    const message = "Invalid JSON format";
-    error = {
-      message,
-      statusCode: 400,
-    };
+  if (req.accepts([PROBLEM_TYPE, "application/json"]) === "application/json") {
+    return res.json({
+      error: true,
+      message: detail,
+      statusCode: error.status,
+      timestamp,
+      path: req.originalUrl,
+      method: req.method,
+      code: error.code,
+      ...error.legacyExtensions(),
+      ...(development && { stack: cause.stack }),
+    });
   }
 
-  // Default error response
-  const statusCode = error.statusCode || 500;
-  const message = error.message || "Internal Server Error";
-
-  res.status(statusCode).json({
-    error: true,
-    message,
-    statusCode,
-    timestamp: new Date().toISOString(),
-    path: req.originalUrl,
-    method: req.method,
-    ...(process.env.NODE_ENV === "development" && { stack: err.stack }),
+  res.type(PROBLEM_TYPE).json({
+    type: typeFor(error.code, config.errors.typeBaseUrl),
+    title: error.title,
+    status: error.status,
+    detail,
+    instance: req.originalUrl,
+    code: error.code,
+    timestamp,
+    ...error.extensions,
+    ...(development && { stack: cause.stack }),
   });
 };
 
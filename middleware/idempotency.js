@@ -0,0 +1,138 @@
+const crypto = require("crypto");
+const {
+  BadRequestError,
+  ConflictError,
+  UnprocessableEntityError,
+} = require("../services/errors");
+
+const MAX_KEY_LENGTH = 255;
+
+// Response headers replayed along with the stored body; Content-Type keeps
+// a stored problem+json error from being replayed as plain JSON
+const REPLAYED_HEADERS = ["Content-Type", "ETag", "Last-Modified"];
+
+const sha256 = (text) => crypto.createHash("sha256").update(text).digest("hex");
+
+// JSON with sorted object keys, so equal payloads hash equally
+const canonicalJson = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    const entries = Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${canonicalJson(value[key])}`);
+    return `{${entries.join(",")}}`;
+  }
+  return JSON.stringify(value) ?? "null";
+};
+
+// Identifies the request a key was first used for
+const fingerprint = (req) =>
+  sha256(`${req.method} ${req.baseUrl}${req.path}\n${canonicalJson(req.body)}`);
+
+const isExpired = (record, now) => Date.parse(record.expiresAt) <= now;
+
+/**
+ * Idempotency-Key middleware for POST routes
+ * The first response for a key is stored and replayed for retries of the same
+ * request. Keys are scoped to the caller and expire after
+ * config.idempotency.ttlMs. Place it before the validators so the payload is
+ * fingerprinted as the client sent it.
+ *
+ * - Same key, same payload: the stored response is replayed
+ * - Same key, different payload: 422
+ * - Same key while the first request is still running: 409
+ * - 5xx responses are not stored, so the request can be retried
+ */
+const idempotency = (req, res, next) => {
+  const key = req.get("Idempotency-Key");
+  if (key === undefined) return next();
+
+  if (key.length === 0 || key.length > MAX_KEY_LENGTH) {
+    return next(
+      new BadRequestError(
+        `Idempotency-Key must be between 1 and ${MAX_KEY_LENGTH} characters`,
+        { code: "invalid_idempotency_key" }
+      )
+    );
+  }
+
+  try {
+    const { store, config } = req.app.locals;
+    const { idempotencyKeyOperations } = store;
+    const id = sha256(`${req.user.id}\n${key}`);
+    const requestHash = fingerprint(req);
+    const now = Date.now();
+
+    const existing = idempotencyKeyOperations.getById(id);
+    if (existing && !isExpired(existing, now)) {
+      if (existing.requestHash !== requestHash) {
+        return next(
+          new UnprocessableEntityError(
+            "Idempotency-Key has already been used with a different request",
+            { code: "idempotency_key_reused" }
+          )
+        );
+      }
+      if (!existing.response) {
+        return next(
+          new ConflictError(
+            "A request with this Idempotency-Key is still being processed",
+            { code: "idempotency_key_in_use" }
+          )
+        );
+      }
+
+      res.set(existing.response.headers || {});
+      res.set("Idempotent-Replayed", "true");
+      return res
+        .status(existing.response.statusCode)
+        .json(existing.response.body);
+    }
+
+    // Drop this caller's expired keys (including a stale record for this key)
+    idempotencyKeyOperations
+      .getByUserId(req.user.id)
+      .filter((record) => isExpired(record, now))
+      .forEach((record) => idempotencyKeyOperations.delete(record.id));
+
+    idempotencyKeyOperations.create({
+      id,
+      userId: req.user.id,
+      key,
+      requestHash,
+      response: null,
+      expiresAt: new Date(now + config.idempotency.ttlMs).toISOString(),
+    });
+
+    let settled = false;
+    const json = res.json.bind(res);
+    res.json = (body) => {
+      settled = true;
+      if (res.statusCode >= 500) {
+        idempotencyKeyOperations.delete(id);
+      } else {
+        const headers = {};
+        REPLAYED_HEADERS.filter((name) => res.get(name)).forEach((name) => {
+          headers[name] = res.get(name);
+        });
+        idempotencyKeyOperations.update(id, {
+          response: { statusCode: res.statusCode, headers, body },
+        });
+      }
+      return json(body);
+    };
+
+    // Release the key if the request ends without a response
+    res.on("close", () => {
+      if (!settled) idempotencyKeyOperations.delete(id);
+    });
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = idempotency;
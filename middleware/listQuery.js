@@ -0,0 +1,380 @@
+const { query } = require("express-validator");
+const { parseFilter } = require("../services/filters");
+
+/**
+ * List query parameters shared by the list endpoints
+ * - sort:   comma-separated fields, "-" prefix for descending (sort=-price,name)
+ * - fields: comma-separated fields to return; id is always included
+ * - filter: filter[field][operator]=value expressions (see services/filters.js)
+ * - facets: comma-separated facets to count (see services/facets.js)
+ * - page / after / before: page numbers or opaque cursors (see paginate)
+ * sort, fields and filter are checked against a whitelist per resource and
+ * sanitized into the structures sortRecords, selectFields and applyFilter
+ * expect.
+ */
+
+const splitList = (value) =>
+  String(value)
+    .split(",")
+    .map((item) => item.trim())
+    .filter(Boolean);
+
+// "-price,name" -> [{ field: "price", direction: "desc" }, { field: "name", direction: "asc" }]
+const parseSort = (value) =>
+  splitList(value).map((item) =>
+    item.startsWith("-")
+      ? { field: item.slice(1), direction: "desc" }
+      : { field: item.replace(/^\+/, ""), direction: "asc" }
+  );
+
+const unknownFields = (fields, allowed) =>
+  fields.filter((field) => !allowed.includes(field));
+
+/**
+ * Validation chain for ?sort=
+ * @param {Array<string>} sortable - Fields the resource can be sorted by
+ * @param {string} [defaultSort] - Used without ?sort=, e.g. "-deletedAt"
+ */
+const sortQuery = (sortable, defaultSort) =>
+  (defaultSort ? query("sort").default(defaultSort) : query("sort").optional())
+    .custom((value) => {
+      const sort = parseSort(value);
+      if (sort.length === 0) {
+        throw new Error("Sort must name at least one field");
+      }
+      const unknown = unknownFields(
+        sort.map(({ field }) => field),
+        sortable
+      );
+      if (unknown.length > 0) {
+        throw new Error(
+          `Cannot sort by ${unknown.join(", ")}; use ${sortable.join(", ")}`
+        );
+      }
+      return true;
+    })
+    .customSanitizer(parseSort);
+
+/**
+ * Validation chain for ?fields=
+ * @param {Array<string>} selectable - Fields a client may ask for
+ */
+const fieldsQuery = (selectable) =>
+  query("fields")
+    .optional()
+    .custom((value) => {
+      const fields = splitList(value);
+      if (fields.length === 0) {
+        throw new Error("Fields must name at least one field");
+      }
+      const unknown = unknownFields(fields, selectable);
+      if (unknown.length > 0) {
+        throw new Error(
+          `Unknown field ${unknown.join(", ")}; use ${selectable.join(", ")}`
+        );
+      }
+      return true;
+    })
+    .customSanitizer(splitList);
+
+/**
+ * Validation chain for ?facets=
+ * @param {Array<string>} facetable - Facets the resource can count
+ */
+const facetsQuery = (facetable) =>
+  query("facets")
+    .optional()
+    .custom((value) => {
+      const facets = splitList(value);
+      if (facets.length === 0) {
+        throw new Error("Facets must name at least one facet");
+      }
+      const unknown = unknownFields(facets, facetable);
+      if (unknown.length > 0) {
+        throw new Error(
+          `Unknown facet ${unknown.join(", ")}; use ${facetable.join(", ")}`
+        );
+      }
+      return true;
+    })
+    .customSanitizer(splitList);
+
+/**
+ * Validation chain for ?filter[field][operator]=value
+ * The older single-purpose parameters (minPrice=10) are folded in as aliases,
+ * so every filter goes through the same engine.
+ * @param {Object} filterable - Fields and types, see services/filters.js
+ * @param {Object} [aliases] - { param: [field, operator] }
+ */
+const filterQuery = (filterable, aliases = {}) => {
+  const conditionsFor = (value, req) => {
+    const aliased = {};
+    Object.entries(aliases).forEach(([param, [field, operator]]) => {
+      if (req.query[param] === undefined) return;
+      aliased[field] = { ...aliased[field], [operator]: req.query[param] };
+    });
+    return [
+      ...parseFilter(value, filterable),
+      ...parseFilter(aliased, filterable),
+    ];
+  };
+
+  return query("filter")
+    .custom((value, { req }) => {
+      conditionsFor(value, req);
+      return true;
+    })
+    .customSanitizer((value, { req }) => {
+      // Sanitizers run even when the check failed; validate answers 400 then
+      try {
+        return conditionsFor(value, req);
+      } catch (error) {
+        return [];
+      }
+    });
+};
+
+const isMissing = (value) => value === undefined || value === null;
+
+// Missing values sort last in either direction
+const compareValues = (a, b, direction) => {
+  if (a === b || (isMissing(a) && isMissing(b))) return 0;
+  if (isMissing(a)) return 1;
+  if (isMissing(b)) return -1;
+
+  const result =
+    typeof a === "string" && typeof b === "string"
+      ? a.localeCompare(b)
+      : a < b
+      ? -1
+      : 1;
+  return direction === "desc" ? -result : result;
+};
+
+/**
+ * Sort records by a parsed sort parameter; ties keep insertion order
+ * @param {Array} records
+ * @param {Array} [sort] - [{ field, direction }] from sortQuery
+ * @returns {Array} A sorted copy, or the records unchanged without a sort
+ */
+const sortRecords = (records, sort) => {
+  if (!sort || sort.length === 0) return records;
+
+  return [...records].sort((a, b) => {
+    for (const { field, direction } of sort) {
+      const result = compareValues(a[field], b[field], direction);
+      if (result !== 0) return result;
+    }
+    return 0;
+  });
+};
+
+/**
+ * Keep only the requested fields (plus id) of a record
+ * @param {Object} record
+ * @param {Array<string>} [fields] - From fieldsQuery; all fields when omitted
+ */
+const selectFields = (record, fields) => {
+  if (!fields) return record;
+
+  const selected = {};
+  new Set(["id", ...fields]).forEach((field) => {
+    if (field in record) selected[field] = record[field];
+  });
+  return selected;
+};
+
+// Cursor pages are ordered by the sort (createdAt by default) with id as the
+// final tie-breaker, so every record has a unique position
+const cursorKey = (sort) => [
+  ...(sort && sort.length > 0
+    ? sort
+    : [{ field: "createdAt", direction: "asc" }]),
+  { field: "id", direction: "asc" },
+];
+
+const sortSignature = (key) =>
+  key
+    .map(({ field, direction }) => (direction === "desc" ? "-" : "") + field)
+    .join(",");
+
+const encodeCursor = (record, key) =>
+  Buffer.from(
+    JSON.stringify({
+      sort: sortSignature(key),
+      values: key.map(({ field }) =>
+        isMissing(record[field]) ? null : record[field]
+      ),
+    })
+  ).toString("base64url");
+
+// Sort key values stored in a cursor; throws when it is not one of ours
+const decodeCursor = (cursor, key) => {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, "base64url").toString("utf8"));
+  } catch (error) {
+    throw new Error("Invalid cursor");
+  }
+  if (!decoded || !Array.isArray(decoded.values)) {
+    throw new Error("Invalid cursor");
+  }
+  if (
+    decoded.sort !== sortSignature(key) ||
+    decoded.values.length !== key.length
+  ) {
+    throw new Error("Cursor does not match the sort order");
+  }
+  return decoded.values;
+};
+
+// Position of a record relative to a cursor: < 0 before, > 0 after
+const compareToCursor = (record, key, values) => {
+  for (let i = 0; i < key.length; i++) {
+    const { field, direction } = key[i];
+    const result = compareValues(record[field], values[i], direction);
+    if (result !== 0) return result;
+  }
+  return 0;
+};
+
+/**
+ * Validation chains for ?after= and ?before=
+ * An empty value starts from the first (after) or last (before) page. Place
+ * after sortQuery, as a cursor only fits the sort order it was issued for.
+ */
+const cursorQuery = () =>
+  ["after", "before"].map((name) =>
+    query(name)
+      .optional()
+      .custom((value, { req }) => {
+        if (req.query.page !== undefined) {
+          throw new Error("Use either page or a cursor, not both");
+        }
+        if (name === "before" && req.query.after !== undefined) {
+          throw new Error("Use either after or before, not both");
+        }
+        if (value !== "") decodeCursor(value, cursorKey(req.query.sort));
+        return true;
+      })
+  );
+
+// URL of the current request with the pagination parameters replaced
+const linkTo = (req, params) => {
+  const url = new URL(req.originalUrl, `${req.protocol}://${req.get("host")}`);
+  ["page", "after", "before"].forEach((name) => url.searchParams.delete(name));
+  Object.entries(params).forEach(([name, value]) =>
+    url.searchParams.set(name, value)
+  );
+  return url.toString();
+};
+
+const byPage = (req, records, limit) => {
+  const sorted = sortRecords(records, req.query.sort);
+  const page = parseInt(req.query.page) || 1;
+  const totalPages = Math.ceil(sorted.length / limit);
+
+  return {
+    items: sorted.slice((page - 1) * limit, page * limit),
+    pagination: { page, limit, total: sorted.length, totalPages },
+    links: {
+      self: linkTo(req, { page }),
+      first: linkTo(req, { page: 1 }),
+      prev: page > 1 ? linkTo(req, { page: page - 1 }) : null,
+      next: page < totalPages ? linkTo(req, { page: page + 1 }) : null,
+      last: linkTo(req, { page: Math.max(totalPages, 1) }),
+    },
+  };
+};
+
+const byCursor = (req, records, limit) => {
+  const { after, before } = req.query;
+  const key = cursorKey(req.query.sort);
+  const sorted = sortRecords(records, key);
+
+  const indexOf = (cursor, test) => {
+    const values = decodeCursor(cursor, key);
+    const index = sorted.findIndex((record) =>
+      test(compareToCursor(record, key, values))
+    );
+    return index === -1 ? sorted.length : index;
+  };
+
+  let start, end;
+  if (after !== undefined) {
+    start = after === "" ? 0 : indexOf(after, (position) => position > 0);
+    end = Math.min(start + limit, sorted.length);
+  } else {
+    end =
+      before === ""
+        ? sorted.length
+        : indexOf(before, (position) => position >= 0);
+    start = Math.max(end - limit, 0);
+  }
+
+  const items = sorted.slice(start, end);
+  const hasPrev = start > 0;
+  const hasNext = end < sorted.length;
+
+  // An empty page past either end links back to the nearest full page
+  const nextCursor =
+    items.length > 0 ? encodeCursor(items[items.length - 1], key) : "";
+  const prevCursor = items.length > 0 ? encodeCursor(items[0], key) : "";
+
+  return {
+    items,
+    pagination: { limit, total: sorted.length, hasPrev, hasNext },
+    links: {
+      self: linkTo(req, after !== undefined ? { after } : { before }),
+      first: linkTo(req, { after: "" }),
+      prev: hasPrev ? linkTo(req, { before: prevCursor }) : null,
+      next: hasNext ? linkTo(req, { after: nextCursor }) : null,
+      last: linkTo(req, { before: "" }),
+    },
+  };
+};
+
+/**
+ * Sort and paginate a list, and send the page links as a Link header
+ * Page mode (?page=) is the default. Passing ?after= or ?before= switches to
+ * cursor mode, where each page starts right after (or ends right before) the
+ * record a cursor points at, so inserts and deletes between requests never
+ * shift rows between pages.
+ *
+ * @param {Object} req - Request with validated sort, limit, page/after/before
+ * @param {Object} res - Response; gets the Link header
+ * @param {Array} records - Filtered records
+ * @returns {{ items: Array, pagination: Object, links: Object }}
+ */
+const paginate = (req, res, records) => {
+  // CSV, NDJSON and XML are for exports (see middleware/negotiate.js), so
+  // their pages default to the much larger formats.pageSize
+  const defaultLimit = res.locals.format
+    ? req.app.locals.config.formats.pageSize
+    : 10;
+  const limit = parseInt(req.query.limit) || defaultLimit;
+  const result =
+    req.query.after !== undefined || req.query.before !== undefined
+      ? byCursor(req, records, limit)
+      : byPage(req, records, limit);
+
+  const { self, ...rels } = result.links;
+  const header = Object.entries(rels)
+    .filter(([, url]) => url)
+    .map(([rel, url]) => `<${url}>; rel="${rel}"`)
+    .join(", ");
+  res.set("Link", header);
+
+  return result;
+};
+
+module.exports = {
+  sortQuery,
+  fieldsQuery,
+  filterQuery,
+  facetsQuery,
+  cursorQuery,
+  sortRecords,
+  selectFields,
+  paginate,
+};
@@ -0,0 +1,72 @@
+const { FORMATS, sendFormatted } = require("../services/formats");
+const { ValidationError } = require("../services/errors");
+const { logError } = require("../services/logger");
+
+const FORMAT_NAMES = Object.keys(FORMATS);
+
+// A browser's Accept lists application/xml but prefers text/html, and gets JSON
+const fromAccept = (req) => {
+  const type = req.accepts([...Object.values(FORMATS), "text/html"]);
+  return FORMAT_NAMES.find((format) => FORMATS[format] === type) || "json";
+};
+
+/**
+ * Content negotiation for GET responses
+ * ?format= (json, csv, ndjson or xml), or else the Accept header, picks the
+ * format the body a route passes to res.json goes out in; JSON is the
+ * default. The other formats carry just the records in data (see
+ * services/formats.js): the total moves to X-Total-Count, the page links are
+ * in the Link header already, and pages are formats.pageSize records long
+ * unless ?limit= says otherwise (see paginate). Errors and bodies without data
+ * stay JSON.
+ *
+ * @param {string} name - Plural name of the resource, e.g. orders
+ */
+const negotiate = (name) => (req, res, next) => {
+  if (req.method !== "GET" && req.method !== "HEAD") return next();
+  res.vary("Accept");
+
+  const format =
+    req.query.format === undefined ? fromAccept(req) : req.query.format;
+  if (!FORMAT_NAMES.includes(format)) {
+    return next(
+      new ValidationError([
+        {
+          field: "format",
+          location: "query",
+          message: `Format must be one of: ${FORMAT_NAMES.join(", ")}`,
+          value: format,
+        },
+      ])
+    );
+  }
+  if (format === "json") return next();
+
+  res.locals.format = format;
+  const json = res.json;
+  res.json = function negotiatedJson(body) {
+    res.json = json;
+    const data = body && body.data;
+    if (res.statusCode >= 400 || !data || typeof data !== "object") {
+      return json.call(this, body);
+    }
+
+    if (body.pagination) {
+      res.set("X-Total-Count", String(body.pagination.total));
+    }
+    sendFormatted(res, format, data, name).catch((error) => {
+      if (!res.headersSent) return next(error);
+      // Part of the body is out; cut the response short so the client sees
+      // it fail rather than a truncated list that looks complete
+      logError("Formatted response failed", error, {
+        url: req.originalUrl,
+        method: req.method,
+      });
+      res.destroy();
+    });
+    return res;
+  };
+  next();
+};
+
+module.exports = negotiate;
@@ -1,11 +1,15 @@
+const { NotFoundError } = require("../services/errors");
+
 /**
  * 404 Not Found middleware
  * Handles requests to non-existent routes following RESTful conventions
  */
 const notFound = (req, res, next) => {
-  const error = new Error(`Route ${req.originalUrl} not found`);
-  error.statusCode = 404;
-  next(error);
+  next(
+    new NotFoundError(`Route ${req.originalUrl} not found`, {
+      code: "route_not_found",
+    })
+  );
 };
 
 module.exports = notFound;
@@ -0,0 +1,80 @@
+const errorHandler = require("./errorHandler");
+const { InternalServerError } = require("../services/errors");
+const {
+  createOperationMatcher,
+  validateResponse,
+} = require("../services/openapi");
+
+/**
+ * Response validation middleware
+ * Checks every JSON response of a documented operation against the response
+ * the OpenAPI document gives for its status code and content type, so the
+ * docs cannot quietly drift from what the API sends.
+ * - log:  mismatches are logged and the response is sent unchanged
+ * - fail: the response is replaced with a 500 response_validation_failed
+ *   problem listing the mismatches, which makes a test that hits one fail
+ * - off:  nothing is checked
+ * Responses without a JSON body (304, the docs UI) are not checked.
+ *
+ * @param {Object} spec - OpenAPI document
+ * @param {Object} [options]
+ * @param {string} [options.mode] - log, fail or off
+ * @param {Object} [options.coverage] - From createResponseCoverage; records
+ *   the operation and status of every response, checked or not
+ */
+const responseValidation = (spec, { mode = "log", coverage } = {}) => {
+  const findOperation = createOperationMatcher(spec);
+
+  return (req, res, next) => {
+    const match = findOperation(req.method, req.path);
+    if (!match) return next();
+
+    if (coverage) {
+      res.on("finish", () => coverage.record(match, res.statusCode));
+    }
+    if (mode === "off") return next();
+
+    const json = res.json;
+    res.json = function checkedJson(body) {
+      // Only the first body is checked, so the 500 below goes out as is
+      res.json = json;
+
+      const status = res.statusCode;
+      const contentType = (res.get("Content-Type") || "application/json")
+        .split(";")[0]
+        .trim();
+      const violations = validateResponse(spec, match, {
+        status,
+        contentType,
+        body,
+      });
+      if (violations.length === 0) return json.call(this, body);
+
+      const operation = `${match.method.toUpperCase()} ${match.path}`;
+      console.warn("Response does not match the API documentation:", {
+        operation,
+        status,
+        violations,
+      });
+      if (mode !== "fail") return json.call(this, body);
+
+      return errorHandler(
+        new InternalServerError(
+          "Response does not match the API documentation",
+          {
+            code: "response_validation_failed",
+            operation,
+            responseStatus: status,
+            violations,
+          }
+        ),
+        req,
+        res,
+        next
+      );
+    };
+    next();
+  };
+};
+
+module.exports = responseValidation;
@@ -1,26 +1,25 @@
 const { validationResult } = require("express-validator");
+const { ValidationError } = require("../services/errors");
 
 /**
  * Validation middleware
- * Checks for validation errors and returns appropriate error response
+ * Collects express-validator failures into a ValidationError for the error
+ * handler, which lists them per field
  */
 const validate = (req, res, next) => {
   const errors = validationResult(req);
 
   if (!errors.isEmpty()) {
-    const errorMessages = errors.array().map((error) => ({
-      field: error.path,
-      message: error.msg,
-      value: error.value,
-    }));
-
-    return res.status(400).json({
-      error: true,
-      message: "Validation failed",
-      statusCode: 400,
-      timestamp: new Date().toISOString(),
-      errors: errorMessages,
-    });
+    return next(
+      new ValidationError(
+        errors.array().map((error) => ({
+          field: error.path,
+          location: error.location,
+          message: error.msg,
+          value: error.value,
+        }))
+      )
+    );
   }
 
   next();
@@ -0,0 +1,288 @@
+const express = require("express");
+const { body } = require("express-validator");
+const router = express.Router();
+
+const validate = require("../middleware/validation");
+const {
+  verifyPassword,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+} = require("../services/auth");
+const { UnauthorizedError } = require("../services/errors");
+
+// Token pair as returned to the client (the stored token ID stays internal)
+const toTokenResponse = ({ refreshTokenId, ...tokens }) => tokens;
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     AuthTokens:
+ *       type: object
+ *       properties:
+ *         tokenType:
+ *           type: string
+ *           example: Bearer
+ *         accessToken:
+ *           type: string
+ *           description: "Short-lived JWT, sent as: Authorization: Bearer <token>"
+ *         expiresIn:
+ *           type: integer
+ *           description: Seconds until the access token expires
+ *         refreshToken:
+ *           type: string
+ *           description: Single-use JWT for /auth/refresh; rotated on every use
+ */
+
+/**
+ * @swagger
+ * /api/v1/auth/login:
+ *   post:
+ *     summary: Log in
+ *     description: Exchange email and password for an access and refresh token
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *               - password
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 format: email
+ *               password:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Logged in successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/AuthTokens'
+ *       400:
+ *         description: Bad request - validation errors
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Invalid email or password
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.post(
+  "/login",
+  [
+    body("email")
+      .isEmail()
+      .normalizeEmail()
+      .withMessage("Must be a valid email address"),
+    body("password").isString().withMessage("Password is required"),
+    validate,
+  ],
+  (req, res, next) => {
+    try {
+      const { store, config } = req.app.locals;
+
+      const user = store.userOperations.getByEmail(req.body.email);
+      if (!user || !verifyPassword(req.body.password, user.passwordHash)) {
+        return next(
+          new UnauthorizedError("Invalid email or password", {
+            code: "invalid_credentials",
+          })
+        );
+      }
+
+      const tokens = issueTokens(store, user, config.auth);
+
+      res.status(200).json({
+        success: true,
+        data: toTokenResponse(tokens),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/refresh:
+ *   post:
+ *     summary: Refresh tokens
+ *     description: >
+ *       Exchange a refresh token for a new token pair. The presented refresh
+ *       token is revoked; reusing a revoked token revokes every token issued
+ *       from the same login.
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Tokens refreshed successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/AuthTokens'
+ *       400:
+ *         description: Bad request - validation errors
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Invalid, expired or revoked refresh token
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.post(
+  "/refresh",
+  [
+    body("refreshToken")
+      .isString()
+      .notEmpty()
+      .withMessage("Refresh token is required"),
+    validate,
+  ],
+  (req, res, next) => {
+    try {
+      const { store, config } = req.app.locals;
+      const tokens = rotateRefreshToken(
+        store,
+        req.body.refreshToken,
+        config.auth
+      );
+
+      res.status(200).json({
+        success: true,
+        data: toTokenResponse(tokens),
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/auth/logout:
+ *   post:
+ *     summary: Log out
+ *     description: Revoke the refresh token and every token rotated from it
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - refreshToken
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Logged out successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: Bad request - validation errors
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         description: Invalid refresh token
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.post(
+  "/logout",
+  [
+    body("refreshToken")
+      .isString()
+      .notEmpty()
+      .withMessage("Refresh token is required"),
+    validate,
+  ],
+  (req, res, next) => {
+    try {
+      const { store, config } = req.app.locals;
+      revokeRefreshToken(store, req.body.refreshToken, config.auth);
+
+      res.status(200).json({
+        success: true,
+        message: "Logged out successfully",
+      });
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+module.exports = router;
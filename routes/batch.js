@@ -0,0 +1,221 @@
+const express = require("express");
+const { body } = require("express-validator");
+const router = express.Router();
+
+const validate = require("../middleware/validation");
+const { BATCH_METHODS, runBatch } = require("../services/batch");
+const { asApiError, TooManyRequestsError } = require("../services/errors");
+
+/**
+ * Count each operation of a batch against the rate limit
+ * The batch was counted once on arrival; every operation after the first is
+ * another hit for the caller's IP address, so a batch of 50 uses as much of
+ * the limit as 50 requests. A batch that goes over the limit is not run.
+ */
+const chargeOperations = async (req, res, next) => {
+  try {
+    const store = req.app.locals.rateLimitStore;
+    const { max } = req.app.locals.config.rateLimit;
+    let used = req.rateLimit.used;
+    for (let i = 1; i < req.body.operations.length; i += 1) {
+      ({ totalHits: used } = await store.increment(req.ip));
+    }
+    res.set("RateLimit-Remaining", String(Math.max(max - used, 0)));
+    if (used > max) {
+      return next(
+        new TooManyRequestsError(
+          "Too many requests from this IP, please try again later."
+        )
+      );
+    }
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+/**
+ * @swagger
+ * /api/v1/batch:
+ *   post:
+ *     summary: Run several operations in one request
+ *     description: >
+ *       Runs each operation in order against the user, product, order and
+ *       webhook endpoints, exactly as if it had been sent on its own with the
+ *       caller's token, and returns the status, headers and body of each.
+ *       Operations may carry their own headers (If-Match, Idempotency-Key,
+ *       Accept, ...) but not Authorization. With atomic set, the operations
+ *       either all take effect or none do: the first that fails (status 400
+ *       or above) rolls back every change, the remaining operations are not
+ *       run (424, batch_aborted) and rolledBack is true; no webhooks or
+ *       events are sent for a rolled-back batch. The batch itself answers
+ *       200 whatever the operations return. Every operation counts as a
+ *       request against the rate limit; a batch that would go over it is
+ *       answered 429 without running.
+ *     tags: [Batch]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - operations
+ *             properties:
+ *               atomic:
+ *                 type: boolean
+ *                 default: false
+ *               operations:
+ *                 type: array
+ *                 minItems: 1
+ *                 description: At most BATCH_MAX_OPERATIONS (50 by default)
+ *                 items:
+ *                   type: object
+ *                   required:
+ *                     - method
+ *                     - path
+ *                   properties:
+ *                     method:
+ *                       type: string
+ *                       enum: [GET, POST, PUT, PATCH, DELETE]
+ *                     path:
+ *                       type: string
+ *                       description: Path and query string, starting with /api/v1/
+ *                       example: /api/v1/products/660e8400-e29b-41d4-a716-446655440000
+ *                     headers:
+ *                       type: object
+ *                       additionalProperties:
+ *                         type: string
+ *                     body:
+ *                       type: object
+ *           example:
+ *             atomic: true
+ *             operations:
+ *               - method: PATCH
+ *                 path: /api/v1/products/660e8400-e29b-41d4-a716-446655440000
+ *                 body: { price: 899 }
+ *               - method: POST
+ *                 path: /api/v1/orders
+ *                 body:
+ *                   userId: 550e8400-e29b-41d4-a716-446655440000
+ *                   products:
+ *                     - productId: 660e8400-e29b-41d4-a716-446655440000
+ *                       quantity: 1
+ *     responses:
+ *       200:
+ *         description: The batch ran; see each result for how its operation went
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   description: True when every operation succeeded
+ *                 message:
+ *                   type: string
+ *                 atomic:
+ *                   type: boolean
+ *                 rolledBack:
+ *                   type: boolean
+ *                   description: True when an atomic batch failed and none of its changes were kept
+ *                 results:
+ *                   type: array
+ *                   description: One per operation, in order
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       status:
+ *                         type: integer
+ *                       headers:
+ *                         type: object
+ *                         additionalProperties:
+ *                           type: string
+ *                       body:
+ *                         nullable: true
+ *                         description: Parsed JSON, text for other content types, null when empty
+ *       400:
+ *         description: Bad request - invalid operations
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       429:
+ *         $ref: '#/components/responses/RateLimited'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.post(
+  "/",
+  [
+    body("atomic")
+      .optional()
+      .isBoolean({ strict: true })
+      .withMessage("Atomic must be true or false"),
+    body("operations")
+      .isArray({ min: 1 })
+      .withMessage("Operations must be a non-empty array")
+      .bail()
+      .custom(
+        (operations, { req }) =>
+          operations.length <= req.app.locals.config.batch.maxOperations
+      )
+      .withMessage(
+        (value, { req }) =>
+          `A batch can have at most ${req.app.locals.config.batch.maxOperations} operations`
+      ),
+    body("operations.*.method")
+      .customSanitizer((method) =>
+        typeof method === "string" ? method.toUpperCase() : method
+      )
+      .isIn(BATCH_METHODS)
+      .withMessage(`Method must be one of: ${BATCH_METHODS.join(", ")}`),
+    body("operations.*.path")
+      .isString()
+      .matches(/^\/api\/v1\//)
+      .withMessage("Path must start with /api/v1/"),
+    body("operations.*.headers")
+      .optional()
+      .isObject()
+      .withMessage("Headers must be an object"),
+    body("operations.*.body")
+      .optional()
+      .isObject()
+      .withMessage("Body must be an object"),
+    validate,
+    chargeOperations,
+  ],
+  async (req, res, next) => {
+    try {
+      const { operations, atomic = false } = req.body;
+
+      const { results, rolledBack } = await runBatch(
+        req.app.locals.resources,
+        req,
+        { operations, atomic }
+      );
+      const failedCount = results.filter(({ status }) => status >= 400).length;
+
+      res.status(200).json({
+        success: failedCount === 0,
+        message: rolledBack
+          ? "Batch rolled back because an operation failed"
+          : `${results.length - failedCount} of ${
+              results.length
+            } operations succeeded`,
+        atomic,
+        rolledBack,
+        results,
+      });
+    } catch (error) {
+      next(asApiError(error, "Failed to run batch"));
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,171 @@
+const express = require("express");
+const { query } = require("express-validator");
+const router = express.Router();
+
+const validate = require("../middleware/validation");
+const { authorize } = require("../middleware/auth");
+const { WEBHOOK_EVENTS } = require("../services/webhooks");
+
+// user, product, order: the part of an event type before the dot
+const RESOURCE_TYPES = [
+  ...new Set(WEBHOOK_EVENTS.map((type) => type.split(".")[0])),
+];
+const RESOURCE_LIST = RESOURCE_TYPES.join(", ");
+const RESOURCE_MESSAGE = `Resource must be a list of: ${RESOURCE_LIST}`;
+
+// One Server-Sent Events message; the event name is the event type
+const formatEvent = (event) =>
+  `id: ${event.id}\nevent: ${event.type}\ndata: ${JSON.stringify(event)}\n\n`;
+
+/**
+ * @swagger
+ * /api/v1/events:
+ *   get:
+ *     summary: Stream changes as Server-Sent Events
+ *     description: >
+ *       A text/event-stream of the same events webhooks receive (see POST
+ *       /api/v1/webhooks), as they happen. Staff and admins only. Each
+ *       message has the event id, the event type as its name and the JSON
+ *       event { id, type, createdAt, data, previousStatus? } as its data.
+ *       Reconnect with Last-Event-ID (EventSource does this itself) to be
+ *       sent the events missed in between from a buffer of recent events
+ *       (CHANGE_FEED_BUFFER_SIZE); when that is no longer possible a reset
+ *       event is sent first and the client should reload what it shows. A
+ *       heartbeat comment is sent every CHANGE_FEED_HEARTBEAT_MS. A client
+ *       that reads too slowly to keep up has its stream ended and picks up
+ *       again by reconnecting.
+ *     tags: [Events]
+ *     parameters:
+ *       - in: query
+ *         name: resource
+ *         schema:
+ *           type: string
+ *           example: order,product
+ *         description: Comma-separated resource types to stream (user, product, order); all by default
+ *       - in: query
+ *         name: id
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: Only events about the record with this ID
+ *       - in: header
+ *         name: Last-Event-ID
+ *         schema:
+ *           type: string
+ *         description: Id of the last event received; missed events are replayed
+ *       - in: query
+ *         name: lastEventId
+ *         schema:
+ *           type: string
+ *         description: Same as Last-Event-ID, for clients that cannot set headers
+ *     responses:
+ *       200:
+ *         description: The event stream; it stays open until the client disconnects
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *               example: "id: lx2k9a-42\nevent: order.status_changed\ndata: {\"id\":\"lx2k9a-42\",\"type\":\"order.status_changed\",...}\n\n"
+ *       400:
+ *         description: Bad request - invalid query parameters
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.get(
+  "/",
+  [
+    authorize("staff", "admin"),
+    query("resource")
+      .optional()
+      .isString()
+      .withMessage(RESOURCE_MESSAGE)
+      .bail()
+      .customSanitizer((value) =>
+        typeof value === "string"
+          ? value.split(",").map((type) => type.trim())
+          : value
+      )
+      .custom((types) => types.every((type) => RESOURCE_TYPES.includes(type)))
+      .withMessage(RESOURCE_MESSAGE),
+    query("id").optional().isUUID().withMessage("Invalid ID format"),
+    query("lastEventId").optional().isString(),
+    validate,
+  ],
+  (req, res) => {
+    const { config } = req.app.locals;
+    const feed = req.app.locals.changeFeed;
+    const { resource, id } = req.query;
+
+    const filter = (event) =>
+      (!resource || resource.includes(event.type.split(".")[0])) &&
+      (!id || event.data.id === id);
+
+    res.status(200).set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache",
+      Connection: "keep-alive",
+      // Stops nginx from buffering the stream
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+
+    let heartbeat = null;
+    let unsubscribe = () => {};
+    const stop = () => {
+      clearInterval(heartbeat);
+      unsubscribe();
+    };
+
+    // A client that falls behind is dropped rather than buffered for: the
+    // write that fills the response buffer is the last, and the client
+    // reconnects with Last-Event-ID to carry on after it
+    const write = (text) => {
+      if (res.writableEnded) return;
+      if (!res.write(text)) {
+        res.end();
+        stop();
+      }
+    };
+
+    const { events, complete } = feed.since(
+      req.get("Last-Event-ID") || req.query.lastEventId
+    );
+    if (!complete) {
+      write(
+        `event: reset\ndata: ${JSON.stringify({
+          reason: "Events since Last-Event-ID are no longer available",
+        })}\n\n`
+      );
+    }
+    events.filter(filter).forEach((event) => write(formatEvent(event)));
+    if (res.writableEnded) return;
+
+    heartbeat = setInterval(
+      () => write(": heartbeat\n\n"),
+      config.changeFeed.heartbeatMs
+    );
+    heartbeat.unref();
+
+    unsubscribe = feed.subscribe({
+      filter,
+      send: (event) => write(formatEvent(event)),
+      end: () => res.end(),
+    });
+
+    // res, not req: a request emits close as soon as its (empty) body is read
+    res.on("close", stop);
+  }
+);
+
+module.exports = router;
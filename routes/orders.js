@@ -1,83 +1,130 @@
 const express = require("express");
-const { body, param, query } = require("express-validator");
+const { param, query } = require("express-validator");
 const router = express.Router();
 
-const {
-  orderOperations,
-  userOperations,
-  productOperations,
-} = require("../data/store");
 const validate = require("../middleware/validation");
+const { authorize, authorizeIncludeDeleted } = require("../middleware/auth");
+const idempotency = require("../middleware/idempotency");
+const { setValidators, ifMatch } = require("../middleware/conditional");
+const {
+  sortQuery,
+  fieldsQuery,
+  filterQuery,
+  cursorQuery,
+  selectFields,
+  paginate,
+} = require("../middleware/listQuery");
+const { applyFilter } = require("../services/filters");
+const { assertVersion } = require("../data/store");
+const {
+  ORDER_STATUSES,
+  initialStatus,
+  planTransition,
+} = require("../services/orderStatus");
+const { priceOrder } = require("../services/pricing");
+const {
+  adjustStock,
+  holdsStock,
+  isUnfulfilled,
+  releaseStock,
+  reserveStock,
+} = require("../services/inventory");
+const {
+  isStaff,
+  canAccessOrder,
+  canSetOrderStatus,
+} = require("../services/access");
+const orderSchema = require("../schemas/order");
+const {
+  bodyValidators,
+  serializer,
+  filterFields,
+  sortFields,
+  selectableFields,
+} = require("../services/schema");
+const {
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  asApiError,
+} = require("../services/errors");
 
-/**
- * @swagger
- * components:
- *   schemas:
- *     OrderProduct:
- *       type: object
- *       required:
- *         - productId
- *         - quantity
- *         - price
- *       properties:
- *         productId:
- *           type: string
- *           format: uuid
- *           description: The product's unique ID
- *         quantity:
- *           type: integer
- *           minimum: 1
- *           description: The quantity of the product
- *         price:
- *           type: number
- *           minimum: 0
- *           description: The price per unit
- *
- *     Order:
- *       type: object
- *       required:
- *         - userId
- *         - products
- *         - totalAmount
- *       properties:
- *         id:
- *           type: string
- *           format: uuid
- *           description: The auto-generated id of the order
- *         userId:
- *           type: string
- *           format: uuid
- *           description: The user's unique ID
- *         products:
- *           type: array
- *           items:
- *             $ref: '#/components/schemas/OrderProduct'
- *           description: Array of products in the order
- *         totalAmount:
- *           type: number
- *           minimum: 0
- *           description: The total amount of the order
- *         status:
- *           type: string
- *           enum: [pending, processing, shipped, delivered, cancelled]
- *           default: pending
- *           description: The order status
- *         createdAt:
- *           type: string
- *           format: date-time
- *           description: The date the order was created
- *         updatedAt:
- *           type: string
- *           format: date-time
- *           description: The date the order was last updated
- */
+// Fields accepted by ?filter[field][operator]=, ?sort= and ?fields= come from
+// the order schema
+const ORDER_FILTERS = filterFields(orderSchema);
+
+// The original filter parameters, kept as shorthands for filter expressions
+const ORDER_FILTER_ALIASES = {
+  userId: ["userId", "eq"],
+  status: ["status", "eq"],
+  minAmount: ["totalAmount", "gte"],
+  maxAmount: ["totalAmount", "lte"],
+};
+
+// The response shape
+const serializeOrder = serializer(orderSchema);
+
+// 409 error listing every line that exceeds the available stock
+const insufficientStock = (shortages) =>
+  new ConflictError("Insufficient stock for one or more products", {
+    code: "insufficient_stock",
+    shortages,
+  });
+
+// 409 error for a status change the order lifecycle does not allow
+const invalidTransition = (order, nextStatus, allowedTransitions) =>
+  new ConflictError(
+    `Cannot change order status from ${order.status} to ${nextStatus}`,
+    {
+      code: "invalid_status_transition",
+      currentStatus: order.status,
+      allowedTransitions,
+    }
+  );
+
+// Same products in the same quantities, line by line
+const sameLines = (lines, otherLines) =>
+  lines.length === otherLines.length &&
+  lines.every(
+    (line, i) =>
+      line.productId === otherLines[i].productId &&
+      line.quantity === otherLines[i].quantity
+  );
+
+// 403 error when the caller may not make this change to an existing order
+const checkOrderAccess = (user, order, changes) => {
+  if (!canAccessOrder(user, order)) {
+    return new ForbiddenError("You can only access your own orders");
+  }
+  if (changes.userId !== undefined && !canAccessOrder(user, changes)) {
+    return new ForbiddenError("You can only place orders for yourself");
+  }
+  // Customers may cancel an order but not change what is on it
+  if (
+    !isStaff(user) &&
+    changes.products !== undefined &&
+    !sameLines(changes.products, order.products)
+  ) {
+    return new ForbiddenError("You cannot change the lines of an order");
+  }
+  if (
+    changes.status &&
+    changes.status !== order.status &&
+    !canSetOrderStatus(user, changes.status)
+  ) {
+    return new ForbiddenError(`You cannot mark an order as ${changes.status}`);
+  }
+  return null;
+};
 
 /**
  * @swagger
  * /api/v1/orders:
  *   get:
  *     summary: Retrieve all orders
- *     description: Get a list of all orders with optional pagination and filtering
+ *     description: >
+ *       Get a list of all orders with optional pagination and filtering.
+ *       Customers only see their own orders.
  *     tags: [Orders]
  *     parameters:
  *       - in: query
@@ -119,9 +166,21 @@ const validate = require("../middleware/validation");
  *           type: number
  *           minimum: 0
  *         description: Maximum total amount filter
+ *       - $ref: '#/components/parameters/OrderFilter'
+ *       - $ref: '#/components/parameters/After'
+ *       - $ref: '#/components/parameters/Before'
+ *       - $ref: '#/components/parameters/OrderSort'
+ *       - $ref: '#/components/parameters/OrderFields'
+ *       - $ref: '#/components/parameters/IncludeDeleted'
+ *       - $ref: '#/components/parameters/Format'
  *     responses:
  *       200:
  *         description: List of orders retrieved successfully
+ *         headers:
+ *           Link:
+ *             $ref: '#/components/headers/Link'
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/XTotalCount'
  *         content:
  *           application/json:
  *             schema:
@@ -134,21 +193,33 @@ const validate = require("../middleware/validation");
  *                   items:
  *                     $ref: '#/components/schemas/Order'
  *                 pagination:
- *                   type: object
- *                   properties:
- *                     page:
- *                       type: integer
- *                     limit:
- *                       type: integer
- *                     total:
- *                       type: integer
- *                     totalPages:
- *                       type: integer
+ *                   $ref: '#/components/schemas/Pagination'
+ *                 links:
+ *                   $ref: '#/components/schemas/PageLinks'
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *           application/xml:
+ *             schema:
+ *               type: string
  *       400:
  *         description: Bad request - invalid query parameters
  *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
  *           application/json:
- *             $ref: '#/components/schemas/Error'
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
  */
 router.get(
   "/",
@@ -164,7 +235,7 @@ router.get(
     query("userId").optional().isUUID().withMessage("Invalid user ID format"),
     query("status")
       .optional()
-      .isIn(["pending", "processing", "shipped", "delivered", "cancelled"])
+      .isIn(ORDER_STATUSES)
       .withMessage("Invalid status"),
     query("minAmount")
       .optional()
@@ -174,60 +245,152 @@ router.get(
       .optional()
       .isFloat({ min: 0 })
       .withMessage("Maximum amount must be a non-negative number"),
+    filterQuery(ORDER_FILTERS, ORDER_FILTER_ALIASES),
+    sortQuery(sortFields(orderSchema)),
+    ...cursorQuery(),
+    fieldsQuery(selectableFields(orderSchema)),
+    query("includeDeleted")
+      .optional()
+      .isBoolean()
+      .withMessage("includeDeleted must be true or false")
+      .toBoolean(),
     validate,
+    authorizeIncludeDeleted,
   ],
-  (req, res) => {
+  (req, res, next) => {
     try {
-      let orders = orderOperations.getAll();
+      const { orderOperations } = req.app.locals.store;
 
-      // Apply filters
-      if (req.query.userId) {
-        orders = orders.filter((order) => order.userId === req.query.userId);
-      }
+      // Customers only ever see their own orders
+      let orders = isStaff(req.user)
+        ? orderOperations.getAll({ includeDeleted: req.query.includeDeleted })
+        : orderOperations.getByUserId(req.user.id);
 
-      if (req.query.status) {
-        orders = orders.filter((order) => order.status === req.query.status);
-      }
-
-      if (req.query.minAmount) {
-        orders = orders.filter(
-          (order) => order.totalAmount >= parseFloat(req.query.minAmount)
-        );
-      }
+      // Apply filters
+      orders = applyFilter(orders, req.query.filter);
 
-      if (req.query.maxAmount) {
-        orders = orders.filter(
-          (order) => order.totalAmount <= parseFloat(req.query.maxAmount)
-        );
-      }
+      // Apply sorting and pagination
+      const { items, pagination, links } = paginate(req, res, orders);
 
-      // Apply pagination
-      const page = parseInt(req.query.page) || 1;
-      const limit = parseInt(req.query.limit) || 10;
-      const startIndex = (page - 1) * limit;
-      const endIndex = page * limit;
+      res.status(200).json({
+        success: true,
+        data: items.map((order) =>
+          selectFields(serializeOrder(order), req.query.fields)
+        ),
+        pagination,
+        links,
+      });
+    } catch (error) {
+      next(asApiError(error, "Failed to retrieve orders"));
+    }
+  }
+);
 
-      const paginatedOrders = orders.slice(startIndex, endIndex);
+/**
+ * @swagger
+ * /api/v1/orders/trash:
+ *   get:
+ *     summary: List deleted orders
+ *     description: >
+ *       Soft-deleted orders that can still be restored, most recently deleted
+ *       first unless sort says otherwise. Admins only. Deleted orders are
+ *       purged for good once the trash retention period (TRASH_RETENTION_MS)
+ *       has passed.
+ *     tags: [Orders]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *         description: Number of orders per page
+ *       - $ref: '#/components/parameters/After'
+ *       - $ref: '#/components/parameters/Before'
+ *       - $ref: '#/components/parameters/OrderSort'
+ *       - $ref: '#/components/parameters/OrderFields'
+ *     responses:
+ *       200:
+ *         description: Deleted orders retrieved successfully
+ *         headers:
+ *           Link:
+ *             $ref: '#/components/headers/Link'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Order'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *                 links:
+ *                   $ref: '#/components/schemas/PageLinks'
+ *       400:
+ *         description: Bad request - invalid query parameters
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.get(
+  "/trash",
+  [
+    authorize("admin"),
+    query("page")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Page must be a positive integer"),
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage("Limit must be between 1 and 100"),
+    sortQuery(sortFields(orderSchema), "-deletedAt"),
+    ...cursorQuery(),
+    fieldsQuery(selectableFields(orderSchema)),
+    validate,
+  ],
+  (req, res, next) => {
+    try {
+      const { orderOperations } = req.app.locals.store;
 
-      const pagination = {
-        page,
-        limit,
-        total: orders.length,
-        totalPages: Math.ceil(orders.length / limit),
-      };
+      const { items, pagination, links } = paginate(
+        req,
+        res,
+        orderOperations.getDeleted()
+      );
 
       res.status(200).json({
         success: true,
-        data: paginatedOrders,
+        data: items.map((order) =>
+          selectFields(serializeOrder(order), req.query.fields)
+        ),
         pagination,
+        links,
       });
     } catch (error) {
-      res.status(500).json({
-        error: true,
-        message: "Failed to retrieve orders",
-        statusCode: 500,
-        timestamp: new Date().toISOString(),
-      });
+      next(asApiError(error, "Failed to retrieve deleted orders"));
     }
   }
 );
@@ -237,9 +400,11 @@ router.get(
  * /api/v1/orders/{id}:
  *   get:
  *     summary: Retrieve an order by ID
- *     description: Get a specific order by its unique ID
+ *     description: Get a specific order by its unique ID. Customers can only read their own orders.
  *     tags: [Orders]
  *     parameters:
+ *       - $ref: '#/components/parameters/IfNoneMatch'
+ *       - $ref: '#/components/parameters/IncludeDeleted'
  *       - in: path
  *         name: id
  *         required: true
@@ -247,6 +412,7 @@ router.get(
  *           type: string
  *           format: uuid
  *         description: The order's unique ID
+ *       - $ref: '#/components/parameters/Format'
  *     responses:
  *       200:
  *         description: Order retrieved successfully
@@ -259,44 +425,77 @@ router.get(
  *                   type: boolean
  *                 data:
  *                   $ref: '#/components/schemas/Order'
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *           application/xml:
+ *             schema:
+ *               type: string
  *       404:
  *         description: Order not found
  *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
  *           application/json:
- *             $ref: '#/components/schemas/Error'
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       400:
  *         description: Bad request - invalid ID format
  *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
  *           application/json:
- *             $ref: '#/components/schemas/Error'
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       304:
+ *         description: Not modified - the cached representation is still current
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
  */
 router.get(
   "/:id",
-  [param("id").isUUID().withMessage("Invalid order ID format"), validate],
-  (req, res) => {
+  [
+    param("id").isUUID().withMessage("Invalid order ID format"),
+    query("includeDeleted")
+      .optional()
+      .isBoolean()
+      .withMessage("includeDeleted must be true or false")
+      .toBoolean(),
+    validate,
+    authorizeIncludeDeleted,
+  ],
+  (req, res, next) => {
     try {
-      const order = orderOperations.getById(req.params.id);
+      const { orderOperations } = req.app.locals.store;
+
+      const order = orderOperations.getById(req.params.id, {
+        includeDeleted: req.query.includeDeleted,
+      });
 
       if (!order) {
-        return res.status(404).json({
-          error: true,
-          message: "Order not found",
-          statusCode: 404,
-          timestamp: new Date().toISOString(),
-        });
+        throw new NotFoundError("Order not found", { code: "order_not_found" });
+      }
+
+      if (!canAccessOrder(req.user, order)) {
+        throw new ForbiddenError("You can only access your own orders");
       }
 
+      setValidators(res, order);
       res.status(200).json({
         success: true,
-        data: order,
+        data: serializeOrder(order),
       });
     } catch (error) {
-      res.status(500).json({
-        error: true,
-        message: "Failed to retrieve order",
-        statusCode: 500,
-        timestamp: new Date().toISOString(),
-      });
+      next(asApiError(error, "Failed to retrieve order"));
     }
   }
 );
@@ -306,38 +505,19 @@ router.get(
  * /api/v1/orders:
  *   post:
  *     summary: Create a new order
- *     description: Create a new order with the provided information
+ *     description: >
+ *       Create a new order. Lines are priced from the catalogue and the
+ *       requested quantities are reserved from stock atomically. Customers
+ *       can only place orders for themselves.
  *     tags: [Orders]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - userId
- *               - products
- *             properties:
- *               userId:
- *                 type: string
- *                 format: uuid
- *                 description: The user's unique ID
- *               products:
- *                 type: array
- *                 items:
- *                   type: object
- *                   required:
- *                     - productId
- *                     - quantity
- *                   properties:
- *                     productId:
- *                       type: string
- *                       format: uuid
- *                       description: The product's unique ID
- *                     quantity:
- *                       type: integer
- *                       minimum: 1
- *                       description: The quantity of the product
+ *             $ref: '#/components/schemas/OrderCreate'
  *     responses:
  *       201:
  *         description: Order created successfully
@@ -355,97 +535,100 @@ router.get(
  *       400:
  *         description: Bad request - validation errors
  *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
  *           application/json:
- *             $ref: '#/components/schemas/Error'
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       404:
  *         description: User or product not found
  *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: >
+ *           Insufficient stock. The response lists shortages as
+ *           { productId, name, requested, available }. Also sent while a
+ *           request with the same Idempotency-Key is still running.
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
  *           application/json:
- *             $ref: '#/components/schemas/Error'
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       422:
+ *         $ref: '#/components/responses/IdempotencyKeyReused'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
  */
 router.post(
   "/",
-  [
-    body("userId").isUUID().withMessage("Invalid user ID format"),
-    body("products")
-      .isArray({ min: 1 })
-      .withMessage("Products must be a non-empty array"),
-    body("products.*.productId")
-      .isUUID()
-      .withMessage("Invalid product ID format"),
-    body("products.*.quantity")
-      .isInt({ min: 1 })
-      .withMessage("Quantity must be a positive integer"),
-    validate,
-  ],
-  (req, res) => {
+  [idempotency, ...bodyValidators(orderSchema, "create"), validate],
+  (req, res, next) => {
     try {
+      const {
+        orderOperations,
+        userOperations,
+        productOperations,
+        transaction,
+      } = req.app.locals.store;
+
+      if (!canAccessOrder(req.user, req.body)) {
+        throw new ForbiddenError("You can only place orders for yourself");
+      }
+
       // Validate user exists
       const user = userOperations.getById(req.body.userId);
       if (!user) {
-        return res.status(404).json({
-          error: true,
-          message: "User not found",
-          statusCode: 404,
-          timestamp: new Date().toISOString(),
-        });
+        throw new NotFoundError("User not found", { code: "user_not_found" });
       }
 
-      // Validate products exist and calculate total
-      let totalAmount = 0;
-      const validatedProducts = [];
-
-      for (const productItem of req.body.products) {
-        const product = productOperations.getById(productItem.productId);
-        if (!product) {
-          return res.status(404).json({
-            error: true,
-            message: `Product with ID ${productItem.productId} not found`,
-            statusCode: 404,
-            timestamp: new Date().toISOString(),
-          });
-        }
-
-        if (!product.inStock) {
-          return res.status(400).json({
-            error: true,
-            message: `Product ${product.name} is out of stock`,
-            statusCode: 400,
-            timestamp: new Date().toISOString(),
-          });
-        }
-
-        const itemTotal = product.price * productItem.quantity;
-        totalAmount += itemTotal;
-
-        validatedProducts.push({
-          productId: productItem.productId,
-          quantity: productItem.quantity,
-          price: product.price,
-        });
+      // Price every line from the catalogue
+      const pricing = priceOrder(req.body.products, {
+        getProduct: productOperations.getById,
+        expectedTotal: req.body.totalAmount,
+      });
+      if (pricing.error) {
+        throw pricing.error;
       }
 
       const orderData = {
         userId: req.body.userId,
-        products: validatedProducts,
-        totalAmount,
-        status: "pending",
+        products: pricing.lines,
+        totalAmount: pricing.totalAmount,
+        ...initialStatus(),
       };
 
-      const newOrder = orderOperations.create(orderData);
+      // Reserve stock and create the order atomically
+      let shortages = [];
+      const newOrder = transaction(() => {
+        shortages = reserveStock(productOperations, pricing.lines);
+        if (shortages.length > 0) return null;
+        return orderOperations.create(orderData);
+      });
+
+      if (!newOrder) {
+        throw insufficientStock(shortages);
+      }
 
+      setValidators(res, newOrder);
       res.status(201).json({
         success: true,
         message: "Order created successfully",
-        data: newOrder,
+        data: serializeOrder(newOrder),
       });
     } catch (error) {
-      res.status(500).json({
-        error: true,
-        message: "Failed to create order",
-        statusCode: 500,
-        timestamp: new Date().toISOString(),
-      });
+      next(asApiError(error, "Failed to create order"));
     }
   }
 );
@@ -455,9 +638,16 @@ router.post(
  * /api/v1/orders/{id}:
  *   put:
  *     summary: Update an order completely
- *     description: Replace all order data with the provided information
+ *     description: >
+ *       Replace the order's user and lines. Every line is priced on the server:
+ *       products already on the order keep the price they were ordered at, new
+ *       products use the current catalogue price, and totalAmount is recomputed.
+ *       Client-supplied prices or totals that do not match are rejected.
+ *       Customers can only update their own orders and may only cancel them:
+ *       a customer's PUT must repeat the order's lines unchanged.
  *     tags: [Orders]
  *     parameters:
+ *       - $ref: '#/components/parameters/IfMatch'
  *       - in: path
  *         name: id
  *         required: true
@@ -470,25 +660,7 @@ router.post(
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - userId
- *               - products
- *               - totalAmount
- *             properties:
- *               userId:
- *                 type: string
- *                 format: uuid
- *               products:
- *                 type: array
- *                 items:
- *                   $ref: '#/components/schemas/OrderProduct'
- *               totalAmount:
- *                 type: number
- *                 minimum: 0
- *               status:
- *                 type: string
- *                 enum: [pending, processing, shipped, delivered, cancelled]
+ *             $ref: '#/components/schemas/OrderReplace'
  *     responses:
  *       200:
  *         description: Order updated successfully
@@ -506,91 +678,142 @@ router.post(
  *       404:
  *         description: Order not found
  *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Illegal status transition (lists allowedTransitions), insufficient stock (lists shortages) or lines changed on an order that has shipped or been cancelled (order_not_editable)
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
  *           application/json:
- *             $ref: '#/components/schemas/Error'
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       400:
  *         description: Bad request - validation errors
  *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
  *           application/json:
- *             $ref: '#/components/schemas/Error'
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
  */
 router.put(
   "/:id",
   [
     param("id").isUUID().withMessage("Invalid order ID format"),
-    body("userId").isUUID().withMessage("Invalid user ID format"),
-    body("products")
-      .isArray({ min: 1 })
-      .withMessage("Products must be a non-empty array"),
-    body("products.*.productId")
-      .isUUID()
-      .withMessage("Invalid product ID format"),
-    body("products.*.quantity")
-      .isInt({ min: 1 })
-      .withMessage("Quantity must be a positive integer"),
-    body("products.*.price")
-      .isFloat({ min: 0 })
-      .withMessage("Price must be a non-negative number"),
-    body("totalAmount")
-      .isFloat({ min: 0 })
-      .withMessage("Total amount must be a non-negative number"),
-    body("status")
-      .optional()
-      .isIn(["pending", "processing", "shipped", "delivered", "cancelled"])
-      .withMessage("Invalid status"),
+    ...bodyValidators(orderSchema, "replace"),
     validate,
   ],
-  (req, res) => {
+  (req, res, next) => {
     try {
+      const {
+        orderOperations,
+        userOperations,
+        productOperations,
+        transaction,
+      } = req.app.locals.store;
+
       // Check if order exists
       const existingOrder = orderOperations.getById(req.params.id);
       if (!existingOrder) {
-        return res.status(404).json({
-          error: true,
-          message: "Order not found",
-          statusCode: 404,
-          timestamp: new Date().toISOString(),
-        });
+        throw new NotFoundError("Order not found", { code: "order_not_found" });
       }
 
+      const denied = checkOrderAccess(req.user, existingOrder, req.body);
+      if (denied) throw denied;
+
       // Validate user exists
       const user = userOperations.getById(req.body.userId);
       if (!user) {
-        return res.status(404).json({
-          error: true,
-          message: "User not found",
-          statusCode: 404,
-          timestamp: new Date().toISOString(),
-        });
+        throw new NotFoundError("User not found", { code: "user_not_found" });
       }
 
-      // Validate products exist
-      for (const productItem of req.body.products) {
-        const product = productOperations.getById(productItem.productId);
-        if (!product) {
-          return res.status(404).json({
-            error: true,
-            message: `Product with ID ${productItem.productId} not found`,
-            statusCode: 404,
-            timestamp: new Date().toISOString(),
-          });
+      // Re-price every line: products already on the order keep the price
+      // they were ordered at, new ones are priced from the catalogue
+      const pricing = priceOrder(req.body.products, {
+        getProduct: productOperations.getById,
+        lockedLines: existingOrder.products,
+        expectedTotal: req.body.totalAmount,
+      });
+      if (pricing.error) {
+        throw pricing.error;
+      }
+
+      // Status changes go through the order lifecycle
+      let statusChanges = {};
+      if (req.body.status) {
+        const transition = planTransition(existingOrder, req.body.status);
+        if (!transition.allowed) {
+          throw invalidTransition(
+            existingOrder,
+            req.body.status,
+            transition.allowedTransitions
+          );
         }
+        statusChanges = transition.changes;
       }
 
-      const updatedOrder = orderOperations.update(req.params.id, req.body);
+      // Stock that has left the warehouse cannot be reserved again, so the
+      // lines are fixed once an order ships (or is cancelled)
+      const unfulfilled = isUnfulfilled(existingOrder.status);
+      if (!unfulfilled && !sameLines(pricing.lines, existingOrder.products)) {
+        throw new ConflictError(
+          `The lines of a ${existingOrder.status} order cannot be changed`,
+          { code: "order_not_editable", currentStatus: existingOrder.status }
+        );
+      }
+
+      // Move the stock reservation to the new lines with the order update
+      const nextStatus = statusChanges.status || existingOrder.status;
+      let shortages = [];
+      const updatedOrder = transaction(() => {
+        if (unfulfilled) {
+          shortages = adjustStock(
+            productOperations,
+            existingOrder.products,
+            holdsStock(nextStatus) ? pricing.lines : []
+          );
+        }
+        if (shortages.length > 0) return null;
+
+        return orderOperations.update(
+          req.params.id,
+          {
+            userId: req.body.userId,
+            products: pricing.lines,
+            totalAmount: pricing.totalAmount,
+            ...statusChanges,
+          },
+          { expectedVersion: ifMatch(req) }
+        );
+      });
+
+      if (!updatedOrder) {
+        throw insufficientStock(shortages);
+      }
 
+      setValidators(res, updatedOrder);
       res.status(200).json({
         success: true,
         message: "Order updated successfully",
-        data: updatedOrder,
+        data: serializeOrder(updatedOrder),
       });
     } catch (error) {
-      res.status(500).json({
-        error: true,
-        message: "Failed to update order",
-        statusCode: 500,
-        timestamp: new Date().toISOString(),
-      });
+      next(asApiError(error, "Failed to update order"));
     }
   }
 );
@@ -600,9 +823,12 @@ router.put(
  * /api/v1/orders/{id}:
  *   patch:
  *     summary: Partially update an order
- *     description: Update specific fields of an order
+ *     description: >
+ *       Update specific fields of an order. Customers can only update their
+ *       own orders and may only cancel them.
  *     tags: [Orders]
  *     parameters:
+ *       - $ref: '#/components/parameters/IfMatch'
  *       - in: path
  *         name: id
  *         required: true
@@ -615,11 +841,7 @@ router.put(
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               status:
- *                 type: string
- *                 enum: [pending, processing, shipped, delivered, cancelled]
+ *             $ref: '#/components/schemas/OrderUpdate'
  *     responses:
  *       200:
  *         description: Order updated successfully
@@ -637,51 +859,97 @@ router.put(
  *       404:
  *         description: Order not found
  *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
  *           application/json:
- *             $ref: '#/components/schemas/Error'
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       409:
+ *         description: Illegal status transition (response lists allowedTransitions)
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       400:
  *         description: Bad request - validation errors
  *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
  *           application/json:
- *             $ref: '#/components/schemas/Error'
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
  */
 router.patch(
   "/:id",
   [
     param("id").isUUID().withMessage("Invalid order ID format"),
-    body("status")
-      .optional()
-      .isIn(["pending", "processing", "shipped", "delivered", "cancelled"])
-      .withMessage("Invalid status"),
+    ...bodyValidators(orderSchema, "update"),
     validate,
   ],
-  (req, res) => {
+  (req, res, next) => {
     try {
+      const { orderOperations, productOperations, transaction } =
+        req.app.locals.store;
+
       // Check if order exists
       const existingOrder = orderOperations.getById(req.params.id);
       if (!existingOrder) {
-        return res.status(404).json({
-          error: true,
-          message: "Order not found",
-          statusCode: 404,
-          timestamp: new Date().toISOString(),
-        });
+        throw new NotFoundError("Order not found", { code: "order_not_found" });
       }
 
-      const updatedOrder = orderOperations.update(req.params.id, req.body);
+      const denied = checkOrderAccess(req.user, existingOrder, req.body);
+      if (denied) throw denied;
+
+      // Honour If-Match even when the request changes nothing
+      assertVersion(existingOrder, ifMatch(req));
+
+      let updatedOrder = existingOrder;
+
+      // Status changes go through the order lifecycle
+      if (req.body.status) {
+        const transition = planTransition(existingOrder, req.body.status);
+        if (!transition.allowed) {
+          throw invalidTransition(
+            existingOrder,
+            req.body.status,
+            transition.allowedTransitions
+          );
+        }
+
+        if (Object.keys(transition.changes).length > 0) {
+          updatedOrder = transaction(() => {
+            // Cancelling an order returns its reserved stock
+            if (!holdsStock(transition.changes.status)) {
+              releaseStock(productOperations, existingOrder.products);
+            }
+            return orderOperations.update(req.params.id, transition.changes, {
+              expectedVersion: ifMatch(req),
+            });
+          });
+        }
+      }
 
+      setValidators(res, updatedOrder);
       res.status(200).json({
         success: true,
         message: "Order updated successfully",
-        data: updatedOrder,
+        data: serializeOrder(updatedOrder),
       });
     } catch (error) {
-      res.status(500).json({
-        error: true,
-        message: "Failed to update order",
-        statusCode: 500,
-        timestamp: new Date().toISOString(),
-      });
+      next(asApiError(error, "Failed to update order"));
     }
   }
 );
@@ -691,9 +959,14 @@ router.patch(
  * /api/v1/orders/{id}:
  *   delete:
  *     summary: Delete an order
- *     description: Remove an order from the system
+ *     description: >
+ *       Move an order to the trash, returning its stock if it has not shipped.
+ *       Customers can only delete their own orders, and only while they are
+ *       pending or processing. An admin can restore the order until the trash
+ *       retention period has passed.
  *     tags: [Orders]
  *     parameters:
+ *       - $ref: '#/components/parameters/IfMatch'
  *       - in: path
  *         name: id
  *         required: true
@@ -716,41 +989,192 @@ router.patch(
  *       404:
  *         description: Order not found
  *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
  *           application/json:
- *             $ref: '#/components/schemas/Error'
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       400:
  *         description: Bad request - invalid ID format
  *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       409:
+ *         description: A customer's order that has shipped, been delivered or been cancelled (order_not_editable)
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
  *           application/json:
- *             $ref: '#/components/schemas/Error'
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
  */
 router.delete(
   "/:id",
   [param("id").isUUID().withMessage("Invalid order ID format"), validate],
-  (req, res) => {
+  (req, res, next) => {
     try {
-      const deleted = orderOperations.delete(req.params.id);
-
-      if (!deleted) {
-        return res.status(404).json({
-          error: true,
-          message: "Order not found",
-          statusCode: 404,
-          timestamp: new Date().toISOString(),
-        });
+      const { orderOperations, productOperations, transaction } =
+        req.app.locals.store;
+
+      const existingOrder = orderOperations.getById(req.params.id);
+      if (!existingOrder) {
+        throw new NotFoundError("Order not found", { code: "order_not_found" });
       }
 
+      if (!canAccessOrder(req.user, existingOrder)) {
+        throw new ForbiddenError("You can only access your own orders");
+      }
+      // Like its lines, a customer's order is theirs to delete only until it
+      // ships or is cancelled
+      if (!isStaff(req.user) && !isUnfulfilled(existingOrder.status)) {
+        throw new ConflictError(
+          `A ${existingOrder.status} order cannot be deleted`,
+          { code: "order_not_editable", currentStatus: existingOrder.status }
+        );
+      }
+
+      transaction(() => {
+        // Deleting an order that has not shipped returns its reserved stock
+        if (isUnfulfilled(existingOrder.status)) {
+          releaseStock(productOperations, existingOrder.products);
+        }
+        orderOperations.delete(req.params.id, {
+          expectedVersion: ifMatch(req),
+        });
+      });
+
       res.status(200).json({
         success: true,
         message: "Order deleted successfully",
       });
     } catch (error) {
-      res.status(500).json({
-        error: true,
-        message: "Failed to delete order",
-        statusCode: 500,
-        timestamp: new Date().toISOString(),
+      next(asApiError(error, "Failed to delete order"));
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/orders/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted order
+ *     description: >
+ *       Take an order out of the trash. Admins only. A pending or processing
+ *       order reserves its stock again, so the restore fails with 409 if the
+ *       stock has been sold in the meantime.
+ *     tags: [Orders]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IfMatch'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The order's unique ID
+ *     responses:
+ *       200:
+ *         description: Order restored successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Order'
+ *       400:
+ *         description: Bad request - invalid ID format
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotInTrash'
+ *       409:
+ *         description: Insufficient stock to reserve the order again
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.post(
+  "/:id/restore",
+  [
+    authorize("admin"),
+    param("id").isUUID().withMessage("Invalid order ID format"),
+    validate,
+  ],
+  (req, res, next) => {
+    try {
+      const { orderOperations, productOperations, transaction } =
+        req.app.locals.store;
+
+      const deletedOrder = orderOperations.getById(req.params.id, {
+        includeDeleted: true,
+      });
+      if (!deletedOrder || !deletedOrder.deletedAt) {
+        throw new NotFoundError("Deleted order not found", {
+          code: "not_in_trash",
+        });
+      }
+
+      // Take back the stock released by the delete and restore atomically
+      let shortages = [];
+      const restoredOrder = transaction(() => {
+        assertVersion(deletedOrder, ifMatch(req));
+        if (isUnfulfilled(deletedOrder.status)) {
+          shortages = reserveStock(productOperations, deletedOrder.products);
+          if (shortages.length > 0) return null;
+        }
+        return orderOperations.restore(req.params.id, {
+          expectedVersion: ifMatch(req),
+        });
       });
+
+      if (!restoredOrder) {
+        throw insufficientStock(shortages);
+      }
+
+      setValidators(res, restoredOrder);
+      res.status(200).json({
+        success: true,
+        message: "Order restored successfully",
+        data: serializeOrder(restoredOrder),
+      });
+    } catch (error) {
+      next(asApiError(error, "Failed to restore order"));
     }
   }
 );
@@ -1,53 +1,142 @@
 const express = require("express");
-const { body, param, query } = require("express-validator");
+const { param, query } = require("express-validator");
 const router = express.Router();
 
-const { productOperations } = require("../data/store");
 const validate = require("../middleware/validation");
+const { authorize, authorizeIncludeDeleted } = require("../middleware/auth");
+const idempotency = require("../middleware/idempotency");
+const { setValidators, ifMatch } = require("../middleware/conditional");
+const {
+  sortQuery,
+  fieldsQuery,
+  filterQuery,
+  facetsQuery,
+  cursorQuery,
+  selectFields,
+  paginate,
+} = require("../middleware/listQuery");
+const { applyFilter } = require("../services/filters");
+const { computeFacets } = require("../services/facets");
+const { assertVersion } = require("../data/store");
+const { prepareProductDelete } = require("../services/integrity");
+const {
+  IMPORT_FORMATS,
+  COLUMNS,
+  importProducts,
+} = require("../services/productImport");
+const { formatRow } = require("../services/csv");
+const { writeLines } = require("../services/formats");
+const productSchema = require("../schemas/product");
+const {
+  bodyValidators,
+  pickWritable,
+  serializer,
+  filterFields,
+  sortFields,
+  selectableFields,
+} = require("../services/schema");
+const {
+  NotFoundError,
+  ConflictError,
+  UnsupportedMediaTypeError,
+  asApiError,
+} = require("../services/errors");
+
+// Fields accepted by ?filter[field][operator]=, ?sort= and ?fields= come from
+// the product schema
+const PRODUCT_FILTERS = filterFields(productSchema);
+
+// The original filter parameters, kept as shorthands for filter expressions
+const PRODUCT_FILTER_ALIASES = {
+  name: ["name", "contains"],
+  category: ["category", "eq"],
+  minPrice: ["price", "gte"],
+  maxPrice: ["price", "lte"],
+  inStock: ["inStock", "eq"],
+};
+
+// ?inStock=1 and ?inStock=0, as isBoolean accepts them
+const BOOLEAN_ALIASES = { 1: "true", 0: "false" };
+
+// The response shape
+const serializeProduct = serializer(productSchema);
+
+// Facets accepted by ?facets=; price bands come from ?priceBuckets= or config
+const PRODUCT_FACET_NAMES = ["category", "price", "inStock"];
+const productFacets = (priceBuckets) => ({
+  category: {
+    type: "terms",
+    field: "category",
+    values: PRODUCT_FILTERS.category.enum,
+  },
+  price: { type: "range", field: "price", boundaries: priceBuckets },
+  inStock: { type: "terms", field: "inStock", values: [true, false] },
+});
+
+// Export content types, by ?format=
+const EXPORT_FORMATS = {
+  csv: "text/csv",
+  ndjson: "application/x-ndjson",
+};
+
+// 409 unless the SKU is free or already belongs to productId
+const assertSkuAvailable = (productOperations, sku, productId) => {
+  if (sku === undefined) return;
+  const owner = productOperations.getBySku(sku);
+  if (owner && owner.id !== productId) {
+    throw new ConflictError("A product with this SKU already exists", {
+      code: "sku_taken",
+    });
+  }
+};
+
+// 409 error listing the orders that still reference the record
+const blockedByOrders = (message, orders) =>
+  new ConflictError(message, {
+    code: "blocked_by_orders",
+    blockingOrders: orders.map(({ id, status }) => ({ id, status })),
+  });
 
 /**
  * @swagger
  * components:
  *   schemas:
- *     Product:
+ *     ProductFacets:
  *       type: object
- *       required:
- *         - name
- *         - price
- *         - category
+ *       description: Only present when ?facets= is given; holds the requested facets
  *       properties:
- *         id:
- *           type: string
- *           format: uuid
- *           description: The auto-generated id of the product
- *         name:
- *           type: string
- *           minLength: 1
- *           maxLength: 100
- *           description: The product's name
- *         description:
- *           type: string
- *           maxLength: 500
- *           description: The product's description
- *         price:
- *           type: number
- *           minimum: 0
- *           description: The product's price
  *         category:
- *           type: string
- *           enum: [electronics, clothing, books, home]
- *           description: The product's category
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               value:
+ *                 type: string
+ *               count:
+ *                 type: integer
+ *         price:
+ *           type: array
+ *           description: from is inclusive, to exclusive; null means unbounded
+ *           items:
+ *             type: object
+ *             properties:
+ *               from:
+ *                 type: number
+ *                 nullable: true
+ *               to:
+ *                 type: number
+ *                 nullable: true
+ *               count:
+ *                 type: integer
  *         inStock:
- *           type: boolean
- *           description: Whether the product is in stock
- *         createdAt:
- *           type: string
- *           format: date-time
- *           description: The date the product was created
- *         updatedAt:
- *           type: string
- *           format: date-time
- *           description: The date the product was last updated
+ *           type: array
+ *           items:
+ *             type: object
+ *             properties:
+ *               value:
+ *                 type: boolean
+ *               count:
+ *                 type: integer
  */
 
 /**
@@ -100,10 +189,39 @@ const validate = require("../middleware/validation");
  *         name: inStock
  *         schema:
  *           type: boolean
- *         description: Filter by stock availability
+ *         description: Filter by stock availability; 1 and 0 also work
+ *       - $ref: '#/components/parameters/ProductFilter'
+ *       - $ref: '#/components/parameters/After'
+ *       - $ref: '#/components/parameters/Before'
+ *       - $ref: '#/components/parameters/ProductSort'
+ *       - $ref: '#/components/parameters/ProductFields'
+ *       - in: query
+ *         name: facets
+ *         schema:
+ *           type: string
+ *           example: "category,price,inStock"
+ *         description: >
+ *           Comma-separated facets to count: category, price, inStock. Each
+ *           facet is counted with every filter applied except its own.
+ *       - in: query
+ *         name: priceBuckets
+ *         schema:
+ *           type: string
+ *           example: "50,200"
+ *         description: >
+ *           Ascending boundaries of the price facet's bands, e.g. 50,200 gives
+ *           under 50, 50 to 200 and 200 or more. Defaults to the server's
+ *           FACET_PRICE_BUCKETS.
+ *       - $ref: '#/components/parameters/IncludeDeleted'
+ *       - $ref: '#/components/parameters/Format'
  *     responses:
  *       200:
  *         description: List of products retrieved successfully
+ *         headers:
+ *           Link:
+ *             $ref: '#/components/headers/Link'
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/XTotalCount'
  *         content:
  *           application/json:
  *             schema:
@@ -116,21 +234,35 @@ const validate = require("../middleware/validation");
  *                   items:
  *                     $ref: '#/components/schemas/Product'
  *                 pagination:
- *                   type: object
- *                   properties:
- *                     page:
- *                       type: integer
- *                     limit:
- *                       type: integer
- *                     total:
- *                       type: integer
- *                     totalPages:
- *                       type: integer
+ *                   $ref: '#/components/schemas/Pagination'
+ *                 links:
+ *                   $ref: '#/components/schemas/PageLinks'
+ *                 facets:
+ *                   $ref: '#/components/schemas/ProductFacets'
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *           application/xml:
+ *             schema:
+ *               type: string
  *       400:
  *         description: Bad request - invalid query parameters
  *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
  *           application/json:
- *             $ref: '#/components/schemas/Error'
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
  */
 router.get(
   "/",
@@ -164,42 +296,209 @@ router.get(
     query("inStock")
       .optional()
       .isBoolean()
-      .withMessage("inStock must be a boolean value"),
+      .withMessage("inStock must be a boolean value")
+      // The filter engine only takes true and false
+      .customSanitizer((value) => BOOLEAN_ALIASES[value] || value),
+    filterQuery(PRODUCT_FILTERS, PRODUCT_FILTER_ALIASES),
+    sortQuery(sortFields(productSchema)),
+    ...cursorQuery(),
+    fieldsQuery(selectableFields(productSchema)),
+    facetsQuery(PRODUCT_FACET_NAMES),
+    query("priceBuckets")
+      .optional()
+      .custom((value) => {
+        const boundaries = String(value).split(",").map(Number);
+        if (
+          boundaries.length > 20 ||
+          boundaries.some(
+            (boundary, i) =>
+              !Number.isFinite(boundary) ||
+              boundary < 0 ||
+              (i > 0 && boundary <= boundaries[i - 1])
+          )
+        ) {
+          throw new Error(
+            "Price buckets must be up to 20 non-negative numbers in ascending order"
+          );
+        }
+        return true;
+      })
+      .customSanitizer((value) => String(value).split(",").map(Number)),
+    query("includeDeleted")
+      .optional()
+      .isBoolean()
+      .withMessage("includeDeleted must be true or false")
+      .toBoolean(),
     validate,
+    authorizeIncludeDeleted,
   ],
-  (req, res) => {
+  (req, res, next) => {
     try {
-      let products = productOperations.getAll();
+      const { productOperations } = req.app.locals.store;
+      const { config } = req.app.locals;
+
+      const allProducts = productOperations.getAll({
+        includeDeleted: req.query.includeDeleted,
+      });
 
       // Apply filters
-      if (req.query.name) {
-        products = products.filter((product) =>
-          product.name.toLowerCase().includes(req.query.name.toLowerCase())
-        );
-      }
+      const products = applyFilter(allProducts, req.query.filter);
 
-      if (req.query.category) {
-        products = products.filter(
-          (product) => product.category === req.query.category
-        );
-      }
+      // Apply sorting and pagination
+      const { items, pagination, links } = paginate(req, res, products);
 
-      if (req.query.minPrice) {
-        products = products.filter(
-          (product) => product.price >= parseFloat(req.query.minPrice)
-        );
-      }
+      const response = {
+        success: true,
+        data: items.map((product) =>
+          selectFields(serializeProduct(product), req.query.fields)
+        ),
+        pagination,
+        links,
+      };
 
-      if (req.query.maxPrice) {
-        products = products.filter(
-          (product) => product.price <= parseFloat(req.query.maxPrice)
+      // Facets are counted over the whole filtered list, not just this page
+      if (req.query.facets) {
+        response.facets = computeFacets(
+          allProducts,
+          req.query.filter,
+          productFacets(req.query.priceBuckets || config.facets.priceBuckets),
+          req.query.facets
         );
       }
 
-      if (req.query.inStock !== undefined) {
-        const inStock = req.query.inStock === "true";
-        products = products.filter((product) => product.inStock === inStock);
-      }
+      res.status(200).json(response);
+    } catch (error) {
+      next(asApiError(error, "Failed to retrieve products"));
+    }
+  }
+);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     SearchResult:
+ *       type: object
+ *       properties:
+ *         product:
+ *           $ref: '#/components/schemas/Product'
+ *         score:
+ *           type: number
+ *           description: Relevance; higher is better
+ *         highlights:
+ *           type: object
+ *           description: >
+ *             HTML for each field that matched, with <mark> around the
+ *             matching words; the description is cut down to a snippet
+ *           properties:
+ *             name:
+ *               type: string
+ *             category:
+ *               type: string
+ *             description:
+ *               type: string
+ */
+
+/**
+ * @swagger
+ * /api/v1/products/search:
+ *   get:
+ *     summary: Search products
+ *     description: >
+ *       Full-text search over name, description and category, ranked by
+ *       relevance. Words are matched by their stem ("chargers" finds
+ *       "charger"), a word can be the start of a longer one and small typos
+ *       are tolerated. Every word in the query must match.
+ *     tags: [Products]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *           minLength: 1
+ *           maxLength: 100
+ *         description: Search text
+ *       - in: query
+ *         name: fuzzy
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *         description: Tolerate typos in the search text
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *         description: Number of results per page
+ *     responses:
+ *       200:
+ *         description: Matching products, best first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SearchResult'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *       400:
+ *         description: Bad request - missing or invalid search text
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.get(
+  "/search",
+  [
+    query("q")
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage("Search text must be between 1 and 100 characters"),
+    query("fuzzy")
+      .optional()
+      .isBoolean()
+      .withMessage("fuzzy must be true or false")
+      .toBoolean(),
+    query("page")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Page must be a positive integer"),
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage("Limit must be between 1 and 100"),
+    validate,
+  ],
+  (req, res, next) => {
+    try {
+      const { searchIndex } = req.app.locals;
+
+      const results = searchIndex.search(req.query.q, {
+        fuzzy: req.query.fuzzy !== false,
+      });
 
       // Apply pagination
       const page = parseInt(req.query.page) || 1;
@@ -207,27 +506,385 @@ router.get(
       const startIndex = (page - 1) * limit;
       const endIndex = page * limit;
 
-      const paginatedProducts = products.slice(startIndex, endIndex);
+      res.status(200).json({
+        success: true,
+        data: results.slice(startIndex, endIndex).map((result) => ({
+          ...result,
+          product: serializeProduct(result.product),
+        })),
+        pagination: {
+          page,
+          limit,
+          total: results.length,
+          totalPages: Math.ceil(results.length / limit),
+        },
+      });
+    } catch (error) {
+      next(asApiError(error, "Failed to search products"));
+    }
+  }
+);
 
-      const pagination = {
-        page,
-        limit,
-        total: products.length,
-        totalPages: Math.ceil(products.length / limit),
-      };
+/**
+ * @swagger
+ * /api/v1/products/export:
+ *   get:
+ *     summary: Export products
+ *     description: >
+ *       Every product as CSV (a header row of field names, then one product
+ *       per row) or NDJSON (one JSON product per line), streamed. Staff and
+ *       admins only. The file can be edited and sent back to POST
+ *       /api/v1/products/import. Text that a spreadsheet would run as a
+ *       formula (starting with =, +, - or @) is written with a leading '.
+ *     tags: [Products]
+ *     parameters:
+ *       - in: query
+ *         name: format
+ *         schema:
+ *           type: string
+ *           enum: [csv, ndjson]
+ *         description: Overrides Accept (text/csv or application/x-ndjson); CSV by default
+ *       - $ref: '#/components/parameters/ProductFilter'
+ *     responses:
+ *       200:
+ *         description: The products
+ *         content:
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *               example: "id,name,sku,description,price,category,inStock,stockQuantity,version,deletedAt,createdAt,updatedAt\r\n660e8400-...,iPhone 15,APL-IP15,...\r\n"
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Bad request - invalid format or filter
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.get(
+  "/export",
+  [
+    authorize("staff", "admin"),
+    query("format")
+      .optional()
+      .isIn(Object.keys(EXPORT_FORMATS))
+      .withMessage("Format must be csv or ndjson"),
+    filterQuery(PRODUCT_FILTERS),
+    validate,
+  ],
+  async (req, res, next) => {
+    try {
+      const { productOperations } = req.app.locals.store;
+
+      const format =
+        req.query.format ||
+        (req.accepts(Object.values(EXPORT_FORMATS)) === EXPORT_FORMATS.ndjson
+          ? "ndjson"
+          : "csv");
+      const products = applyFilter(
+        productOperations.getAll(),
+        req.query.filter
+      ).map(serializeProduct);
+
+      res.status(200).set({
+        "Content-Type": EXPORT_FORMATS[format],
+        "Content-Disposition": `attachment; filename="products.${format}"`,
+      });
+      if (format === "csv") {
+        res.write(formatRow(COLUMNS));
+        await writeLines(res, products, (product) =>
+          formatRow(COLUMNS.map((column) => product[column]))
+        );
+      } else {
+        await writeLines(
+          res,
+          products,
+          (product) => `${JSON.stringify(product)}\n`
+        );
+      }
+    } catch (error) {
+      next(asApiError(error, "Failed to export products"));
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/products/import:
+ *   post:
+ *     summary: Import products
+ *     description: >
+ *       Create and update products from CSV (a header row of product field
+ *       names, then one product per row), NDJSON (one JSON object per line)
+ *       or a JSON array; the body is read as it arrives. Staff and admins
+ *       only. A row with an id updates that product, a row whose sku belongs
+ *       to a product updates that one, and any other row creates a product.
+ *       New products are validated like POST /api/v1/products and updates
+ *       like PATCH, so empty CSV cells leave a field unchanged; a row with a
+ *       version is only applied if the product is still at that version.
+ *       Rows that fail are skipped and listed in errors while the others are
+ *       imported; with dryRun nothing is written. Up to
+ *       PRODUCT_IMPORT_MAX_ROWS rows (10000 by default) are imported.
+ *     tags: [Products]
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *         description: Check every row and report what would happen, without writing
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *             example: "sku,name,price,category,stockQuantity\r\nLMP-01,Desk Lamp,24.99,home,40\r\n"
+ *         application/x-ndjson:
+ *           schema:
+ *             type: string
+ *             example: "{\"sku\":\"LMP-01\",\"name\":\"Desk Lamp\",\"price\":24.99,\"category\":\"home\"}\n"
+ *         application/json:
+ *           schema:
+ *             type: array
+ *             items:
+ *               type: object
+ *     responses:
+ *       200:
+ *         description: The import ran; rows that failed are listed in errors
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                   description: True when no row failed
+ *                 message:
+ *                   type: string
+ *                 dryRun:
+ *                   type: boolean
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     total:
+ *                       type: integer
+ *                     created:
+ *                       type: integer
+ *                     updated:
+ *                       type: integer
+ *                     failed:
+ *                       type: integer
+ *                 errors:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       row:
+ *                         type: integer
+ *                         description: CSV record (the header is row 1), NDJSON line or array position
+ *                       id:
+ *                         type: string
+ *                       sku:
+ *                         type: string
+ *                       errors:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             field:
+ *                               type: string
+ *                             message:
+ *                               type: string
+ *       400:
+ *         description: >
+ *           Bad request - the CSV header names unknown or repeated columns
+ *           (invalid_columns), a JSON body is not an array (invalid_import) or
+ *           dryRun is invalid
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       415:
+ *         description: The body is not CSV, NDJSON or JSON (unsupported_media_type)
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.post(
+  "/import",
+  [
+    authorize("staff", "admin"),
+    query("dryRun")
+      .optional()
+      .isBoolean()
+      .withMessage("dryRun must be true or false")
+      .toBoolean(),
+    validate,
+  ],
+  async (req, res, next) => {
+    try {
+      const { store, config } = req.app.locals;
+      const dryRun = req.query.dryRun === true;
+
+      const format = Object.keys(IMPORT_FORMATS).find((name) =>
+        req.is(IMPORT_FORMATS[name])
+      );
+      if (!format) {
+        throw new UnsupportedMediaTypeError(
+          `Send products as ${Object.values(IMPORT_FORMATS).join(", ")}`
+        );
+      }
+
+      const { summary, errors } = await importProducts(store, req, {
+        format,
+        dryRun,
+        maxRows: config.productImport.maxRows,
+      });
+
+      const counts = `${summary.created} created, ${summary.updated} updated, ${summary.failed} failed`;
+      res.status(200).json({
+        success: summary.failed === 0 && errors.length === 0,
+        message: dryRun ? `Dry run: ${counts}` : `Import finished: ${counts}`,
+        dryRun,
+        summary,
+        errors,
+      });
+    } catch (error) {
+      next(asApiError(error, "Failed to import products"));
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/products/trash:
+ *   get:
+ *     summary: List deleted products
+ *     description: >
+ *       Soft-deleted products that can still be restored, most recently deleted
+ *       first unless sort says otherwise. Admins only. Deleted products are
+ *       purged for good once the trash retention period (TRASH_RETENTION_MS)
+ *       has passed.
+ *     tags: [Products]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *         description: Number of products per page
+ *       - $ref: '#/components/parameters/After'
+ *       - $ref: '#/components/parameters/Before'
+ *       - $ref: '#/components/parameters/ProductSort'
+ *       - $ref: '#/components/parameters/ProductFields'
+ *     responses:
+ *       200:
+ *         description: Deleted products retrieved successfully
+ *         headers:
+ *           Link:
+ *             $ref: '#/components/headers/Link'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Product'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *                 links:
+ *                   $ref: '#/components/schemas/PageLinks'
+ *       400:
+ *         description: Bad request - invalid query parameters
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.get(
+  "/trash",
+  [
+    authorize("admin"),
+    query("page")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Page must be a positive integer"),
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage("Limit must be between 1 and 100"),
+    sortQuery(sortFields(productSchema), "-deletedAt"),
+    ...cursorQuery(),
+    fieldsQuery(selectableFields(productSchema)),
+    validate,
+  ],
+  (req, res, next) => {
+    try {
+      const { productOperations } = req.app.locals.store;
+
+      const { items, pagination, links } = paginate(
+        req,
+        res,
+        productOperations.getDeleted()
+      );
 
       res.status(200).json({
         success: true,
-        data: paginatedProducts,
+        data: items.map((product) =>
+          selectFields(serializeProduct(product), req.query.fields)
+        ),
         pagination,
+        links,
       });
     } catch (error) {
-      res.status(500).json({
-        error: true,
-        message: "Failed to retrieve products",
-        statusCode: 500,
-        timestamp: new Date().toISOString(),
-      });
+      next(asApiError(error, "Failed to retrieve deleted products"));
     }
   }
 );
@@ -240,6 +897,8 @@ router.get(
  *     description: Get a specific product by its unique ID
  *     tags: [Products]
  *     parameters:
+ *       - $ref: '#/components/parameters/IfNoneMatch'
+ *       - $ref: '#/components/parameters/IncludeDeleted'
  *       - in: path
  *         name: id
  *         required: true
@@ -247,6 +906,7 @@ router.get(
  *           type: string
  *           format: uuid
  *         description: The product's unique ID
+ *       - $ref: '#/components/parameters/Format'
  *     responses:
  *       200:
  *         description: Product retrieved successfully
@@ -259,44 +919,75 @@ router.get(
  *                   type: boolean
  *                 data:
  *                   $ref: '#/components/schemas/Product'
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *           application/xml:
+ *             schema:
+ *               type: string
  *       404:
  *         description: Product not found
  *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
  *           application/json:
- *             $ref: '#/components/schemas/Error'
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       400:
  *         description: Bad request - invalid ID format
  *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
  *           application/json:
- *             $ref: '#/components/schemas/Error'
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       304:
+ *         description: Not modified - the cached representation is still current
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
  */
 router.get(
   "/:id",
-  [param("id").isUUID().withMessage("Invalid product ID format"), validate],
-  (req, res) => {
+  [
+    param("id").isUUID().withMessage("Invalid product ID format"),
+    query("includeDeleted")
+      .optional()
+      .isBoolean()
+      .withMessage("includeDeleted must be true or false")
+      .toBoolean(),
+    validate,
+    authorizeIncludeDeleted,
+  ],
+  (req, res, next) => {
     try {
-      const product = productOperations.getById(req.params.id);
+      const { productOperations } = req.app.locals.store;
+
+      const product = productOperations.getById(req.params.id, {
+        includeDeleted: req.query.includeDeleted,
+      });
 
       if (!product) {
-        return res.status(404).json({
-          error: true,
-          message: "Product not found",
-          statusCode: 404,
-          timestamp: new Date().toISOString(),
+        throw new NotFoundError("Product not found", {
+          code: "product_not_found",
         });
       }
 
+      setValidators(res, product);
       res.status(200).json({
         success: true,
-        data: product,
+        data: serializeProduct(product),
       });
     } catch (error) {
-      res.status(500).json({
-        error: true,
-        message: "Failed to retrieve product",
-        statusCode: 500,
-        timestamp: new Date().toISOString(),
-      });
+      next(asApiError(error, "Failed to retrieve product"));
     }
   }
 );
@@ -306,39 +997,16 @@ router.get(
  * /api/v1/products:
  *   post:
  *     summary: Create a new product
- *     description: Create a new product with the provided information
+ *     description: Create a new product with the provided information. Staff and admins only.
  *     tags: [Products]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - name
- *               - price
- *               - category
- *             properties:
- *               name:
- *                 type: string
- *                 minLength: 1
- *                 maxLength: 100
- *                 description: The product's name
- *               description:
- *                 type: string
- *                 maxLength: 500
- *                 description: The product's description
- *               price:
- *                 type: number
- *                 minimum: 0
- *                 description: The product's price
- *               category:
- *                 type: string
- *                 enum: [electronics, clothing, books, home]
- *                 description: The product's category
- *               inStock:
- *                 type: boolean
- *                 description: Whether the product is in stock
+ *             $ref: '#/components/schemas/ProductCreate'
  *     responses:
  *       201:
  *         description: Product created successfully
@@ -356,51 +1024,58 @@ router.get(
  *       400:
  *         description: Bad request - validation errors
  *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
  *           application/json:
- *             $ref: '#/components/schemas/Error'
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       409:
+ *         description: >
+ *           A product with this SKU already exists (sku_taken), or a request
+ *           with the same Idempotency-Key is still running
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       422:
+ *         $ref: '#/components/responses/IdempotencyKeyReused'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
  */
 router.post(
   "/",
   [
-    body("name")
-      .trim()
-      .isLength({ min: 1, max: 100 })
-      .withMessage("Name must be between 1 and 100 characters"),
-    body("description")
-      .optional()
-      .trim()
-      .isLength({ max: 500 })
-      .withMessage("Description must not exceed 500 characters"),
-    body("price")
-      .isFloat({ min: 0 })
-      .withMessage("Price must be a non-negative number"),
-    body("category")
-      .isIn(["electronics", "clothing", "books", "home"])
-      .withMessage(
-        "Category must be one of: electronics, clothing, books, home"
-      ),
-    body("inStock")
-      .optional()
-      .isBoolean()
-      .withMessage("inStock must be a boolean value"),
+    authorize("staff", "admin"),
+    idempotency,
+    ...bodyValidators(productSchema, "create"),
     validate,
   ],
-  (req, res) => {
+  (req, res, next) => {
     try {
-      const newProduct = productOperations.create(req.body);
+      const { productOperations } = req.app.locals.store;
 
+      assertSkuAvailable(productOperations, req.body.sku);
+
+      const newProduct = productOperations.create(
+        pickWritable(productSchema, "create", req.body)
+      );
+
+      setValidators(res, newProduct);
       res.status(201).json({
         success: true,
         message: "Product created successfully",
-        data: newProduct,
+        data: serializeProduct(newProduct),
       });
     } catch (error) {
-      res.status(500).json({
-        error: true,
-        message: "Failed to create product",
-        statusCode: 500,
-        timestamp: new Date().toISOString(),
-      });
+      next(asApiError(error, "Failed to create product"));
     }
   }
 );
@@ -410,9 +1085,10 @@ router.post(
  * /api/v1/products/{id}:
  *   put:
  *     summary: Update a product completely
- *     description: Replace all product data with the provided information
+ *     description: Replace all product data with the provided information. Staff and admins only.
  *     tags: [Products]
  *     parameters:
+ *       - $ref: '#/components/parameters/IfMatch'
  *       - in: path
  *         name: id
  *         required: true
@@ -425,27 +1101,7 @@ router.post(
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - name
- *               - price
- *               - category
- *             properties:
- *               name:
- *                 type: string
- *                 minLength: 1
- *                 maxLength: 100
- *               description:
- *                 type: string
- *                 maxLength: 500
- *               price:
- *                 type: number
- *                 minimum: 0
- *               category:
- *                 type: string
- *                 enum: [electronics, clothing, books, home]
- *               inStock:
- *                 type: boolean
+ *             $ref: '#/components/schemas/ProductReplace'
  *     responses:
  *       200:
  *         description: Product updated successfully
@@ -463,68 +1119,74 @@ router.post(
  *       404:
  *         description: Product not found
  *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
  *           application/json:
- *             $ref: '#/components/schemas/Error'
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       400:
  *         description: Bad request - validation errors
  *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       409:
+ *         description: A product with this SKU already exists (sku_taken)
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
  *           application/json:
- *             $ref: '#/components/schemas/Error'
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
  */
 router.put(
   "/:id",
   [
+    authorize("staff", "admin"),
     param("id").isUUID().withMessage("Invalid product ID format"),
-    body("name")
-      .trim()
-      .isLength({ min: 1, max: 100 })
-      .withMessage("Name must be between 1 and 100 characters"),
-    body("description")
-      .optional()
-      .trim()
-      .isLength({ max: 500 })
-      .withMessage("Description must not exceed 500 characters"),
-    body("price")
-      .isFloat({ min: 0 })
-      .withMessage("Price must be a non-negative number"),
-    body("category")
-      .isIn(["electronics", "clothing", "books", "home"])
-      .withMessage(
-        "Category must be one of: electronics, clothing, books, home"
-      ),
-    body("inStock")
-      .optional()
-      .isBoolean()
-      .withMessage("inStock must be a boolean value"),
+    ...bodyValidators(productSchema, "replace"),
     validate,
   ],
-  (req, res) => {
+  (req, res, next) => {
     try {
+      const { productOperations } = req.app.locals.store;
+
       // Check if product exists
       const existingProduct = productOperations.getById(req.params.id);
       if (!existingProduct) {
-        return res.status(404).json({
-          error: true,
-          message: "Product not found",
-          statusCode: 404,
-          timestamp: new Date().toISOString(),
+        throw new NotFoundError("Product not found", {
+          code: "product_not_found",
         });
       }
+      assertSkuAvailable(productOperations, req.body.sku, req.params.id);
 
-      const updatedProduct = productOperations.update(req.params.id, req.body);
+      const updatedProduct = productOperations.update(
+        req.params.id,
+        pickWritable(productSchema, "replace", req.body),
+        { expectedVersion: ifMatch(req) }
+      );
 
+      setValidators(res, updatedProduct);
       res.status(200).json({
         success: true,
         message: "Product updated successfully",
-        data: updatedProduct,
+        data: serializeProduct(updatedProduct),
       });
     } catch (error) {
-      res.status(500).json({
-        error: true,
-        message: "Failed to update product",
-        statusCode: 500,
-        timestamp: new Date().toISOString(),
-      });
+      next(asApiError(error, "Failed to update product"));
     }
   }
 );
@@ -534,9 +1196,10 @@ router.put(
  * /api/v1/products/{id}:
  *   patch:
  *     summary: Partially update a product
- *     description: Update specific fields of a product
+ *     description: Update specific fields of a product. Staff and admins only.
  *     tags: [Products]
  *     parameters:
+ *       - $ref: '#/components/parameters/IfMatch'
  *       - in: path
  *         name: id
  *         required: true
@@ -549,23 +1212,7 @@ router.put(
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               name:
- *                 type: string
- *                 minLength: 1
- *                 maxLength: 100
- *               description:
- *                 type: string
- *                 maxLength: 500
- *               price:
- *                 type: number
- *                 minimum: 0
- *               category:
- *                 type: string
- *                 enum: [electronics, clothing, books, home]
- *               inStock:
- *                 type: boolean
+ *             $ref: '#/components/schemas/ProductUpdate'
  *     responses:
  *       200:
  *         description: Product updated successfully
@@ -583,71 +1230,74 @@ router.put(
  *       404:
  *         description: Product not found
  *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
  *           application/json:
- *             $ref: '#/components/schemas/Error'
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       400:
  *         description: Bad request - validation errors
  *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       409:
+ *         description: A product with this SKU already exists (sku_taken)
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
  *           application/json:
- *             $ref: '#/components/schemas/Error'
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
  */
 router.patch(
   "/:id",
   [
+    authorize("staff", "admin"),
     param("id").isUUID().withMessage("Invalid product ID format"),
-    body("name")
-      .optional()
-      .trim()
-      .isLength({ min: 1, max: 100 })
-      .withMessage("Name must be between 1 and 100 characters"),
-    body("description")
-      .optional()
-      .trim()
-      .isLength({ max: 500 })
-      .withMessage("Description must not exceed 500 characters"),
-    body("price")
-      .optional()
-      .isFloat({ min: 0 })
-      .withMessage("Price must be a non-negative number"),
-    body("category")
-      .optional()
-      .isIn(["electronics", "clothing", "books", "home"])
-      .withMessage(
-        "Category must be one of: electronics, clothing, books, home"
-      ),
-    body("inStock")
-      .optional()
-      .isBoolean()
-      .withMessage("inStock must be a boolean value"),
+    ...bodyValidators(productSchema, "update"),
     validate,
   ],
-  (req, res) => {
+  (req, res, next) => {
     try {
+      const { productOperations } = req.app.locals.store;
+
       // Check if product exists
       const existingProduct = productOperations.getById(req.params.id);
       if (!existingProduct) {
-        return res.status(404).json({
-          error: true,
-          message: "Product not found",
-          statusCode: 404,
-          timestamp: new Date().toISOString(),
+        throw new NotFoundError("Product not found", {
+          code: "product_not_found",
         });
       }
+      assertSkuAvailable(productOperations, req.body.sku, req.params.id);
 
-      const updatedProduct = productOperations.update(req.params.id, req.body);
+      const updatedProduct = productOperations.update(
+        req.params.id,
+        pickWritable(productSchema, "update", req.body),
+        { expectedVersion: ifMatch(req) }
+      );
 
+      setValidators(res, updatedProduct);
       res.status(200).json({
         success: true,
         message: "Product updated successfully",
-        data: updatedProduct,
+        data: serializeProduct(updatedProduct),
       });
     } catch (error) {
-      res.status(500).json({
-        error: true,
-        message: "Failed to update product",
-        statusCode: 500,
-        timestamp: new Date().toISOString(),
-      });
+      next(asApiError(error, "Failed to update product"));
     }
   }
 );
@@ -657,9 +1307,15 @@ router.patch(
  * /api/v1/products/{id}:
  *   delete:
  *     summary: Delete a product
- *     description: Remove a product from the system
+ *     description: >
+ *       Move a product to the trash. Staff and admins only; an admin can
+ *       restore it until the trash retention period has passed. Orders that
+ *       contain the product are handled by PRODUCT_DELETE_POLICY: restrict
+ *       (409 listing the orders), cascade (delete them) or anonymize (keep
+ *       them, with productId cleared on the affected lines).
  *     tags: [Products]
  *     parameters:
+ *       - $ref: '#/components/parameters/IfMatch'
  *       - in: path
  *         name: id
  *         required: true
@@ -682,41 +1338,183 @@ router.patch(
  *       404:
  *         description: Product not found
  *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
  *           application/json:
- *             $ref: '#/components/schemas/Error'
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       400:
  *         description: Bad request - invalid ID format
  *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
  *           application/json:
- *             $ref: '#/components/schemas/Error'
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       409:
+ *         $ref: '#/components/responses/BlockedByOrders'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
  */
 router.delete(
   "/:id",
-  [param("id").isUUID().withMessage("Invalid product ID format"), validate],
-  (req, res) => {
+  [
+    authorize("staff", "admin"),
+    param("id").isUUID().withMessage("Invalid product ID format"),
+    validate,
+  ],
+  (req, res, next) => {
     try {
-      const deleted = productOperations.delete(req.params.id);
-
-      if (!deleted) {
-        return res.status(404).json({
-          error: true,
-          message: "Product not found",
-          statusCode: 404,
-          timestamp: new Date().toISOString(),
+      const { store, config } = req.app.locals;
+      const { productOperations, transaction } = store;
+
+      const existingProduct = productOperations.getById(req.params.id);
+      if (!existingProduct) {
+        throw new NotFoundError("Product not found", {
+          code: "product_not_found",
         });
       }
 
+      // Resolve the orders for this product and delete it atomically
+      let blockingOrders = [];
+      transaction(() => {
+        assertVersion(existingProduct, ifMatch(req));
+        blockingOrders = prepareProductDelete(
+          store,
+          req.params.id,
+          config.deletePolicies.products
+        );
+        if (blockingOrders.length > 0) return;
+
+        productOperations.delete(req.params.id, {
+          expectedVersion: ifMatch(req),
+        });
+      });
+
+      if (blockingOrders.length > 0) {
+        throw blockedByOrders(
+          "Product cannot be deleted while orders reference it",
+          blockingOrders
+        );
+      }
+
       res.status(200).json({
         success: true,
         message: "Product deleted successfully",
       });
     } catch (error) {
-      res.status(500).json({
-        error: true,
-        message: "Failed to delete product",
-        statusCode: 500,
-        timestamp: new Date().toISOString(),
+      next(asApiError(error, "Failed to delete product"));
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/products/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted product
+ *     description: >
+ *       Take a product out of the trash, with the stock it had when it was
+ *       deleted. Admins only. Orders removed by the delete policy are not
+ *       brought back.
+ *     tags: [Products]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IfMatch'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The product's unique ID
+ *     responses:
+ *       200:
+ *         description: Product restored successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Product'
+ *       400:
+ *         description: Bad request - invalid ID format
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotInTrash'
+ *       409:
+ *         description: Another product has taken the SKU since this one was deleted (sku_taken)
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.post(
+  "/:id/restore",
+  [
+    authorize("admin"),
+    param("id").isUUID().withMessage("Invalid product ID format"),
+    validate,
+  ],
+  (req, res, next) => {
+    try {
+      const { productOperations } = req.app.locals.store;
+
+      const deletedProduct = productOperations.getById(req.params.id, {
+        includeDeleted: true,
       });
+      if (!deletedProduct || !deletedProduct.deletedAt) {
+        throw new NotFoundError("Deleted product not found", {
+          code: "not_in_trash",
+        });
+      }
+      assertSkuAvailable(
+        productOperations,
+        deletedProduct.sku,
+        deletedProduct.id
+      );
+
+      const restoredProduct = productOperations.restore(req.params.id, {
+        expectedVersion: ifMatch(req),
+      });
+
+      setValidators(res, restoredProduct);
+      res.status(200).json({
+        success: true,
+        message: "Product restored successfully",
+        data: serializeProduct(restoredProduct),
+      });
+    } catch (error) {
+      next(asApiError(error, "Failed to restore product"));
     }
   }
 );
@@ -1,55 +1,80 @@
 const express = require("express");
-const { body, param, query } = require("express-validator");
+const { param, query } = require("express-validator");
 const router = express.Router();
 
-const { userOperations } = require("../data/store");
 const validate = require("../middleware/validation");
+const { authorize, authorizeIncludeDeleted } = require("../middleware/auth");
+const idempotency = require("../middleware/idempotency");
+const { setValidators, ifMatch } = require("../middleware/conditional");
+const {
+  sortQuery,
+  fieldsQuery,
+  filterQuery,
+  cursorQuery,
+  selectFields,
+  paginate,
+} = require("../middleware/listQuery");
+const { applyFilter } = require("../services/filters");
+const { assertVersion } = require("../data/store");
+const { hashPassword, revokeUserTokens } = require("../services/auth");
+const {
+  isAdmin,
+  isStaff,
+  canViewUser,
+  canEditUser,
+} = require("../services/access");
+const { prepareUserDelete } = require("../services/integrity");
+const userSchema = require("../schemas/user");
+const {
+  bodyValidators,
+  pickWritable,
+  serializer,
+  filterFields,
+  sortFields,
+  selectableFields,
+} = require("../services/schema");
+const {
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  asApiError,
+} = require("../services/errors");
 
-/**
- * @swagger
- * components:
- *   schemas:
- *     User:
- *       type: object
- *       required:
- *         - name
- *         - email
- *         - age
- *       properties:
- *         id:
- *           type: string
- *           format: uuid
- *           description: The auto-generated id of the user
- *         name:
- *           type: string
- *           minLength: 2
- *           maxLength: 50
- *           description: The user's name
- *         email:
- *           type: string
- *           format: email
- *           description: The user's email
- *         age:
- *           type: integer
- *           minimum: 18
- *           maximum: 120
- *           description: The user's age
- *         createdAt:
- *           type: string
- *           format: date-time
- *           description: The date the user was created
- *         updatedAt:
- *           type: string
- *           format: date-time
- *           description: The date the user was last updated
- */
+// Fields accepted by ?filter[field][operator]=, ?sort= and ?fields= come from
+// the user schema
+const USER_FILTERS = filterFields(userSchema);
+
+// The original filter parameters, kept as shorthands for filter expressions
+const USER_FILTER_ALIASES = {
+  name: ["name", "contains"],
+  email: ["email", "eq"],
+};
+
+// The response shape; the password hash is not part of it
+const serializeUser = serializer(userSchema);
+
+// 409 error listing the orders that still reference the record
+const blockedByOrders = (message, orders) =>
+  new ConflictError(message, {
+    code: "blocked_by_orders",
+    blockingOrders: orders.map(({ id, status }) => ({ id, status })),
+  });
+
+// Writable user fields from a request body; the password is stored hashed
+const toUserData = (body, operation) => {
+  const { password, ...data } = pickWritable(userSchema, operation, body);
+  if (password !== undefined) data.passwordHash = hashPassword(password);
+  return data;
+};
 
 /**
  * @swagger
  * /api/v1/users:
  *   get:
  *     summary: Retrieve all users
- *     description: Get a list of all users with optional pagination and filtering
+ *     description: >
+ *       Get a list of all users with optional pagination and filtering.
+ *       Customers only see their own account.
  *     tags: [Users]
  *     parameters:
  *       - in: query
@@ -77,9 +102,21 @@ const validate = require("../middleware/validation");
  *         schema:
  *           type: string
  *         description: Filter users by email (exact match)
+ *       - $ref: '#/components/parameters/UserFilter'
+ *       - $ref: '#/components/parameters/After'
+ *       - $ref: '#/components/parameters/Before'
+ *       - $ref: '#/components/parameters/UserSort'
+ *       - $ref: '#/components/parameters/UserFields'
+ *       - $ref: '#/components/parameters/IncludeDeleted'
+ *       - $ref: '#/components/parameters/Format'
  *     responses:
  *       200:
  *         description: List of users retrieved successfully
+ *         headers:
+ *           Link:
+ *             $ref: '#/components/headers/Link'
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/XTotalCount'
  *         content:
  *           application/json:
  *             schema:
@@ -92,21 +129,33 @@ const validate = require("../middleware/validation");
  *                   items:
  *                     $ref: '#/components/schemas/User'
  *                 pagination:
- *                   type: object
- *                   properties:
- *                     page:
- *                       type: integer
- *                     limit:
- *                       type: integer
- *                     total:
- *                       type: integer
- *                     totalPages:
- *                       type: integer
+ *                   $ref: '#/components/schemas/Pagination'
+ *                 links:
+ *                   $ref: '#/components/schemas/PageLinks'
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *           application/xml:
+ *             schema:
+ *               type: string
  *       400:
  *         description: Bad request - invalid query parameters
  *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
  *           application/json:
- *             $ref: '#/components/schemas/Error'
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
  */
 router.get(
   "/",
@@ -129,50 +178,152 @@ router.get(
       .optional()
       .isEmail()
       .withMessage("Email filter must be a valid email"),
+    filterQuery(USER_FILTERS, USER_FILTER_ALIASES),
+    sortQuery(sortFields(userSchema)),
+    ...cursorQuery(),
+    fieldsQuery(selectableFields(userSchema)),
+    query("includeDeleted")
+      .optional()
+      .isBoolean()
+      .withMessage("includeDeleted must be true or false")
+      .toBoolean(),
     validate,
+    authorizeIncludeDeleted,
   ],
-  (req, res) => {
+  (req, res, next) => {
     try {
-      let users = userOperations.getAll();
+      const { userOperations } = req.app.locals.store;
+
+      // Customers only ever see their own account
+      let users = isStaff(req.user)
+        ? userOperations.getAll({ includeDeleted: req.query.includeDeleted })
+        : [req.user];
 
       // Apply filters
-      if (req.query.name) {
-        users = users.filter((user) =>
-          user.name.toLowerCase().includes(req.query.name.toLowerCase())
-        );
-      }
+      users = applyFilter(users, req.query.filter);
 
-      if (req.query.email) {
-        users = users.filter((user) => user.email === req.query.email);
-      }
+      // Apply sorting and pagination
+      const { items, pagination, links } = paginate(req, res, users);
 
-      // Apply pagination
-      const page = parseInt(req.query.page) || 1;
-      const limit = parseInt(req.query.limit) || 10;
-      const startIndex = (page - 1) * limit;
-      const endIndex = page * limit;
+      res.status(200).json({
+        success: true,
+        data: items.map((user) =>
+          selectFields(serializeUser(user), req.query.fields)
+        ),
+        pagination,
+        links,
+      });
+    } catch (error) {
+      next(asApiError(error, "Failed to retrieve users"));
+    }
+  }
+);
 
-      const paginatedUsers = users.slice(startIndex, endIndex);
+/**
+ * @swagger
+ * /api/v1/users/trash:
+ *   get:
+ *     summary: List deleted users
+ *     description: >
+ *       Soft-deleted users that can still be restored, most recently deleted
+ *       first unless sort says otherwise. Admins only. Deleted users are
+ *       purged for good once the trash retention period (TRASH_RETENTION_MS)
+ *       has passed.
+ *     tags: [Users]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *         description: Number of users per page
+ *       - $ref: '#/components/parameters/After'
+ *       - $ref: '#/components/parameters/Before'
+ *       - $ref: '#/components/parameters/UserSort'
+ *       - $ref: '#/components/parameters/UserFields'
+ *     responses:
+ *       200:
+ *         description: Deleted users retrieved successfully
+ *         headers:
+ *           Link:
+ *             $ref: '#/components/headers/Link'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/User'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *                 links:
+ *                   $ref: '#/components/schemas/PageLinks'
+ *       400:
+ *         description: Bad request - invalid query parameters
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.get(
+  "/trash",
+  [
+    authorize("admin"),
+    query("page")
+      .optional()
+      .isInt({ min: 1 })
+      .withMessage("Page must be a positive integer"),
+    query("limit")
+      .optional()
+      .isInt({ min: 1, max: 100 })
+      .withMessage("Limit must be between 1 and 100"),
+    sortQuery(sortFields(userSchema), "-deletedAt"),
+    ...cursorQuery(),
+    fieldsQuery(selectableFields(userSchema)),
+    validate,
+  ],
+  (req, res, next) => {
+    try {
+      const { userOperations } = req.app.locals.store;
 
-      const pagination = {
-        page,
-        limit,
-        total: users.length,
-        totalPages: Math.ceil(users.length / limit),
-      };
+      const { items, pagination, links } = paginate(
+        req,
+        res,
+        userOperations.getDeleted()
+      );
 
       res.status(200).json({
         success: true,
-        data: paginatedUsers,
+        data: items.map((user) =>
+          selectFields(serializeUser(user), req.query.fields)
+        ),
         pagination,
+        links,
       });
     } catch (error) {
-      res.status(500).json({
-        error: true,
-        message: "Failed to retrieve users",
-        statusCode: 500,
-        timestamp: new Date().toISOString(),
-      });
+      next(asApiError(error, "Failed to retrieve deleted users"));
     }
   }
 );
@@ -182,9 +333,11 @@ router.get(
  * /api/v1/users/{id}:
  *   get:
  *     summary: Retrieve a user by ID
- *     description: Get a specific user by their unique ID
+ *     description: Get a specific user by their unique ID. Customers can only read their own account.
  *     tags: [Users]
  *     parameters:
+ *       - $ref: '#/components/parameters/IfNoneMatch'
+ *       - $ref: '#/components/parameters/IncludeDeleted'
  *       - in: path
  *         name: id
  *         required: true
@@ -192,6 +345,7 @@ router.get(
  *           type: string
  *           format: uuid
  *         description: The user's unique ID
+ *       - $ref: '#/components/parameters/Format'
  *     responses:
  *       200:
  *         description: User retrieved successfully
@@ -204,44 +358,77 @@ router.get(
  *                   type: boolean
  *                 data:
  *                   $ref: '#/components/schemas/User'
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *           application/x-ndjson:
+ *             schema:
+ *               type: string
+ *           application/xml:
+ *             schema:
+ *               type: string
  *       404:
  *         description: User not found
  *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
  *           application/json:
- *             $ref: '#/components/schemas/Error'
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       400:
  *         description: Bad request - invalid ID format
  *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
  *           application/json:
- *             $ref: '#/components/schemas/Error'
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       304:
+ *         description: Not modified - the cached representation is still current
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
  */
 router.get(
   "/:id",
-  [param("id").isUUID().withMessage("Invalid user ID format"), validate],
-  (req, res) => {
+  [
+    param("id").isUUID().withMessage("Invalid user ID format"),
+    query("includeDeleted")
+      .optional()
+      .isBoolean()
+      .withMessage("includeDeleted must be true or false")
+      .toBoolean(),
+    validate,
+    authorizeIncludeDeleted,
+  ],
+  (req, res, next) => {
     try {
-      const user = userOperations.getById(req.params.id);
+      const { userOperations } = req.app.locals.store;
+
+      if (!canViewUser(req.user, req.params.id)) {
+        throw new ForbiddenError("You can only view your own account");
+      }
+
+      const user = userOperations.getById(req.params.id, {
+        includeDeleted: req.query.includeDeleted,
+      });
 
       if (!user) {
-        return res.status(404).json({
-          error: true,
-          message: "User not found",
-          statusCode: 404,
-          timestamp: new Date().toISOString(),
-        });
+        throw new NotFoundError("User not found", { code: "user_not_found" });
       }
 
+      setValidators(res, user);
       res.status(200).json({
         success: true,
-        data: user,
+        data: serializeUser(user),
       });
     } catch (error) {
-      res.status(500).json({
-        error: true,
-        message: "Failed to retrieve user",
-        statusCode: 500,
-        timestamp: new Date().toISOString(),
-      });
+      next(asApiError(error, "Failed to retrieve user"));
     }
   }
 );
@@ -251,33 +438,16 @@ router.get(
  * /api/v1/users:
  *   post:
  *     summary: Create a new user
- *     description: Create a new user with the provided information
+ *     description: Create a new user with the provided information. Admins only.
  *     tags: [Users]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - name
- *               - email
- *               - age
- *             properties:
- *               name:
- *                 type: string
- *                 minLength: 2
- *                 maxLength: 50
- *                 description: The user's name
- *               email:
- *                 type: string
- *                 format: email
- *                 description: The user's email
- *               age:
- *                 type: integer
- *                 minimum: 18
- *                 maximum: 120
- *                 description: The user's age
+ *             $ref: '#/components/schemas/UserCreate'
  *     responses:
  *       201:
  *         description: User created successfully
@@ -295,54 +465,64 @@ router.get(
  *       400:
  *         description: Bad request - validation errors
  *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       409:
+ *         description: >
+ *           A user with this email already exists (email_taken), or a request
+ *           with the same Idempotency-Key is still running
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
  *           application/json:
- *             $ref: '#/components/schemas/Error'
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       422:
+ *         $ref: '#/components/responses/IdempotencyKeyReused'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
  */
 router.post(
   "/",
   [
-    body("name")
-      .trim()
-      .isLength({ min: 2, max: 50 })
-      .withMessage("Name must be between 2 and 50 characters"),
-    body("email")
-      .isEmail()
-      .normalizeEmail()
-      .withMessage("Must be a valid email address"),
-    body("age")
-      .isInt({ min: 18, max: 120 })
-      .withMessage("Age must be between 18 and 120"),
+    authorize("admin"),
+    idempotency,
+    ...bodyValidators(userSchema, "create"),
     validate,
   ],
-  (req, res) => {
+  (req, res, next) => {
     try {
+      const { userOperations } = req.app.locals.store;
+
       // Check if email already exists
       const existingUser = userOperations
         .getAll()
         .find((user) => user.email === req.body.email);
       if (existingUser) {
-        return res.status(409).json({
-          error: true,
-          message: "User with this email already exists",
-          statusCode: 409,
-          timestamp: new Date().toISOString(),
+        throw new ConflictError("User with this email already exists", {
+          code: "email_taken",
         });
       }
 
-      const newUser = userOperations.create(req.body);
+      const newUser = userOperations.create(toUserData(req.body, "create"));
 
+      setValidators(res, newUser);
       res.status(201).json({
         success: true,
         message: "User created successfully",
-        data: newUser,
+        data: serializeUser(newUser),
       });
     } catch (error) {
-      res.status(500).json({
-        error: true,
-        message: "Failed to create user",
-        statusCode: 500,
-        timestamp: new Date().toISOString(),
-      });
+      next(asApiError(error, "Failed to create user"));
     }
   }
 );
@@ -352,9 +532,12 @@ router.post(
  * /api/v1/users/{id}:
  *   put:
  *     summary: Update a user completely
- *     description: Replace all user data with the provided information
+ *     description: >
+ *       Replace all user data with the provided information. Customers can
+ *       only update their own account; only admins can change roles.
  *     tags: [Users]
  *     parameters:
+ *       - $ref: '#/components/parameters/IfMatch'
  *       - in: path
  *         name: id
  *         required: true
@@ -367,23 +550,7 @@ router.post(
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             required:
- *               - name
- *               - email
- *               - age
- *             properties:
- *               name:
- *                 type: string
- *                 minLength: 2
- *                 maxLength: 50
- *               email:
- *                 type: string
- *                 format: email
- *               age:
- *                 type: integer
- *                 minimum: 18
- *                 maximum: 120
+ *             $ref: '#/components/schemas/UserReplace'
  *     responses:
  *       200:
  *         description: User updated successfully
@@ -401,42 +568,66 @@ router.post(
  *       404:
  *         description: User not found
  *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
  *           application/json:
- *             $ref: '#/components/schemas/Error'
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       400:
  *         description: Bad request - validation errors
  *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       409:
+ *         description: A user with this email already exists (email_taken)
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
  *           application/json:
- *             $ref: '#/components/schemas/Error'
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
  */
 router.put(
   "/:id",
   [
     param("id").isUUID().withMessage("Invalid user ID format"),
-    body("name")
-      .trim()
-      .isLength({ min: 2, max: 50 })
-      .withMessage("Name must be between 2 and 50 characters"),
-    body("email")
-      .isEmail()
-      .normalizeEmail()
-      .withMessage("Must be a valid email address"),
-    body("age")
-      .isInt({ min: 18, max: 120 })
-      .withMessage("Age must be between 18 and 120"),
+    ...bodyValidators(userSchema, "replace"),
     validate,
   ],
-  (req, res) => {
+  (req, res, next) => {
     try {
+      const { userOperations } = req.app.locals.store;
+
+      if (!canEditUser(req.user, req.params.id)) {
+        throw new ForbiddenError("You can only update your own account");
+      }
+
       // Check if user exists
       const existingUser = userOperations.getById(req.params.id);
       if (!existingUser) {
-        return res.status(404).json({
-          error: true,
-          message: "User not found",
-          statusCode: 404,
-          timestamp: new Date().toISOString(),
-        });
+        throw new NotFoundError("User not found", { code: "user_not_found" });
+      }
+
+      if (
+        req.body.role !== undefined &&
+        req.body.role !== existingUser.role &&
+        !isAdmin(req.user)
+      ) {
+        throw new ForbiddenError("Only admins can change roles");
       }
 
       // Check if email is being changed and if it already exists
@@ -447,29 +638,31 @@ router.put(
             (user) => user.email === req.body.email && user.id !== req.params.id
           );
         if (emailExists) {
-          return res.status(409).json({
-            error: true,
-            message: "User with this email already exists",
-            statusCode: 409,
-            timestamp: new Date().toISOString(),
+          throw new ConflictError("User with this email already exists", {
+            code: "email_taken",
           });
         }
       }
 
-      const updatedUser = userOperations.update(req.params.id, req.body);
+      const updatedUser = userOperations.update(
+        req.params.id,
+        toUserData(req.body, "replace"),
+        { expectedVersion: ifMatch(req) }
+      );
+
+      // A new password signs the user out of every session
+      if (req.body.password !== undefined) {
+        revokeUserTokens(req.app.locals.store, req.params.id);
+      }
 
+      setValidators(res, updatedUser);
       res.status(200).json({
         success: true,
         message: "User updated successfully",
-        data: updatedUser,
+        data: serializeUser(updatedUser),
       });
     } catch (error) {
-      res.status(500).json({
-        error: true,
-        message: "Failed to update user",
-        statusCode: 500,
-        timestamp: new Date().toISOString(),
-      });
+      next(asApiError(error, "Failed to update user"));
     }
   }
 );
@@ -479,9 +672,12 @@ router.put(
  * /api/v1/users/{id}:
  *   patch:
  *     summary: Partially update a user
- *     description: Update specific fields of a user
+ *     description: >
+ *       Update specific fields of a user. Customers can only update their own
+ *       account; only admins can change roles.
  *     tags: [Users]
  *     parameters:
+ *       - $ref: '#/components/parameters/IfMatch'
  *       - in: path
  *         name: id
  *         required: true
@@ -494,19 +690,7 @@ router.put(
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               name:
- *                 type: string
- *                 minLength: 2
- *                 maxLength: 50
- *               email:
- *                 type: string
- *                 format: email
- *               age:
- *                 type: integer
- *                 minimum: 18
- *                 maximum: 120
+ *             $ref: '#/components/schemas/UserUpdate'
  *     responses:
  *       200:
  *         description: User updated successfully
@@ -524,45 +708,66 @@ router.put(
  *       404:
  *         description: User not found
  *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
  *           application/json:
- *             $ref: '#/components/schemas/Error'
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       400:
  *         description: Bad request - validation errors
  *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
  *           application/json:
- *             $ref: '#/components/schemas/Error'
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       409:
+ *         description: A user with this email already exists (email_taken)
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
  */
 router.patch(
   "/:id",
   [
     param("id").isUUID().withMessage("Invalid user ID format"),
-    body("name")
-      .optional()
-      .trim()
-      .isLength({ min: 2, max: 50 })
-      .withMessage("Name must be between 2 and 50 characters"),
-    body("email")
-      .optional()
-      .isEmail()
-      .normalizeEmail()
-      .withMessage("Must be a valid email address"),
-    body("age")
-      .optional()
-      .isInt({ min: 18, max: 120 })
-      .withMessage("Age must be between 18 and 120"),
+    ...bodyValidators(userSchema, "update"),
     validate,
   ],
-  (req, res) => {
+  (req, res, next) => {
     try {
+      const { userOperations } = req.app.locals.store;
+
+      if (!canEditUser(req.user, req.params.id)) {
+        throw new ForbiddenError("You can only update your own account");
+      }
+
       // Check if user exists
       const existingUser = userOperations.getById(req.params.id);
       if (!existingUser) {
-        return res.status(404).json({
-          error: true,
-          message: "User not found",
-          statusCode: 404,
-          timestamp: new Date().toISOString(),
-        });
+        throw new NotFoundError("User not found", { code: "user_not_found" });
+      }
+
+      if (
+        req.body.role !== undefined &&
+        req.body.role !== existingUser.role &&
+        !isAdmin(req.user)
+      ) {
+        throw new ForbiddenError("Only admins can change roles");
       }
 
       // Check if email is being changed and if it already exists
@@ -573,29 +778,31 @@ router.patch(
             (user) => user.email === req.body.email && user.id !== req.params.id
           );
         if (emailExists) {
-          return res.status(409).json({
-            error: true,
-            message: "User with this email already exists",
-            statusCode: 409,
-            timestamp: new Date().toISOString(),
+          throw new ConflictError("User with this email already exists", {
+            code: "email_taken",
           });
         }
       }
 
-      const updatedUser = userOperations.update(req.params.id, req.body);
+      const updatedUser = userOperations.update(
+        req.params.id,
+        toUserData(req.body, "update"),
+        { expectedVersion: ifMatch(req) }
+      );
+
+      // A new password signs the user out of every session
+      if (req.body.password !== undefined) {
+        revokeUserTokens(req.app.locals.store, req.params.id);
+      }
 
+      setValidators(res, updatedUser);
       res.status(200).json({
         success: true,
         message: "User updated successfully",
-        data: updatedUser,
+        data: serializeUser(updatedUser),
       });
     } catch (error) {
-      res.status(500).json({
-        error: true,
-        message: "Failed to update user",
-        statusCode: 500,
-        timestamp: new Date().toISOString(),
-      });
+      next(asApiError(error, "Failed to update user"));
     }
   }
 );
@@ -605,9 +812,15 @@ router.patch(
  * /api/v1/users/{id}:
  *   delete:
  *     summary: Delete a user
- *     description: Remove a user from the system
+ *     description: >
+ *       Move a user to the trash and revoke their sessions. Admins only. The
+ *       user can be restored until the trash retention period has passed. The
+ *       user's orders are handled by USER_DELETE_POLICY: restrict (409 listing
+ *       the orders), cascade (delete them) or anonymize (keep them, with
+ *       userId cleared).
  *     tags: [Users]
  *     parameters:
+ *       - $ref: '#/components/parameters/IfMatch'
  *       - in: path
  *         name: id
  *         required: true
@@ -630,41 +843,184 @@ router.patch(
  *       404:
  *         description: User not found
  *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
  *           application/json:
- *             $ref: '#/components/schemas/Error'
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
  *       400:
  *         description: Bad request - invalid ID format
  *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
  *           application/json:
- *             $ref: '#/components/schemas/Error'
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       409:
+ *         $ref: '#/components/responses/BlockedByOrders'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
  */
 router.delete(
   "/:id",
-  [param("id").isUUID().withMessage("Invalid user ID format"), validate],
-  (req, res) => {
+  [
+    authorize("admin"),
+    param("id").isUUID().withMessage("Invalid user ID format"),
+    validate,
+  ],
+  (req, res, next) => {
     try {
-      const deleted = userOperations.delete(req.params.id);
-
-      if (!deleted) {
-        return res.status(404).json({
-          error: true,
-          message: "User not found",
-          statusCode: 404,
-          timestamp: new Date().toISOString(),
+      const { store, config } = req.app.locals;
+      const { userOperations, transaction } = store;
+
+      const existingUser = userOperations.getById(req.params.id);
+      if (!existingUser) {
+        throw new NotFoundError("User not found", { code: "user_not_found" });
+      }
+
+      // Resolve the user's orders and delete the user atomically
+      let blockingOrders = [];
+      transaction(() => {
+        assertVersion(existingUser, ifMatch(req));
+        blockingOrders = prepareUserDelete(
+          store,
+          req.params.id,
+          config.deletePolicies.users
+        );
+        if (blockingOrders.length > 0) return;
+
+        userOperations.delete(req.params.id, {
+          expectedVersion: ifMatch(req),
         });
+      });
+
+      if (blockingOrders.length > 0) {
+        throw blockedByOrders(
+          "User cannot be deleted while orders reference it",
+          blockingOrders
+        );
       }
 
+      revokeUserTokens(store, req.params.id);
+
       res.status(200).json({
         success: true,
         message: "User deleted successfully",
       });
     } catch (error) {
-      res.status(500).json({
-        error: true,
-        message: "Failed to delete user",
-        statusCode: 500,
-        timestamp: new Date().toISOString(),
+      next(asApiError(error, "Failed to delete user"));
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/users/{id}/restore:
+ *   post:
+ *     summary: Restore a deleted user
+ *     description: >
+ *       Take a user out of the trash. Admins only. Fails with 409 when another
+ *       user has taken the email address in the meantime. Orders removed by
+ *       the delete policy are not brought back.
+ *     tags: [Users]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IfMatch'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The user's unique ID
+ *     responses:
+ *       200:
+ *         description: User restored successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/User'
+ *       400:
+ *         description: Bad request - invalid ID format
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         $ref: '#/components/responses/NotInTrash'
+ *       409:
+ *         description: Email already in use by another user
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.post(
+  "/:id/restore",
+  [
+    authorize("admin"),
+    param("id").isUUID().withMessage("Invalid user ID format"),
+    validate,
+  ],
+  (req, res, next) => {
+    try {
+      const { userOperations } = req.app.locals.store;
+
+      const deletedUser = userOperations.getById(req.params.id, {
+        includeDeleted: true,
+      });
+      if (!deletedUser || !deletedUser.deletedAt) {
+        throw new NotFoundError("Deleted user not found", {
+          code: "not_in_trash",
+        });
+      }
+
+      if (userOperations.getByEmail(deletedUser.email)) {
+        throw new ConflictError("User with this email already exists", {
+          code: "email_taken",
+        });
+      }
+
+      const restoredUser = userOperations.restore(req.params.id, {
+        expectedVersion: ifMatch(req),
       });
+
+      setValidators(res, restoredUser);
+      res.status(200).json({
+        success: true,
+        message: "User restored successfully",
+        data: serializeUser(restoredUser),
+      });
+    } catch (error) {
+      next(asApiError(error, "Failed to restore user"));
     }
   }
 );
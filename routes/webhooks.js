@@ -0,0 +1,800 @@
+const express = require("express");
+const { body, param, query } = require("express-validator");
+const router = express.Router();
+
+const validate = require("../middleware/validation");
+const { authorize } = require("../middleware/auth");
+const idempotency = require("../middleware/idempotency");
+const { setValidators, ifMatch } = require("../middleware/conditional");
+const { sortQuery, cursorQuery, paginate } = require("../middleware/listQuery");
+const { assertVersion } = require("../data/store");
+const {
+  generateSecret,
+  isPrivateUrl,
+  DELIVERY_STATUSES,
+} = require("../services/webhooks");
+const webhookSchema = require("../schemas/webhook");
+const webhookDeliverySchema = require("../schemas/webhookDelivery");
+const {
+  bodyValidators,
+  pickWritable,
+  serializer,
+  sortFields,
+} = require("../services/schema");
+const { NotFoundError, asApiError } = require("../services/errors");
+
+// The response shapes; the signing secret is only ever returned on creation
+const serializeWebhook = serializer(webhookSchema);
+const serializeDelivery = serializer(webhookDeliverySchema);
+
+const webhookNotFound = () =>
+  new NotFoundError("Webhook not found", { code: "webhook_not_found" });
+
+// Outside development and tests a URL may not name a loopback or private
+// address (see config.webhooks.allowPrivateTargets)
+const publicUrl = body("url")
+  .optional()
+  .custom((url, { req }) => {
+    if (req.app.locals.config.webhooks.allowPrivateTargets) return true;
+    try {
+      return !isPrivateUrl(url);
+    } catch (error) {
+      return true; // Not a URL; the schema check reports that
+    }
+  })
+  .withMessage("URL must not point at a loopback or private address");
+
+// ?page=, ?limit=, ?sort= and the cursors, for the lists below
+const listQuery = (schema) => [
+  query("page")
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage("Page must be a positive integer"),
+  query("limit")
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage("Limit must be between 1 and 100"),
+  sortQuery(sortFields(schema)),
+  ...cursorQuery(),
+];
+
+// Webhooks expose every resource's changes, so only admins manage them
+router.use(authorize("admin"));
+
+/**
+ * @swagger
+ * /api/v1/webhooks:
+ *   get:
+ *     summary: List webhook subscriptions
+ *     description: Admins only.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *         description: Number of webhooks per page
+ *       - $ref: '#/components/parameters/WebhookSort'
+ *       - $ref: '#/components/parameters/After'
+ *       - $ref: '#/components/parameters/Before'
+ *     responses:
+ *       200:
+ *         description: Webhooks retrieved successfully
+ *         headers:
+ *           Link:
+ *             $ref: '#/components/headers/Link'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Webhook'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *                 links:
+ *                   $ref: '#/components/schemas/PageLinks'
+ *       400:
+ *         description: Bad request - invalid query parameters
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.get("/", [...listQuery(webhookSchema), validate], (req, res, next) => {
+  try {
+    const { webhookOperations } = req.app.locals.store;
+
+    const { items, pagination, links } = paginate(
+      req,
+      res,
+      webhookOperations.getAll()
+    );
+
+    res.status(200).json({
+      success: true,
+      data: items.map(serializeWebhook),
+      pagination,
+      links,
+    });
+  } catch (error) {
+    next(asApiError(error, "Failed to retrieve webhooks"));
+  }
+});
+
+/**
+ * @swagger
+ * /api/v1/webhooks:
+ *   post:
+ *     summary: Subscribe to events
+ *     description: >
+ *       Create a webhook subscription. Admins only. The response carries the
+ *       secret deliveries are signed with; it is not shown again. Each
+ *       delivery is a JSON POST of { id, type, createdAt, data,
+ *       previousStatus? } with Webhook-Id, Webhook-Event and
+ *       Webhook-Signature (t=<unix seconds>,v1=<hex HMAC-SHA256 of
+ *       "<t>.<body>">) headers. Outside development and tests the URL may
+ *       not point at a loopback or private address unless
+ *       WEBHOOK_ALLOW_PRIVATE_TARGETS is true.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IdempotencyKey'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WebhookCreate'
+ *     responses:
+ *       201:
+ *         description: Webhook created successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Webhook'
+ *                 secret:
+ *                   type: string
+ *                   description: Signing secret for Webhook-Signature
+ *       400:
+ *         description: Bad request - validation errors
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       409:
+ *         $ref: '#/components/responses/IdempotencyKeyInUse'
+ *       422:
+ *         $ref: '#/components/responses/IdempotencyKeyReused'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.post(
+  "/",
+  [
+    idempotency,
+    ...bodyValidators(webhookSchema, "create"),
+    publicUrl,
+    validate,
+  ],
+  (req, res, next) => {
+    try {
+      const { webhookOperations } = req.app.locals.store;
+
+      const secret = generateSecret();
+      const webhook = webhookOperations.create({
+        active: true,
+        ...pickWritable(webhookSchema, "create", req.body),
+        secret,
+      });
+
+      setValidators(res, webhook);
+      res.status(201).json({
+        success: true,
+        message: "Webhook created successfully",
+        data: serializeWebhook(webhook),
+        secret,
+      });
+    } catch (error) {
+      next(asApiError(error, "Failed to create webhook"));
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/webhooks/{id}:
+ *   get:
+ *     summary: Retrieve a webhook subscription
+ *     description: Admins only.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IfNoneMatch'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The webhook's unique ID
+ *     responses:
+ *       200:
+ *         description: Webhook retrieved successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   $ref: '#/components/schemas/Webhook'
+ *       304:
+ *         description: Not modified - the cached representation is still current
+ *       400:
+ *         description: Bad request - invalid ID format
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Webhook not found
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.get(
+  "/:id",
+  [param("id").isUUID().withMessage("Invalid webhook ID format"), validate],
+  (req, res, next) => {
+    try {
+      const { webhookOperations } = req.app.locals.store;
+
+      const webhook = webhookOperations.getById(req.params.id);
+      if (!webhook) throw webhookNotFound();
+
+      setValidators(res, webhook);
+      res.status(200).json({
+        success: true,
+        data: serializeWebhook(webhook),
+      });
+    } catch (error) {
+      next(asApiError(error, "Failed to retrieve webhook"));
+    }
+  }
+);
+
+// PUT and PATCH differ only in the fields they require
+const updateWebhook = (operation) => (req, res, next) => {
+  try {
+    const { webhookOperations } = req.app.locals.store;
+
+    if (!webhookOperations.getById(req.params.id)) throw webhookNotFound();
+
+    const webhook = webhookOperations.update(
+      req.params.id,
+      pickWritable(webhookSchema, operation, req.body),
+      { expectedVersion: ifMatch(req) }
+    );
+
+    setValidators(res, webhook);
+    res.status(200).json({
+      success: true,
+      message: "Webhook updated successfully",
+      data: serializeWebhook(webhook),
+    });
+  } catch (error) {
+    next(asApiError(error, "Failed to update webhook"));
+  }
+};
+
+/**
+ * @swagger
+ * /api/v1/webhooks/{id}:
+ *   put:
+ *     summary: Replace a webhook subscription
+ *     description: Admins only. The signing secret is kept.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IfMatch'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The webhook's unique ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WebhookReplace'
+ *     responses:
+ *       200:
+ *         description: Webhook updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Webhook'
+ *       400:
+ *         description: Bad request - validation errors
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Webhook not found
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.put(
+  "/:id",
+  [
+    param("id").isUUID().withMessage("Invalid webhook ID format"),
+    ...bodyValidators(webhookSchema, "replace"),
+    publicUrl,
+    validate,
+  ],
+  updateWebhook("replace")
+);
+
+/**
+ * @swagger
+ * /api/v1/webhooks/{id}:
+ *   patch:
+ *     summary: Partially update a webhook subscription
+ *     description: >
+ *       Admins only. Set active to false to pause deliveries; pending ones
+ *       are sent once it is active again.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IfMatch'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The webhook's unique ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/WebhookUpdate'
+ *     responses:
+ *       200:
+ *         description: Webhook updated successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/Webhook'
+ *       400:
+ *         description: Bad request - validation errors
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Webhook not found
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.patch(
+  "/:id",
+  [
+    param("id").isUUID().withMessage("Invalid webhook ID format"),
+    ...bodyValidators(webhookSchema, "update"),
+    publicUrl,
+    validate,
+  ],
+  updateWebhook("update")
+);
+
+/**
+ * @swagger
+ * /api/v1/webhooks/{id}:
+ *   delete:
+ *     summary: Delete a webhook subscription
+ *     description: >
+ *       Admins only. The subscription and its delivery log are removed for
+ *       good; pending deliveries are not sent.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - $ref: '#/components/parameters/IfMatch'
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The webhook's unique ID
+ *     responses:
+ *       200:
+ *         description: Webhook deleted successfully
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *       400:
+ *         description: Bad request - invalid ID format
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Webhook not found
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       412:
+ *         $ref: '#/components/responses/PreconditionFailed'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.delete(
+  "/:id",
+  [param("id").isUUID().withMessage("Invalid webhook ID format"), validate],
+  (req, res, next) => {
+    try {
+      const { webhookOperations, webhookDeliveryOperations, transaction } =
+        req.app.locals.store;
+
+      const webhook = webhookOperations.getById(req.params.id);
+      if (!webhook) throw webhookNotFound();
+
+      transaction(() => {
+        assertVersion(webhook, ifMatch(req));
+        webhookDeliveryOperations
+          .getByWebhookId(webhook.id)
+          .forEach((delivery) => webhookDeliveryOperations.delete(delivery.id));
+        webhookOperations.delete(webhook.id);
+      });
+
+      res.status(200).json({
+        success: true,
+        message: "Webhook deleted successfully",
+      });
+    } catch (error) {
+      next(asApiError(error, "Failed to delete webhook"));
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/webhooks/{id}/deliveries:
+ *   get:
+ *     summary: List a webhook's deliveries
+ *     description: >
+ *       The delivery log, most recent first, with every attempt. Admins
+ *       only. Filter by status=dead to see the dead letters.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The webhook's unique ID
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, delivered, dead]
+ *         description: Only deliveries with this status
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *         description: Page number for pagination
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 10
+ *         description: Number of deliveries per page
+ *       - $ref: '#/components/parameters/WebhookDeliverySort'
+ *       - $ref: '#/components/parameters/After'
+ *       - $ref: '#/components/parameters/Before'
+ *     responses:
+ *       200:
+ *         description: Deliveries retrieved successfully
+ *         headers:
+ *           Link:
+ *             $ref: '#/components/headers/Link'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/WebhookDelivery'
+ *                 pagination:
+ *                   $ref: '#/components/schemas/Pagination'
+ *                 links:
+ *                   $ref: '#/components/schemas/PageLinks'
+ *       400:
+ *         description: Bad request - invalid ID format or query parameters
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Webhook not found
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.get(
+  "/:id/deliveries",
+  [
+    param("id").isUUID().withMessage("Invalid webhook ID format"),
+    query("status")
+      .optional()
+      .isIn(DELIVERY_STATUSES)
+      .withMessage(`Status must be one of: ${DELIVERY_STATUSES.join(", ")}`),
+    ...listQuery(webhookDeliverySchema),
+    validate,
+  ],
+  (req, res, next) => {
+    try {
+      const { webhookOperations, webhookDeliveryOperations } =
+        req.app.locals.store;
+
+      if (!webhookOperations.getById(req.params.id)) throw webhookNotFound();
+
+      const deliveries = webhookDeliveryOperations
+        .getByWebhookId(req.params.id)
+        .filter(
+          (delivery) =>
+            !req.query.status || delivery.status === req.query.status
+        )
+        .reverse();
+      const { items, pagination, links } = paginate(req, res, deliveries);
+
+      res.status(200).json({
+        success: true,
+        data: items.map(serializeDelivery),
+        pagination,
+        links,
+      });
+    } catch (error) {
+      next(asApiError(error, "Failed to retrieve webhook deliveries"));
+    }
+  }
+);
+
+/**
+ * @swagger
+ * /api/v1/webhooks/{id}/deliveries/{deliveryId}/redeliver:
+ *   post:
+ *     summary: Send a delivery again
+ *     description: >
+ *       Queue a new delivery of the same payload (with redeliveryOf set) and
+ *       send it straight away, e.g. for a dead letter once the receiver is
+ *       fixed. Admins only.
+ *     tags: [Webhooks]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The webhook's unique ID
+ *       - in: path
+ *         name: deliveryId
+ *         required: true
+ *         schema:
+ *           type: string
+ *           format: uuid
+ *         description: The delivery to send again
+ *     responses:
+ *       202:
+ *         description: Redelivery queued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 success:
+ *                   type: boolean
+ *                 message:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/WebhookDelivery'
+ *       400:
+ *         description: Bad request - invalid ID format
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       401:
+ *         $ref: '#/components/responses/Unauthorized'
+ *       403:
+ *         $ref: '#/components/responses/Forbidden'
+ *       404:
+ *         description: Webhook or delivery not found
+ *         content:
+ *           application/problem+json:
+ *             schema:
+ *               $ref: '#/components/schemas/Problem'
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Error'
+ *       500:
+ *         $ref: '#/components/responses/InternalError'
+ */
+router.post(
+  "/:id/deliveries/:deliveryId/redeliver",
+  [
+    param("id").isUUID().withMessage("Invalid webhook ID format"),
+    param("deliveryId").isUUID().withMessage("Invalid delivery ID format"),
+    validate,
+  ],
+  (req, res, next) => {
+    try {
+      const { store, webhooks } = req.app.locals;
+
+      if (!store.webhookOperations.getById(req.params.id)) {
+        throw webhookNotFound();
+      }
+      const delivery = store.webhookDeliveryOperations.getById(
+        req.params.deliveryId
+      );
+      if (!delivery || delivery.webhookId !== req.params.id) {
+        throw new NotFoundError("Delivery not found", {
+          code: "delivery_not_found",
+        });
+      }
+
+      res.status(202).json({
+        success: true,
+        message: "Redelivery queued",
+        data: serializeDelivery(webhooks.redeliver(delivery)),
+      });
+    } catch (error) {
+      next(asApiError(error, "Failed to redeliver webhook"));
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,48 @@
+// Fields the store keeps on every record
+
+const idField = (noun) => ({
+  id: {
+    type: "string",
+    format: "uuid",
+    readOnly: true,
+    required: true,
+    description: `The auto-generated id of the ${noun}`,
+  },
+});
+
+const recordFields = (noun) => ({
+  version: {
+    type: "integer",
+    readOnly: true,
+    description: "Incremented on every change; sent as the ETag",
+  },
+  deletedAt: {
+    type: "string",
+    format: "date-time",
+    nullable: true,
+    readOnly: true,
+    sortable: true,
+    description: `When the ${noun} was moved to the trash`,
+  },
+  createdAt: {
+    type: "string",
+    format: "date-time",
+    readOnly: true,
+    filterable: true,
+    sortable: true,
+    description: `The date the ${noun} was created`,
+  },
+  updatedAt: {
+    type: "string",
+    format: "date-time",
+    readOnly: true,
+    filterable: true,
+    sortable: true,
+    description: `The date the ${noun} was last updated`,
+  },
+});
+
+module.exports = {
+  idField,
+  recordFields,
+};
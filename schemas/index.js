@@ -0,0 +1,14 @@
+/**
+ * Resource schemas
+ * The single description of each resource's fields; request validation, the
+ * OpenAPI document and response serialization are all generated from these
+ * (see services/schema.js).
+ */
+
+module.exports = {
+  user: require("./user"),
+  product: require("./product"),
+  order: require("./order"),
+  webhook: require("./webhook"),
+  webhookDelivery: require("./webhookDelivery"),
+};
@@ -0,0 +1,123 @@
+const { ORDER_STATUSES } = require("../services/orderStatus");
+const { idField, recordFields } = require("./common");
+
+const orderProduct = {
+  name: "OrderProduct",
+  properties: {
+    productId: {
+      type: "string",
+      format: "uuid",
+      nullable: true,
+      required: true,
+      message: "Invalid product ID format",
+      description: "The product's unique ID (null once the product is deleted)",
+    },
+    name: {
+      type: "string",
+      readOnly: true,
+      description: "The product name when the line was ordered",
+    },
+    quantity: {
+      type: "integer",
+      minimum: 1,
+      required: true,
+      message: "Quantity must be a positive integer",
+      description: "The quantity of the product",
+    },
+    price: {
+      type: "number",
+      minimum: 0,
+      message: "Price must be a non-negative number",
+      description:
+        "The price per unit. Always set by the server: products already on the order keep the price they were ordered at, new ones take the catalogue price. Optional in requests, where it must match that price.",
+    },
+  },
+};
+
+const orderStatusChange = {
+  name: "OrderStatusChange",
+  properties: {
+    status: {
+      type: "string",
+      enum: ORDER_STATUSES,
+      description: "The status the order moved to",
+    },
+    from: {
+      type: "string",
+      nullable: true,
+      description: "The previous status (null when the order was created)",
+    },
+    at: {
+      type: "string",
+      format: "date-time",
+      description: "When the change happened",
+    },
+  },
+};
+
+// Status timestamps, set by the order lifecycle
+const statusTime = (description) => ({
+  type: "string",
+  format: "date-time",
+  readOnly: true,
+  filterable: true,
+  description,
+});
+
+module.exports = {
+  name: "Order",
+  properties: {
+    ...idField("order"),
+    userId: {
+      type: "string",
+      format: "uuid",
+      nullable: true,
+      required: ["create", "replace"],
+      writableOn: ["create", "replace"],
+      filterable: true,
+      sortable: true,
+      message: "Invalid user ID format",
+      description: "The user's unique ID (null once the user is deleted)",
+    },
+    products: {
+      type: "array",
+      minItems: 1,
+      items: orderProduct,
+      required: ["create", "replace"],
+      writableOn: ["create", "replace"],
+      message: "Products must be a non-empty array",
+      description: "Array of products in the order",
+    },
+    totalAmount: {
+      type: "number",
+      minimum: 0,
+      writableOn: ["create", "replace"],
+      filterable: true,
+      sortable: true,
+      message: "Total amount must be a non-negative number",
+      description:
+        "The total amount of the order, computed by the server. Optional in requests, where it must match the computed total.",
+    },
+    status: {
+      type: "string",
+      enum: ORDER_STATUSES,
+      writableOn: ["replace", "update"],
+      filterable: true,
+      sortable: true,
+      message: "Invalid status",
+      description:
+        "The order status. New orders are pending. Allowed transitions are pending -> processing | cancelled, processing -> shipped | cancelled and shipped -> delivered.",
+    },
+    statusHistory: {
+      type: "array",
+      items: orderStatusChange,
+      readOnly: true,
+      description: "Every status the order has been in, oldest first",
+    },
+    processedAt: statusTime("When the order moved to processing"),
+    shippedAt: statusTime("When the order was shipped"),
+    deliveredAt: statusTime("When the order was delivered"),
+    cancelledAt: statusTime("When the order was cancelled"),
+    ...recordFields("order"),
+  },
+};
@@ -0,0 +1,75 @@
+const { idField, recordFields } = require("./common");
+
+const CATEGORIES = ["electronics", "clothing", "books", "home"];
+
+module.exports = {
+  name: "Product",
+  properties: {
+    ...idField("product"),
+    name: {
+      type: "string",
+      minLength: 1,
+      maxLength: 100,
+      trim: true,
+      required: ["create", "replace"],
+      filterable: true,
+      sortable: true,
+      message: "Name must be between 1 and 100 characters",
+      description: "The product's name",
+    },
+    sku: {
+      type: "string",
+      minLength: 1,
+      maxLength: 64,
+      trim: true,
+      filterable: true,
+      sortable: true,
+      message: "SKU must be between 1 and 64 characters",
+      description:
+        "Stock keeping unit; unique among products and matched on by imports",
+    },
+    description: {
+      type: "string",
+      maxLength: 500,
+      trim: true,
+      filterable: true,
+      message: "Description must not exceed 500 characters",
+      description: "The product's description",
+    },
+    price: {
+      type: "number",
+      minimum: 0,
+      required: ["create", "replace"],
+      filterable: true,
+      sortable: true,
+      message: "Price must be a non-negative number",
+      description: "The product's price",
+    },
+    category: {
+      type: "string",
+      enum: CATEGORIES,
+      required: ["create", "replace"],
+      filterable: true,
+      sortable: true,
+      message: `Category must be one of: ${CATEGORIES.join(", ")}`,
+      description: "The product's category",
+    },
+    inStock: {
+      type: "boolean",
+      readOnly: true,
+      filterable: true,
+      description:
+        "Whether the product is in stock (derived from stockQuantity)",
+    },
+    stockQuantity: {
+      type: "integer",
+      minimum: 0,
+      default: 0,
+      filterable: true,
+      sortable: true,
+      message: "Stock quantity must be a non-negative integer",
+      description: "Units available to order (open orders hold a reservation)",
+    },
+    ...recordFields("product"),
+  },
+};
@@ -0,0 +1,60 @@
+const { ROLES } = require("../services/access");
+const { idField, recordFields } = require("./common");
+
+module.exports = {
+  name: "User",
+  properties: {
+    ...idField("user"),
+    name: {
+      type: "string",
+      minLength: 2,
+      maxLength: 50,
+      trim: true,
+      required: ["create", "replace"],
+      filterable: true,
+      sortable: true,
+      message: "Name must be between 2 and 50 characters",
+      description: "The user's name",
+    },
+    email: {
+      type: "string",
+      format: "email",
+      required: ["create", "replace"],
+      filterable: true,
+      sortable: true,
+      message: "Must be a valid email address",
+      description: "The user's email",
+    },
+    age: {
+      type: "integer",
+      minimum: 18,
+      maximum: 120,
+      required: ["create", "replace"],
+      filterable: true,
+      sortable: true,
+      message: "Age must be between 18 and 120",
+      description: "The user's age",
+    },
+    password: {
+      type: "string",
+      format: "password",
+      minLength: 8,
+      maxLength: 128,
+      writeOnly: true,
+      required: ["create"],
+      message: "Password must be between 8 and 128 characters",
+      description:
+        "Stored hashed and never returned; changing it signs the user out everywhere",
+    },
+    role: {
+      type: "string",
+      enum: ROLES,
+      default: "customer",
+      filterable: true,
+      sortable: true,
+      message: `Role must be one of: ${ROLES.join(", ")}`,
+      description: "The user's role; only admins can set it",
+    },
+    ...recordFields("user"),
+  },
+};
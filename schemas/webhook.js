@@ -0,0 +1,46 @@
+const { WEBHOOK_EVENTS } = require("../services/webhooks");
+const { idField, recordFields } = require("./common");
+
+// Subscriptions are deleted outright rather than moved to the trash
+const { deletedAt, ...timestamps } = recordFields("webhook");
+
+module.exports = {
+  name: "Webhook",
+  properties: {
+    ...idField("webhook"),
+    url: {
+      type: "string",
+      format: "uri",
+      maxLength: 2000,
+      trim: true,
+      required: ["create", "replace"],
+      message: "URL must be an http or https URL",
+      description: "Where deliveries are POSTed",
+    },
+    events: {
+      type: "array",
+      items: { type: "string", enum: WEBHOOK_EVENTS },
+      minItems: 1,
+      required: ["create", "replace"],
+      message: `Events must be a non-empty list of: ${WEBHOOK_EVENTS.join(
+        ", "
+      )}`,
+      description: "The events delivered to the URL",
+    },
+    description: {
+      type: "string",
+      maxLength: 200,
+      trim: true,
+      message: "Description must not exceed 200 characters",
+      description: "What the subscription is for",
+    },
+    active: {
+      type: "boolean",
+      default: true,
+      message: "Active must be true or false",
+      description:
+        "Inactive subscriptions get no new deliveries and their pending ones wait",
+    },
+    ...timestamps,
+  },
+};
@@ -0,0 +1,89 @@
+const { WEBHOOK_EVENTS, DELIVERY_STATUSES } = require("../services/webhooks");
+const { idField } = require("./common");
+
+const webhookAttempt = {
+  name: "WebhookAttempt",
+  properties: {
+    at: {
+      type: "string",
+      format: "date-time",
+      description: "When the request was sent",
+    },
+    responseStatus: {
+      type: "integer",
+      description: "The receiver's status code (absent when none came back)",
+    },
+    error: {
+      type: "string",
+      description: "Why the attempt failed (absent when it succeeded)",
+    },
+    durationMs: {
+      type: "integer",
+      description: "How long the request took",
+    },
+  },
+};
+
+module.exports = {
+  name: "WebhookDelivery",
+  readOnly: true,
+  description: "One event sent to one webhook, with every attempt made",
+  properties: {
+    ...idField("delivery"),
+    webhookId: {
+      type: "string",
+      format: "uuid",
+      description: "The subscription the event was sent to",
+    },
+    eventId: {
+      type: "string",
+      format: "uuid",
+      description:
+        "The event's id, the same for every subscription that received it",
+    },
+    event: {
+      type: "string",
+      enum: WEBHOOK_EVENTS,
+      description: "The event type",
+    },
+    payload: {
+      type: "object",
+      description:
+        "The body that was POSTed: { id, type, createdAt, data, previousStatus? }",
+    },
+    status: {
+      type: "string",
+      enum: DELIVERY_STATUSES,
+      description:
+        "pending until an attempt succeeds (delivered) or every attempt has failed (dead)",
+    },
+    attempts: {
+      type: "array",
+      items: webhookAttempt,
+      description: "Every attempt so far, oldest first",
+    },
+    nextAttemptAt: {
+      type: "string",
+      format: "date-time",
+      nullable: true,
+      description: "When the next attempt is due (null once settled)",
+    },
+    redeliveryOf: {
+      type: "string",
+      format: "uuid",
+      description: "The delivery this one resends",
+    },
+    createdAt: {
+      type: "string",
+      format: "date-time",
+      description: "When the event was queued",
+      sortable: true,
+    },
+    updatedAt: {
+      type: "string",
+      format: "date-time",
+      description: "When the delivery last changed",
+      sortable: true,
+    },
+  },
+};
@@ -0,0 +1,47 @@
+/**
+ * Access control
+ * Customers act on their own records; staff manage the catalogue and every
+ * order; admins can do everything, including managing users and roles.
+ */
+
+const ROLES = ["customer", "staff", "admin"];
+
+// Records created before roles existed are treated as customers
+const DEFAULT_ROLE = "customer";
+
+const roleOf = (user) => user.role || DEFAULT_ROLE;
+
+const hasRole = (user, ...roles) => roles.includes(roleOf(user));
+
+const isStaff = (user) => hasRole(user, "staff", "admin");
+
+const isAdmin = (user) => hasRole(user, "admin");
+
+// Staff can see every user; customers only themselves
+const canViewUser = (user, userId) => isStaff(user) || user.id === userId;
+
+// Only admins edit other users' accounts
+const canEditUser = (user, userId) => isAdmin(user) || user.id === userId;
+
+// Staff handle every order; customers only their own
+const canAccessOrder = (user, order) =>
+  isStaff(user) || order.userId === user.id;
+
+// Customers may cancel their orders; fulfilment steps are left to staff
+const CUSTOMER_ORDER_STATUSES = ["cancelled"];
+
+const canSetOrderStatus = (user, status) =>
+  isStaff(user) || CUSTOMER_ORDER_STATUSES.includes(status);
+
+module.exports = {
+  ROLES,
+  DEFAULT_ROLE,
+  roleOf,
+  hasRole,
+  isStaff,
+  isAdmin,
+  canViewUser,
+  canEditUser,
+  canAccessOrder,
+  canSetOrderStatus,
+};
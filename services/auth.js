@@ -0,0 +1,175 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const { v4: uuidv4 } = require("uuid");
+const { UnauthorizedError } = require("./errors");
+
+const SCRYPT_KEY_LENGTH = 64;
+
+const invalidRefreshToken = () =>
+  new UnauthorizedError("Invalid refresh token", {
+    code: "invalid_refresh_token",
+  });
+
+/**
+ * Hash a password with scrypt and a random salt
+ * Stored as "scrypt$<salt hex>$<hash hex>"
+ */
+const hashPassword = (password) => {
+  const salt = crypto.randomBytes(16);
+  const hash = crypto.scryptSync(password, salt, SCRYPT_KEY_LENGTH);
+  return `scrypt$${salt.toString("hex")}$${hash.toString("hex")}`;
+};
+
+const verifyPassword = (password, passwordHash) => {
+  if (!passwordHash) return false;
+
+  const [scheme, saltHex, hashHex] = passwordHash.split("$");
+  if (scheme !== "scrypt" || !saltHex || !hashHex) return false;
+
+  const expected = Buffer.from(hashHex, "hex");
+  const actual = crypto.scryptSync(
+    password,
+    Buffer.from(saltHex, "hex"),
+    expected.length
+  );
+  return crypto.timingSafeEqual(actual, expected);
+};
+
+const signAccessToken = (user, authConfig) =>
+  jwt.sign({ type: "access" }, authConfig.jwtSecret, {
+    subject: user.id,
+    expiresIn: authConfig.accessTokenTtl,
+    issuer: authConfig.issuer,
+  });
+
+/**
+ * Verify an access token; throws JsonWebTokenError or TokenExpiredError
+ */
+const verifyAccessToken = (token, authConfig) => {
+  const payload = jwt.verify(token, authConfig.jwtSecret, {
+    issuer: authConfig.issuer,
+  });
+  if (payload.type !== "access") {
+    throw new jwt.JsonWebTokenError("invalid token type");
+  }
+  return payload;
+};
+
+const verifyRefreshToken = (token, authConfig, options = {}) => {
+  const payload = jwt.verify(token, authConfig.refreshSecret, {
+    issuer: authConfig.issuer,
+    ...options,
+  });
+  if (payload.type !== "refresh") {
+    throw new jwt.JsonWebTokenError("invalid token type");
+  }
+  return payload;
+};
+
+/**
+ * Issue an access token and a refresh token for a user
+ * The refresh token's jti is stored so it can be rotated and revoked. Tokens
+ * issued by rotation share a family, which is revoked as a whole on reuse.
+ */
+const issueTokens = (store, user, authConfig, family = uuidv4()) => {
+  const refreshTokenId = uuidv4();
+  const refreshToken = jwt.sign(
+    { type: "refresh", family },
+    authConfig.refreshSecret,
+    {
+      subject: user.id,
+      jwtid: refreshTokenId,
+      expiresIn: authConfig.refreshTokenTtl,
+      issuer: authConfig.issuer,
+    }
+  );
+  const accessToken = signAccessToken(user, authConfig);
+
+  store.refreshTokenOperations.create({
+    id: refreshTokenId,
+    userId: user.id,
+    family,
+    expiresAt: new Date(jwt.decode(refreshToken).exp * 1000).toISOString(),
+    revokedAt: null,
+    replacedBy: null,
+  });
+
+  return {
+    tokenType: "Bearer",
+    accessToken,
+    expiresIn: jwt.decode(accessToken).exp - Math.floor(Date.now() / 1000),
+    refreshToken,
+    refreshTokenId,
+  };
+};
+
+const revokeTokens = (store, tokens) => {
+  const revokedAt = new Date().toISOString();
+  for (const token of tokens) {
+    if (!token.revokedAt) {
+      store.refreshTokenOperations.update(token.id, { revokedAt });
+    }
+  }
+};
+
+const revokeFamily = (store, family) =>
+  revokeTokens(store, store.refreshTokenOperations.getByFamily(family));
+
+// Sign a user out everywhere (password change, account deletion)
+const revokeUserTokens = (store, userId) =>
+  revokeTokens(store, store.refreshTokenOperations.getByUserId(userId));
+
+/**
+ * Exchange a refresh token for a new token pair
+ * The presented token is revoked. Presenting an already revoked token means
+ * it was stolen or replayed, so its whole family is revoked.
+ */
+const rotateRefreshToken = (store, token, authConfig) => {
+  const payload = verifyRefreshToken(token, authConfig);
+  const record = store.refreshTokenOperations.getById(payload.jti);
+  if (!record) throw invalidRefreshToken();
+
+  if (record.revokedAt) {
+    revokeFamily(store, record.family);
+    throw new UnauthorizedError("Refresh token has been revoked", {
+      code: "refresh_token_revoked",
+    });
+  }
+
+  const user = store.userOperations.getById(record.userId);
+  if (!user) throw invalidRefreshToken();
+
+  return store.transaction(() => {
+    const tokens = issueTokens(store, user, authConfig, record.family);
+    store.refreshTokenOperations.update(record.id, {
+      revokedAt: new Date().toISOString(),
+      replacedBy: tokens.refreshTokenId,
+    });
+    return tokens;
+  });
+};
+
+/**
+ * Revoke the family of a refresh token (logout)
+ * Expired tokens are accepted so a client can always sign out.
+ */
+const revokeRefreshToken = (store, token, authConfig) => {
+  const payload = verifyRefreshToken(token, authConfig, {
+    ignoreExpiration: true,
+  });
+  const record = store.refreshTokenOperations.getById(payload.jti);
+  if (!record) throw invalidRefreshToken();
+
+  store.transaction(() => revokeFamily(store, record.family));
+};
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  signAccessToken,
+  verifyAccessToken,
+  issueTokens,
+  rotateRefreshToken,
+  revokeRefreshToken,
+  revokeUserTokens,
+};
@@ -0,0 +1,153 @@
+const http = require("http");
+const errorHandler = require("../middleware/errorHandler");
+const notFound = require("../middleware/notFound");
+const { FailedDependencyError } = require("./errors");
+
+/**
+ * Batch requests
+ * Runs the operations of POST /api/v1/batch one after another through the
+ * resource routers, as if the caller had sent each on its own: the same
+ * token, role checks, validation, ETags and Idempotency-Keys apply, and each
+ * gets the status, headers and body it would normally get. Nothing goes over
+ * the network; operation bodies are handed to the routes already parsed.
+ *
+ * In atomic mode the operations share one store transaction. The first one
+ * that fails (4xx or 5xx) rolls everything back, the rest are answered with
+ * 424 without running, and no change events go out for any of them.
+ */
+
+const BATCH_METHODS = ["GET", "POST", "PUT", "PATCH", "DELETE"];
+
+// Thrown inside the transaction to roll an atomic batch back
+const ROLLBACK = Symbol("rollback");
+
+const failed = (result) => result.status >= 400;
+
+const lowercaseKeys = (headers) =>
+  Object.fromEntries(
+    Object.entries(headers).map(([name, value]) => [
+      name.toLowerCase(),
+      String(value),
+    ])
+  );
+
+const parseBody = (contentType, text) => {
+  if (text === "") return null;
+  return /[/+]json\b/.test(contentType || "") ? JSON.parse(text) : text;
+};
+
+/**
+ * Run one operation through handle as a request of its own
+ * @param {Function} handle - Router or middleware, (req, res, next)
+ * @param {Object} parent - The batch request
+ * @param {Object} operation - { method, path, headers?, body? }
+ * @returns {Promise<Object>} { status, headers, body }
+ */
+const dispatch = (handle, parent, { method, path, headers = {}, body }) =>
+  new Promise((resolve) => {
+    const { app } = parent;
+    const search = path.includes("?") ? path.slice(path.indexOf("?") + 1) : "";
+
+    const req = Object.create(app.request);
+    Object.assign(req, {
+      method,
+      url: path,
+      originalUrl: path,
+      // The operation's own headers cannot change who is calling
+      headers: {
+        accept: parent.get("Accept"),
+        ...lowercaseKeys(headers),
+        authorization: parent.get("Authorization"),
+        host: parent.get("Host"),
+        "content-type": "application/json",
+      },
+      query: app.get("query parser fn")(search),
+      body: body === undefined ? {} : body,
+      socket: parent.socket,
+      connection: parent.socket,
+    });
+
+    const res = new http.ServerResponse(req);
+    Object.setPrototypeOf(res, app.response);
+    res.locals = {};
+    res.req = req;
+    req.res = res;
+
+    // Collect what the route sends instead of writing it to a socket
+    const chunks = [];
+    let ended = false;
+    res.write = (chunk, encoding) => {
+      if (chunk) chunks.push(Buffer.from(chunk, encoding));
+      return true;
+    };
+    res.end = (chunk, encoding) => {
+      if (ended) return res;
+      ended = true;
+      if (chunk && typeof chunk !== "function") res.write(chunk, encoding);
+      resolve({
+        status: res.statusCode,
+        headers: { ...res.getHeaders() },
+        body: parseBody(
+          res.get("Content-Type"),
+          Buffer.concat(chunks).toString("utf8")
+        ),
+      });
+      res.emit("finish");
+      res.emit("close");
+      return res;
+    };
+
+    const fail = (error) => errorHandler(error, req, res, () => {});
+    handle(req, res, (error) =>
+      error ? fail(error) : notFound(req, res, fail)
+    );
+  });
+
+/**
+ * Run the operations of a batch request in order
+ * @param {Function} router - Router the operations are dispatched to
+ * @param {Object} req - The batch request; operations run as its caller
+ * @param {Object} batch - { operations, atomic }
+ * @returns {Promise<Object>} { results, rolledBack }
+ */
+const runBatch = async (router, req, { operations, atomic = false }) => {
+  const results = [];
+
+  const runAll = async () => {
+    for (const operation of operations) {
+      const failedIndex = results.findIndex(failed);
+      const handle =
+        atomic && failedIndex !== -1
+          ? (subReq, subRes, next) =>
+              next(
+                new FailedDependencyError(
+                  `Not run because operation ${failedIndex} failed`,
+                  { code: "batch_aborted" }
+                )
+              )
+          : router;
+      results.push(await dispatch(handle, req, operation));
+    }
+  };
+
+  if (!atomic) {
+    await runAll();
+    return { results, rolledBack: false };
+  }
+
+  try {
+    await req.app.locals.store.transactionAsync(async () => {
+      await runAll();
+      if (results.some(failed)) throw ROLLBACK;
+    });
+    return { results, rolledBack: false };
+  } catch (error) {
+    if (error !== ROLLBACK) throw error;
+    return { results, rolledBack: true };
+  }
+};
+
+module.exports = {
+  BATCH_METHODS,
+  runBatch,
+};
@@ -0,0 +1,107 @@
+const { eventsFor } = require("./webhooks");
+
+/**
+ * Change feed
+ * The same lifecycle events webhooks receive (see services/webhooks.js),
+ * numbered in the order they happened and fanned out to live subscribers,
+ * such as the Server-Sent Events stream at GET /api/v1/events. The most
+ * recent events are kept in a bounded buffer so a subscriber that reconnects
+ * with the last id it saw misses nothing, as long as it has not fallen
+ * further behind than the buffer holds.
+ *
+ * Ids are "<stream>-<sequence>". The stream part changes on every restart,
+ * so an id from an earlier process is never mistaken for a current one.
+ */
+
+/**
+ * Build the feed for a store
+ * @param {Object} store - Application store
+ * @param {Object} feedConfig - config.changeFeed ({ bufferSize })
+ * @returns {Object} { since, subscribe, close, size }
+ */
+const createChangeFeed = (store, { bufferSize }) => {
+  const stream = Date.now().toString(36);
+  let sequence = 0;
+  const buffer = [];
+  const subscribers = new Set();
+
+  const publish = (event) => {
+    buffer.push(event);
+    if (buffer.length > bufferSize) buffer.shift();
+    subscribers.forEach((subscriber) => {
+      if (subscriber.filter(event)) subscriber.send(event);
+    });
+  };
+
+  store.events.on("change", (change) => {
+    eventsFor(change).forEach(({ type, data, previousStatus }) => {
+      sequence += 1;
+      publish({
+        id: `${stream}-${sequence}`,
+        type,
+        createdAt: new Date().toISOString(),
+        data,
+        ...(previousStatus !== undefined && { previousStatus }),
+      });
+    });
+  });
+
+  /**
+   * Buffered events after lastEventId
+   * @param {string} [lastEventId] - Last id the subscriber saw; none gives
+   *   no replay
+   * @returns {Object} { events, complete }; complete is false (and events
+   *   empty) when the id is unknown or older than the buffer, so events may
+   *   have been missed and the subscriber should reload what it shows
+   */
+  const since = (lastEventId) => {
+    if (lastEventId === undefined) return { events: [], complete: true };
+
+    const [idStream, idSequence] = String(lastEventId).split("-");
+    const seen = Number(idSequence);
+    const oldest =
+      buffer.length > 0 ? Number(buffer[0].id.split("-")[1]) : sequence + 1;
+    if (
+      idStream !== stream ||
+      !Number.isInteger(seen) ||
+      seen > sequence ||
+      seen < oldest - 1
+    ) {
+      return { events: [], complete: false };
+    }
+    return {
+      events: buffer.filter((event) => Number(event.id.split("-")[1]) > seen),
+      complete: true,
+    };
+  };
+
+  /**
+   * Receive new events as they happen
+   * @param {Object} subscriber
+   * @param {Function} subscriber.filter - event -> boolean
+   * @param {Function} subscriber.send - Called with each matching event
+   * @param {Function} [subscriber.end] - Called when the feed closes
+   * @returns {Function} Unsubscribes
+   */
+  const subscribe = (subscriber) => {
+    subscribers.add(subscriber);
+    return () => subscribers.delete(subscriber);
+  };
+
+  /**
+   * End every subscription, e.g. on shutdown so open streams do not keep
+   * the server from closing
+   */
+  const close = () => {
+    subscribers.forEach((subscriber) => {
+      subscribers.delete(subscriber);
+      if (subscriber.end) subscriber.end();
+    });
+  };
+
+  return { since, subscribe, close, size: () => subscribers.size };
+};
+
+module.exports = {
+  createChangeFeed,
+};
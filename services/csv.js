@@ -0,0 +1,131 @@
+/**
+ * CSV reading and writing
+ * RFC 4180: fields are separated by commas, a field with a comma, quote or
+ * line break is quoted and quotes inside it are doubled; records end with
+ * \r\n (\n alone is read too).
+ *
+ * Spreadsheets evaluate a cell that starts with =, +, -, @, a tab or a
+ * carriage return as a formula, so text like that is written with a ' in
+ * front. unguardFormula takes it off again when a file is read back.
+ */
+
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * One field: empty for null and undefined, JSON for arrays and objects
+ * @param {*} value
+ * @returns {string}
+ */
+const formatCell = (value) => {
+  if (value === undefined || value === null) return "";
+
+  let text = typeof value === "object" ? JSON.stringify(value) : String(value);
+  if (typeof value === "string" && FORMULA_START.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * One record, with its line ending
+ * @param {Array} values
+ * @returns {string}
+ */
+const formatRow = (values) => `${values.map(formatCell).join(",")}\r\n`;
+
+/**
+ * Undo the ' formatCell puts in front of formula-like text
+ * @param {string} text - A field as read
+ * @returns {string}
+ */
+const unguardFormula = (text) =>
+  text.startsWith("'") && FORMULA_START.test(text.slice(1))
+    ? text.slice(1)
+    : text;
+
+/**
+ * Incremental parser
+ * Takes text in chunks of any size, so a quoted field may span chunks, and
+ * hands back the records each chunk completes as arrays of strings.
+ * @returns {Object} { push(text) -> records, end() -> records }; end throws
+ *   when the text stops inside a quoted field
+ */
+const createCsvParser = () => {
+  let record = [];
+  let field = "";
+  let quoted = false; // the current field started with a quote
+  let inQuotes = false;
+  let quoteInQuotes = false; // a quote that may be the first of ""
+  let afterCarriageReturn = false;
+  let started = false;
+
+  const endField = () => {
+    record.push(field);
+    field = "";
+    quoted = false;
+  };
+
+  const endRecord = (records) => {
+    endField();
+    records.push(record);
+    record = [];
+  };
+
+  const push = (text) => {
+    const records = [];
+    // Excel starts UTF-8 files with a byte order mark
+    const input = !started && text.startsWith("\uFEFF") ? text.slice(1) : text;
+    if (text.length > 0) started = true;
+
+    for (const char of input) {
+      if (afterCarriageReturn) {
+        afterCarriageReturn = false;
+        if (char === "\n") continue;
+      }
+
+      if (inQuotes) {
+        if (quoteInQuotes) {
+          quoteInQuotes = false;
+          if (char === '"') {
+            field += '"';
+            continue;
+          }
+          inQuotes = false;
+        } else {
+          if (char === '"') quoteInQuotes = true;
+          else field += char;
+          continue;
+        }
+      }
+
+      if (char === '"' && field === "" && !quoted) {
+        quoted = true;
+        inQuotes = true;
+      } else if (char === ",") {
+        endField();
+      } else if (char === "\r" || char === "\n") {
+        endRecord(records);
+        afterCarriageReturn = char === "\r";
+      } else {
+        field += char;
+      }
+    }
+    return records;
+  };
+
+  const end = () => {
+    if (inQuotes && !quoteInQuotes) {
+      throw new Error("Quoted field is never closed");
+    }
+    const records = [];
+    if (field !== "" || quoted || record.length > 0) endRecord(records);
+    return records;
+  };
+
+  return { push, end };
+};
+
+module.exports = {
+  formatCell,
+  formatRow,
+  unguardFormula,
+  createCsvParser,
+};
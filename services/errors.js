@@ -0,0 +1,211 @@
+const http = require("http");
+
+/**
+ * API errors
+ * Routes and middleware throw (or pass to next) one of these classes and
+ * middleware/errorHandler.js renders it. Every error carries an HTTP status
+ * and a stable, machine-readable code in snake_case; the code names the
+ * problem type, so clients can branch on it instead of parsing messages.
+ * Each class has a generic default code that callers narrow down where a
+ * client could act on the difference (user_not_found, email_taken, ...).
+ *
+ * Anything else in the options object is sent as an extra member of the
+ * response, e.g. new ConflictError(message, { code, shortages }).
+ */
+
+class ApiError extends Error {
+  /**
+   * @param {number} status - HTTP status code
+   * @param {string} message - Human-readable explanation of this occurrence
+   * @param {Object} [options]
+   * @param {string} [options.code] - Stable error code
+   * @param {Error} [options.cause] - Underlying error, logged but never sent
+   */
+  constructor(status, message, { code, cause, ...extensions } = {}) {
+    super(message);
+    this.name = this.constructor.name;
+    this.status = status;
+    this.code = code;
+    this.cause = cause;
+    this.extensions = extensions;
+  }
+
+  // Same as status; errors carried statusCode before this hierarchy existed
+  get statusCode() {
+    return this.status;
+  }
+
+  get title() {
+    return http.STATUS_CODES[this.status] || "Error";
+  }
+
+  /**
+   * Extra members of the legacy { error, message, ... } body
+   */
+  legacyExtensions() {
+    return this.extensions;
+  }
+}
+
+class BadRequestError extends ApiError {
+  constructor(message = "Bad request", { code = "bad_request", ...rest } = {}) {
+    super(400, message, { code, ...rest });
+  }
+}
+
+// Fields whose submitted values are never sent back, wherever they are nested
+const SENSITIVE_FIELDS = ["password", "currentPassword", "refreshToken"];
+const isSensitive = (field) =>
+  SENSITIVE_FIELDS.includes(String(field).split(".").pop());
+
+/**
+ * Request validation failed; errors lists each offending field
+ * @param {Array} errors - [{ field, location, message, value }]
+ */
+class ValidationError extends ApiError {
+  constructor(
+    errors,
+    { message = "Validation failed", code = "validation_failed", ...rest } = {}
+  ) {
+    // Submitted values are left out, as they may be passwords
+    super(400, message, {
+      code,
+      ...rest,
+      errors: errors.map((error) => ({
+        field: error.field,
+        location: error.location,
+        message: error.message,
+      })),
+    });
+    this.fieldErrors = errors;
+  }
+
+  // The legacy shape has always echoed the submitted value, except for
+  // passwords and tokens
+  legacyExtensions() {
+    return {
+      ...this.extensions,
+      errors: this.fieldErrors.map(({ field, message, value }) =>
+        isSensitive(field) ? { field, message } : { field, message, value }
+      ),
+    };
+  }
+}
+
+class UnauthorizedError extends ApiError {
+  constructor(
+    message = "Authentication required",
+    { code = "unauthorized", ...rest } = {}
+  ) {
+    super(401, message, { code, ...rest });
+  }
+}
+
+class ForbiddenError extends ApiError {
+  constructor(
+    message = "You do not have permission to do this",
+    { code = "forbidden", ...rest } = {}
+  ) {
+    super(403, message, { code, ...rest });
+  }
+}
+
+class NotFoundError extends ApiError {
+  constructor(
+    message = "Resource not found",
+    { code = "not_found", ...rest } = {}
+  ) {
+    super(404, message, { code, ...rest });
+  }
+}
+
+class ConflictError extends ApiError {
+  constructor(message = "Conflict", { code = "conflict", ...rest } = {}) {
+    super(409, message, { code, ...rest });
+  }
+}
+
+class PreconditionFailedError extends ApiError {
+  constructor(
+    message = "Precondition failed",
+    { code = "precondition_failed", ...rest } = {}
+  ) {
+    super(412, message, { code, ...rest });
+  }
+}
+
+class UnsupportedMediaTypeError extends ApiError {
+  constructor(
+    message = "Unsupported media type",
+    { code = "unsupported_media_type", ...rest } = {}
+  ) {
+    super(415, message, { code, ...rest });
+  }
+}
+
+class UnprocessableEntityError extends ApiError {
+  constructor(
+    message = "Unprocessable entity",
+    { code = "unprocessable_entity", ...rest } = {}
+  ) {
+    super(422, message, { code, ...rest });
+  }
+}
+
+class FailedDependencyError extends ApiError {
+  constructor(
+    message = "Failed dependency",
+    { code = "failed_dependency", ...rest } = {}
+  ) {
+    super(424, message, { code, ...rest });
+  }
+}
+
+class TooManyRequestsError extends ApiError {
+  constructor(
+    message = "Too many requests, please try again later",
+    { code = "rate_limited", ...rest } = {}
+  ) {
+    super(429, message, { code, ...rest });
+  }
+}
+
+class InternalServerError extends ApiError {
+  constructor(
+    message = "Internal Server Error",
+    { code = "internal_error", ...rest } = {}
+  ) {
+    super(500, message, { code, ...rest });
+  }
+}
+
+/**
+ * Pass ApiErrors through and turn anything else into a 500
+ * For route catch blocks: the message describes what failed, the original
+ * error is kept as the cause for the log.
+ *
+ * @param {Error} error - Caught error
+ * @param {string} message - e.g. "Failed to update user"
+ * @returns {ApiError}
+ */
+const asApiError = (error, message) =>
+  error instanceof ApiError
+    ? error
+    : new InternalServerError(message, { cause: error });
+
+module.exports = {
+  ApiError,
+  BadRequestError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  PreconditionFailedError,
+  UnsupportedMediaTypeError,
+  UnprocessableEntityError,
+  FailedDependencyError,
+  TooManyRequestsError,
+  InternalServerError,
+  asApiError,
+};
@@ -0,0 +1,85 @@
+const { applyFilter } = require("./filters");
+
+/**
+ * Facet counts for list endpoints
+ * A facet counts how many records fall under each value of a field (terms) or
+ * within each band of a numeric field (range), so a client can show
+ * "Electronics (12)" next to its filters without one request per value.
+ *
+ * Each facet is counted with every filter applied except those on its own
+ * field: with filter[category]=books the category facet still shows how many
+ * products the other categories would have, while the price facet only counts
+ * books.
+ *
+ * Facet definitions:
+ * - { type: "terms", field, values? } - count per value; values fixes the
+ *   buckets and their order (zero counts included), otherwise every value
+ *   present is listed, most frequent first
+ * - { type: "range", field, boundaries } - ascending boundaries [25, 100]
+ *   give the bands <25, 25-100 and >=100; from is inclusive, to exclusive
+ */
+
+const isMissing = (value) => value === undefined || value === null;
+
+const countTerms = (records, { field, values }) => {
+  const counts = new Map((values || []).map((value) => [value, 0]));
+  records.forEach((record) => {
+    const value = record[field];
+    if (isMissing(value) || (values && !counts.has(value))) return;
+    counts.set(value, (counts.get(value) || 0) + 1);
+  });
+
+  const buckets = [...counts].map(([value, count]) => ({ value, count }));
+  return values ? buckets : buckets.sort((a, b) => b.count - a.count);
+};
+
+const countRanges = (records, { field, boundaries }) => {
+  const edges = [null, ...boundaries, null];
+  const buckets = edges.slice(0, -1).map((from, i) => ({
+    from,
+    to: edges[i + 1],
+    count: 0,
+  }));
+
+  records.forEach((record) => {
+    const value = record[field];
+    if (typeof value !== "number") return;
+    const bucket = buckets.find(
+      ({ from, to }) =>
+        (from === null || value >= from) && (to === null || value < to)
+    );
+    bucket.count += 1;
+  });
+  return buckets;
+};
+
+const COUNTERS = {
+  terms: countTerms,
+  range: countRanges,
+};
+
+/**
+ * Count the requested facets
+ * @param {Array} records - Records before filtering
+ * @param {Array} [conditions] - Filter conditions from parseFilter
+ * @param {Object} definitions - { facetName: definition }
+ * @param {Array<string>} names - Facets to count
+ * @returns {Object} { facetName: [{ value, count }] or [{ from, to, count }] }
+ */
+const computeFacets = (records, conditions = [], definitions, names) =>
+  Object.fromEntries(
+    names.map((name) => {
+      const definition = definitions[name];
+      const others = conditions.filter(
+        ({ field }) => field !== definition.field
+      );
+      return [
+        name,
+        COUNTERS[definition.type](applyFilter(records, others), definition),
+      ];
+    })
+  );
+
+module.exports = {
+  computeFacets,
+};
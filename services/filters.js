@@ -0,0 +1,197 @@
+/**
+ * Filter expressions for list endpoints
+ * A list accepts filter[field][operator]=value (filter[field]=value means eq),
+ * for example filter[price][gte]=10&filter[status][in]=pending,processing.
+ * Each resource declares the fields it can be filtered on and their types;
+ * values are checked and converted here so every router filters the same way.
+ *
+ * Field types: string, number, boolean and date (ISO 8601). A string field
+ * can list its allowed values in enum.
+ */
+
+const OPERATORS_BY_TYPE = {
+  string: ["eq", "ne", "in", "nin", "contains", "startsWith"],
+  number: ["eq", "ne", "gt", "gte", "lt", "lte", "in", "nin", "between"],
+  date: ["eq", "ne", "gt", "gte", "lt", "lte", "in", "nin", "between"],
+  boolean: ["eq", "ne"],
+};
+
+// Operators whose value is a comma-separated list
+const LIST_OPERATORS = ["in", "nin", "between"];
+
+const FILTER_OPERATORS = [
+  "eq",
+  "ne",
+  "gt",
+  "gte",
+  "lt",
+  "lte",
+  "in",
+  "nin",
+  "contains",
+  "startsWith",
+  "between",
+];
+
+const lower = (value) => String(value).toLowerCase();
+
+// (record value, filter value) -> boolean; both already converted
+const MATCHERS = {
+  eq: (actual, expected) => actual === expected,
+  ne: (actual, expected) => actual !== expected,
+  gt: (actual, expected) => actual > expected,
+  gte: (actual, expected) => actual >= expected,
+  lt: (actual, expected) => actual < expected,
+  lte: (actual, expected) => actual <= expected,
+  in: (actual, expected) => expected.includes(actual),
+  nin: (actual, expected) => !expected.includes(actual),
+  contains: (actual, expected) => lower(actual).includes(lower(expected)),
+  startsWith: (actual, expected) => lower(actual).startsWith(lower(expected)),
+  between: (actual, [low, high]) => actual >= low && actual <= high,
+};
+
+// Convert one query string value to the field's type
+const convert = (name, definition, raw) => {
+  switch (definition.type) {
+    case "number": {
+      const value = Number(raw);
+      if (raw === "" || !Number.isFinite(value)) {
+        throw new Error(`filter[${name}] must be a number`);
+      }
+      return value;
+    }
+    case "boolean":
+      if (raw !== "true" && raw !== "false") {
+        throw new Error(`filter[${name}] must be true or false`);
+      }
+      return raw === "true";
+    case "date": {
+      const value = Date.parse(raw);
+      if (Number.isNaN(value)) {
+        throw new Error(`filter[${name}] must be an ISO 8601 date`);
+      }
+      return value;
+    }
+    default:
+      if (definition.enum && !definition.enum.includes(raw)) {
+        throw new Error(
+          `filter[${name}] must be one of: ${definition.enum.join(", ")}`
+        );
+      }
+      return raw;
+  }
+};
+
+const convertOperand = (name, definition, operator, raw) => {
+  const values = [].concat(raw).map(String);
+
+  if (!LIST_OPERATORS.includes(operator)) {
+    if (values.length !== 1) {
+      throw new Error(`filter[${name}][${operator}] takes a single value`);
+    }
+    // contains and startsWith match part of a value, so skip the enum check
+    return ["contains", "startsWith"].includes(operator)
+      ? values[0]
+      : convert(name, definition, values[0]);
+  }
+
+  const items = values
+    .join(",")
+    .split(",")
+    .map((item) => item.trim())
+    .filter((item) => item !== "");
+  if (operator === "between" && items.length !== 2) {
+    throw new Error(`filter[${name}][between] takes two values: low,high`);
+  }
+  if (items.length === 0) {
+    throw new Error(`filter[${name}][${operator}] needs at least one value`);
+  }
+  return items.map((item) => convert(name, definition, item));
+};
+
+/**
+ * Check and convert a filter expression
+ * @param {Object} [expression] - Parsed filter query, e.g. { price: { gte: "10" } }
+ * @param {Object} fields - Filterable fields: { name: { type, enum? } }
+ * @returns {Array} Conditions: [{ field, operator, value, type }]
+ * @throws {Error} With a message for the client when the filter is invalid
+ */
+const parseFilter = (expression, fields) => {
+  if (expression === undefined) return [];
+  if (typeof expression !== "object" || Array.isArray(expression)) {
+    throw new Error("Use filter[field][operator]=value");
+  }
+
+  const conditions = [];
+  Object.entries(expression).forEach(([name, operations]) => {
+    const definition = fields[name];
+    if (!definition) {
+      throw new Error(
+        `Cannot filter by ${name}; use ${Object.keys(fields).join(", ")}`
+      );
+    }
+
+    const byOperator =
+      typeof operations === "object" && !Array.isArray(operations)
+        ? operations
+        : { eq: operations };
+
+    Object.entries(byOperator).forEach(([operator, raw]) => {
+      if (!FILTER_OPERATORS.includes(operator)) {
+        throw new Error(
+          `Unknown operator ${operator}; use ${FILTER_OPERATORS.join(", ")}`
+        );
+      }
+      const allowed = OPERATORS_BY_TYPE[definition.type];
+      if (!allowed.includes(operator)) {
+        throw new Error(
+          `Operator ${operator} is not supported for ${name}; use ${allowed.join(
+            ", "
+          )}`
+        );
+      }
+      if (typeof raw === "object" && !Array.isArray(raw)) {
+        throw new Error(`filter[${name}][${operator}] must be a value`);
+      }
+      conditions.push({
+        field: name,
+        operator,
+        value: convertOperand(name, definition, operator, raw),
+        type: definition.type,
+      });
+    });
+  });
+
+  return conditions;
+};
+
+const matches = (record, { field, operator, value, type }) => {
+  const actual =
+    type === "date" && record[field]
+      ? Date.parse(record[field])
+      : record[field];
+
+  // A missing value only satisfies the negative operators
+  if (actual === undefined || actual === null) {
+    return operator === "ne" || operator === "nin";
+  }
+  return MATCHERS[operator](actual, value);
+};
+
+/**
+ * Keep the records that satisfy every condition
+ * @param {Array} records
+ * @param {Array} [conditions] - From parseFilter
+ */
+const applyFilter = (records, conditions) =>
+  !conditions || conditions.length === 0
+    ? records
+    : records.filter((record) =>
+        conditions.every((condition) => matches(record, condition))
+      );
+
+module.exports = {
+  FILTER_OPERATORS,
+  parseFilter,
+  applyFilter,
+};
@@ -0,0 +1,186 @@
+const { formatRow } = require("./csv");
+
+/**
+ * Response formats
+ * Besides JSON, lists and single records can be sent as:
+ * - csv:    a header row, then a row per record. Nested fields are flattened
+ *           into columns named by their path, the way validation errors name
+ *           fields: address.city, products[0].productId. The columns are every
+ *           path any record has, in the order they first appear, so the
+ *           columns of products[1] come straight after those of products[0].
+ * - ndjson: one JSON record per line
+ * - xml:    <orders><order>...</order></orders>, an element per field; the
+ *           items of an array are named by its singular (products/product)
+ *           and null fields are empty elements
+ * Lists are written a record at a time as the client reads them.
+ */
+
+// Content types, by ?format=
+const FORMATS = {
+  json: "application/json",
+  csv: "text/csv",
+  ndjson: "application/x-ndjson",
+  xml: "application/xml",
+};
+
+/**
+ * Write a line per item, waiting whenever the client falls behind, then end
+ * the response
+ * @param {Object} res
+ * @param {Array} items
+ * @param {Function} toLine - item -> text, with its line ending
+ * @param {string} [last] - Written after the last line
+ */
+const writeLines = async (res, items, toLine, last = "") => {
+  for (const item of items) {
+    if (res.destroyed) return;
+    if (!res.write(toLine(item))) {
+      await new Promise((resolve) => {
+        const resume = () => {
+          res.off("drain", resume);
+          res.off("close", resume);
+          resolve();
+        };
+        res.on("drain", resume);
+        res.on("close", resume);
+      });
+    }
+  }
+  res.end(last);
+};
+
+const isObject = (value) => Boolean(value) && typeof value === "object";
+
+// { "products[0].productId": ..., ... } for a record
+const flatten = (value, path = "", row = {}) => {
+  if (Array.isArray(value)) {
+    value.forEach((item, i) => flatten(item, `${path}[${i}]`, row));
+  } else if (isObject(value)) {
+    Object.entries(value).forEach(([key, item]) =>
+      flatten(item, path ? `${path}.${key}` : key, row)
+    );
+  } else {
+    row[path] = value;
+  }
+  return row;
+};
+
+// Add the paths of a row that columns lacks, each after the path before it
+const mergeColumns = (columns, paths) => {
+  let position = 0;
+  for (const path of paths) {
+    const index = columns.indexOf(path);
+    if (index === -1) {
+      columns.splice(position, 0, path);
+      position += 1;
+    } else {
+      position = index + 1;
+    }
+  }
+};
+
+const XML_ESCAPES = {
+  "&": "&amp;",
+  "<": "&lt;",
+  ">": "&gt;",
+  '"': "&quot;",
+  "'": "&apos;",
+};
+
+// Control characters other than tab and line breaks are not allowed in XML
+const escapeXml = (text) =>
+  String(text)
+    .replace(/[\x00-\x08\x0B\x0C\x0E-\x1F]/g, "")
+    .replace(/[&<>"']/g, (char) => XML_ESCAPES[char]);
+
+const elementName = (name) => {
+  const safe = String(name).replace(/[^\w.-]/g, "_");
+  return /^[A-Za-z_]/.test(safe) ? safe : `_${safe}`;
+};
+
+// products -> product, deliveries -> delivery; item when there is no plural
+const singular = (name) => {
+  if (name.endsWith("ies")) return `${name.slice(0, -3)}y`;
+  return name.endsWith("s") ? name.slice(0, -1) : "item";
+};
+
+const toXml = (name, value) => {
+  const tag = elementName(name);
+  if (value === null || value === undefined) return `<${tag}/>`;
+
+  let content;
+  if (Array.isArray(value)) {
+    content = value.map((item) => toXml(singular(name), item)).join("");
+  } else if (isObject(value)) {
+    content = Object.entries(value)
+      .map(([key, item]) => toXml(key, item))
+      .join("");
+  } else {
+    content = escapeXml(value);
+  }
+  return `<${tag}>${content}</${tag}>`;
+};
+
+const XML_DECLARATION = '<?xml version="1.0" encoding="UTF-8"?>\n';
+
+// How each format writes records: { items, first, toLine, last }
+const writers = {
+  csv: (records) => {
+    const rows = records.map((record) => flatten(record));
+    const columns = [];
+    rows.forEach((row) => mergeColumns(columns, Object.keys(row)));
+    return {
+      items: rows,
+      first: formatRow(columns),
+      toLine: (row) => formatRow(columns.map((column) => row[column])),
+    };
+  },
+  ndjson: (records) => ({
+    items: records,
+    toLine: (record) => `${JSON.stringify(record)}\n`,
+  }),
+  xml: (records, name, isList) => {
+    const root = elementName(name);
+    return {
+      items: records,
+      first: isList ? `${XML_DECLARATION}<${root}>\n` : XML_DECLARATION,
+      toLine: (record) => `${toXml(singular(name), record)}\n`,
+      last: isList ? `</${root}>\n` : "",
+    };
+  },
+};
+
+/**
+ * Send a list or a single record in a format other than JSON
+ * A single record goes out with res.send, which answers a matching
+ * If-None-Match with 304; a list is streamed.
+ *
+ * @param {Object} res - Response, with its status set
+ * @param {string} format - csv, ndjson or xml
+ * @param {Array|Object} data - Records, or one record
+ * @param {string} name - Plural name of the records, e.g. orders
+ * @returns {Promise}
+ */
+const sendFormatted = async (res, format, data, name) => {
+  const isList = Array.isArray(data);
+  const {
+    items,
+    first = "",
+    toLine,
+    last = "",
+  } = writers[format](isList ? data : [data], name, isList);
+
+  res.set("Content-Type", `${FORMATS[format]}; charset=utf-8`);
+  if (!isList) {
+    res.send(first + items.map(toLine).join("") + last);
+    return;
+  }
+  res.write(first);
+  await writeLines(res, items, toLine, last);
+};
+
+module.exports = {
+  FORMATS,
+  writeLines,
+  sendFormatted,
+};
@@ -0,0 +1,82 @@
+const { isUnfulfilled, releaseStock } = require("./inventory");
+
+/**
+ * Referential integrity
+ * Orders reference users (userId) and products (order line productId). When a
+ * referenced record is deleted, the configured policy decides what happens to
+ * those orders:
+ *
+ * - restrict:  refuse the delete and report the orders in the way
+ * - cascade:   delete the orders too (returning stock for unfulfilled ones)
+ * - anonymize: keep the orders but clear the reference; order lines keep a
+ *              snapshot of the product name and price, so they stay readable
+ *
+ * Call these inside store.transaction() together with the delete.
+ */
+
+const DELETE_POLICIES = ["restrict", "cascade", "anonymize"];
+
+const ordersForUser = (store, userId) =>
+  store.orderOperations.getByUserId(userId);
+
+const ordersForProduct = (store, productId) =>
+  store.orderOperations
+    .getAll()
+    .filter((order) =>
+      order.products.some((line) => line.productId === productId)
+    );
+
+const deleteOrder = (store, order) => {
+  if (isUnfulfilled(order.status)) {
+    releaseStock(store.productOperations, order.products);
+  }
+  store.orderOperations.delete(order.id);
+};
+
+/**
+ * Apply a delete policy to the orders referencing a record
+ * @param {Object} store - Application store
+ * @param {string} policy - restrict | cascade | anonymize
+ * @param {Array} orders - Orders that reference the record
+ * @param {Function} detach - Changes that remove the reference from an order
+ * @returns {Array} Orders blocking the delete (restrict only), otherwise []
+ */
+const resolveReferences = (store, policy, orders, detach) => {
+  if (!DELETE_POLICIES.includes(policy)) {
+    throw new Error(`Unknown delete policy "${policy}"`);
+  }
+  if (orders.length === 0) return [];
+  if (policy === "restrict") return orders;
+
+  orders.forEach((order) => {
+    if (policy === "cascade") {
+      deleteOrder(store, order);
+    } else {
+      store.orderOperations.update(order.id, detach(order));
+    }
+  });
+  return [];
+};
+
+const prepareUserDelete = (store, userId, policy) =>
+  resolveReferences(store, policy, ordersForUser(store, userId), () => ({
+    userId: null,
+  }));
+
+const prepareProductDelete = (store, productId, policy) =>
+  resolveReferences(
+    store,
+    policy,
+    ordersForProduct(store, productId),
+    (order) => ({
+      products: order.products.map((line) =>
+        line.productId === productId ? { ...line, productId: null } : line
+      ),
+    })
+  );
+
+module.exports = {
+  DELETE_POLICIES,
+  prepareUserDelete,
+  prepareProductDelete,
+};
@@ -0,0 +1,93 @@
+/**
+ * Inventory
+ * Orders reserve stock while they are open; cancelling releases it.
+ * Call these inside store.transaction() together with the order write so the
+ * stock change and the order change commit or roll back together.
+ */
+
+// Orders in these statuses no longer hold a reservation
+const RELEASED_STATUSES = ["cancelled"];
+
+// Orders whose stock has not left the warehouse yet
+const UNFULFILLED_STATUSES = ["pending", "processing"];
+
+const holdsStock = (status) => !RELEASED_STATUSES.includes(status);
+
+const isUnfulfilled = (status) => UNFULFILLED_STATUSES.includes(status);
+
+const sumQuantities = (lines) => {
+  const totals = new Map();
+  for (const line of lines) {
+    totals.set(
+      line.productId,
+      (totals.get(line.productId) || 0) + line.quantity
+    );
+  }
+  return totals;
+};
+
+/**
+ * Move an order's reservation from one set of lines to another
+ * Pass [] as fromLines to reserve for a new order, or [] as toLines to release.
+ * Nothing is written when any product is short.
+ *
+ * @param {Object} productOperations - Store product operations
+ * @param {Array} fromLines - Lines currently reserved ({ productId, quantity })
+ * @param {Array} toLines - Lines that should be reserved afterwards
+ * @returns {Array} Shortages: { productId, name, requested, available }
+ */
+const adjustStock = (productOperations, fromLines, toLines) => {
+  const reserved = sumQuantities(fromLines);
+  const requested = sumQuantities(toLines);
+  const productIds = new Set([...reserved.keys(), ...requested.keys()]);
+
+  const changes = [];
+  const shortages = [];
+
+  for (const productId of productIds) {
+    // Trashed products keep their stock so a restore finds it intact
+    const product = productOperations.getById(productId, {
+      includeDeleted: true,
+    });
+    const stock = product ? product.stockQuantity || 0 : 0;
+    const wanted = requested.get(productId) || 0;
+    const available = stock + (reserved.get(productId) || 0);
+
+    if (wanted > available) {
+      shortages.push({
+        productId,
+        name: product ? product.name : null,
+        requested: wanted,
+        available,
+      });
+    } else if (product && wanted !== available - stock) {
+      changes.push({ productId, stockQuantity: available - wanted });
+    }
+  }
+
+  if (shortages.length > 0) return shortages;
+
+  for (const change of changes) {
+    productOperations.update(
+      change.productId,
+      { stockQuantity: change.stockQuantity },
+      { includeDeleted: true }
+    );
+  }
+
+  return [];
+};
+
+const reserveStock = (productOperations, lines) =>
+  adjustStock(productOperations, [], lines);
+
+const releaseStock = (productOperations, lines) =>
+  adjustStock(productOperations, lines, []);
+
+module.exports = {
+  holdsStock,
+  isUnfulfilled,
+  adjustStock,
+  reserveStock,
+  releaseStock,
+};
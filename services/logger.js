@@ -0,0 +1,23 @@
+/**
+ * Error logging
+ * Failures the API cannot report to a client (request errors after the
+ * response has started, background jobs such as webhook delivery) are
+ * logged here in the same shape as the error handler's.
+ */
+
+/**
+ * Log an error with the context it happened in
+ * @param {string} label - What failed, e.g. "Webhook delivery failed"
+ * @param {Error} error
+ * @param {Object} [context] - Extra fields, e.g. { url, method } or { deliveryId }
+ */
+const logError = (label, error, context = {}) => {
+  console.error(`${label}:`, {
+    message: error.message,
+    stack: error.stack,
+    ...context,
+    timestamp: new Date().toISOString(),
+  });
+};
+
+module.exports = { logError };
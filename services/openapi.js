@@ -0,0 +1,312 @@
+/**
+ * Checks against the OpenAPI document
+ * Finds the documented operation for a request, validates a response body
+ * against its schema and tracks which documented responses were exercised.
+ * Only the parts of OpenAPI 3.0 this API's document uses are understood:
+ * $ref, allOf, type, nullable, enum, format (date-time, uuid, email, uri),
+ * length and range limits, items, required, properties, additionalProperties
+ * and writeOnly.
+ */
+
+const HTTP_METHODS = ["get", "post", "put", "patch", "delete"];
+
+const FORMATS = {
+  "date-time": (value) =>
+    /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/.test(
+      value
+    ) && !Number.isNaN(Date.parse(value)),
+  uuid: (value) =>
+    /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(
+      value
+    ),
+  email: (value) => /^[^\s@]+@[^\s@]+$/.test(value),
+  uri: (value) => {
+    try {
+      return Boolean(new URL(value));
+    } catch (error) {
+      return false;
+    }
+  },
+};
+
+// "#/components/schemas/User" -> spec.components.schemas.User
+const resolve = (spec, object) => {
+  let resolved = object;
+  while (resolved && resolved.$ref) {
+    resolved = resolved.$ref
+      .replace(/^#\//, "")
+      .split("/")
+      .reduce((node, key) => node && node[key], spec);
+    if (!resolved) throw new Error(`Unresolvable $ref ${object.$ref}`);
+  }
+  return resolved;
+};
+
+const typeOf = (value) => {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+};
+
+const matchesType = (type, value) => {
+  const actual = typeOf(value);
+  return type === "number"
+    ? actual === "number" || actual === "integer"
+    : actual === type;
+};
+
+/**
+ * Validate a value against a schema
+ * @param {Object} spec - OpenAPI document, for $ref
+ * @param {Object} schema - Schema or reference
+ * @param {*} value - Value to check
+ * @param {string} [path] - Where the value is, for messages
+ * @returns {Array} [{ path, message }], empty when the value matches
+ */
+const validateSchema = (spec, schema, value, path = "body") => {
+  const definition = resolve(spec, schema);
+  if (!definition) return [];
+
+  if (definition.allOf) {
+    return definition.allOf.flatMap((part) =>
+      validateSchema(spec, part, value, path)
+    );
+  }
+
+  if (value === null) {
+    return definition.nullable || !definition.type
+      ? []
+      : [{ path, message: "must not be null" }];
+  }
+
+  const type =
+    definition.type || (definition.properties ? "object" : undefined);
+  if (type && !matchesType(type, value)) {
+    return [{ path, message: `must be ${type}, got ${typeOf(value)}` }];
+  }
+
+  const violations = [];
+  const fail = (message) => violations.push({ path, message });
+
+  if (definition.enum && !definition.enum.includes(value)) {
+    fail(`must be one of ${definition.enum.join(", ")}`);
+  }
+
+  if (typeof value === "string") {
+    const check = FORMATS[definition.format];
+    if (check && !check(value)) fail(`must be a ${definition.format}`);
+    if (
+      definition.minLength !== undefined &&
+      value.length < definition.minLength
+    ) {
+      fail(`must be at least ${definition.minLength} characters`);
+    }
+    if (
+      definition.maxLength !== undefined &&
+      value.length > definition.maxLength
+    ) {
+      fail(`must be at most ${definition.maxLength} characters`);
+    }
+  }
+
+  if (typeof value === "number") {
+    if (definition.minimum !== undefined && value < definition.minimum) {
+      fail(`must be at least ${definition.minimum}`);
+    }
+    if (definition.maximum !== undefined && value > definition.maximum) {
+      fail(`must be at most ${definition.maximum}`);
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (
+      definition.minItems !== undefined &&
+      value.length < definition.minItems
+    ) {
+      fail(`must have at least ${definition.minItems} items`);
+    }
+    if (definition.items) {
+      value.forEach((item, i) =>
+        violations.push(
+          ...validateSchema(spec, definition.items, item, `${path}[${i}]`)
+        )
+      );
+    }
+  }
+
+  if (type === "object") {
+    const properties = definition.properties || {};
+
+    (definition.required || []).forEach((field) => {
+      const property = resolve(spec, properties[field]);
+      if (value[field] === undefined && !(property && property.writeOnly)) {
+        violations.push({ path: `${path}.${field}`, message: "is required" });
+      }
+    });
+
+    Object.entries(value).forEach(([field, fieldValue]) => {
+      const fieldPath = `${path}.${field}`;
+      const property = properties[field];
+      if (property) {
+        if (resolve(spec, property).writeOnly) {
+          violations.push({ path: fieldPath, message: "is write-only" });
+        } else {
+          violations.push(
+            ...validateSchema(spec, property, fieldValue, fieldPath)
+          );
+        }
+      } else if (definition.additionalProperties === false) {
+        violations.push({ path: fieldPath, message: "is not documented" });
+      } else if (typeof definition.additionalProperties === "object") {
+        violations.push(
+          ...validateSchema(
+            spec,
+            definition.additionalProperties,
+            fieldValue,
+            fieldPath
+          )
+        );
+      }
+    });
+  }
+
+  return violations;
+};
+
+/**
+ * Look up documented operations by request method and path
+ * Templates without parameters win, so /users/trash is not taken for
+ * /users/{id}.
+ *
+ * @param {Object} spec - OpenAPI document
+ * @returns {Function} (method, path) -> { method, path, operation } or null
+ */
+const createOperationMatcher = (spec) => {
+  const routes = Object.entries(spec.paths || {})
+    .map(([template, item]) => ({
+      template,
+      item,
+      params: (template.match(/\{[^}]+\}/g) || []).length,
+      pattern: new RegExp(
+        `^${template
+          .split(/\{[^}]+\}/)
+          .map((part) => part.replace(/[.*+?^$()|[\]\\]/g, "\\$&"))
+          .join("[^/]+")}/?$`
+      ),
+    }))
+    .sort((a, b) => a.params - b.params);
+
+  return (method, path) => {
+    const verb = method.toLowerCase();
+    const route = routes.find(
+      ({ item, pattern }) => item[verb] && pattern.test(path)
+    );
+    return route
+      ? { method: verb, path: route.template, operation: route.item[verb] }
+      : null;
+  };
+};
+
+/**
+ * The documented response for a status: exact code, then 4XX-style ranges,
+ * then default
+ */
+const documentedResponse = (spec, operation, status) => {
+  const { responses = {} } = operation;
+  const response =
+    responses[status] ||
+    responses[`${String(status)[0]}XX`] ||
+    responses.default;
+  return response ? resolve(spec, response) : null;
+};
+
+/**
+ * Validate a JSON response against its operation
+ * @param {Object} spec - OpenAPI document
+ * @param {Object} match - From createOperationMatcher
+ * @param {Object} response - { status, contentType, body }
+ * @returns {Array} [{ path, message }]
+ */
+const validateResponse = (spec, match, { status, contentType, body }) => {
+  const response = documentedResponse(spec, match.operation, status);
+  if (!response) {
+    return [{ path: "status", message: `${status} is not documented` }];
+  }
+
+  const content = response.content || {};
+  const media = content[contentType];
+  if (!media) {
+    return [
+      {
+        path: "content-type",
+        message: `${contentType} is not documented for ${status}`,
+      },
+    ];
+  }
+  return media.schema ? validateSchema(spec, media.schema, body) : [];
+};
+
+/**
+ * Record of the documented operations and responses a test run exercised
+ *
+ * @param {Object} spec - OpenAPI document
+ * @returns {Object} { record(match, status), report() }
+ */
+const createResponseCoverage = (spec) => {
+  const seen = new Map();
+
+  const record = (match, status) => {
+    const key = `${match.method.toUpperCase()} ${match.path}`;
+    if (!seen.has(key)) seen.set(key, new Set());
+    seen.get(key).add(String(status));
+  };
+
+  /**
+   * @returns {Object} { operations: [{ operation, exercised, responses:
+   *   { status: true|false }, undocumented: [status] }], summary }
+   */
+  const report = () => {
+    const operations = Object.entries(spec.paths || {}).flatMap(
+      ([path, item]) =>
+        HTTP_METHODS.filter((method) => item[method]).map((method) => {
+          const key = `${method.toUpperCase()} ${path}`;
+          const exercised = seen.get(key) || new Set();
+          const documented = Object.keys(item[method].responses || {});
+          return {
+            operation: key,
+            exercised: exercised.size > 0,
+            responses: Object.fromEntries(
+              documented.map((status) => [status, exercised.has(status)])
+            ),
+            undocumented: [...exercised].filter(
+              (status) => !documented.includes(status)
+            ),
+          };
+        })
+    );
+
+    const responses = operations.flatMap((operation) =>
+      Object.values(operation.responses)
+    );
+    return {
+      operations,
+      summary: {
+        operations: operations.length,
+        operationsExercised: operations.filter(({ exercised }) => exercised)
+          .length,
+        responses: responses.length,
+        responsesExercised: responses.filter(Boolean).length,
+      },
+    };
+  };
+
+  return { record, report };
+};
+
+module.exports = {
+  validateSchema,
+  createOperationMatcher,
+  validateResponse,
+  createResponseCoverage,
+};
@@ -0,0 +1,76 @@
+/**
+ * Order lifecycle
+ * pending -> processing -> shipped -> delivered, with cancellation allowed
+ * until the order ships. delivered and cancelled are terminal.
+ */
+const ORDER_STATUSES = [
+  "pending",
+  "processing",
+  "shipped",
+  "delivered",
+  "cancelled",
+];
+
+const TRANSITIONS = {
+  pending: ["processing", "cancelled"],
+  processing: ["shipped", "cancelled"],
+  shipped: ["delivered"],
+  delivered: [],
+  cancelled: [],
+};
+
+// Timestamp recorded on the order when it enters each status
+const TIMESTAMP_FIELDS = {
+  processing: "processedAt",
+  shipped: "shippedAt",
+  delivered: "deliveredAt",
+  cancelled: "cancelledAt",
+};
+
+const getAllowedTransitions = (status) => TRANSITIONS[status] || [];
+
+/**
+ * Initial lifecycle fields for a new order
+ */
+const initialStatus = (at = new Date().toISOString()) => ({
+  status: "pending",
+  statusHistory: [{ status: "pending", from: null, at }],
+});
+
+/**
+ * Work out the fields to store when an order moves to nextStatus
+ * Returns { allowed: false, allowedTransitions } for an illegal move.
+ * Re-applying the current status is a no-op and yields no changes.
+ */
+const planTransition = (order, nextStatus, at = new Date().toISOString()) => {
+  const allowedTransitions = getAllowedTransitions(order.status);
+
+  if (nextStatus === order.status) {
+    return { allowed: true, changes: {} };
+  }
+
+  if (!allowedTransitions.includes(nextStatus)) {
+    return { allowed: false, allowedTransitions };
+  }
+
+  return {
+    allowed: true,
+    changes: {
+      status: nextStatus,
+      [TIMESTAMP_FIELDS[nextStatus]]: at,
+      statusHistory: [
+        ...(order.statusHistory || []),
+        { status: nextStatus, from: order.status, at },
+      ],
+    },
+  };
+};
+
+module.exports = {
+  ORDER_STATUSES,
+  TRANSITIONS,
+  TIMESTAMP_FIELDS,
+  getAllowedTransitions,
+  initialStatus,
+  planTransition,
+};
@@ -0,0 +1,88 @@
+const { BadRequestError, NotFoundError } = require("./errors");
+
+/**
+ * Order pricing
+ * Prices are always taken from the catalogue (or from the price locked on an
+ * existing order line), never from the client. Each line also snapshots the
+ * product name, so orders stay readable after the catalogue changes.
+ */
+
+// Round to whole cents so totals compare reliably
+const roundCurrency = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Price a list of order lines
+ *
+ * @param {Array} items - Requested lines: { productId, quantity, price? }
+ * @param {Object} options
+ * @param {Function} options.getProduct - Looks a product up by ID
+ * @param {Array} [options.lockedLines] - Lines of the existing order; a product
+ *   already on the order keeps the unit price and name it was ordered at
+ * @param {number} [options.expectedTotal] - Client-supplied total to verify
+ * @returns {Object} { lines, totalAmount } or { error } with an ApiError
+ */
+const priceOrder = (
+  items,
+  { getProduct, lockedLines = [], expectedTotal } = {}
+) => {
+  const locked = new Map(lockedLines.map((line) => [line.productId, line]));
+
+  const lines = [];
+  let totalAmount = 0;
+
+  for (const item of items) {
+    const product = getProduct(item.productId);
+    if (!product) {
+      return {
+        error: new NotFoundError(
+          `Product with ID ${item.productId} not found`,
+          { code: "product_not_found" }
+        ),
+      };
+    }
+
+    const lockedLine = locked.get(item.productId);
+    const unitPrice = lockedLine ? lockedLine.price : product.price;
+
+    if (
+      item.price !== undefined &&
+      roundCurrency(item.price) !== roundCurrency(unitPrice)
+    ) {
+      return {
+        error: new BadRequestError(
+          `Price for product ${item.productId} must be ${unitPrice}`,
+          { code: "price_mismatch" }
+        ),
+      };
+    }
+
+    totalAmount += unitPrice * item.quantity;
+    lines.push({
+      productId: item.productId,
+      name: (lockedLine && lockedLine.name) || product.name,
+      quantity: item.quantity,
+      price: unitPrice,
+    });
+  }
+
+  totalAmount = roundCurrency(totalAmount);
+
+  if (
+    expectedTotal !== undefined &&
+    roundCurrency(expectedTotal) !== totalAmount
+  ) {
+    return {
+      error: new BadRequestError(
+        `Total amount ${expectedTotal} does not match the computed total ${totalAmount}`,
+        { code: "total_mismatch" }
+      ),
+    };
+  }
+
+  return { lines, totalAmount };
+};
+
+module.exports = {
+  priceOrder,
+  roundCurrency,
+};
@@ -0,0 +1,273 @@
+const { validationResult } = require("express-validator");
+const productSchema = require("../schemas/product");
+const { bodyValidators, pickWritable } = require("./schema");
+const { assertVersion } = require("../data/store");
+const { ApiError, BadRequestError } = require("./errors");
+const { createCsvParser, unguardFormula } = require("./csv");
+
+/**
+ * Product import
+ * Creates and updates products from CSV (a header row of field names, then
+ * one product per row), NDJSON (one JSON object per line) or a JSON array,
+ * reading the request as it arrives. A row with an id updates that product
+ * and a row whose sku belongs to a product updates that one; any other row
+ * creates a product. Rows are checked by the validators of POST (new
+ * products) and PATCH (existing ones), so an empty CSV cell leaves a field
+ * as it is, and a row with a version is only applied to that version.
+ *
+ * A row that fails is skipped and reported with its field errors; the other
+ * rows are still imported. A dry run checks every row and writes nothing.
+ */
+
+// Request content types, by format
+const IMPORT_FORMATS = {
+  csv: "text/csv",
+  ndjson: "application/x-ndjson",
+  json: "application/json",
+};
+
+// Every field a product is returned with, so an exported file can be edited
+// and imported again; read-only columns (inStock, createdAt, ...) are ignored
+const COLUMNS = Object.keys(productSchema.properties);
+
+const VALIDATORS = {
+  create: bodyValidators(productSchema, "create"),
+  update: bodyValidators(productSchema, "update"),
+};
+
+const isObject = (value) =>
+  Boolean(value) && typeof value === "object" && !Array.isArray(value);
+
+// Run a variant's validators against a row, as the routes run them against a
+// request body; sanitizers convert the values in place
+const validateRow = async (operation, data) => {
+  const row = { body: data };
+  for (const chain of VALIDATORS[operation]) {
+    await chain.run(row);
+  }
+  return validationResult(row)
+    .array()
+    .map(({ path, msg }) => ({ field: path, message: msg }));
+};
+
+// CSV: the header names the columns; empty cells are left out
+const readCsv = async (stream, onRow) => {
+  const parser = createCsvParser();
+  let columns = null;
+  let invalidColumns = null;
+  let row = 0;
+
+  const onRecord = async (record) => {
+    row += 1;
+    if (invalidColumns) return;
+    if (!columns) {
+      columns = record.map((name) => name.trim());
+      const unknown = columns.filter((name) => !COLUMNS.includes(name));
+      if (unknown.length > 0 || new Set(columns).size !== columns.length) {
+        invalidColumns = new BadRequestError(
+          `CSV columns must be distinct product fields; unknown: ${
+            unknown.join(", ") || "none"
+          }`,
+          { code: "invalid_columns" }
+        );
+      }
+      return;
+    }
+    // Spreadsheets save empty rows as a line of commas
+    if (record.every((cell) => cell === "")) return;
+    if (record.length !== columns.length) {
+      return onRow({
+        row,
+        error: `Expected ${columns.length} fields, found ${record.length}`,
+      });
+    }
+
+    const values = {};
+    columns.forEach((column, i) => {
+      if (record[i] !== "") values[column] = unguardFormula(record[i]);
+    });
+    return onRow({ row, values });
+  };
+
+  // Read to the end even when the header is wrong: leaving the loop early
+  // would destroy the request before the 400 is sent
+  stream.setEncoding("utf8");
+  for await (const chunk of stream) {
+    for (const record of parser.push(chunk)) await onRecord(record);
+  }
+  let rest = [];
+  try {
+    rest = parser.end();
+  } catch (error) {
+    if (!invalidColumns) await onRow({ row: row + 1, error: error.message });
+  }
+  for (const record of rest) await onRecord(record);
+  if (invalidColumns) throw invalidColumns;
+};
+
+// NDJSON: blank lines are skipped but still counted
+const readNdjson = async (stream, onRow) => {
+  let buffered = "";
+  let row = 0;
+
+  const onLine = (line) => {
+    row += 1;
+    if (line.trim() === "") return;
+    let values;
+    try {
+      values = JSON.parse(line);
+    } catch (error) {
+      return onRow({ row, error: "Invalid JSON" });
+    }
+    return isObject(values)
+      ? onRow({ row, values })
+      : onRow({ row, error: "Each line must be a JSON object" });
+  };
+
+  stream.setEncoding("utf8");
+  for await (const chunk of stream) {
+    const lines = (buffered + chunk).split("\n");
+    buffered = lines.pop();
+    for (const line of lines) await onLine(line);
+  }
+  await onLine(buffered);
+};
+
+// JSON: the body parser has already read the array
+const readJson = async (items, onRow) => {
+  if (!Array.isArray(items)) {
+    throw new BadRequestError("A JSON import must be an array of products", {
+      code: "invalid_import",
+    });
+  }
+  for (const [index, values] of items.entries()) {
+    await (isObject(values)
+      ? onRow({ row: index + 1, values })
+      : onRow({ row: index + 1, error: "Each item must be an object" }));
+  }
+};
+
+/**
+ * Import products from a request
+ * @param {Object} store - Application store
+ * @param {Object} req - The request; its body is read as it arrives unless
+ *   the format is json
+ * @param {Object} options
+ * @param {string} options.format - csv, ndjson or json (see IMPORT_FORMATS)
+ * @param {boolean} [options.dryRun=false] - Check the rows without writing
+ * @param {number} options.maxRows - Rows after this many are not imported
+ * @returns {Promise<Object>} { summary: { total, created, updated, failed },
+ *   errors: [{ row, id?, sku?, errors: [{ field?, message }] }] }; row is the
+ *   CSV record (the header is row 1), the NDJSON line or the array position
+ * @throws {BadRequestError} When the file as a whole cannot be read
+ */
+const importProducts = async (
+  store,
+  req,
+  { format, dryRun = false, maxRows }
+) => {
+  const { productOperations } = store;
+  const summary = { total: 0, created: 0, updated: 0, failed: 0 };
+  const errors = [];
+  // SKUs a dry run would have created; later rows with them are updates
+  const plannedSkus = new Set();
+  let skipped = 0;
+
+  const importRow = async ({ row, values, error }) => {
+    if (summary.total === maxRows) {
+      skipped += 1;
+      if (skipped === 1) {
+        errors.push({
+          row,
+          errors: [
+            {
+              message: `Only ${maxRows} rows are imported at a time; this row and the rest were skipped`,
+            },
+          ],
+        });
+      }
+      return;
+    }
+    summary.total += 1;
+
+    const fail = (rowErrors) => {
+      summary.failed += 1;
+      const { id, sku } = values || {};
+      errors.push({
+        row,
+        ...(id !== undefined && { id: String(id) }),
+        ...(sku !== undefined && { sku: String(sku) }),
+        errors: rowErrors,
+      });
+    };
+    if (error) return fail([{ message: error }]);
+
+    const { id, version, ...data } = values;
+    const expectedVersion = version === undefined ? undefined : Number(version);
+    if (expectedVersion !== undefined && !Number.isInteger(expectedVersion)) {
+      return fail([
+        { field: "version", message: "Version must be an integer" },
+      ]);
+    }
+
+    const sku = data.sku === undefined ? undefined : String(data.sku).trim();
+    let existing;
+    if (id !== undefined) {
+      existing = productOperations.getById(String(id));
+      if (!existing) {
+        return fail([{ field: "id", message: "Product not found" }]);
+      }
+    } else if (sku !== undefined) {
+      existing = productOperations.getBySku(sku);
+    }
+    const planned = !existing && sku !== undefined && plannedSkus.has(sku);
+
+    const operation = existing || planned ? "update" : "create";
+    const fieldErrors = await validateRow(operation, data);
+    if (fieldErrors.length > 0) return fail(fieldErrors);
+
+    if (data.sku !== undefined) {
+      const owner = productOperations.getBySku(data.sku);
+      if (owner && (!existing || owner.id !== existing.id)) {
+        return fail([
+          { field: "sku", message: "SKU already belongs to another product" },
+        ]);
+      }
+    }
+
+    try {
+      if (existing) assertVersion(existing, expectedVersion);
+
+      if (dryRun) {
+        if (operation === "create" && data.sku !== undefined) {
+          plannedSkus.add(data.sku);
+        }
+      } else if (existing) {
+        productOperations.update(
+          existing.id,
+          pickWritable(productSchema, "update", data),
+          { expectedVersion }
+        );
+      } else {
+        productOperations.create(pickWritable(productSchema, "create", data));
+      }
+    } catch (writeError) {
+      if (!(writeError instanceof ApiError)) throw writeError;
+      return fail([{ message: writeError.message }]);
+    }
+
+    summary[operation === "create" ? "created" : "updated"] += 1;
+  };
+
+  if (format === "csv") await readCsv(req, importRow);
+  else if (format === "ndjson") await readNdjson(req, importRow);
+  else await readJson(req.body, importRow);
+
+  return { summary, errors };
+};
+
+module.exports = {
+  IMPORT_FORMATS,
+  COLUMNS,
+  importProducts,
+};
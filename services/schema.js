@@ -0,0 +1,389 @@
+const { body } = require("express-validator");
+
+/**
+ * Resource schemas
+ * Every resource is described once, in schemas/, and everything that has to
+ * agree with that description is generated from it:
+ * - bodyValidators: the express-validator chains for POST, PUT and PATCH
+ * - openApiComponents / openApiListParameters: what /api-docs serves
+ * - serializer: the response shape; fields the schema does not list (such as
+ *   passwordHash) never leave the API
+ * - filterFields / sortFields / selectableFields: the list whitelists
+ *
+ * A schema is { name, description?, properties: { field: property } }. A
+ * property takes these OpenAPI keywords:
+ *   type, format, enum, minLength, maxLength, minimum, maximum, minItems,
+ *   maxItems, items, nullable, default, description, readOnly, writeOnly
+ * and these of its own:
+ * - required: operations (create, replace, update) that need the field, or
+ *   true for all of them
+ * - writableOn: operations that accept the field; all of them by default,
+ *   none when readOnly
+ * - trim: trim a string before validating it
+ * - message: the validation error for the field
+ * - filterable, sortable: allowed in ?filter[] and ?sort=
+ * An array of objects gives another schema (with a name) as its items.
+ * A schema with readOnly: true describes records the API only ever returns
+ * (a webhook delivery); it gets no request body schemas.
+ */
+
+const OPERATIONS = ["create", "replace", "update"];
+
+const OPENAPI_KEYWORDS = [
+  "type",
+  "format",
+  "enum",
+  "minLength",
+  "maxLength",
+  "minimum",
+  "maximum",
+  "minItems",
+  "maxItems",
+  "nullable",
+  "default",
+  "description",
+  "readOnly",
+  "writeOnly",
+];
+
+// Request body variant per operation: UserCreate, UserReplace, UserUpdate
+const VARIANTS = {
+  create: { suffix: "Create", method: "POST" },
+  replace: { suffix: "Replace", method: "PUT" },
+  update: { suffix: "Update", method: "PATCH" },
+};
+
+const isSchema = (value) => Boolean(value && value.properties);
+
+const propertiesOf = (schema) => Object.entries(schema.properties);
+
+const requiredOn = ({ required }) =>
+  required === true ? OPERATIONS : required || [];
+
+const isWritable = (property, operation) =>
+  !property.readOnly && (property.writableOn || OPERATIONS).includes(operation);
+
+// Only the keys that are set; validator.js treats { min: undefined } as a bound
+const pickDefined = (object, keys) =>
+  Object.fromEntries(
+    keys
+      .filter((key) => object[key] !== undefined)
+      .map((key) => [key, object[key]])
+  );
+
+const bounds = (property, min, max) => {
+  const { [min]: lower, [max]: upper } = property;
+  return pickDefined({ min: lower, max: upper }, ["min", "max"]);
+};
+
+// One validation chain for a body field
+const fieldValidator = (path, property, required) => {
+  const message = property.message || `Invalid ${path}`;
+  let chain = body(path);
+  if (!required) chain = chain.optional();
+
+  switch (property.type) {
+    case "string":
+      chain = chain.isString().withMessage(message).bail();
+      if (property.trim) chain = chain.trim();
+      if (
+        property.minLength !== undefined ||
+        property.maxLength !== undefined
+      ) {
+        chain = chain
+          .isLength(bounds(property, "minLength", "maxLength"))
+          .withMessage(message);
+      }
+      if (property.format === "email") {
+        chain = chain.isEmail().withMessage(message).normalizeEmail();
+      }
+      if (property.format === "uuid") {
+        chain = chain.isUUID().withMessage(message);
+      }
+      if (property.format === "uri") {
+        chain = chain
+          .isURL({
+            protocols: ["http", "https"],
+            require_protocol: true,
+            require_tld: false,
+          })
+          .withMessage(message);
+      }
+      if (property.enum) {
+        chain = chain.isIn(property.enum).withMessage(message);
+      }
+      return chain;
+    case "integer":
+      return chain
+        .isInt(bounds(property, "minimum", "maximum"))
+        .withMessage(message)
+        .toInt();
+    case "number":
+      return chain
+        .isFloat(bounds(property, "minimum", "maximum"))
+        .withMessage(message)
+        .toFloat();
+    case "boolean":
+      return chain.isBoolean().withMessage(message).toBoolean();
+    case "array":
+      return chain
+        .isArray(bounds(property, "minItems", "maxItems"))
+        .withMessage(message);
+    default:
+      throw new Error(`Unsupported schema type ${property.type} for ${path}`);
+  }
+};
+
+/**
+ * Validation chains for a request body
+ * @param {Object} schema - Resource schema
+ * @param {string} operation - create (POST), replace (PUT) or update (PATCH)
+ * @returns {Array} express-validator chains, one per writable field
+ */
+const bodyValidators = (schema, operation, prefix = "") =>
+  propertiesOf(schema).flatMap(([field, property]) => {
+    if (!isWritable(property, operation)) return [];
+
+    const path = `${prefix}${field}`;
+    const chains = [
+      fieldValidator(path, property, requiredOn(property).includes(operation)),
+    ];
+    if (property.type === "array" && isSchema(property.items)) {
+      chains.push(...bodyValidators(property.items, operation, `${path}.*.`));
+    } else if (property.type === "array" && property.items) {
+      chains.push(
+        fieldValidator(
+          `${path}.*`,
+          { message: property.message, ...property.items },
+          true
+        )
+      );
+    }
+    return chains;
+  });
+
+/**
+ * The fields of a request body the operation accepts
+ * Anything else the client sent (id, version, inStock, ...) is dropped.
+ * @returns {Object}
+ */
+const pickWritable = (schema, operation, data) =>
+  pickDefined(
+    data,
+    propertiesOf(schema)
+      .filter(([, property]) => isWritable(property, operation))
+      .map(([field]) => field)
+  );
+
+/**
+ * Response serializer
+ * Keeps the fields the schema lists, in its order, leaving out writeOnly
+ * ones; nested schemas are serialized the same way.
+ * @returns {Function} record -> response object
+ */
+const serializer = (schema) => {
+  const readable = propertiesOf(schema)
+    .filter(([, property]) => !property.writeOnly)
+    .map(([field, property]) => [
+      field,
+      isSchema(property.items) ? serializer(property.items) : null,
+    ]);
+
+  return (record) => {
+    const result = {};
+    readable.forEach(([field, serializeItem]) => {
+      const value = record[field];
+      if (value === undefined) return;
+      result[field] =
+        serializeItem && Array.isArray(value)
+          ? value.map(serializeItem)
+          : value;
+    });
+    return result;
+  };
+};
+
+const schemaRef = (name) => ({ $ref: `#/components/schemas/${name}` });
+
+const openApiProperty = (property) => {
+  const result = pickDefined(property, OPENAPI_KEYWORDS);
+  if (property.items) {
+    result.items = isSchema(property.items)
+      ? schemaRef(property.items.name)
+      : pickDefined(property.items, OPENAPI_KEYWORDS);
+  }
+  return result;
+};
+
+const openApiObject = (description, properties, required) => ({
+  type: "object",
+  ...(description && { description }),
+  ...(required.length > 0 && { required }),
+  properties: Object.fromEntries(
+    properties.map(([field, property]) => [field, openApiProperty(property)])
+  ),
+});
+
+const nestedSchemas = (schema) =>
+  propertiesOf(schema)
+    .map(([, property]) => property.items)
+    .filter(isSchema);
+
+/**
+ * OpenAPI component schemas
+ * Each resource gives its response schema (User), which lists every field a
+ * response may hold and no others, and one request body per operation
+ * (UserCreate, UserReplace, UserUpdate) holding only the fields that
+ * operation accepts; nested schemas (OrderProduct) are added by name.
+ *
+ * @param {Array<Object>} schemas - Resource schemas
+ * @returns {Object} { schemaName: OpenAPI schema }
+ */
+const openApiComponents = (schemas) => {
+  const components = {};
+
+  const addSchema = (schema) => {
+    // Responses always carry the fields required on every operation (id,
+    // an order line's quantity); ?fields= may leave out any other
+    const properties = propertiesOf(schema);
+    components[schema.name] = {
+      ...openApiObject(
+        schema.description,
+        properties,
+        properties
+          .filter(
+            ([, property]) => property.required === true && !property.writeOnly
+          )
+          .map(([field]) => field)
+      ),
+      additionalProperties: false,
+    };
+    nestedSchemas(schema).forEach(addSchema);
+  };
+
+  schemas.forEach((schema) => {
+    addSchema(schema);
+    if (schema.readOnly) return;
+
+    OPERATIONS.forEach((operation) => {
+      // null only ever appears in responses (a deleted user or product)
+      const writable = propertiesOf(schema)
+        .filter(([, property]) => isWritable(property, operation))
+        .map(([field, { nullable, ...property }]) => [field, property]);
+      const { suffix, method } = VARIANTS[operation];
+
+      components[`${schema.name}${suffix}`] = openApiObject(
+        `${schema.name} fields accepted by ${method}`,
+        writable,
+        writable
+          .filter(([, property]) => requiredOn(property).includes(operation))
+          .map(([field]) => field)
+      );
+    });
+  });
+
+  return components;
+};
+
+const FILTER_TYPES = {
+  integer: "number",
+  number: "number",
+  boolean: "boolean",
+};
+
+const filterType = (property) =>
+  property.format === "date-time"
+    ? "date"
+    : FILTER_TYPES[property.type] || "string";
+
+/**
+ * Fields accepted by ?filter[field][operator]= (see services/filters.js)
+ * @returns {Object} { field: { type, enum? } }
+ */
+const filterFields = (schema) =>
+  Object.fromEntries(
+    propertiesOf(schema)
+      .filter(([, property]) => property.filterable)
+      .map(([field, property]) => [
+        field,
+        {
+          type: filterType(property),
+          ...(property.enum && { enum: property.enum }),
+        },
+      ])
+  );
+
+/**
+ * Fields accepted by ?sort=
+ * @returns {Array<string>}
+ */
+const sortFields = (schema) =>
+  propertiesOf(schema)
+    .filter(([, property]) => property.sortable)
+    .map(([field]) => field);
+
+/**
+ * Fields accepted by ?fields=; id is always returned, so it is not listed
+ * @returns {Array<string>}
+ */
+const selectableFields = (schema) =>
+  propertiesOf(schema)
+    .filter(([field, property]) => field !== "id" && !property.writeOnly)
+    .map(([field]) => field);
+
+/**
+ * OpenAPI parameters for a resource's filter, sort and fields query
+ * parameters, listing the fields the list endpoint accepts
+ *
+ * @param {Object} schema - Resource schema
+ * @param {Array<string>} operators - Filter operators (services/filters.js)
+ * @returns {Object} { UserFilter, UserSort, UserFields }
+ */
+const openApiListParameters = (schema, operators) => {
+  const filterable = Object.keys(filterFields(schema));
+  const sortable = sortFields(schema);
+  const selectable = selectableFields(schema);
+
+  return {
+    [`${schema.name}Filter`]: {
+      in: "query",
+      name: "filter",
+      style: "deepObject",
+      explode: true,
+      schema: { type: "object" },
+      description: `Filter expressions, filter[field][operator]=value (the operator defaults to eq). Operators: ${operators.join(
+        ", "
+      )}; in, nin and between take comma-separated values. Fields: ${filterable.join(
+        ", "
+      )}`,
+    },
+    [`${schema.name}Sort`]: {
+      in: "query",
+      name: "sort",
+      schema: { type: "string", example: `-${sortable[0]}` },
+      description: `Comma-separated sort fields, prefixed with - for descending. Sortable: ${sortable.join(
+        ", "
+      )}`,
+    },
+    [`${schema.name}Fields`]: {
+      in: "query",
+      name: "fields",
+      schema: { type: "string", example: selectable.slice(0, 2).join(",") },
+      description: `Comma-separated fields to return; id is always included. Selectable: ${selectable.join(
+        ", "
+      )}`,
+    },
+  };
+};
+
+module.exports = {
+  OPERATIONS,
+  bodyValidators,
+  pickWritable,
+  serializer,
+  openApiComponents,
+  openApiListParameters,
+  filterFields,
+  sortFields,
+  selectableFields,
+};
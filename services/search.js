@@ -0,0 +1,358 @@
+/**
+ * Full-text product search
+ * An in-process inverted index over name, description and category. Text is
+ * split into lowercase terms, stop words are dropped and each term is reduced
+ * to a stem, so "chargers" finds "charger" and "running" finds "run". Query
+ * terms match
+ * a stem exactly, as a prefix of a stem (while typing) or, failing both,
+ * within a small edit distance (typos). A product must match every query
+ * term; results are ranked by TF-IDF with name matches weighted highest.
+ */
+
+// Relevance weight of a match in each indexed field
+const FIELD_WEIGHTS = {
+  name: 3,
+  category: 2,
+  description: 1,
+};
+
+// Exact matches count most, then prefixes, then typo-tolerant matches
+const MATCH_WEIGHTS = {
+  exact: 1,
+  prefix: 0.5,
+  fuzzy: 0.3,
+};
+
+const STOP_WORDS = new Set([
+  "a",
+  "an",
+  "and",
+  "are",
+  "as",
+  "at",
+  "be",
+  "by",
+  "for",
+  "from",
+  "in",
+  "is",
+  "it",
+  "of",
+  "on",
+  "or",
+  "the",
+  "to",
+  "with",
+]);
+
+// Words and numbers in any script, with their position in the text
+const TOKEN_PATTERN = /[\p{L}\p{N}]+/gu;
+
+// Characters of context either side of a highlighted description match
+const SNIPPET_CONTEXT = 40;
+
+/**
+ * Reduce a lowercase word to its stem
+ * A light suffix stripper rather than a full Porter stemmer: it folds plurals
+ * and -ing/-ed forms together, which covers product text well enough.
+ */
+const stem = (word) => {
+  if (word.length <= 3 || /\d/.test(word)) return word;
+
+  let result = word;
+  if (result.endsWith("ies") && result.length > 4) {
+    result = result.slice(0, -3) + "y";
+  } else if (/(x|ch|sh|ss|z)es$/.test(result)) {
+    result = result.slice(0, -2);
+  } else if (result.endsWith("s") && !/(ss|us|is)$/.test(result)) {
+    result = result.slice(0, -1);
+  } else if (/[aeiouy].*ing$/.test(result) && result.length > 5) {
+    result = result.slice(0, -3);
+  } else if (/[aeiouy].*[^e]ed$/.test(result)) {
+    result = result.slice(0, -2);
+  }
+
+  // "running" -> "runn" -> "run"
+  if (result !== word && /([b-df-hj-np-tv-z])\1$/.test(result)) {
+    result = result.slice(0, -1);
+  }
+  return result;
+};
+
+/**
+ * Split text into indexable terms
+ * @param {string} text
+ * @returns {Array<{ term: string, start: number, end: number }>} Stems with
+ *   the position of the original word, for highlighting
+ */
+const tokenize = (text) => {
+  const tokens = [];
+  for (const match of String(text || "").matchAll(TOKEN_PATTERN)) {
+    const word = match[0].toLowerCase();
+    if (STOP_WORDS.has(word)) continue;
+    tokens.push({
+      term: stem(word),
+      start: match.index,
+      end: match.index + match[0].length,
+    });
+  }
+  return tokens;
+};
+
+// Levenshtein distance, giving up once it exceeds max
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Typos allowed in a query term; short terms must be spelt right
+const allowedTypos = (term) =>
+  term.length >= 8 ? 2 : term.length >= 4 ? 1 : 0;
+
+const escapeHtml = (text) =>
+  text
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+// Wrap the given ranges of text in <mark>, escaping everything else
+const markRanges = (text, ranges) => {
+  let result = "";
+  let position = 0;
+  ranges.forEach(({ start, end }) => {
+    result += escapeHtml(text.slice(position, start));
+    result += `<mark>${escapeHtml(text.slice(start, end))}</mark>`;
+    position = end;
+  });
+  return result + escapeHtml(text.slice(position));
+};
+
+// A window of the description around its first match
+const snippet = (text, ranges) => {
+  const from = Math.max(ranges[0].start - SNIPPET_CONTEXT, 0);
+  const to = Math.min(
+    ranges[ranges.length - 1].end + SNIPPET_CONTEXT,
+    text.length
+  );
+
+  // Do not cut words in half at either edge
+  const start = from === 0 ? 0 : text.indexOf(" ", from) + 1 || from;
+  const endSpace = text.lastIndexOf(" ", to);
+  const end = to === text.length || endSpace <= start ? to : endSpace;
+
+  const inside = ranges
+    .filter((range) => range.start >= start && range.end <= end)
+    .map((range) => ({ start: range.start - start, end: range.end - start }));
+
+  return (
+    (start > 0 ? "…" : "") +
+    markRanges(text.slice(start, end), inside) +
+    (end < text.length ? "…" : "")
+  );
+};
+
+/**
+ * Create an empty search index
+ * @returns {Object} { add, remove, rebuild, search, size }
+ */
+const createSearchIndex = () => {
+  // term -> Map(productId -> { name: count, category: count, ... })
+  const postings = new Map();
+  // productId -> { record, terms: Set }
+  const documents = new Map();
+
+  const remove = (id) => {
+    const document = documents.get(id);
+    if (!document) return;
+    document.terms.forEach((term) => {
+      const entries = postings.get(term);
+      entries.delete(id);
+      if (entries.size === 0) postings.delete(term);
+    });
+    documents.delete(id);
+  };
+
+  const add = (record) => {
+    remove(record.id);
+
+    const terms = new Set();
+    Object.keys(FIELD_WEIGHTS).forEach((field) => {
+      tokenize(record[field]).forEach(({ term }) => {
+        if (!postings.has(term)) postings.set(term, new Map());
+        const entries = postings.get(term);
+        if (!entries.has(record.id)) entries.set(record.id, {});
+        const counts = entries.get(record.id);
+        counts[field] = (counts[field] || 0) + 1;
+        terms.add(term);
+      });
+    });
+    documents.set(record.id, { record, terms });
+  };
+
+  const rebuild = (records) => {
+    postings.clear();
+    documents.clear();
+    records.forEach(add);
+  };
+
+  // Indexed terms a query term matches, with how well they match
+  const expand = (queryTerm, fuzzy) => {
+    const matches = [];
+    const typos = [];
+    const maxTypos = fuzzy ? allowedTypos(queryTerm) : 0;
+    postings.forEach((entries, term) => {
+      if (term === queryTerm) {
+        matches.push({ term, weight: MATCH_WEIGHTS.exact });
+      } else if (queryTerm.length >= 2 && term.startsWith(queryTerm)) {
+        matches.push({ term, weight: MATCH_WEIGHTS.prefix });
+      } else if (
+        maxTypos > 0 &&
+        editDistance(queryTerm, term, maxTypos) <= maxTypos
+      ) {
+        typos.push({ term, weight: MATCH_WEIGHTS.fuzzy });
+      }
+    });
+    // Only fall back to typos when the term is not found as written
+    return matches.length > 0 ? matches : typos;
+  };
+
+  // Positions of the words in a field that any matched term came from
+  const highlightField = (text, matchedTerms) => {
+    if (!text) return null;
+    const ranges = tokenize(text).filter(({ term }) => matchedTerms.has(term));
+    if (ranges.length === 0) return null;
+    return { text, ranges };
+  };
+
+  /**
+   * Search the index
+   * @param {string} text - Query text
+   * @param {Object} [options]
+   * @param {boolean} [options.fuzzy=true] - Allow typos in query terms
+   * @returns {Array} [{ product, score, highlights }] best first;
+   *   highlights has HTML with <mark> around matches, per matching field
+   */
+  const search = (text, { fuzzy = true } = {}) => {
+    const queryTerms = [...new Set(tokenize(text).map(({ term }) => term))];
+    if (queryTerms.length === 0) return [];
+
+    const total = documents.size;
+    const scores = new Map();
+    const matchedTerms = new Map();
+
+    for (const [index, queryTerm] of queryTerms.entries()) {
+      const termScores = new Map();
+
+      expand(queryTerm, fuzzy).forEach(({ term, weight }) => {
+        const entries = postings.get(term);
+        const idf = Math.log(1 + total / entries.size);
+        entries.forEach((counts, id) => {
+          const tf = Object.entries(counts).reduce(
+            (sum, [field, count]) => sum + FIELD_WEIGHTS[field] * count,
+            0
+          );
+          const score = weight * tf * idf;
+          // Several indexed terms can match one query term; keep the best
+          if (score > (termScores.get(id) || 0)) termScores.set(id, score);
+          if (!matchedTerms.has(id)) matchedTerms.set(id, new Set());
+          matchedTerms.get(id).add(term);
+        });
+      });
+
+      // Every query term must match
+      if (index === 0) {
+        termScores.forEach((score, id) => scores.set(id, score));
+      } else {
+        scores.forEach((score, id) => {
+          if (termScores.has(id)) scores.set(id, score + termScores.get(id));
+          else scores.delete(id);
+        });
+      }
+      if (scores.size === 0) return [];
+    }
+
+    return [...scores.entries()]
+      .sort(([, a], [, b]) => b - a)
+      .map(([id, score]) => {
+        const { record } = documents.get(id);
+        const terms = matchedTerms.get(id);
+        const highlights = {};
+
+        ["name", "category"].forEach((field) => {
+          const match = highlightField(record[field], terms);
+          if (match) highlights[field] = markRanges(match.text, match.ranges);
+        });
+        const description = highlightField(record.description, terms);
+        if (description) {
+          highlights.description = snippet(
+            description.text,
+            description.ranges
+          );
+        }
+
+        return {
+          product: record,
+          score: Math.round(score * 1000) / 1000,
+          highlights,
+        };
+      });
+  };
+
+  return {
+    add,
+    remove,
+    rebuild,
+    search,
+    size: () => documents.size,
+  };
+};
+
+/**
+ * Build the product index for a store and keep it current
+ * Listens to the store's change events, so every create, update, delete,
+ * restore and purge is reflected in the next search. Deleted products are
+ * not searchable.
+ *
+ * @param {Object} store - Application store
+ * @returns {Object} Search index, see createSearchIndex
+ */
+const createProductSearch = (store) => {
+  const index = createSearchIndex();
+  index.rebuild(store.productOperations.getAll());
+
+  store.events.on("change", ({ collection, record }) => {
+    if (collection !== "products") return;
+    if (record.deletedAt || !store.productOperations.getById(record.id)) {
+      index.remove(record.id);
+    } else {
+      index.add(record);
+    }
+  });
+
+  return index;
+};
+
+module.exports = {
+  tokenize,
+  stem,
+  createSearchIndex,
+  createProductSearch,
+};
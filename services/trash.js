@@ -0,0 +1,81 @@
+/**
+ * Trash
+ * Deleting a user, product or order only moves it to the trash (deletedAt is
+ * set), where an admin can restore it. Records that have been in the trash
+ * longer than the retention period are purged for good by a periodic job.
+ */
+
+const { logError } = require("./logger");
+
+// Orders go first so nothing is left pointing at a purged user or product
+const PURGE_ORDER = [
+  ["orders", "orderOperations"],
+  ["products", "productOperations"],
+  ["users", "userOperations"],
+];
+
+// A purged user's sessions and idempotency keys go with them
+const purgeUserData = (store, userId) => {
+  store.refreshTokenOperations
+    .getByUserId(userId)
+    .forEach((token) => store.refreshTokenOperations.delete(token.id));
+  store.idempotencyKeyOperations
+    .getByUserId(userId)
+    .forEach((key) => store.idempotencyKeyOperations.delete(key.id));
+};
+
+/**
+ * Hard-delete every record that was deleted before the retention period
+ * @param {Object} store - Application store
+ * @param {number} retentionMs - How long deleted records stay restorable
+ * @param {number} [now] - Current time in milliseconds
+ * @returns {Object} Number of purged records per collection
+ */
+const purgeTrash = (store, retentionMs, now = Date.now()) => {
+  const cutoff = now - retentionMs;
+  const purged = {};
+
+  store.transaction(() => {
+    PURGE_ORDER.forEach(([collection, operationsKey]) => {
+      const operations = store[operationsKey];
+      const expired = operations
+        .getDeleted()
+        .filter((record) => Date.parse(record.deletedAt) <= cutoff);
+
+      expired.forEach((record) => {
+        if (collection === "users") purgeUserData(store, record.id);
+        operations.purge(record.id);
+      });
+      purged[collection] = expired.length;
+    });
+  });
+
+  return purged;
+};
+
+/**
+ * Run purgeTrash on an interval
+ * The timer does not keep the process alive on its own.
+ * @param {Object} store - Application store
+ * @param {Object} trashConfig - config.trash ({ retentionMs, purgeIntervalMs })
+ * @returns {Function} Stops the job
+ */
+const startPurgeJob = (store, { retentionMs, purgeIntervalMs }) => {
+  const timer = setInterval(() => {
+    try {
+      const purged = purgeTrash(store, retentionMs);
+      const total = Object.values(purged).reduce((sum, n) => sum + n, 0);
+      if (total > 0) console.log("🗑️  Purged from trash:", purged);
+    } catch (error) {
+      logError("Trash purge failed", error);
+    }
+  }, purgeIntervalMs);
+  timer.unref();
+
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  purgeTrash,
+  startPurgeJob,
+};
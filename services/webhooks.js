@@ -0,0 +1,452 @@
+const crypto = require("crypto");
+const dns = require("dns");
+const http = require("http");
+const https = require("https");
+const net = require("net");
+const { v4: uuidv4 } = require("uuid");
+const { serializer } = require("./schema");
+const { logError } = require("./logger");
+
+/**
+ * Outbound webhooks
+ * Subscriptions name the lifecycle events they want. Every store change that
+ * matches one becomes a delivery: a JSON POST to the subscription's URL,
+ * signed with its secret. A delivery succeeds on any 2xx response; anything
+ * else is retried with exponential backoff until config.webhooks.maxAttempts
+ * is reached, after which the delivery is dead-lettered (status dead) and
+ * only an explicit redelivery sends it again. Each attempt is kept on the
+ * delivery, which gives every subscription its delivery log, until
+ * config.webhooks.retentionMs after it was delivered or dead-lettered.
+ * Unless config.webhooks.allowPrivateTargets is set, nothing is sent to
+ * loopback, private or link-local addresses (such as cloud metadata
+ * endpoints), whether the URL names them or its hostname resolves to them.
+ */
+
+// Event prefix and response shape of each resource that sends events
+const RESOURCES = {
+  users: { noun: "user", schema: require("../schemas/user") },
+  products: { noun: "product", schema: require("../schemas/product") },
+  orders: { noun: "order", schema: require("../schemas/order") },
+};
+
+// Store change types that become events; purges are not announced
+const CHANGE_TYPES = ["created", "updated", "deleted", "restored"];
+
+const WEBHOOK_EVENTS = [
+  ...Object.values(RESOURCES).flatMap(({ noun }) =>
+    CHANGE_TYPES.map((type) => `${noun}.${type}`)
+  ),
+  "order.status_changed",
+];
+
+const DELIVERY_STATUSES = ["pending", "delivered", "dead"];
+
+const SIGNATURE_HEADER = "Webhook-Signature";
+
+const serializers = Object.fromEntries(
+  Object.entries(RESOURCES).map(([collection, { schema }]) => [
+    collection,
+    serializer(schema),
+  ])
+);
+
+/**
+ * Secret for a new subscription; shown to the caller once
+ */
+const generateSecret = () => `whsec_${crypto.randomBytes(24).toString("hex")}`;
+
+/**
+ * Webhook-Signature header value: t=<unix seconds>,v1=<hex HMAC-SHA256 of
+ * "<t>.<body>">. Receivers recompute it with the shared secret and should
+ * reject old timestamps to stop replays.
+ */
+const signPayload = (secret, body, timestamp = Math.floor(Date.now() / 1000)) =>
+  `t=${timestamp},v1=${crypto
+    .createHmac("sha256", secret)
+    .update(`${timestamp}.${body}`)
+    .digest("hex")}`;
+
+/**
+ * Check a Webhook-Signature header, as a receiver would
+ * @param {string} secret - The subscription's secret
+ * @param {string} header - Webhook-Signature header value
+ * @param {string} body - Raw request body
+ * @param {Object} [options]
+ * @param {number} [options.toleranceSec=300] - Oldest accepted timestamp
+ * @param {number} [options.now] - Current time in milliseconds
+ * @returns {boolean}
+ */
+const verifySignature = (
+  secret,
+  header,
+  body,
+  { toleranceSec = 300, now = Date.now() } = {}
+) => {
+  const parts = Object.fromEntries(
+    String(header || "")
+      .split(",")
+      .map((part) => part.split("="))
+  );
+  const timestamp = parseInt(parts.t);
+  if (!timestamp || Math.abs(now / 1000 - timestamp) > toleranceSec) {
+    return false;
+  }
+
+  const expected = Buffer.from(signPayload(secret, body, timestamp));
+  const actual = Buffer.from(`t=${parts.t},v1=${parts.v1}`);
+  return (
+    expected.length === actual.length &&
+    crypto.timingSafeEqual(expected, actual)
+  );
+};
+
+/**
+ * Wait before attempt number attempt + 1: retryBaseMs, then doubling up to
+ * retryMaxMs
+ */
+const retryDelay = (attempt, { retryBaseMs, retryMaxMs }) =>
+  Math.min(retryBaseMs * 2 ** (attempt - 1), retryMaxMs);
+
+/**
+ * Events a store change gives, e.g. an order update that moves its status
+ * gives order.updated and order.status_changed
+ * @param {Object} change - Store change event, see createStore
+ * @returns {Array<Object>} [{ type, data, previousStatus? }]
+ */
+const eventsFor = ({ type, collection, record, previous }) => {
+  const resource = RESOURCES[collection];
+  if (!resource || !CHANGE_TYPES.includes(type)) return [];
+
+  const data = serializers[collection](record);
+  const events = [{ type: `${resource.noun}.${type}`, data }];
+  if (
+    collection === "orders" &&
+    type === "updated" &&
+    previous.status !== record.status
+  ) {
+    events.push({
+      type: "order.status_changed",
+      data,
+      previousStatus: previous.status,
+    });
+  }
+  return events;
+};
+
+// Loopback, private, shared (CGNAT), link-local and unspecified ranges
+const PRIVATE_RANGES = new net.BlockList();
+[
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.168.0.0", 16],
+].forEach(([network, prefix]) =>
+  PRIVATE_RANGES.addSubnet(network, prefix, "ipv4")
+);
+[
+  ["::", 128],
+  ["::1", 128],
+  ["fc00::", 7],
+  ["fe80::", 10],
+].forEach(([network, prefix]) =>
+  PRIVATE_RANGES.addSubnet(network, prefix, "ipv6")
+);
+
+/**
+ * Whether an IP address is one webhooks must not reach by default
+ * @param {string} address - IPv4 or IPv6, with or without [brackets]
+ * @returns {boolean}
+ */
+const isPrivateAddress = (address) => {
+  const ip = address.replace(/^\[|\]$/g, "");
+  // ::ffff:127.0.0.1 is 127.0.0.1
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(ip);
+  if (mapped) return PRIVATE_RANGES.check(mapped[1], "ipv4");
+  const family = net.isIP(ip);
+  if (family === 0) return false;
+  return PRIVATE_RANGES.check(ip, family === 4 ? "ipv4" : "ipv6");
+};
+
+/**
+ * Whether a URL names a private target outright: localhost or a private IP
+ * Hostnames that resolve to one are caught when the delivery is sent.
+ * @param {string} url
+ * @returns {boolean}
+ */
+const isPrivateUrl = (url) => {
+  const { hostname } = new URL(url);
+  return (
+    hostname === "localhost" ||
+    hostname.endsWith(".localhost") ||
+    isPrivateAddress(hostname)
+  );
+};
+
+// dns.lookup that refuses to hand back private addresses
+const publicLookup = (hostname, options, callback) =>
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const addresses = Array.isArray(address) ? address : [{ address }];
+    const blocked = addresses.find((entry) => isPrivateAddress(entry.address));
+    if (blocked) {
+      return callback(
+        new Error(`${hostname} resolves to private address ${blocked.address}`)
+      );
+    }
+    return callback(null, address, family);
+  });
+
+// POST body to url; resolves with the response status code
+const postJson = (url, body, headers, { timeoutMs, allowPrivateTargets }) =>
+  new Promise((resolve, reject) => {
+    const target = new URL(url);
+    if (!allowPrivateTargets && isPrivateUrl(url)) {
+      reject(new Error(`${target.hostname} is a private address`));
+      return;
+    }
+    const client = target.protocol === "https:" ? https : http;
+    const request = client.request(
+      target,
+      {
+        method: "POST",
+        ...(!allowPrivateTargets && { lookup: publicLookup }),
+        headers: {
+          "Content-Type": "application/json",
+          "Content-Length": Buffer.byteLength(body),
+          "User-Agent": "restful-api-assessment-webhooks",
+          ...headers,
+        },
+        timeout: timeoutMs,
+      },
+      (response) => {
+        response.resume();
+        response.on("end", () => resolve(response.statusCode));
+      }
+    );
+    request.on("timeout", () =>
+      request.destroy(new Error(`Timed out after ${timeoutMs}ms`))
+    );
+    request.on("error", reject);
+    request.end(body);
+  });
+
+/**
+ * Turn store changes into webhook deliveries and send them
+ * Deliveries are sent as soon as they are queued; retries wait for
+ * deliverDue, which startDeliveryJob runs on an interval.
+ *
+ * @param {Object} store - Application store
+ * @param {Object} webhookConfig - config.webhooks
+ * @returns {Object} { deliverDue, redeliver, prune, idle }
+ */
+const createWebhookDispatcher = (store, webhookConfig) => {
+  const { webhookOperations, webhookDeliveryOperations } = store;
+
+  // Deliveries with a request on the wire, by id
+  const inFlight = new Map();
+
+  const queue = (webhook, payload, extra = {}) =>
+    webhookDeliveryOperations.create({
+      webhookId: webhook.id,
+      eventId: payload.id,
+      event: payload.type,
+      payload,
+      status: "pending",
+      attempts: [],
+      nextAttemptAt: new Date().toISOString(),
+      ...extra,
+    });
+
+  const attempt = async (delivery) => {
+    const webhook = webhookOperations.getById(delivery.webhookId);
+    const body = JSON.stringify(delivery.payload);
+    const started = Date.now();
+
+    const result = { at: new Date(started).toISOString() };
+    try {
+      result.responseStatus = await postJson(
+        webhook.url,
+        body,
+        {
+          "Webhook-Id": delivery.id,
+          "Webhook-Event": delivery.event,
+          [SIGNATURE_HEADER]: signPayload(webhook.secret, body),
+        },
+        webhookConfig
+      );
+      if (result.responseStatus < 200 || result.responseStatus >= 300) {
+        result.error = `Receiver responded with ${result.responseStatus}`;
+      }
+    } catch (error) {
+      result.error = error.message;
+    }
+    result.durationMs = Date.now() - started;
+
+    // An atomic batch may hold the store while the request was out; the
+    // attempt is recorded once it settles so the delivery never goes stale
+    await store.whenUnlocked();
+
+    // The subscription may have been deleted while the request was out
+    const current = webhookDeliveryOperations.getById(delivery.id);
+    if (!current) return null;
+
+    const attempts = [...current.attempts, result];
+    let update;
+    if (!result.error) {
+      update = { status: "delivered", nextAttemptAt: null };
+    } else if (attempts.length >= webhookConfig.maxAttempts) {
+      update = { status: "dead", nextAttemptAt: null };
+    } else {
+      update = {
+        status: "pending",
+        nextAttemptAt: new Date(
+          Date.now() + retryDelay(attempts.length, webhookConfig)
+        ).toISOString(),
+      };
+    }
+    return webhookDeliveryOperations.update(delivery.id, {
+      ...update,
+      attempts,
+    });
+  };
+
+  const send = (delivery) => {
+    const running = attempt(delivery)
+      .catch((error) => {
+        logError("Webhook delivery failed", error, {
+          deliveryId: delivery.id,
+        });
+        return null;
+      })
+      .finally(() => inFlight.delete(delivery.id));
+    inFlight.set(delivery.id, running);
+    return running;
+  };
+
+  /**
+   * Attempt every pending delivery whose next attempt is due
+   * Deliveries of inactive subscriptions wait until they are reactivated.
+   * @param {number} [now] - Current time in milliseconds
+   * @returns {Promise<Array>} The deliveries after their attempt
+   */
+  const deliverDue = (now = Date.now()) => {
+    const due = webhookDeliveryOperations
+      .getPending()
+      .filter(
+        (delivery) =>
+          !inFlight.has(delivery.id) &&
+          Date.parse(delivery.nextAttemptAt) <= now &&
+          (webhookOperations.getById(delivery.webhookId) || {}).active
+      );
+    return Promise.all(due.map(send));
+  };
+
+  /**
+   * Queue a copy of a delivery, e.g. one that was dead-lettered
+   * @returns {Object} The new delivery
+   */
+  const redeliver = (delivery) => {
+    const webhook = webhookOperations.getById(delivery.webhookId);
+    const copy = queue(webhook, delivery.payload, {
+      redeliveryOf: delivery.id,
+    });
+    deliverDue();
+    return copy;
+  };
+
+  /**
+   * Remove delivered and dead deliveries older than the retention period
+   * @param {number} [now] - Current time in milliseconds
+   * @returns {number} How many were removed
+   */
+  const prune = (now = Date.now()) => {
+    const cutoff = now - webhookConfig.retentionMs;
+    const expired = webhookDeliveryOperations
+      .getAll()
+      .filter(
+        (delivery) =>
+          delivery.status !== "pending" &&
+          Date.parse(delivery.updatedAt) < cutoff
+      );
+    store.transaction(() =>
+      expired.forEach((delivery) =>
+        webhookDeliveryOperations.delete(delivery.id)
+      )
+    );
+    return expired.length;
+  };
+
+  /**
+   * Resolves once every request on the wire has settled
+   */
+  const idle = () => Promise.all([...inFlight.values()]);
+
+  store.events.on("change", (change) => {
+    try {
+      const events = eventsFor(change);
+      if (events.length === 0) return;
+
+      const webhooks = webhookOperations
+        .getAll()
+        .filter((webhook) => webhook.active);
+      events.forEach(({ type, data, previousStatus }) => {
+        const payload = {
+          id: uuidv4(),
+          type,
+          createdAt: new Date().toISOString(),
+          data,
+          ...(previousStatus !== undefined && { previousStatus }),
+        };
+        webhooks
+          .filter((webhook) => webhook.events.includes(type))
+          .forEach((webhook) => queue(webhook, payload));
+      });
+      deliverDue();
+    } catch (error) {
+      // A webhook problem must never fail the write that caused it
+      logError("Failed to queue webhook deliveries", error, {
+        collection: change.collection,
+      });
+    }
+  });
+
+  return { deliverDue, redeliver, prune, idle };
+};
+
+/**
+ * Retry due deliveries and prune the delivery log on an interval
+ * The timer does not keep the process alive on its own.
+ * @param {Object} dispatcher - From createWebhookDispatcher
+ * @param {Object} webhookConfig - config.webhooks ({ pollIntervalMs })
+ * @returns {Function} Stops the job
+ */
+const startDeliveryJob = (dispatcher, { pollIntervalMs }) => {
+  const timer = setInterval(() => {
+    dispatcher.deliverDue();
+    try {
+      dispatcher.prune();
+    } catch (error) {
+      logError("Webhook delivery pruning failed", error);
+    }
+  }, pollIntervalMs);
+  timer.unref();
+
+  return () => clearInterval(timer);
+};
+
+module.exports = {
+  WEBHOOK_EVENTS,
+  DELIVERY_STATUSES,
+  SIGNATURE_HEADER,
+  generateSecret,
+  signPayload,
+  verifySignature,
+  retryDelay,
+  eventsFor,
+  isPrivateUrl,
+  createWebhookDispatcher,
+  startDeliveryJob,
+};
@@ -0,0 +1,269 @@
+const {
+  createTestApp,
+  authedAgent,
+  JOHN_ID,
+  JANE_ID,
+  STAFF_ID,
+  ADMIN_ID,
+  SEED_PASSWORD,
+} = require("./helpers");
+const { initialStatus } = require("../services/orderStatus");
+
+const PRODUCT_ID = "660e8400-e29b-41d4-a716-446655440000";
+const JOHN_ORDER_ID = "770e8400-e29b-41d4-a716-446655440000";
+
+describe("Role-based access control", () => {
+  let app, store, customer, staff, admin;
+
+  beforeEach(() => {
+    ({ app, store } = createTestApp());
+    customer = authedAgent(app, JOHN_ID);
+    staff = authedAgent(app, STAFF_ID);
+    admin = authedAgent(app, ADMIN_ID);
+  });
+
+  const createPendingOrder = (userId) =>
+    store.orderOperations.create({
+      userId,
+      products: [{ productId: PRODUCT_ID, quantity: 1, price: 999.99 }],
+      totalAmount: 999.99,
+      ...initialStatus(),
+    });
+
+  const expectForbidden = (response) => {
+    expect(response.status).toBe(403);
+    expect(response.body).toMatchObject({ status: 403, code: "forbidden" });
+  };
+
+  describe("Users", () => {
+    test("should only list the customer's own account", async () => {
+      const response = await customer.get("/api/v1/users").expect(200);
+
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0].id).toBe(JOHN_ID);
+    });
+
+    test("should let staff list every user", async () => {
+      const response = await staff.get("/api/v1/users").expect(200);
+
+      expect(response.body.pagination.total).toBe(4);
+    });
+
+    test("should forbid customers from reading other users", async () => {
+      await customer.get(`/api/v1/users/${JOHN_ID}`).expect(200);
+      expectForbidden(await customer.get(`/api/v1/users/${JANE_ID}`));
+    });
+
+    test("should let customers update only their own account", async () => {
+      await customer
+        .patch(`/api/v1/users/${JOHN_ID}`)
+        .send({ name: "Johnny Doe" })
+        .expect(200);
+
+      expectForbidden(
+        await customer
+          .patch(`/api/v1/users/${JANE_ID}`)
+          .send({ name: "Not Jane" })
+      );
+      expectForbidden(
+        await staff.patch(`/api/v1/users/${JANE_ID}`).send({ name: "Not Jane" })
+      );
+    });
+
+    test("should only let admins change roles", async () => {
+      expectForbidden(
+        await customer.patch(`/api/v1/users/${JOHN_ID}`).send({ role: "admin" })
+      );
+
+      const response = await admin
+        .patch(`/api/v1/users/${JOHN_ID}`)
+        .send({ role: "staff" })
+        .expect(200);
+      expect(response.body.data).toHaveProperty("role", "staff");
+    });
+
+    test("should validate the role", async () => {
+      await admin
+        .patch(`/api/v1/users/${JOHN_ID}`)
+        .send({ role: "owner" })
+        .expect(400);
+    });
+
+    test("should create users as customers by default", async () => {
+      const response = await admin
+        .post("/api/v1/users")
+        .send({
+          name: "New Customer",
+          email: "new.customer@example.com",
+          age: 30,
+          password: SEED_PASSWORD,
+        })
+        .expect(201);
+
+      expect(response.body.data).toHaveProperty("role", "customer");
+    });
+
+    test("should only let admins create and delete users", async () => {
+      expectForbidden(
+        await staff.post("/api/v1/users").send({
+          name: "New Customer",
+          email: "new.customer@example.com",
+          age: 30,
+          password: SEED_PASSWORD,
+        })
+      );
+      expectForbidden(await staff.delete(`/api/v1/users/${JANE_ID}`));
+      expectForbidden(await customer.delete(`/api/v1/users/${JOHN_ID}`));
+
+      await admin.delete(`/api/v1/users/${JANE_ID}`).expect(200);
+    });
+  });
+
+  describe("Products", () => {
+    test("should let customers read the catalogue", async () => {
+      await customer.get("/api/v1/products").expect(200);
+      await customer.get(`/api/v1/products/${PRODUCT_ID}`).expect(200);
+    });
+
+    test("should forbid customers from changing products", async () => {
+      expectForbidden(
+        await customer.post("/api/v1/products").send({
+          name: "Test Product",
+          price: 10,
+          category: "books",
+        })
+      );
+      expectForbidden(
+        await customer
+          .patch(`/api/v1/products/${PRODUCT_ID}`)
+          .send({ price: 1 })
+      );
+      expectForbidden(await customer.delete(`/api/v1/products/${PRODUCT_ID}`));
+
+      expect(store.productOperations.getById(PRODUCT_ID).price).toBe(999.99);
+    });
+
+    test("should let staff manage products", async () => {
+      await staff
+        .post("/api/v1/products")
+        .send({ name: "Test Product", price: 10, category: "books" })
+        .expect(201);
+      await staff
+        .patch(`/api/v1/products/${PRODUCT_ID}`)
+        .send({ price: 899.99 })
+        .expect(200);
+    });
+  });
+
+  describe("Orders", () => {
+    test("should only list the customer's own orders", async () => {
+      createPendingOrder(JANE_ID);
+
+      const response = await customer.get("/api/v1/orders").expect(200);
+
+      expect(response.body.data.map((order) => order.userId)).toEqual([
+        JOHN_ID,
+      ]);
+    });
+
+    test("should forbid customers from reading other orders", async () => {
+      const janeOrder = createPendingOrder(JANE_ID);
+
+      await customer.get(`/api/v1/orders/${JOHN_ORDER_ID}`).expect(200);
+      expectForbidden(await customer.get(`/api/v1/orders/${janeOrder.id}`));
+      await staff.get(`/api/v1/orders/${janeOrder.id}`).expect(200);
+    });
+
+    test("should only let customers order for themselves", async () => {
+      const products = [{ productId: PRODUCT_ID, quantity: 1 }];
+
+      await customer
+        .post("/api/v1/orders")
+        .send({ userId: JOHN_ID, products })
+        .expect(201);
+      expectForbidden(
+        await customer
+          .post("/api/v1/orders")
+          .send({ userId: JANE_ID, products })
+      );
+    });
+
+    test("should let customers cancel but not fulfil their orders", async () => {
+      const order = createPendingOrder(JOHN_ID);
+
+      expectForbidden(
+        await customer
+          .patch(`/api/v1/orders/${order.id}`)
+          .send({ status: "processing" })
+      );
+
+      await customer
+        .patch(`/api/v1/orders/${order.id}`)
+        .send({ status: "cancelled" })
+        .expect(200);
+    });
+
+    test("should let customers cancel but not change the lines with PUT", async () => {
+      const order = createPendingOrder(JOHN_ID);
+      const stock = store.productOperations.getById(PRODUCT_ID).stockQuantity;
+
+      expectForbidden(
+        await customer.put(`/api/v1/orders/${order.id}`).send({
+          userId: JOHN_ID,
+          products: [{ productId: PRODUCT_ID, quantity: 5 }],
+        })
+      );
+      expect(store.productOperations.getById(PRODUCT_ID).stockQuantity).toBe(
+        stock
+      );
+
+      await customer
+        .put(`/api/v1/orders/${order.id}`)
+        .send({
+          userId: JOHN_ID,
+          products: order.products.map(({ productId, quantity }) => ({
+            productId,
+            quantity,
+          })),
+          status: "cancelled",
+        })
+        .expect(200);
+    });
+
+    test("should forbid moving an order to another customer", async () => {
+      const order = createPendingOrder(JOHN_ID);
+
+      expectForbidden(
+        await customer.put(`/api/v1/orders/${order.id}`).send({
+          userId: JANE_ID,
+          products: [{ productId: PRODUCT_ID, quantity: 1 }],
+        })
+      );
+    });
+
+    test("should forbid customers from deleting other orders", async () => {
+      const janeOrder = createPendingOrder(JANE_ID);
+
+      expectForbidden(await customer.delete(`/api/v1/orders/${janeOrder.id}`));
+      expect(store.orderOperations.getById(janeOrder.id)).toBeDefined();
+    });
+
+    test("should only let customers delete orders that have not shipped", async () => {
+      const shipped = createPendingOrder(JOHN_ID);
+      store.orderOperations.update(shipped.id, { status: "shipped" });
+
+      const response = await customer
+        .delete(`/api/v1/orders/${shipped.id}`)
+        .expect(409);
+      expect(response.body).toMatchObject({
+        code: "order_not_editable",
+        currentStatus: "shipped",
+      });
+      expect(store.orderOperations.getById(shipped.id)).toBeDefined();
+
+      await staff.delete(`/api/v1/orders/${shipped.id}`).expect(200);
+      const pending = createPendingOrder(JOHN_ID);
+      await customer.delete(`/api/v1/orders/${pending.id}`).expect(200);
+    });
+  });
+});
@@ -1,8 +1,61 @@
 const request = require("supertest");
-const app = require("../server");
+const {
+  createTestApp,
+  authedAgent,
+  bearer,
+  JOHN_ID,
+  SEED_PASSWORD,
+  writeResponseCoverage,
+} = require("./helpers");
+const { swaggerSpec } = require("../app");
+const { initialStatus } = require("../services/orderStatus");
+const { createResponseCoverage } = require("../services/openapi");
+
+// Documented operations and responses these tests exercise, reported in
+// coverage/openapi/api.json
+const responseCoverage = createResponseCoverage(swaggerSpec);
 
 describe("RESTful API Assessment", () => {
-  let userId, productId, orderId;
+  let app, store, api;
+
+  beforeEach(() => {
+    ({ app, store } = createTestApp({ responseCoverage }));
+    api = authedAgent(app);
+  });
+
+  afterAll(() => {
+    writeResponseCoverage(responseCoverage, "api");
+  });
+
+  const createUser = () =>
+    store.userOperations.create({
+      name: "Test User",
+      email: "test.user@example.com",
+      age: 25,
+    });
+
+  const createProduct = () =>
+    store.productOperations.create({
+      name: "Test Product",
+      description: "A test product",
+      price: 99.99,
+      category: "electronics",
+      inStock: true,
+    });
+
+  const createOrder = () =>
+    store.orderOperations.create({
+      userId: "550e8400-e29b-41d4-a716-446655440000",
+      products: [
+        {
+          productId: "660e8400-e29b-41d4-a716-446655440000",
+          quantity: 2,
+          price: 999.99,
+        },
+      ],
+      totalAmount: 1999.98,
+      ...initialStatus(),
+    });
 
   describe("Health Check", () => {
     test("GET /health should return 200", async () => {
@@ -29,7 +82,7 @@ describe("RESTful API Assessment", () => {
   describe("Users API", () => {
     describe("GET /api/v1/users", () => {
       test("should return all users with pagination", async () => {
-        const response = await request(app).get("/api/v1/users");
+        const response = await api.get("/api/v1/users");
         expect(response.status).toBe(200);
         expect(response.body).toHaveProperty("success", true);
         expect(response.body).toHaveProperty("data");
@@ -38,7 +91,7 @@ describe("RESTful API Assessment", () => {
       });
 
       test("should filter users by name", async () => {
-        const response = await request(app).get("/api/v1/users?name=John");
+        const response = await api.get("/api/v1/users?name=John");
         expect(response.status).toBe(200);
         expect(
           response.body.data.every((user) =>
@@ -48,7 +101,7 @@ describe("RESTful API Assessment", () => {
       });
 
       test("should filter users by email", async () => {
-        const response = await request(app).get(
+        const response = await api.get(
           "/api/v1/users?email=john.doe@example.com"
         );
         expect(response.status).toBe(200);
@@ -60,15 +113,15 @@ describe("RESTful API Assessment", () => {
       });
 
       test("should handle invalid pagination parameters", async () => {
-        const response = await request(app).get("/api/v1/users?page=0");
+        const response = await api.get("/api/v1/users?page=0");
         expect(response.status).toBe(400);
-        expect(response.body).toHaveProperty("error", true);
+        expect(response.body).toHaveProperty("status", response.status);
       });
     });
 
     describe("GET /api/v1/users/:id", () => {
       test("should return user by ID", async () => {
-        const response = await request(app).get(
+        const response = await api.get(
           "/api/v1/users/550e8400-e29b-41d4-a716-446655440000"
         );
         expect(response.status).toBe(200);
@@ -80,18 +133,18 @@ describe("RESTful API Assessment", () => {
       });
 
       test("should return 404 for non-existent user", async () => {
-        const response = await request(app).get(
+        const response = await api.get(
           "/api/v1/users/550e8400-e29b-41d4-a716-446655440999"
         );
         expect(response.status).toBe(404);
-        expect(response.body).toHaveProperty("error", true);
-        expect(response.body).toHaveProperty("message", "User not found");
+        expect(response.body).toHaveProperty("status", response.status);
+        expect(response.body).toHaveProperty("detail", "User not found");
       });
 
       test("should return 400 for invalid UUID", async () => {
-        const response = await request(app).get("/api/v1/users/invalid-id");
+        const response = await api.get("/api/v1/users/invalid-id");
         expect(response.status).toBe(400);
-        expect(response.body).toHaveProperty("error", true);
+        expect(response.body).toHaveProperty("status", response.status);
       });
     });
 
@@ -101,11 +154,10 @@ describe("RESTful API Assessment", () => {
           name: "Test User",
           email: "test.user@example.com",
           age: 25,
+          password: SEED_PASSWORD,
         };
 
-        const response = await request(app)
-          .post("/api/v1/users")
-          .send(userData);
+        const response = await api.post("/api/v1/users").send(userData);
 
         expect(response.status).toBe(201);
         expect(response.body).toHaveProperty("success", true);
@@ -119,8 +171,8 @@ describe("RESTful API Assessment", () => {
         expect(response.body.data).toHaveProperty("id");
         expect(response.body.data).toHaveProperty("createdAt");
         expect(response.body.data).toHaveProperty("updatedAt");
-
-        userId = response.body.data.id;
+        expect(response.body.data).not.toHaveProperty("password");
+        expect(response.body.data).not.toHaveProperty("passwordHash");
       });
 
       test("should return 409 for duplicate email", async () => {
@@ -128,60 +180,60 @@ describe("RESTful API Assessment", () => {
           name: "Duplicate User",
           email: "john.doe@example.com",
           age: 30,
+          password: SEED_PASSWORD,
         };
 
-        const response = await request(app)
-          .post("/api/v1/users")
-          .send(userData);
+        const response = await api.post("/api/v1/users").send(userData);
 
         expect(response.status).toBe(409);
-        expect(response.body).toHaveProperty("error", true);
+        expect(response.body).toHaveProperty("status", response.status);
         expect(response.body).toHaveProperty(
-          "message",
+          "detail",
           "User with this email already exists"
         );
       });
 
       test("should validate required fields", async () => {
-        const response = await request(app).post("/api/v1/users").send({});
+        const response = await api.post("/api/v1/users").send({});
 
         expect(response.status).toBe(400);
-        expect(response.body).toHaveProperty("error", true);
+        expect(response.body).toHaveProperty("status", response.status);
         expect(response.body).toHaveProperty("errors");
       });
 
       test("should validate email format", async () => {
-        const response = await request(app).post("/api/v1/users").send({
+        const response = await api.post("/api/v1/users").send({
           name: "Test User",
           email: "invalid-email",
           age: 25,
         });
 
         expect(response.status).toBe(400);
-        expect(response.body).toHaveProperty("error", true);
+        expect(response.body).toHaveProperty("status", response.status);
       });
 
       test("should validate age range", async () => {
-        const response = await request(app).post("/api/v1/users").send({
+        const response = await api.post("/api/v1/users").send({
           name: "Test User",
           email: "test@example.com",
           age: 15,
         });
 
         expect(response.status).toBe(400);
-        expect(response.body).toHaveProperty("error", true);
+        expect(response.body).toHaveProperty("status", response.status);
       });
     });
 
     describe("PUT /api/v1/users/:id", () => {
       test("should update user completely", async () => {
+        const userId = createUser().id;
         const updateData = {
           name: "Updated User",
           email: "updated.user@example.com",
           age: 35,
         };
 
-        const response = await request(app)
+        const response = await api
           .put(`/api/v1/users/${userId}`)
           .send(updateData);
 
@@ -193,7 +245,7 @@ describe("RESTful API Assessment", () => {
       });
 
       test("should return 404 for non-existent user", async () => {
-        const response = await request(app)
+        const response = await api
           .put("/api/v1/users/550e8400-e29b-41d4-a716-446655440999")
           .send({
             name: "Test",
@@ -202,17 +254,18 @@ describe("RESTful API Assessment", () => {
           });
 
         expect(response.status).toBe(404);
-        expect(response.body).toHaveProperty("error", true);
+        expect(response.body).toHaveProperty("status", response.status);
       });
     });
 
     describe("PATCH /api/v1/users/:id", () => {
       test("should update user partially", async () => {
+        const userId = createUser().id;
         const updateData = {
           age: 40,
         };
 
-        const response = await request(app)
+        const response = await api
           .patch(`/api/v1/users/${userId}`)
           .send(updateData);
 
@@ -224,7 +277,8 @@ describe("RESTful API Assessment", () => {
 
     describe("DELETE /api/v1/users/:id", () => {
       test("should delete user", async () => {
-        const response = await request(app).delete(`/api/v1/users/${userId}`);
+        const userId = createUser().id;
+        const response = await api.delete(`/api/v1/users/${userId}`);
 
         expect(response.status).toBe(200);
         expect(response.body).toHaveProperty("success", true);
@@ -235,12 +289,12 @@ describe("RESTful API Assessment", () => {
       });
 
       test("should return 404 for non-existent user", async () => {
-        const response = await request(app).delete(
+        const response = await api.delete(
           "/api/v1/users/550e8400-e29b-41d4-a716-446655440999"
         );
 
         expect(response.status).toBe(404);
-        expect(response.body).toHaveProperty("error", true);
+        expect(response.body).toHaveProperty("status", response.status);
       });
     });
   });
@@ -248,7 +302,7 @@ describe("RESTful API Assessment", () => {
   describe("Products API", () => {
     describe("GET /api/v1/products", () => {
       test("should return all products with pagination", async () => {
-        const response = await request(app).get("/api/v1/products");
+        const response = await api.get("/api/v1/products");
         expect(response.status).toBe(200);
         expect(response.body).toHaveProperty("success", true);
         expect(response.body).toHaveProperty("data");
@@ -257,9 +311,7 @@ describe("RESTful API Assessment", () => {
       });
 
       test("should filter products by category", async () => {
-        const response = await request(app).get(
-          "/api/v1/products?category=electronics"
-        );
+        const response = await api.get("/api/v1/products?category=electronics");
         expect(response.status).toBe(200);
         expect(
           response.body.data.every(
@@ -269,7 +321,7 @@ describe("RESTful API Assessment", () => {
       });
 
       test("should filter products by price range", async () => {
-        const response = await request(app).get(
+        const response = await api.get(
           "/api/v1/products?minPrice=100&maxPrice=1000"
         );
         expect(response.status).toBe(200);
@@ -291,9 +343,7 @@ describe("RESTful API Assessment", () => {
           inStock: true,
         };
 
-        const response = await request(app)
-          .post("/api/v1/products")
-          .send(productData);
+        const response = await api.post("/api/v1/products").send(productData);
 
         expect(response.status).toBe(201);
         expect(response.body).toHaveProperty("success", true);
@@ -303,31 +353,62 @@ describe("RESTful API Assessment", () => {
           "category",
           productData.category
         );
-
-        productId = response.body.data.id;
       });
 
       test("should validate required fields", async () => {
-        const response = await request(app).post("/api/v1/products").send({});
+        const response = await api.post("/api/v1/products").send({});
+
+        expect(response.status).toBe(400);
+        expect(response.body).toHaveProperty("status", response.status);
+      });
+
+      test("should derive inStock from stockQuantity", async () => {
+        const response = await api.post("/api/v1/products").send({
+          name: "Desk Lamp",
+          price: 25,
+          category: "home",
+          inStock: true,
+        });
+
+        expect(response.status).toBe(201);
+        expect(response.body.data).toHaveProperty("stockQuantity", 0);
+        expect(response.body.data).toHaveProperty("inStock", false);
+
+        const restocked = await api
+          .patch(`/api/v1/products/${response.body.data.id}`)
+          .send({ stockQuantity: 3 });
+
+        expect(restocked.status).toBe(200);
+        expect(restocked.body.data).toHaveProperty("inStock", true);
+      });
+
+      test("should validate stockQuantity", async () => {
+        const response = await api.post("/api/v1/products").send({
+          name: "Desk Lamp",
+          price: 25,
+          category: "home",
+          stockQuantity: -1,
+        });
 
         expect(response.status).toBe(400);
-        expect(response.body).toHaveProperty("error", true);
+        expect(response.body).toHaveProperty("status", response.status);
       });
 
       test("should validate category enum", async () => {
-        const response = await request(app).post("/api/v1/products").send({
+        const response = await api.post("/api/v1/products").send({
           name: "Test Product",
           price: 99.99,
           category: "invalid-category",
         });
 
         expect(response.status).toBe(400);
-        expect(response.body).toHaveProperty("error", true);
+        expect(response.body).toHaveProperty("status", response.status);
       });
     });
 
     describe("PUT /api/v1/products/:id", () => {
       test("should update product completely", async () => {
+        const productId = createProduct().id;
         const updateData = {
           name: "Updated Product",
           description: "Updated description",
@@ -336,7 +417,7 @@ describe("RESTful API Assessment", () => {
           inStock: false,
         };
 
-        const response = await request(app)
+        const response = await api
           .put(`/api/v1/products/${productId}`)
           .send(updateData);
 
@@ -353,9 +434,8 @@ describe("RESTful API Assessment", () => {
 
     describe("DELETE /api/v1/products/:id", () => {
       test("should delete product", async () => {
-        const response = await request(app).delete(
-          `/api/v1/products/${productId}`
-        );
+        const productId = createProduct().id;
+        const response = await api.delete(`/api/v1/products/${productId}`);
 
         expect(response.status).toBe(200);
         expect(response.body).toHaveProperty("success", true);
@@ -366,7 +446,7 @@ describe("RESTful API Assessment", () => {
   describe("Orders API", () => {
     describe("GET /api/v1/orders", () => {
       test("should return all orders with pagination", async () => {
-        const response = await request(app).get("/api/v1/orders");
+        const response = await api.get("/api/v1/orders");
         expect(response.status).toBe(200);
         expect(response.body).toHaveProperty("success", true);
         expect(response.body).toHaveProperty("data");
@@ -375,9 +455,7 @@ describe("RESTful API Assessment", () => {
       });
 
       test("should filter orders by status", async () => {
-        const response = await request(app).get(
-          "/api/v1/orders?status=delivered"
-        );
+        const response = await api.get("/api/v1/orders?status=delivered");
         expect(response.status).toBe(200);
         expect(
           response.body.data.every((order) => order.status === "delivered")
@@ -397,9 +475,7 @@ describe("RESTful API Assessment", () => {
           ],
         };
 
-        const response = await request(app)
-          .post("/api/v1/orders")
-          .send(orderData);
+        const response = await api.post("/api/v1/orders").send(orderData);
 
         expect(response.status).toBe(201);
         expect(response.body).toHaveProperty("success", true);
@@ -407,53 +483,180 @@ describe("RESTful API Assessment", () => {
         expect(response.body.data).toHaveProperty("products");
         expect(response.body.data).toHaveProperty("totalAmount");
         expect(response.body.data).toHaveProperty("status", "pending");
+      });
+
+      test("should reserve stock for the ordered quantity", async () => {
+        const productId = "660e8400-e29b-41d4-a716-446655440001";
+
+        const response = await api.post("/api/v1/orders").send({
+          userId: "550e8400-e29b-41d4-a716-446655440000",
+          products: [{ productId, quantity: 5 }],
+        });
+
+        expect(response.status).toBe(201);
+        expect(store.productOperations.getById(productId)).toHaveProperty(
+          "stockQuantity",
+          20
+        );
+      });
 
-        orderId = response.body.data.id;
+      test("should reject orders that exceed available stock", async () => {
+        const response = await api.post("/api/v1/orders").send({
+          userId: "550e8400-e29b-41d4-a716-446655440000",
+          products: [
+            {
+              productId: "660e8400-e29b-41d4-a716-446655440001",
+              quantity: 26,
+            },
+            {
+              productId: "660e8400-e29b-41d4-a716-446655440002",
+              quantity: 1,
+            },
+          ],
+        });
+
+        expect(response.status).toBe(409);
+        expect(response.body).toHaveProperty("status", response.status);
+        expect(response.body.shortages).toEqual([
+          {
+            productId: "660e8400-e29b-41d4-a716-446655440001",
+            name: "MacBook Air M2",
+            requested: 26,
+            available: 25,
+          },
+        ]);
+        expect(
+          store.productOperations.getById(
+            "660e8400-e29b-41d4-a716-446655440002"
+          )
+        ).toHaveProperty("stockQuantity", 200);
+        expect(store.orderOperations.getAll()).toHaveLength(1);
       });
 
       test("should return 404 for non-existent user", async () => {
-        const response = await request(app)
-          .post("/api/v1/orders")
-          .send({
-            userId: "550e8400-e29b-41d4-a716-446655440999",
-            products: [
-              {
-                productId: "660e8400-e29b-41d4-a716-446655440000",
-                quantity: 1,
-              },
-            ],
-          });
+        const response = await api.post("/api/v1/orders").send({
+          userId: "550e8400-e29b-41d4-a716-446655440999",
+          products: [
+            {
+              productId: "660e8400-e29b-41d4-a716-446655440000",
+              quantity: 1,
+            },
+          ],
+        });
 
         expect(response.status).toBe(404);
-        expect(response.body).toHaveProperty("error", true);
-        expect(response.body).toHaveProperty("message", "User not found");
+        expect(response.body).toHaveProperty("status", response.status);
+        expect(response.body).toHaveProperty("detail", "User not found");
       });
 
       test("should return 404 for non-existent product", async () => {
-        const response = await request(app)
-          .post("/api/v1/orders")
-          .send({
-            userId: "550e8400-e29b-41d4-a716-446655440000",
-            products: [
-              {
-                productId: "660e8400-e29b-41d4-a716-446655440999",
-                quantity: 1,
-              },
-            ],
-          });
+        const response = await api.post("/api/v1/orders").send({
+          userId: "550e8400-e29b-41d4-a716-446655440000",
+          products: [
+            {
+              productId: "660e8400-e29b-41d4-a716-446655440999",
+              quantity: 1,
+            },
+          ],
+        });
 
         expect(response.status).toBe(404);
-        expect(response.body).toHaveProperty("error", true);
+        expect(response.body).toHaveProperty("status", response.status);
+      });
+    });
+
+    describe("PUT /api/v1/orders/:id", () => {
+      const userId = "550e8400-e29b-41d4-a716-446655440000";
+      const iphoneId = "660e8400-e29b-41d4-a716-446655440000";
+      const shirtId = "660e8400-e29b-41d4-a716-446655440002";
+
+      test("should recompute the total on the server", async () => {
+        const orderId = createOrder().id;
+
+        const response = await api.put(`/api/v1/orders/${orderId}`).send({
+          userId,
+          products: [
+            { productId: iphoneId, quantity: 1 },
+            { productId: shirtId, quantity: 2 },
+          ],
+        });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data).toHaveProperty("totalAmount", 1059.97);
+        expect(response.body.data.products[1]).toHaveProperty("price", 29.99);
+      });
+
+      test("should keep the price locked at order time", async () => {
+        const orderId = createOrder().id;
+        store.productOperations.update(iphoneId, { price: 500 });
+
+        const response = await api
+          .put(`/api/v1/orders/${orderId}`)
+          .send({ userId, products: [{ productId: iphoneId, quantity: 3 }] });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data.products[0]).toHaveProperty("price", 999.99);
+        expect(response.body.data).toHaveProperty("totalAmount", 2999.97);
+      });
+
+      test("should reject a client-supplied total that does not match", async () => {
+        const orderId = createOrder().id;
+
+        const response = await api.put(`/api/v1/orders/${orderId}`).send({
+          userId,
+          products: [{ productId: iphoneId, quantity: 2 }],
+          totalAmount: 0,
+        });
+
+        expect(response.status).toBe(400);
+        expect(response.body).toHaveProperty("status", response.status);
+        expect(store.orderOperations.getById(orderId)).toHaveProperty(
+          "totalAmount",
+          1999.98
+        );
+      });
+
+      test("should not change the lines or stock of a delivered order", async () => {
+        const orderId = "770e8400-e29b-41d4-a716-446655440000";
+
+        const response = await api
+          .put(`/api/v1/orders/${orderId}`)
+          .send({ userId, products: [{ productId: iphoneId, quantity: 10 }] });
+
+        expect(response.status).toBe(409);
+        expect(response.body).toHaveProperty("code", "order_not_editable");
+        expect(response.body).toHaveProperty("currentStatus", "delivered");
+        expect(store.productOperations.getById(iphoneId).stockQuantity).toBe(
+          50
+        );
+        expect(store.orderOperations.getById(orderId)).toHaveProperty(
+          "totalAmount",
+          999.99
+        );
+      });
+
+      test("should reject client-supplied line prices", async () => {
+        const orderId = createOrder().id;
+
+        const response = await api.put(`/api/v1/orders/${orderId}`).send({
+          userId,
+          products: [{ productId: shirtId, quantity: 1, price: 0 }],
+          totalAmount: 0,
+        });
+
+        expect(response.status).toBe(400);
+        expect(response.body).toHaveProperty("status", response.status);
       });
     });
 
     describe("PATCH /api/v1/orders/:id", () => {
       test("should update order status", async () => {
+        const orderId = createOrder().id;
         const updateData = {
           status: "processing",
         };
 
-        const response = await request(app)
+        const response = await api
           .patch(`/api/v1/orders/${orderId}`)
           .send(updateData);
 
@@ -462,21 +665,107 @@ describe("RESTful API Assessment", () => {
         expect(response.body.data).toHaveProperty("status", updateData.status);
       });
 
-      test("should validate status enum", async () => {
-        const response = await request(app)
+      test("should record transition timestamps and history", async () => {
+        const orderId = createOrder().id;
+
+        const response = await api
           .patch(`/api/v1/orders/${orderId}`)
-          .send({
-            status: "invalid-status",
-          });
+          .send({ status: "processing" });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data).toHaveProperty("processedAt");
+        expect(
+          response.body.data.statusHistory.map((change) => change.status)
+        ).toEqual(["pending", "processing"]);
+        expect(response.body.data.statusHistory[1]).toHaveProperty(
+          "from",
+          "pending"
+        );
+      });
+
+      test("should reject moving a delivered order back to pending", async () => {
+        const response = await api
+          .patch("/api/v1/orders/770e8400-e29b-41d4-a716-446655440000")
+          .send({ status: "pending" });
+
+        expect(response.status).toBe(409);
+        expect(response.body).toHaveProperty("status", response.status);
+        expect(response.body).toHaveProperty("currentStatus", "delivered");
+        expect(response.body).toHaveProperty("allowedTransitions", []);
+      });
+
+      test("should release reserved stock when cancelled", async () => {
+        const productId = "660e8400-e29b-41d4-a716-446655440002";
+        const created = await api.post("/api/v1/orders").send({
+          userId: "550e8400-e29b-41d4-a716-446655440000",
+          products: [{ productId, quantity: 200 }],
+        });
+        expect(created.status).toBe(201);
+
+        const product = store.productOperations.getById(productId);
+        expect(product).toHaveProperty("stockQuantity", 0);
+        expect(product).toHaveProperty("inStock", false);
+
+        const response = await api
+          .patch(`/api/v1/orders/${created.body.data.id}`)
+          .send({ status: "cancelled" });
+
+        expect(response.status).toBe(200);
+        expect(response.body.data).toHaveProperty("cancelledAt");
+        expect(store.productOperations.getById(productId)).toMatchObject({
+          stockQuantity: 200,
+          inStock: true,
+        });
+      });
+
+      test("should reject shipping a cancelled order", async () => {
+        const orderId = createOrder().id;
+        await api
+          .patch(`/api/v1/orders/${orderId}`)
+          .send({ status: "cancelled" })
+          .expect(200);
+
+        const response = await api
+          .patch(`/api/v1/orders/${orderId}`)
+          .send({ status: "shipped" });
+
+        expect(response.status).toBe(409);
+        expect(response.body).toHaveProperty("allowedTransitions", []);
+        expect(store.orderOperations.getById(orderId)).toHaveProperty(
+          "status",
+          "cancelled"
+        );
+      });
+
+      test("should list the allowed next states", async () => {
+        const orderId = createOrder().id;
+
+        const response = await api
+          .patch(`/api/v1/orders/${orderId}`)
+          .send({ status: "delivered" });
+
+        expect(response.status).toBe(409);
+        expect(response.body).toHaveProperty("allowedTransitions", [
+          "processing",
+          "cancelled",
+        ]);
+      });
+
+      test("should validate status enum", async () => {
+        const orderId = createOrder().id;
+        const response = await api.patch(`/api/v1/orders/${orderId}`).send({
+          status: "invalid-status",
+        });
 
         expect(response.status).toBe(400);
-        expect(response.body).toHaveProperty("error", true);
+        expect(response.body).toHaveProperty("status", response.status);
       });
     });
 
     describe("DELETE /api/v1/orders/:id", () => {
       test("should delete order", async () => {
-        const response = await request(app).delete(`/api/v1/orders/${orderId}`);
+        const orderId = createOrder().id;
+        const response = await api.delete(`/api/v1/orders/${orderId}`);
 
         expect(response.status).toBe(200);
         expect(response.body).toHaveProperty("success", true);
@@ -484,38 +773,62 @@ describe("RESTful API Assessment", () => {
     });
   });
 
+  describe("App factory", () => {
+    test("should keep separate instances isolated", async () => {
+      const other = createTestApp();
+
+      const response = await api.post("/api/v1/users").send({
+        name: "Only Here",
+        email: "only.here@example.com",
+        age: 30,
+        password: SEED_PASSWORD,
+      });
+      expect(response.status).toBe(201);
+
+      const otherResponse = await authedAgent(other.app).get(
+        `/api/v1/users/${response.body.data.id}`
+      );
+      expect(otherResponse.status).toBe(404);
+      expect(other.store.userOperations.getAll()).toHaveLength(4);
+    });
+  });
+
   describe("Error Handling", () => {
     test("should return 404 for non-existent routes", async () => {
-      const response = await request(app).get("/api/v1/nonexistent");
+      const response = await api.get("/api/v1/nonexistent");
       expect(response.status).toBe(404);
-      expect(response.body).toHaveProperty("error", true);
+      expect(response.body).toHaveProperty("status", response.status);
     });
 
     test("should handle malformed JSON", async () => {
-      const response = await request(app)
+      const response = await api
         .post("/api/v1/users")
         .set("Content-Type", "application/json")
         .send('{"invalid": json}');
 
       expect(response.status).toBe(400);
-      expect(response.body).toHaveProperty("error", true);
+      expect(response.body).toHaveProperty("status", response.status);
     });
 
     test("should handle rate limiting", async () => {
       // Make multiple requests to trigger rate limiting
       const requests = Array(101)
         .fill()
-        .map(() => request(app).get("/api/v1/users"));
+        .map(() =>
+          request(app)
+            .get("/api/v1/users")
+            .set("Authorization", bearer(JOHN_ID))
+        );
 
       const responses = await Promise.all(requests);
       const rateLimitedResponse = responses.find((res) => res.status === 429);
 
       expect(rateLimitedResponse).toBeDefined();
-      expect(rateLimitedResponse.body).toHaveProperty(
-        "error",
-        "Too many requests from this IP, please try again later."
-      );
-      expect(rateLimitedResponse.body).toHaveProperty("statusCode", 429);
+      expect(rateLimitedResponse.body).toMatchObject({
+        status: 429,
+        code: "rate_limited",
+        detail: "Too many requests from this IP, please try again later.",
+      });
     });
   });
 });
@@ -0,0 +1,214 @@
+const request = require("supertest");
+const jwt = require("jsonwebtoken");
+const {
+  createTestApp,
+  bearer,
+  JOHN_ID,
+  JANE_ID,
+  ADMIN_ID,
+  SEED_PASSWORD,
+} = require("./helpers");
+const config = require("../config");
+
+describe("Authentication", () => {
+  let app, store;
+
+  beforeEach(() => {
+    ({ app, store } = createTestApp());
+  });
+
+  const login = (email = "john.doe@example.com", password = SEED_PASSWORD) =>
+    request(app).post("/api/v1/auth/login").send({ email, password });
+
+  describe("POST /api/v1/auth/login", () => {
+    test("should issue an access and refresh token", async () => {
+      const response = await login().expect(200);
+
+      expect(response.body.success).toBe(true);
+      expect(response.body.data).toHaveProperty("tokenType", "Bearer");
+      expect(response.body.data).toHaveProperty("accessToken");
+      expect(response.body.data).toHaveProperty("refreshToken");
+      expect(response.body.data).toHaveProperty("expiresIn", 900);
+      expect(response.body.data).not.toHaveProperty("refreshTokenId");
+    });
+
+    test("should accept the issued access token", async () => {
+      const { body } = await login().expect(200);
+
+      const response = await request(app)
+        .get(`/api/v1/users/${JOHN_ID}`)
+        .set("Authorization", `Bearer ${body.data.accessToken}`)
+        .expect(200);
+
+      expect(response.body.data.email).toBe("john.doe@example.com");
+      expect(response.body.data).not.toHaveProperty("passwordHash");
+    });
+
+    test("should reject a wrong password", async () => {
+      const response = await login(
+        "john.doe@example.com",
+        "wrong-password"
+      ).expect(401);
+
+      expect(response.body.detail).toBe("Invalid email or password");
+    });
+
+    test("should reject an unknown email", async () => {
+      await login("nobody@example.com").expect(401);
+    });
+
+    test("should let a new user log in with their password", async () => {
+      await request(app)
+        .post("/api/v1/users")
+        .set("Authorization", bearer(ADMIN_ID))
+        .send({
+          name: "New User",
+          email: "new.user@example.com",
+          age: 30,
+          password: "s3cret-pass",
+        })
+        .expect(201);
+
+      await login("new.user@example.com", "s3cret-pass").expect(200);
+    });
+  });
+
+  describe("POST /api/v1/auth/refresh", () => {
+    test("should rotate the refresh token", async () => {
+      const { body: first } = await login().expect(200);
+
+      const response = await request(app)
+        .post("/api/v1/auth/refresh")
+        .send({ refreshToken: first.data.refreshToken })
+        .expect(200);
+
+      expect(response.body.data.refreshToken).not.toBe(first.data.refreshToken);
+
+      // The rotated token can be used once more
+      await request(app)
+        .post("/api/v1/auth/refresh")
+        .send({ refreshToken: response.body.data.refreshToken })
+        .expect(200);
+    });
+
+    test("should revoke the whole family when a token is reused", async () => {
+      const { body: first } = await login().expect(200);
+
+      const { body: second } = await request(app)
+        .post("/api/v1/auth/refresh")
+        .send({ refreshToken: first.data.refreshToken })
+        .expect(200);
+
+      // Replaying the old token is treated as theft
+      await request(app)
+        .post("/api/v1/auth/refresh")
+        .send({ refreshToken: first.data.refreshToken })
+        .expect(401);
+
+      // ...so the token issued by the legitimate rotation is revoked too
+      await request(app)
+        .post("/api/v1/auth/refresh")
+        .send({ refreshToken: second.data.refreshToken })
+        .expect(401);
+    });
+
+    test("should reject an access token used as a refresh token", async () => {
+      const { body } = await login().expect(200);
+
+      await request(app)
+        .post("/api/v1/auth/refresh")
+        .send({ refreshToken: body.data.accessToken })
+        .expect(401);
+    });
+
+    test("should require a refresh token", async () => {
+      await request(app).post("/api/v1/auth/refresh").send({}).expect(400);
+    });
+  });
+
+  describe("POST /api/v1/auth/logout", () => {
+    test("should revoke the refresh token", async () => {
+      const { body } = await login().expect(200);
+
+      await request(app)
+        .post("/api/v1/auth/logout")
+        .send({ refreshToken: body.data.refreshToken })
+        .expect(200);
+
+      await request(app)
+        .post("/api/v1/auth/refresh")
+        .send({ refreshToken: body.data.refreshToken })
+        .expect(401);
+    });
+  });
+
+  describe("Protected routes", () => {
+    test("should require a token", async () => {
+      const response = await request(app).get("/api/v1/products").expect(401);
+
+      expect(response.headers["www-authenticate"]).toMatch(/^Bearer/);
+      expect(response.body).toHaveProperty("status", response.status);
+    });
+
+    test("should reject a token signed with another secret", async () => {
+      const token = jwt.sign({ type: "access" }, "not-the-secret", {
+        subject: JOHN_ID,
+        issuer: config.auth.issuer,
+      });
+
+      const response = await request(app)
+        .get("/api/v1/products")
+        .set("Authorization", `Bearer ${token}`)
+        .expect(401);
+
+      expect(response.body.detail).toBe("Invalid token");
+    });
+
+    test("should reject an expired token", async () => {
+      const token = jwt.sign(
+        { type: "access", exp: Math.floor(Date.now() / 1000) - 60 },
+        config.auth.jwtSecret,
+        { subject: JOHN_ID, issuer: config.auth.issuer }
+      );
+
+      const response = await request(app)
+        .get("/api/v1/products")
+        .set("Authorization", `Bearer ${token}`)
+        .expect(401);
+
+      expect(response.body.detail).toBe("Token expired");
+    });
+
+    test("should reject tokens of deleted users", async () => {
+      store.userOperations.delete(JANE_ID);
+
+      await request(app)
+        .get("/api/v1/products")
+        .set("Authorization", bearer(JANE_ID))
+        .expect(401);
+    });
+
+    test("should keep the health check public", async () => {
+      await request(app).get("/health").expect(200);
+    });
+  });
+
+  describe("Token revocation", () => {
+    test("should revoke refresh tokens when the password changes", async () => {
+      const { body } = await login().expect(200);
+
+      await request(app)
+        .patch(`/api/v1/users/${JOHN_ID}`)
+        .set("Authorization", bearer(JOHN_ID))
+        .send({ password: "a-new-password" })
+        .expect(200);
+
+      await request(app)
+        .post("/api/v1/auth/refresh")
+        .send({ refreshToken: body.data.refreshToken })
+        .expect(401);
+
+      await login("john.doe@example.com", "a-new-password").expect(200);
+    });
+  });
+});
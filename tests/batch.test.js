@@ -0,0 +1,243 @@
+const { createTestApp, authedAgent, JOHN_ID } = require("./helpers");
+const defaultConfig = require("../config");
+
+const IPHONE_ID = "660e8400-e29b-41d4-a716-446655440000";
+const TSHIRT_ID = "660e8400-e29b-41d4-a716-446655440002";
+
+const config = {
+  ...defaultConfig,
+  batch: { maxOperations: 4 },
+};
+
+describe("Batch", () => {
+  let app, store, admin;
+
+  beforeEach(() => {
+    ({ app, store } = createTestApp({ config }));
+    admin = authedAgent(app);
+  });
+
+  const batch = (body, agent = admin) =>
+    agent.post("/api/v1/batch").send(body).expect(200);
+
+  test("should run each operation and return its status and body", async () => {
+    const response = await batch({
+      operations: [
+        {
+          method: "patch",
+          path: `/api/v1/products/${IPHONE_ID}`,
+          body: { price: 899 },
+        },
+        { method: "GET", path: "/api/v1/products?filter[category]=clothing" },
+        { method: "GET", path: "/api/v1/users/not-a-uuid" },
+        { method: "GET", path: "/api/v1/invoices" },
+      ],
+    });
+
+    expect(response.body).toMatchObject({
+      success: false,
+      message: "2 of 4 operations succeeded",
+      atomic: false,
+      rolledBack: false,
+    });
+    const [patched, listed, invalid, missing] = response.body.results;
+    expect(patched).toMatchObject({
+      status: 200,
+      headers: { etag: '"2"' },
+      body: { data: { id: IPHONE_ID, price: 899 } },
+    });
+    expect(listed.body.data.map(({ id }) => id)).toEqual([TSHIRT_ID]);
+    expect(invalid).toMatchObject({
+      status: 400,
+      headers: { "content-type": expect.stringMatching(/problem\+json/) },
+      body: { code: "validation_failed", instance: "/api/v1/users/not-a-uuid" },
+    });
+    expect(missing).toMatchObject({
+      status: 404,
+      body: { code: "route_not_found" },
+    });
+
+    // Failed operations do not undo the others outside atomic mode
+    expect(store.productOperations.getById(IPHONE_ID).price).toBe(899);
+  });
+
+  test("should run operations as the caller", async () => {
+    const customer = authedAgent(app, JOHN_ID);
+
+    const response = await batch(
+      {
+        operations: [
+          {
+            method: "DELETE",
+            path: `/api/v1/products/${IPHONE_ID}`,
+            // Cannot stand in for the caller's own token
+            headers: { Authorization: "Bearer forged" },
+          },
+          { method: "GET", path: `/api/v1/users/${JOHN_ID}` },
+        ],
+      },
+      customer
+    );
+
+    expect(response.body.results.map(({ status }) => status)).toEqual([
+      403, 200,
+    ]);
+    expect(store.productOperations.getById(IPHONE_ID)).toBeDefined();
+  });
+
+  test("should pass operation headers such as If-Match on", async () => {
+    const response = await batch({
+      operations: [
+        {
+          method: "PATCH",
+          path: `/api/v1/products/${IPHONE_ID}`,
+          headers: { "If-Match": '"7"' },
+          body: { price: 1 },
+        },
+      ],
+    });
+
+    expect(response.body.results[0]).toMatchObject({
+      status: 412,
+      body: { code: "version_mismatch" },
+    });
+  });
+
+  test("should roll back an atomic batch when an operation fails", async () => {
+    const events = [];
+    store.events.on("change", (event) => events.push(event));
+
+    const response = await batch({
+      atomic: true,
+      operations: [
+        {
+          method: "PATCH",
+          path: `/api/v1/products/${IPHONE_ID}`,
+          body: { price: 899 },
+        },
+        {
+          method: "POST",
+          path: "/api/v1/orders",
+          body: {
+            userId: JOHN_ID,
+            products: [{ productId: TSHIRT_ID, quantity: 100000 }],
+          },
+        },
+        { method: "DELETE", path: `/api/v1/products/${TSHIRT_ID}` },
+      ],
+    });
+
+    expect(response.body).toMatchObject({
+      success: false,
+      atomic: true,
+      rolledBack: true,
+    });
+    const [patched, ordered, skipped] = response.body.results;
+    expect(patched.status).toBe(200);
+    expect(ordered.status).toBe(409);
+    expect(skipped).toMatchObject({
+      status: 424,
+      body: {
+        code: "batch_aborted",
+        detail: "Not run because operation 1 failed",
+      },
+    });
+
+    expect(store.productOperations.getById(IPHONE_ID).price).toBe(999.99);
+    expect(store.productOperations.getById(TSHIRT_ID).deletedAt).toBeFalsy();
+    expect(store.orderOperations.getAll()).toHaveLength(1);
+    expect(events).toEqual([]);
+  });
+
+  test("should commit an atomic batch when every operation succeeds", async () => {
+    const events = [];
+    store.events.on("change", (event) => events.push(event));
+
+    const response = await batch({
+      atomic: true,
+      operations: [
+        {
+          method: "PATCH",
+          path: `/api/v1/products/${IPHONE_ID}`,
+          body: { price: 899 },
+        },
+        {
+          method: "POST",
+          path: "/api/v1/orders",
+          body: {
+            userId: JOHN_ID,
+            products: [{ productId: IPHONE_ID, quantity: 1 }],
+          },
+        },
+      ],
+    });
+
+    expect(response.body).toMatchObject({ success: true, rolledBack: false });
+    const order = response.body.results[1].body.data;
+    expect(order.totalAmount).toBe(899);
+    expect(store.orderOperations.getById(order.id)).toBeDefined();
+    expect(
+      events.map(({ type, collection }) => `${collection}.${type}`)
+    ).toEqual(expect.arrayContaining(["products.updated", "orders.created"]));
+  });
+
+  test("should reject malformed batches", async () => {
+    const operation = { method: "GET", path: "/api/v1/products" };
+
+    const response = await admin
+      .post("/api/v1/batch")
+      .send({
+        atomic: "yes",
+        operations: [
+          { method: "TRACE", path: "/api/v1/products" },
+          { method: "GET", path: "users" },
+          { ...operation, body: [1] },
+        ],
+      })
+      .expect(400);
+    expect(response.body.errors.map(({ field }) => field)).toEqual([
+      "atomic",
+      "operations[0].method",
+      "operations[1].path",
+      "operations[2].body",
+    ]);
+
+    await admin.post("/api/v1/batch").send({ operations: [] }).expect(400);
+    await admin
+      .post("/api/v1/batch")
+      .send({ operations: Array(5).fill(operation) })
+      .expect(400);
+  });
+
+  test("should not dispatch to batch, auth or event routes", async () => {
+    const response = await batch({
+      operations: [
+        { method: "POST", path: "/api/v1/batch", body: { operations: [] } },
+        { method: "GET", path: "/api/v1/events" },
+      ],
+    });
+
+    expect(response.body.results.map(({ body }) => body.code)).toEqual([
+      "route_not_found",
+      "route_not_found",
+    ]);
+  });
+
+  test("should count every operation against the rate limit", async () => {
+    ({ app } = createTestApp({
+      config: { ...config, rateLimit: { ...config.rateLimit, max: 6 } },
+    }));
+    admin = authedAgent(app);
+    const operation = { method: "GET", path: "/api/v1/products" };
+
+    const first = await batch({ operations: Array(4).fill(operation) });
+    expect(first.headers["ratelimit-remaining"]).toBe("2");
+
+    const response = await admin
+      .post("/api/v1/batch")
+      .send({ operations: Array(3).fill(operation) })
+      .expect(429);
+    expect(response.body.code).toBe("rate_limited");
+    expect(response.headers["ratelimit-remaining"]).toBe("0");
+  });
+});
@@ -0,0 +1,202 @@
+const { createTestApp, authedAgent, JOHN_ID, STAFF_ID } = require("./helpers");
+const { initialStatus } = require("../services/orderStatus");
+
+const PRODUCT_ID = "660e8400-e29b-41d4-a716-446655440000";
+
+describe("Conditional requests", () => {
+  let app, store, api;
+
+  beforeEach(() => {
+    ({ app, store } = createTestApp());
+    api = authedAgent(app, STAFF_ID);
+  });
+
+  const productUrl = `/api/v1/products/${PRODUCT_ID}`;
+
+  const expectPreconditionFailed = (response) => {
+    expect(response.status).toBe(412);
+    expect(response.body).toMatchObject({
+      status: 412,
+      code: "version_mismatch",
+    });
+  };
+
+  describe("ETag and Last-Modified", () => {
+    test("should return validators for a single resource", async () => {
+      const response = await api.get(productUrl).expect(200);
+
+      expect(response.headers.etag).toBe('"1"');
+      expect(response.headers["last-modified"]).toBe(
+        new Date("2024-01-15T10:00:00.000Z").toUTCString()
+      );
+      expect(response.body.data).toHaveProperty("version", 1);
+    });
+
+    test("should answer a matching If-None-Match with 304", async () => {
+      const response = await api
+        .get(productUrl)
+        .set("If-None-Match", '"1"')
+        .expect(304);
+
+      expect(response.body).toEqual({});
+    });
+
+    test("should return the new version after a change", async () => {
+      await api.patch(productUrl).send({ price: 899.99 }).expect(200);
+
+      const response = await api
+        .get(productUrl)
+        .set("If-None-Match", '"1"')
+        .expect(200);
+
+      expect(response.headers.etag).toBe('"2"');
+      expect(response.body.data).toHaveProperty("version", 2);
+    });
+
+    test("should honour If-Modified-Since", async () => {
+      await api
+        .get(productUrl)
+        .set("If-Modified-Since", new Date().toUTCString())
+        .expect(304);
+    });
+
+    test("should send the ETag of a created resource", async () => {
+      const response = await api
+        .post("/api/v1/products")
+        .send({ name: "Lamp", price: 20, category: "home" })
+        .expect(201);
+
+      expect(response.headers.etag).toBe('"1"');
+      expect(response.body.data).toHaveProperty("version", 1);
+    });
+
+    test("should ignore a client-supplied version", async () => {
+      const response = await api
+        .patch(productUrl)
+        .send({ price: 899.99, version: 42 })
+        .expect(200);
+
+      expect(response.body.data).toHaveProperty("version", 2);
+    });
+  });
+
+  describe("If-Match", () => {
+    test("should apply a change made against the current version", async () => {
+      const response = await api
+        .put(productUrl)
+        .set("If-Match", '"1"')
+        .send({ name: "iPhone 15 Pro", price: 949.99, category: "electronics" })
+        .expect(200);
+
+      expect(response.headers.etag).toBe('"2"');
+      expect(response.body.data).toHaveProperty("price", 949.99);
+    });
+
+    test("should stop the second of two concurrent edits", async () => {
+      const { headers } = await api.get(productUrl).expect(200);
+
+      await api
+        .patch(productUrl)
+        .set("If-Match", headers.etag)
+        .send({ price: 949.99 })
+        .expect(200);
+
+      expectPreconditionFailed(
+        await api
+          .patch(productUrl)
+          .set("If-Match", headers.etag)
+          .send({ price: 899.99 })
+      );
+      expect(store.productOperations.getById(PRODUCT_ID).price).toBe(949.99);
+    });
+
+    test("should accept any version for If-Match: *", async () => {
+      await api
+        .patch(productUrl)
+        .set("If-Match", "*")
+        .send({ price: 949.99 })
+        .expect(200);
+    });
+
+    test("should accept a list of entity tags", async () => {
+      await api
+        .patch(productUrl)
+        .set("If-Match", '"7", "1"')
+        .send({ price: 949.99 })
+        .expect(200);
+    });
+
+    test("should never match a weak entity tag", async () => {
+      expectPreconditionFailed(
+        await api
+          .patch(productUrl)
+          .set("If-Match", 'W/"1"')
+          .send({ price: 949.99 })
+      );
+    });
+
+    test("should only delete the expected version", async () => {
+      const product = store.productOperations.create({
+        name: "Lamp",
+        price: 20,
+        category: "home",
+      });
+      const url = `/api/v1/products/${product.id}`;
+
+      expectPreconditionFailed(await api.delete(url).set("If-Match", '"2"'));
+      expect(store.productOperations.getById(product.id)).toBeDefined();
+
+      await api.delete(url).set("If-Match", '"1"').expect(200);
+      expect(store.productOperations.getById(product.id)).toBeUndefined();
+    });
+
+    test("should check the version of users", async () => {
+      const admin = authedAgent(app);
+
+      expectPreconditionFailed(
+        await admin
+          .patch(`/api/v1/users/${JOHN_ID}`)
+          .set("If-Match", '"5"')
+          .send({ name: "Johnny Doe" })
+      );
+
+      const response = await admin
+        .patch(`/api/v1/users/${JOHN_ID}`)
+        .set("If-Match", '"1"')
+        .send({ name: "Johnny Doe" })
+        .expect(200);
+      expect(response.headers.etag).toBe('"2"');
+    });
+
+    test("should leave stock untouched when an order update is stale", async () => {
+      const order = store.orderOperations.create({
+        userId: JOHN_ID,
+        products: [{ productId: PRODUCT_ID, quantity: 2, price: 999.99 }],
+        totalAmount: 1999.98,
+        ...initialStatus(),
+      });
+      store.productOperations.update(PRODUCT_ID, { stockQuantity: 48 });
+
+      expectPreconditionFailed(
+        await api
+          .put(`/api/v1/orders/${order.id}`)
+          .set("If-Match", '"2"')
+          .send({
+            userId: JOHN_ID,
+            products: [{ productId: PRODUCT_ID, quantity: 5 }],
+          })
+      );
+      expectPreconditionFailed(
+        await api
+          .patch(`/api/v1/orders/${order.id}`)
+          .set("If-Match", '"2"')
+          .send({ status: "cancelled" })
+      );
+
+      expect(store.productOperations.getById(PRODUCT_ID).stockQuantity).toBe(
+        48
+      );
+      expect(store.orderOperations.getById(order.id).status).toBe("pending");
+    });
+  });
+});
@@ -0,0 +1,227 @@
+const {
+  createTestApp,
+  authedAgent,
+  JOHN_ID,
+  SEED_PASSWORD,
+} = require("./helpers");
+const defaultConfig = require("../config");
+const { NotFoundError, ValidationError } = require("../services/errors");
+
+const MISSING_ID = "550e8400-e29b-41d4-a716-446655440999";
+
+describe("Error responses", () => {
+  let app, store, api;
+
+  beforeEach(() => {
+    ({ app, store } = createTestApp());
+    api = authedAgent(app);
+  });
+
+  describe("problem+json", () => {
+    test("should describe the problem with a type URI and a stable code", async () => {
+      const response = await api.get(`/api/v1/users/${MISSING_ID}`).expect(404);
+
+      expect(response.headers["content-type"]).toMatch(
+        /^application\/problem\+json/
+      );
+      expect(response.headers.vary).toMatch(/Accept/);
+      expect(response.body).toEqual({
+        type: "https://api.example.com/problems/user-not-found",
+        title: "Not Found",
+        status: 404,
+        detail: "User not found",
+        instance: `/api/v1/users/${MISSING_ID}`,
+        code: "user_not_found",
+        timestamp: expect.any(String),
+      });
+    });
+
+    test("should list validation errors per field without their values", async () => {
+      const response = await api
+        .post("/api/v1/users")
+        .send({ name: "A", email: "not-an-email", age: 30, password: "short" })
+        .expect(400);
+
+      expect(response.body).toMatchObject({
+        code: "validation_failed",
+        detail: "Validation failed",
+      });
+      expect(response.body.errors).toEqual(
+        expect.arrayContaining([
+          {
+            field: "email",
+            location: "body",
+            message: "Must be a valid email address",
+          },
+          {
+            field: "password",
+            location: "body",
+            message: "Password must be between 8 and 128 characters",
+          },
+        ])
+      );
+    });
+
+    test("should keep extra members of a problem", async () => {
+      const response = await api
+        .post("/api/v1/orders")
+        .send({
+          userId: JOHN_ID,
+          products: [
+            {
+              productId: "660e8400-e29b-41d4-a716-446655440000",
+              quantity: 999,
+            },
+          ],
+        })
+        .expect(409);
+
+      expect(response.body).toMatchObject({
+        code: "insufficient_stock",
+        shortages: [expect.objectContaining({ requested: 999 })],
+      });
+    });
+
+    test("should give library errors their own codes", async () => {
+      const malformed = await api
+        .post("/api/v1/products")
+        .set("Content-Type", "application/json")
+        .send("{nope")
+        .expect(400);
+      expect(malformed.body.code).toBe("invalid_json");
+
+      const unknown = await api.get("/api/v1/nowhere").expect(404);
+      expect(unknown.body.code).toBe("route_not_found");
+    });
+
+    test("should hide the cause of unexpected errors", async () => {
+      store.userOperations.getAll = () => {
+        throw new Error("disk on fire");
+      };
+
+      const response = await api.get("/api/v1/users").expect(500);
+
+      expect(response.body).toMatchObject({
+        code: "internal_error",
+        detail: "Failed to retrieve users",
+      });
+      expect(JSON.stringify(response.body)).not.toContain("disk on fire");
+    });
+
+    test("should build type URIs from the configured base", async () => {
+      ({ app } = createTestApp({
+        config: {
+          ...defaultConfig,
+          errors: { typeBaseUrl: "https://docs.shop.test/errors" },
+        },
+      }));
+
+      const response = await authedAgent(app)
+        .get(`/api/v1/orders/${MISSING_ID}`)
+        .expect(404);
+
+      expect(response.body.type).toBe(
+        "https://docs.shop.test/errors/order-not-found"
+      );
+    });
+  });
+
+  describe("legacy shape", () => {
+    test("should be sent to clients that only accept application/json", async () => {
+      const response = await api
+        .get(`/api/v1/users/${MISSING_ID}`)
+        .set("Accept", "application/json")
+        .expect(404);
+
+      expect(response.headers["content-type"]).toMatch(/^application\/json/);
+      expect(response.body).toEqual({
+        error: true,
+        message: "User not found",
+        statusCode: 404,
+        timestamp: expect.any(String),
+        path: `/api/v1/users/${MISSING_ID}`,
+        method: "GET",
+        code: "user_not_found",
+      });
+    });
+
+    test("should echo the submitted values of invalid fields", async () => {
+      const response = await api
+        .post("/api/v1/auth/login")
+        .set("Accept", "application/json")
+        .send({ email: "nobody", password: SEED_PASSWORD })
+        .expect(400);
+
+      expect(response.body.errors).toEqual([
+        {
+          field: "email",
+          message: expect.any(String),
+          value: "nobody",
+        },
+      ]);
+    });
+
+    test("should not echo passwords or tokens", async () => {
+      const response = await api
+        .post("/api/v1/users")
+        .set("Accept", "application/json")
+        .send({
+          name: "Short Password",
+          email: "short@example.com",
+          age: 30,
+          password: "secret",
+        })
+        .expect(400);
+      expect(response.body.errors).toEqual([
+        { field: "password", message: expect.any(String) },
+      ]);
+
+      const refresh = await api
+        .post("/api/v1/auth/refresh")
+        .set("Accept", "application/json")
+        .send({ refreshToken: 42 })
+        .expect(400);
+      expect(refresh.body.errors[0]).not.toHaveProperty("value");
+    });
+
+    test("should prefer problem+json when both are acceptable", async () => {
+      const response = await api
+        .get(`/api/v1/users/${MISSING_ID}`)
+        .set("Accept", "application/problem+json, application/json;q=0.9")
+        .expect(404);
+
+      expect(response.body.code).toBe("user_not_found");
+      expect(response.body.error).toBeUndefined();
+    });
+  });
+
+  describe("error classes", () => {
+    test("should carry status, code and extensions", () => {
+      const error = new NotFoundError("Widget not found", {
+        code: "widget_not_found",
+        widgetId: "w1",
+      });
+
+      expect(error).toBeInstanceOf(Error);
+      expect(error).toMatchObject({
+        name: "NotFoundError",
+        status: 404,
+        title: "Not Found",
+        code: "widget_not_found",
+        extensions: { widgetId: "w1" },
+      });
+      expect(new NotFoundError().code).toBe("not_found");
+    });
+
+    test("should default validation errors to validation_failed", () => {
+      const error = new ValidationError([
+        { field: "name", location: "body", message: "Required", value: "" },
+      ]);
+
+      expect(error.code).toBe("validation_failed");
+      expect(error.extensions.errors).toEqual([
+        { field: "name", location: "body", message: "Required" },
+      ]);
+    });
+  });
+});
@@ -0,0 +1,261 @@
+const http = require("http");
+const {
+  createTestApp,
+  bearer,
+  authedAgent,
+  JOHN_ID,
+  STAFF_ID,
+} = require("./helpers");
+const defaultConfig = require("../config");
+
+const IPHONE_ID = "660e8400-e29b-41d4-a716-446655440000";
+const TSHIRT_ID = "660e8400-e29b-41d4-a716-446655440002";
+const HEARTBEAT_MS = 50;
+
+const config = {
+  ...defaultConfig,
+  changeFeed: { bufferSize: 3, heartbeatMs: HEARTBEAT_MS },
+};
+
+// "id: 1\nevent: x\ndata: {...}" -> { id, event, data }; comments are kept
+// as { comment }
+const parseMessage = (text) => {
+  if (text.startsWith(":")) return { comment: text.slice(1).trim() };
+  return Object.fromEntries(
+    text.split("\n").map((line) => {
+      const [field, ...value] = line.split(": ");
+      const joined = value.join(": ");
+      return [field, field === "data" ? JSON.parse(joined) : joined];
+    })
+  );
+};
+
+describe("Event stream", () => {
+  let app, store, server, streams;
+
+  beforeEach(async () => {
+    ({ app, store } = createTestApp({ config }));
+    streams = [];
+    server = await new Promise((resolve) => {
+      const listening = app.listen(0, "127.0.0.1", () => resolve(listening));
+    });
+  });
+
+  afterEach(async () => {
+    streams.forEach((stream) => stream.close());
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  // Open /api/v1/events; messages collects what arrives
+  const openStream = (path = "", { userId = STAFF_ID, headers = {} } = {}) =>
+    new Promise((resolve, reject) => {
+      const request = http.get(
+        `http://127.0.0.1:${server.address().port}/api/v1/events${path}`,
+        { headers: { Authorization: bearer(userId), ...headers } },
+        (response) => {
+          const stream = {
+            response,
+            messages: [],
+            close: () => request.destroy(),
+          };
+          let buffered = "";
+          response.setEncoding("utf8");
+          response.on("data", (chunk) => {
+            buffered += chunk;
+            const parts = buffered.split("\n\n");
+            buffered = parts.pop();
+            stream.messages.push(...parts.map(parseMessage));
+          });
+          streams.push(stream);
+          resolve(stream);
+        }
+      );
+      request.on("error", reject);
+    });
+
+  // Wait until the stream has received count non-comment messages
+  const eventsOf = async (stream, count) => {
+    const events = () => stream.messages.filter((message) => !message.comment);
+    for (let i = 0; i < 100 && events().length < count; i += 1) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+    return events();
+  };
+
+  test("should stream store changes as they happen", async () => {
+    const stream = await openStream();
+    expect(stream.response.statusCode).toBe(200);
+    expect(stream.response.headers["content-type"]).toMatch(
+      /^text\/event-stream/
+    );
+
+    await authedAgent(app)
+      .patch(`/api/v1/products/${IPHONE_ID}`)
+      .send({ price: 899 })
+      .expect(200);
+
+    const [message] = await eventsOf(stream, 1);
+    expect(message.event).toBe("product.updated");
+    expect(message.data).toMatchObject({
+      id: message.id,
+      type: "product.updated",
+      data: { id: IPHONE_ID, price: 899 },
+    });
+  });
+
+  test("should announce order status changes", async () => {
+    const stream = await openStream("?resource=order");
+
+    const order = await authedAgent(app)
+      .post("/api/v1/orders")
+      .send({
+        userId: JOHN_ID,
+        products: [{ productId: TSHIRT_ID, quantity: 1 }],
+      })
+      .expect(201);
+    await authedAgent(app)
+      .patch(`/api/v1/orders/${order.body.data.id}`)
+      .send({ status: "processing" })
+      .expect(200);
+
+    const events = await eventsOf(stream, 3);
+    expect(events.map(({ event }) => event)).toEqual([
+      "order.created",
+      "order.updated",
+      "order.status_changed",
+    ]);
+    expect(events[2].data.previousStatus).toBe("pending");
+  });
+
+  test("should filter by resource type and id", async () => {
+    const products = await openStream("?resource=product");
+    const tshirt = await openStream(`?id=${TSHIRT_ID}`);
+
+    store.userOperations.update(JOHN_ID, { age: 31 });
+    store.productOperations.update(IPHONE_ID, { price: 899 });
+    store.productOperations.update(TSHIRT_ID, { price: 25 });
+
+    const productEvents = await eventsOf(products, 2);
+    expect(productEvents.map(({ data }) => data.data.id)).toEqual([
+      IPHONE_ID,
+      TSHIRT_ID,
+    ]);
+    const tshirtEvents = await eventsOf(tshirt, 1);
+    expect(tshirtEvents.map(({ data }) => data.data.id)).toEqual([TSHIRT_ID]);
+  });
+
+  test("should replay missed events after Last-Event-ID", async () => {
+    const first = await openStream();
+    store.productOperations.update(IPHONE_ID, { price: 1 });
+    const [seen] = await eventsOf(first, 1);
+    first.close();
+
+    store.productOperations.update(IPHONE_ID, { price: 2 });
+    store.productOperations.update(IPHONE_ID, { price: 3 });
+
+    const resumed = await openStream("", {
+      headers: { "Last-Event-ID": seen.id },
+    });
+    const events = await eventsOf(resumed, 2);
+    expect(events.map(({ data }) => data.data.price)).toEqual([2, 3]);
+  });
+
+  test("should send a reset when the missed events are gone", async () => {
+    const first = await openStream();
+    store.productOperations.update(IPHONE_ID, { price: 1 });
+    const [seen] = await eventsOf(first, 1);
+    first.close();
+
+    // More changes than the buffer of 3 holds
+    [2, 3, 4, 5].forEach((price) =>
+      store.productOperations.update(IPHONE_ID, { price })
+    );
+
+    const resumed = await openStream(`?lastEventId=${seen.id}`);
+    store.productOperations.update(IPHONE_ID, { price: 6 });
+
+    const events = await eventsOf(resumed, 2);
+    expect(events[0].event).toBe("reset");
+    expect(events[1].data.data.price).toBe(6);
+
+    const unknown = await openStream(`?lastEventId=old-7`);
+    expect((await eventsOf(unknown, 1))[0].event).toBe("reset");
+  });
+
+  test("should send heartbeat comments", async () => {
+    const stream = await openStream();
+
+    await new Promise((resolve) => setTimeout(resolve, HEARTBEAT_MS * 3));
+
+    expect(stream.messages).toContainEqual({ comment: "heartbeat" });
+  });
+
+  test("should stop sending once the client disconnects", async () => {
+    const stream = await openStream();
+    expect(app.locals.changeFeed.size()).toBe(1);
+
+    stream.close();
+    for (let i = 0; i < 50 && app.locals.changeFeed.size() > 0; i += 1) {
+      await new Promise((resolve) => setTimeout(resolve, 10));
+    }
+
+    expect(app.locals.changeFeed.size()).toBe(0);
+  });
+
+  test("should end the stream of a client that stops reading", async () => {
+    const stream = await openStream();
+    stream.response.pause();
+
+    // Large events until the backed-up connection gets the client dropped
+    const description = "x".repeat(8 * 1024);
+    let sent = 0;
+    while (app.locals.changeFeed.size() > 0 && sent < 2000) {
+      store.productOperations.update(IPHONE_ID, { description });
+      sent += 1;
+      await new Promise((resolve) => setImmediate(resolve));
+    }
+    expect(app.locals.changeFeed.size()).toBe(0);
+    store.productOperations.update(IPHONE_ID, { price: 899 });
+
+    const ended = new Promise((resolve) => stream.response.on("end", resolve));
+    stream.response.resume();
+    await ended;
+
+    // Every event up to the one that filled the connection got through
+    const events = stream.messages.filter((message) => !message.comment);
+    expect(events).toHaveLength(sent);
+
+    const resumed = await openStream("", {
+      headers: { "Last-Event-ID": events[events.length - 1].id },
+    });
+    const [missed] = await eventsOf(resumed, 1);
+    expect(missed.data.data).toMatchObject({ id: IPHONE_ID, price: 899 });
+  });
+
+  test("should end open streams when the feed closes", async () => {
+    const stream = await openStream();
+    const ended = new Promise((resolve) => stream.response.on("end", resolve));
+
+    app.locals.changeFeed.close();
+
+    await ended;
+  });
+
+  test("should only stream to staff and admins", async () => {
+    await authedAgent(app, JOHN_ID).get("/api/v1/events").expect(403);
+    await authedAgent(app).get("/api/v1/events?resource=invoice").expect(400);
+  });
+
+  test("should reject a repeated resource parameter", async () => {
+    const response = await authedAgent(app)
+      .get("/api/v1/events?resource=order&resource=user")
+      .expect(400);
+
+    expect(response.body.errors).toEqual([
+      expect.objectContaining({
+        field: "resource",
+        message: "Resource must be a list of: user, product, order",
+      }),
+    ]);
+  });
+});
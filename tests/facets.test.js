@@ -0,0 +1,107 @@
+const { createTestApp, authedAgent } = require("./helpers");
+const defaultConfig = require("../config");
+
+describe("Product facets", () => {
+  let app, store, api;
+
+  beforeEach(() => {
+    ({ app, store } = createTestApp());
+    api = authedAgent(app);
+    store.productOperations.create({
+      name: "Cookbook",
+      price: 20,
+      category: "books",
+      stockQuantity: 0,
+    });
+  });
+
+  test("should only count facets when asked", async () => {
+    const response = await api.get("/api/v1/products").expect(200);
+
+    expect(response.body.facets).toBeUndefined();
+  });
+
+  test("should count categories, price bands and stock state", async () => {
+    const response = await api
+      .get("/api/v1/products?facets=category,price,inStock&limit=1")
+      .expect(200);
+
+    expect(response.body.data).toHaveLength(1);
+    expect(response.body.facets).toEqual({
+      category: [
+        { value: "electronics", count: 2 },
+        { value: "clothing", count: 1 },
+        { value: "books", count: 1 },
+        { value: "home", count: 0 },
+      ],
+      price: [
+        { from: null, to: 25, count: 1 },
+        { from: 25, to: 100, count: 1 },
+        { from: 100, to: 500, count: 0 },
+        { from: 500, to: 1000, count: 1 },
+        { from: 1000, to: null, count: 1 },
+      ],
+      inStock: [
+        { value: true, count: 3 },
+        { value: false, count: 1 },
+      ],
+    });
+  });
+
+  test("should ignore each facet's own filter", async () => {
+    const response = await api
+      .get("/api/v1/products?category=electronics&facets=category,price")
+      .expect(200);
+
+    expect(response.body.data).toHaveLength(2);
+    const { category, price } = response.body.facets;
+    expect(category.find(({ value }) => value === "books").count).toBe(1);
+    expect(price.map(({ count }) => count)).toEqual([0, 0, 0, 1, 1]);
+  });
+
+  test("should apply the other filters to every facet", async () => {
+    const response = await api
+      .get(
+        "/api/v1/products?filter[price][lt]=100&filter[inStock]=true&facets=category,inStock"
+      )
+      .expect(200);
+
+    expect(response.body.facets.category.map(({ count }) => count)).toEqual([
+      0, 1, 0, 0,
+    ]);
+    expect(response.body.facets.inStock).toEqual([
+      { value: true, count: 1 },
+      { value: false, count: 1 },
+    ]);
+  });
+
+  test("should take price bands from the request or the config", async () => {
+    const custom = await api
+      .get("/api/v1/products?facets=price&priceBuckets=50")
+      .expect(200);
+    expect(custom.body.facets.price).toEqual([
+      { from: null, to: 50, count: 2 },
+      { from: 50, to: null, count: 2 },
+    ]);
+
+    ({ app } = createTestApp({
+      config: { ...defaultConfig, facets: { priceBuckets: [1000] } },
+    }));
+    const configured = await authedAgent(app)
+      .get("/api/v1/products?facets=price")
+      .expect(200);
+    expect(configured.body.facets.price.map(({ count }) => count)).toEqual([
+      2, 1,
+    ]);
+  });
+
+  test.each([
+    ["facets=colour", "Unknown facet colour"],
+    ["facets=price&priceBuckets=100,50", "Price buckets must be"],
+    ["facets=price&priceBuckets=-5", "Price buckets must be"],
+  ])("should reject %s", async (query, message) => {
+    const response = await api.get(`/api/v1/products?${query}`).expect(400);
+
+    expect(response.body.errors[0].message).toContain(message);
+  });
+});
@@ -0,0 +1,174 @@
+const { createTestApp, authedAgent, JOHN_ID } = require("./helpers");
+const { initialStatus } = require("../services/orderStatus");
+const { parseFilter, applyFilter } = require("../services/filters");
+
+describe("Filter expressions", () => {
+  let app, store, api;
+
+  beforeEach(() => {
+    ({ app, store } = createTestApp());
+    api = authedAgent(app);
+  });
+
+  const names = (response) => response.body.data.map((record) => record.name);
+
+  describe("on the list endpoints", () => {
+    test("should compare numbers", async () => {
+      const response = await api
+        .get("/api/v1/products?filter[price][gte]=1000")
+        .expect(200);
+
+      expect(names(response)).toEqual(["MacBook Air M2"]);
+    });
+
+    test("should treat a bare value as eq", async () => {
+      const response = await api
+        .get("/api/v1/products?filter[category]=clothing")
+        .expect(200);
+
+      expect(names(response)).toEqual(["Cotton T-Shirt"]);
+    });
+
+    test("should combine several conditions", async () => {
+      const response = await api
+        .get(
+          "/api/v1/products?filter[category][ne]=clothing&filter[price][between]=500,1000"
+        )
+        .expect(200);
+
+      expect(names(response)).toEqual(["iPhone 15 Pro"]);
+    });
+
+    test("should match any of a list", async () => {
+      store.orderOperations.create({
+        userId: JOHN_ID,
+        products: [
+          {
+            productId: "660e8400-e29b-41d4-a716-446655440002",
+            name: "Cotton T-Shirt",
+            quantity: 1,
+            price: 10,
+          },
+        ],
+        totalAmount: 10,
+        ...initialStatus(),
+      });
+
+      const response = await api
+        .get("/api/v1/orders?filter[status][in]=pending,processing")
+        .expect(200);
+
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0].status).toBe("pending");
+    });
+
+    test("should match text case-insensitively with contains and startsWith", async () => {
+      const contains = await api
+        .get("/api/v1/users?filter[email][contains]=EXAMPLE.COM")
+        .expect(200);
+      expect(contains.body.data).toHaveLength(4);
+
+      const startsWith = await api
+        .get("/api/v1/users?filter[name][startsWith]=ja")
+        .expect(200);
+      expect(names(startsWith)).toEqual(["Jane Smith"]);
+    });
+
+    test("should compare dates", async () => {
+      store.productOperations.create({
+        name: "Lamp",
+        price: 20,
+        category: "home",
+      });
+
+      const response = await api
+        .get("/api/v1/products?filter[createdAt][gt]=2024-06-01")
+        .expect(200);
+
+      expect(names(response)).toEqual(["Lamp"]);
+    });
+
+    test("should combine with the original filter parameters", async () => {
+      const response = await api
+        .get("/api/v1/products?minPrice=100&filter[category][nin]=books,home")
+        .expect(200);
+
+      expect(names(response)).toEqual(["iPhone 15 Pro", "MacBook Air M2"]);
+    });
+
+    test("should take 1 and 0 for inStock", async () => {
+      store.productOperations.update("660e8400-e29b-41d4-a716-446655440001", {
+        stockQuantity: 0,
+      });
+
+      const outOfStock = await api
+        .get("/api/v1/products?inStock=0")
+        .expect(200);
+      expect(names(outOfStock)).toEqual(["MacBook Air M2"]);
+
+      const inStock = await api.get("/api/v1/products?inStock=1").expect(200);
+      expect(names(inStock)).toEqual(["iPhone 15 Pro", "Cotton T-Shirt"]);
+      await api.get("/api/v1/products?inStock=yes").expect(400);
+    });
+
+    test("should report an invalid filter as a validation error", async () => {
+      const response = await api
+        .get("/api/v1/products?filter[price][gte]=cheap")
+        .expect(400);
+
+      expect(response.body.errors[0]).toMatchObject({
+        field: "filter",
+        message: "filter[price] must be a number",
+      });
+    });
+
+    test("should reject fields outside the whitelist", async () => {
+      await api.get("/api/v1/users?filter[passwordHash]=x").expect(400);
+    });
+  });
+
+  describe("parseFilter", () => {
+    const fields = {
+      name: { type: "string" },
+      status: { type: "string", enum: ["open", "closed"] },
+      price: { type: "number" },
+      active: { type: "boolean" },
+    };
+
+    test("should convert values to the field type", () => {
+      expect(
+        parseFilter(
+          { price: { between: "1,5" }, active: "true", status: "open" },
+          fields
+        )
+      ).toEqual([
+        { field: "price", operator: "between", value: [1, 5], type: "number" },
+        { field: "active", operator: "eq", value: true, type: "boolean" },
+        { field: "status", operator: "eq", value: "open", type: "string" },
+      ]);
+    });
+
+    test.each([
+      [{ price: { like: "1" } }, "Unknown operator like"],
+      [{ name: { gt: "a" } }, "Operator gt is not supported for name"],
+      [{ active: "yes" }, "filter[active] must be true or false"],
+      [{ status: { in: "open,archived" } }, "filter[status] must be one of"],
+      [{ price: { between: "1" } }, "filter[price][between] takes two values"],
+      [{ price: { eq: ["1", "2"] } }, "filter[price][eq] takes a single value"],
+      ["price", "Use filter[field][operator]=value"],
+    ])("should reject %j", (expression, message) => {
+      expect(() => parseFilter(expression, fields)).toThrow(message);
+    });
+
+    test("should only let missing values through negative operators", () => {
+      const records = [{ price: 5 }, { price: null }, {}];
+
+      expect(
+        applyFilter(records, parseFilter({ price: { ne: "5" } }, fields))
+      ).toHaveLength(2);
+      expect(
+        applyFilter(records, parseFilter({ price: { lt: "10" } }, fields))
+      ).toHaveLength(1);
+    });
+  });
+});
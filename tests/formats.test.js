@@ -0,0 +1,249 @@
+const express = require("express");
+const request = require("supertest");
+const { createTestApp, authedAgent, JOHN_ID } = require("./helpers");
+const defaultConfig = require("../config");
+const negotiate = require("../middleware/negotiate");
+const errorHandler = require("../middleware/errorHandler");
+const { createCsvParser } = require("../services/csv");
+
+const IPHONE_ID = "660e8400-e29b-41d4-a716-446655440000";
+const TSHIRT_ID = "660e8400-e29b-41d4-a716-446655440002";
+
+const parseCsv = (text) => {
+  const parser = createCsvParser();
+  return [...parser.push(text), ...parser.end()];
+};
+
+describe("Response formats", () => {
+  let app, store, admin;
+
+  beforeEach(() => {
+    ({ app, store } = createTestApp({
+      config: { ...defaultConfig, formats: { pageSize: 12 } },
+    }));
+    admin = authedAgent(app);
+  });
+
+  test("should flatten order products into the same CSV columns", async () => {
+    await admin
+      .post("/api/v1/orders")
+      .send({
+        userId: JOHN_ID,
+        products: [
+          { productId: IPHONE_ID, quantity: 1 },
+          { productId: TSHIRT_ID, quantity: 2 },
+        ],
+      })
+      .expect(201);
+
+    const response = await admin
+      .get("/api/v1/orders?sort=createdAt")
+      .set("Accept", "text/csv")
+      .expect(200);
+
+    expect(response.headers["content-type"]).toBe("text/csv; charset=utf-8");
+    expect(response.headers.vary).toMatch(/Accept/);
+    expect(response.headers["x-total-count"]).toBe("2");
+
+    const [columns, seeded, created] = parseCsv(response.text);
+    const products = columns.filter((column) => column.startsWith("products"));
+    expect(products).toEqual([
+      "products[0].productId",
+      "products[0].name",
+      "products[0].quantity",
+      "products[0].price",
+      "products[1].productId",
+      "products[1].name",
+      "products[1].quantity",
+      "products[1].price",
+    ]);
+    expect(columns.indexOf("products[1].price") + 1).toBe(
+      columns.indexOf("totalAmount")
+    );
+
+    const cell = (row, column) => row[columns.indexOf(column)];
+    expect(cell(seeded, "products[0].name")).toBe("iPhone 15 Pro");
+    expect(cell(seeded, "products[1].productId")).toBe("");
+    expect(cell(created, "products[1].quantity")).toBe("2");
+    expect(cell(created, "status")).toBe("pending");
+  });
+
+  test("should stream NDJSON in pages of the configured size", async () => {
+    for (let n = 1; n <= 12; n++) {
+      store.productOperations.create({
+        name: `Item ${n}`,
+        price: n,
+        category: "home",
+        stockQuantity: 1,
+      });
+    }
+
+    const first = await admin
+      .get("/api/v1/products?format=ndjson&sort=price")
+      .expect(200);
+    expect(first.headers["content-type"]).toMatch(/^application\/x-ndjson/);
+    const lines = first.text.trim().split("\n").map(JSON.parse);
+    expect(lines).toHaveLength(12);
+    expect(lines[0]).toMatchObject({ name: "Item 1", price: 1 });
+
+    const next = /<([^>]+)>; rel="next"/.exec(first.headers.link)[1];
+    const rest = await admin.get(new URL(next).pathname + new URL(next).search);
+    expect(rest.text.trim().split("\n")).toHaveLength(3);
+
+    const page = await admin
+      .get("/api/v1/products?format=ndjson&limit=5&page=2")
+      .expect(200);
+    expect(page.text.trim().split("\n")).toHaveLength(5);
+    expect(page.headers["x-total-count"]).toBe("15");
+    expect(page.headers.link).toMatch(/rel="next"/);
+
+    // JSON keeps its default page size
+    const json = await admin.get("/api/v1/products").expect(200);
+    expect(json.body.data).toHaveLength(10);
+  });
+
+  test("should send XML with escaped values and honour If-None-Match", async () => {
+    store.productOperations.update(TSHIRT_ID, {
+      description: 'Cotton & linen <"summer">',
+    });
+
+    const response = await admin
+      .get(`/api/v1/products/${TSHIRT_ID}`)
+      .set("Accept", "application/xml")
+      .expect(200);
+
+    expect(response.headers["content-type"]).toBe(
+      "application/xml; charset=utf-8"
+    );
+    expect(response.text).toMatch(
+      /^<\?xml version="1.0" encoding="UTF-8"\?>\n<product><id>/
+    );
+    expect(response.text).toContain(
+      "<description>Cotton &amp; linen &lt;&quot;summer&quot;&gt;</description>"
+    );
+
+    await admin
+      .get(`/api/v1/products/${TSHIRT_ID}?format=xml`)
+      .set("If-None-Match", response.headers.etag)
+      .expect(304);
+
+    const orders = await admin.get("/api/v1/orders?format=xml").expect(200);
+    expect(orders.text).toContain(
+      `<orders>\n<order><id>770e8400-e29b-41d4-a716-446655440000</id>`
+    );
+    expect(orders.text).toContain(
+      `<products><product><productId>${IPHONE_ID}</productId>`
+    );
+    expect(orders.text).toMatch(/<\/orders>\n$/);
+  });
+
+  test("should tag each format's ETag so validators do not cross formats", async () => {
+    const json = await admin.get(`/api/v1/products/${TSHIRT_ID}`).expect(200);
+    expect(json.headers.etag).toBe('"1"');
+
+    const csv = await admin
+      .get(`/api/v1/products/${TSHIRT_ID}`)
+      .set("Accept", "text/csv")
+      .set("If-None-Match", json.headers.etag)
+      .expect(200);
+    expect(csv.headers.etag).toBe('"1-csv"');
+
+    await admin
+      .get(`/api/v1/products/${TSHIRT_ID}?format=csv`)
+      .set("If-None-Match", csv.headers.etag)
+      .expect(304);
+    await admin
+      .get(`/api/v1/products/${TSHIRT_ID}`)
+      .set("If-None-Match", csv.headers.etag)
+      .expect(200);
+
+    // Either form names the version for If-Match
+    await admin
+      .patch(`/api/v1/products/${TSHIRT_ID}`)
+      .set("If-Match", csv.headers.etag)
+      .send({ price: 24.99 })
+      .expect(200);
+    await admin
+      .patch(`/api/v1/products/${TSHIRT_ID}`)
+      .set("If-Match", csv.headers.etag)
+      .send({ price: 19.99 })
+      .expect(412);
+  });
+
+  test("should let format override Accept and keep errors and browsers on JSON", async () => {
+    const overridden = await admin
+      .get(`/api/v1/users/${JOHN_ID}?format=csv`)
+      .set("Accept", "application/xml")
+      .expect(200);
+    expect(overridden.headers["content-type"]).toMatch(/^text\/csv/);
+    expect(parseCsv(overridden.text)[1]).toContain("john.doe@example.com");
+
+    const browser = await admin
+      .get("/api/v1/products")
+      .set(
+        "Accept",
+        "text/html,application/xhtml+xml,application/xml;q=0.9,*/*;q=0.8"
+      )
+      .expect(200);
+    expect(browser.body.success).toBe(true);
+
+    const missing = await admin
+      .get("/api/v1/orders/770e8400-e29b-41d4-a716-446655440999?format=csv")
+      .expect(404);
+    expect(missing.headers["content-type"]).toMatch(/problem\+json/);
+
+    const invalid = await admin.get("/api/v1/products?format=pdf").expect(400);
+    expect(invalid.body.errors).toEqual([
+      {
+        field: "format",
+        location: "query",
+        message: "Format must be one of: json, csv, ndjson, xml",
+      },
+    ]);
+  });
+
+  describe("when a record cannot be written", () => {
+    // A tiny app that lists whatever records the test passes
+    const widgetApp = (records) => {
+      const widgets = express();
+      widgets.locals.config = defaultConfig;
+      widgets.use(negotiate("widgets"));
+      widgets.get("/widgets", (req, res) => res.json({ data: records }));
+      widgets.use(errorHandler);
+      return widgets;
+    };
+
+    beforeEach(() => {
+      jest.spyOn(console, "error").mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    test("should answer with an error before any of the body is sent", async () => {
+      const broken = {
+        get size() {
+          throw new Error("Unreadable");
+        },
+      };
+
+      const response = await request(widgetApp([broken]))
+        .get("/widgets?format=csv")
+        .expect(500);
+      expect(response.headers["content-type"]).toMatch(/json/);
+    });
+
+    test("should cut the response short once the body has started", async () => {
+      const app = widgetApp([{ size: 1 }, { size: 2n }]);
+
+      await expect(
+        request(app).get("/widgets?format=ndjson")
+      ).rejects.toThrow();
+      expect(console.error).toHaveBeenCalledWith(
+        "Formatted response failed:",
+        expect.objectContaining({ url: "/widgets?format=ndjson" })
+      );
+    });
+  });
+});
@@ -0,0 +1,72 @@
+const fs = require("fs");
+const path = require("path");
+const request = require("supertest");
+const { createApp } = require("../app");
+const { createStore } = require("../data/store");
+const { createMemoryAdapter } = require("../data/adapters");
+const defaultConfig = require("../config");
+const { signAccessToken } = require("../services/auth");
+
+// Seed accounts (see data/seed.js)
+const SEED_PASSWORD = "Password123!";
+const JOHN_ID = "550e8400-e29b-41d4-a716-446655440000";
+const JANE_ID = "550e8400-e29b-41d4-a716-446655440001";
+const STAFF_ID = "550e8400-e29b-41d4-a716-446655440002";
+const ADMIN_ID = "550e8400-e29b-41d4-a716-446655440003";
+
+/**
+ * Build an isolated app instance backed by a fresh, seeded in-memory store
+ */
+const createTestApp = (options = {}) => {
+  const store = createStore(createMemoryAdapter());
+  const app = createApp({ store, ...options });
+  return { app, store };
+};
+
+/**
+ * "Bearer <token>" header value for a user
+ */
+const bearer = (userId, config = defaultConfig) =>
+  `Bearer ${signAccessToken({ id: userId }, config.auth)}`;
+
+/**
+ * Supertest client that sends an access token for the given user (the seed
+ * admin by default); a plain request per call, so no server is left listening
+ */
+const authedAgent = (app, userId = ADMIN_ID) => {
+  const authorization = bearer(userId);
+  return Object.fromEntries(
+    ["get", "post", "put", "patch", "delete"].map((method) => [
+      method,
+      (url) => request(app)[method](url).set("Authorization", authorization),
+    ])
+  );
+};
+
+/**
+ * Write a response coverage report (services/openapi.js) to
+ * coverage/openapi/<name>.json
+ * @returns {Object} The report
+ */
+const writeResponseCoverage = (coverage, name) => {
+  const report = coverage.report();
+  const dir = path.join(__dirname, "..", "coverage", "openapi");
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(
+    path.join(dir, `${name}.json`),
+    `${JSON.stringify(report, null, 2)}\n`
+  );
+  return report;
+};
+
+module.exports = {
+  SEED_PASSWORD,
+  JOHN_ID,
+  JANE_ID,
+  STAFF_ID,
+  ADMIN_ID,
+  createTestApp,
+  bearer,
+  authedAgent,
+  writeResponseCoverage,
+};
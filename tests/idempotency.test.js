@@ -0,0 +1,126 @@
+const { createTestApp, authedAgent, JOHN_ID, JANE_ID } = require("./helpers");
+
+const PRODUCT_ID = "660e8400-e29b-41d4-a716-446655440000";
+
+describe("Idempotency-Key", () => {
+  let app, store, api;
+
+  beforeEach(() => {
+    ({ app, store } = createTestApp());
+    api = authedAgent(app, JOHN_ID);
+  });
+
+  const orderPayload = (quantity = 1) => ({
+    userId: JOHN_ID,
+    products: [{ productId: PRODUCT_ID, quantity }],
+  });
+
+  const postOrder = (key, payload = orderPayload()) =>
+    api.post("/api/v1/orders").set("Idempotency-Key", key).send(payload);
+
+  test("should replay the first response for a retried request", async () => {
+    const first = await postOrder("order-1").expect(201);
+    const retry = await postOrder("order-1").expect(201);
+
+    expect(retry.headers["idempotent-replayed"]).toBe("true");
+    expect(first.headers["idempotent-replayed"]).toBeUndefined();
+    expect(retry.body).toEqual(first.body);
+    expect(retry.headers.etag).toBe(first.headers.etag);
+
+    // Only one order was created and stock was reserved once
+    expect(store.orderOperations.getByUserId(JOHN_ID)).toHaveLength(2);
+    expect(store.productOperations.getById(PRODUCT_ID).stockQuantity).toBe(49);
+  });
+
+  test("should treat reordered JSON keys as the same payload", async () => {
+    await postOrder("order-1").expect(201);
+
+    await postOrder("order-1", {
+      products: [{ quantity: 1, productId: PRODUCT_ID }],
+      userId: JOHN_ID,
+    })
+      .expect(201)
+      .expect("Idempotent-Replayed", "true");
+  });
+
+  test("should reject a reused key with a different payload", async () => {
+    await postOrder("order-1").expect(201);
+
+    const response = await postOrder("order-1", orderPayload(2)).expect(422);
+
+    expect(response.body).toHaveProperty("code", "idempotency_key_reused");
+    expect(store.productOperations.getById(PRODUCT_ID).stockQuantity).toBe(49);
+  });
+
+  test("should reject a reused key on a different endpoint", async () => {
+    const admin = authedAgent(app);
+
+    await admin
+      .post("/api/v1/orders")
+      .set("Idempotency-Key", "shared-key")
+      .send(orderPayload())
+      .expect(201);
+
+    await admin
+      .post("/api/v1/products")
+      .set("Idempotency-Key", "shared-key")
+      .send(orderPayload())
+      .expect(422);
+  });
+
+  test("should scope keys to the caller", async () => {
+    await postOrder("order-1").expect(201);
+
+    const response = await authedAgent(app, JANE_ID)
+      .post("/api/v1/orders")
+      .set("Idempotency-Key", "order-1")
+      .send({ ...orderPayload(), userId: JANE_ID })
+      .expect(201);
+
+    expect(response.headers["idempotent-replayed"]).toBeUndefined();
+  });
+
+  test("should replay validation errors too", async () => {
+    await postOrder("bad-order", { userId: JOHN_ID, products: [] }).expect(400);
+
+    await postOrder("bad-order", { userId: JOHN_ID, products: [] })
+      .expect(400)
+      .expect("Idempotent-Replayed", "true");
+  });
+
+  test("should forget keys once they expire", async () => {
+    await postOrder("order-1").expect(201);
+
+    const [record] = store.idempotencyKeyOperations.getByUserId(JOHN_ID);
+    store.idempotencyKeyOperations.update(record.id, {
+      expiresAt: new Date(Date.now() - 1000).toISOString(),
+    });
+
+    const response = await postOrder("order-1").expect(201);
+
+    expect(response.headers["idempotent-replayed"]).toBeUndefined();
+    expect(store.orderOperations.getByUserId(JOHN_ID)).toHaveLength(3);
+    expect(store.idempotencyKeyOperations.getByUserId(JOHN_ID)).toHaveLength(1);
+  });
+
+  test("should set the expiry from the configured window", async () => {
+    const before = Date.now();
+    await postOrder("order-1").expect(201);
+
+    const [record] = store.idempotencyKeyOperations.getByUserId(JOHN_ID);
+    const ttl = Date.parse(record.expiresAt) - before;
+    expect(ttl).toBeGreaterThanOrEqual(app.locals.config.idempotency.ttlMs);
+    expect(ttl).toBeLessThan(app.locals.config.idempotency.ttlMs + 5000);
+  });
+
+  test("should reject an overlong key", async () => {
+    await postOrder("k".repeat(256)).expect(400);
+  });
+
+  test("should not affect requests without a key", async () => {
+    await api.post("/api/v1/orders").send(orderPayload()).expect(201);
+    await api.post("/api/v1/orders").send(orderPayload()).expect(201);
+
+    expect(store.orderOperations.getByUserId(JOHN_ID)).toHaveLength(3);
+  });
+});
@@ -0,0 +1,182 @@
+const { createTestApp, authedAgent, JOHN_ID, JANE_ID } = require("./helpers");
+const defaultConfig = require("../config");
+const { initialStatus } = require("../services/orderStatus");
+
+const IPHONE_ID = "660e8400-e29b-41d4-a716-446655440000";
+const MACBOOK_ID = "660e8400-e29b-41d4-a716-446655440001";
+const SEED_ORDER_ID = "770e8400-e29b-41d4-a716-446655440000";
+
+const withPolicy = (policy) =>
+  createTestApp({
+    config: {
+      ...defaultConfig,
+      deletePolicies: { users: policy, products: policy },
+    },
+  });
+
+describe("Referential integrity", () => {
+  let app, store, api;
+
+  const setup = (policy = "restrict") => {
+    ({ app, store } = withPolicy(policy));
+    api = authedAgent(app);
+  };
+
+  // Pending order for Jane that holds 2 MacBooks
+  const createPendingOrder = () => {
+    store.productOperations.update(MACBOOK_ID, { stockQuantity: 23 });
+    return store.orderOperations.create({
+      userId: JANE_ID,
+      products: [
+        {
+          productId: MACBOOK_ID,
+          name: "MacBook Air M2",
+          quantity: 2,
+          price: 1199.99,
+        },
+      ],
+      totalAmount: 2399.98,
+      ...initialStatus(),
+    });
+  };
+
+  describe("restrict", () => {
+    beforeEach(() => setup("restrict"));
+
+    test("should refuse to delete a user with orders", async () => {
+      const response = await api.delete(`/api/v1/users/${JOHN_ID}`).expect(409);
+
+      expect(response.body).toHaveProperty("status", response.status);
+      expect(response.body.blockingOrders).toEqual([
+        { id: SEED_ORDER_ID, status: "delivered" },
+      ]);
+      expect(store.userOperations.getById(JOHN_ID)).toBeDefined();
+    });
+
+    test("should refuse to delete a product that has been ordered", async () => {
+      const response = await api
+        .delete(`/api/v1/products/${IPHONE_ID}`)
+        .expect(409);
+
+      expect(response.body.blockingOrders).toEqual([
+        { id: SEED_ORDER_ID, status: "delivered" },
+      ]);
+      expect(store.productOperations.getById(IPHONE_ID)).toBeDefined();
+    });
+
+    test("should delete records nothing references", async () => {
+      await api.delete(`/api/v1/users/${JANE_ID}`).expect(200);
+      await api.delete(`/api/v1/products/${MACBOOK_ID}`).expect(200);
+    });
+  });
+
+  describe("cascade", () => {
+    beforeEach(() => setup("cascade"));
+
+    test("should delete the user's orders and return their stock", async () => {
+      const order = createPendingOrder();
+
+      await api.delete(`/api/v1/users/${JANE_ID}`).expect(200);
+
+      expect(store.orderOperations.getById(order.id)).toBeUndefined();
+      expect(store.productOperations.getById(MACBOOK_ID).stockQuantity).toBe(
+        25
+      );
+    });
+
+    test("should delete orders containing the product", async () => {
+      await api.delete(`/api/v1/products/${IPHONE_ID}`).expect(200);
+
+      expect(store.orderOperations.getById(SEED_ORDER_ID)).toBeUndefined();
+    });
+  });
+
+  describe("anonymize", () => {
+    beforeEach(() => setup("anonymize"));
+
+    test("should keep the user's orders without the reference", async () => {
+      await api.delete(`/api/v1/users/${JOHN_ID}`).expect(200);
+
+      const order = store.orderOperations.getById(SEED_ORDER_ID);
+      expect(order.userId).toBeNull();
+      expect(order.totalAmount).toBe(999.99);
+    });
+
+    test("should keep order lines readable after a product is deleted", async () => {
+      await api.delete(`/api/v1/products/${IPHONE_ID}`).expect(200);
+
+      const response = await api
+        .get(`/api/v1/orders/${SEED_ORDER_ID}`)
+        .expect(200);
+      expect(response.body.data.products).toEqual([
+        { productId: null, name: "iPhone 15 Pro", quantity: 1, price: 999.99 },
+      ]);
+    });
+  });
+
+  describe("Order line snapshots", () => {
+    beforeEach(() => setup());
+
+    test("should record the product name on each line", async () => {
+      const response = await api
+        .post("/api/v1/orders")
+        .send({
+          userId: JOHN_ID,
+          products: [{ productId: MACBOOK_ID, quantity: 1 }],
+        })
+        .expect(201);
+
+      expect(response.body.data.products[0]).toEqual({
+        productId: MACBOOK_ID,
+        name: "MacBook Air M2",
+        quantity: 1,
+        price: 1199.99,
+      });
+    });
+
+    test("should keep the ordered name and price after catalogue changes", async () => {
+      const { body } = await api
+        .post("/api/v1/orders")
+        .send({
+          userId: JOHN_ID,
+          products: [{ productId: MACBOOK_ID, quantity: 1 }],
+        })
+        .expect(201);
+
+      store.productOperations.update(MACBOOK_ID, {
+        name: "MacBook Air M3",
+        price: 1299.99,
+      });
+
+      const response = await api
+        .put(`/api/v1/orders/${body.data.id}`)
+        .send({
+          userId: JOHN_ID,
+          products: [{ productId: MACBOOK_ID, quantity: 2 }],
+        })
+        .expect(200);
+
+      expect(response.body.data.products[0]).toMatchObject({
+        name: "MacBook Air M2",
+        price: 1199.99,
+        quantity: 2,
+      });
+    });
+  });
+
+  describe("Configuration", () => {
+    afterEach(() => {
+      delete process.env.USER_DELETE_POLICY;
+    });
+
+    test("should reject an unknown delete policy", () => {
+      process.env.USER_DELETE_POLICY = "obliterate";
+
+      jest.isolateModules(() => {
+        expect(() => require("../config")).toThrow(
+          "Delete policy for users must be one of: restrict, cascade, anonymize"
+        );
+      });
+    });
+  });
+});
@@ -0,0 +1,106 @@
+const { createTestApp, authedAgent } = require("./helpers");
+
+describe("Sorting and sparse fieldsets", () => {
+  let app, store, api;
+
+  beforeEach(() => {
+    ({ app, store } = createTestApp());
+    api = authedAgent(app);
+  });
+
+  const ids = (response) => response.body.data.map((record) => record.id);
+
+  describe("sort", () => {
+    test("should sort ascending by default", async () => {
+      const response = await api.get("/api/v1/products?sort=price").expect(200);
+
+      const prices = response.body.data.map((product) => product.price);
+      expect(prices).toEqual([...prices].sort((a, b) => a - b));
+    });
+
+    test("should sort descending with a - prefix", async () => {
+      const response = await api
+        .get("/api/v1/products?sort=-price")
+        .expect(200);
+
+      const prices = response.body.data.map((product) => product.price);
+      expect(prices).toEqual([...prices].sort((a, b) => b - a));
+    });
+
+    test("should break ties with the next field", async () => {
+      const cheap = ["Pen", "Mug", "Cup"].map((name) =>
+        store.productOperations.create({ name, price: 5, category: "home" })
+      );
+
+      const response = await api
+        .get("/api/v1/products?sort=price,-name&limit=3")
+        .expect(200);
+
+      expect(response.body.data.map((product) => product.name)).toEqual([
+        "Pen",
+        "Mug",
+        "Cup",
+      ]);
+      expect(ids(response)).toEqual(cheap.map((product) => product.id));
+    });
+
+    test("should sort before paginating", async () => {
+      const response = await api
+        .get("/api/v1/users?sort=-age&limit=1&page=1")
+        .expect(200);
+
+      const ages = store.userOperations.getAll().map((user) => user.age);
+      expect(response.body.data[0].age).toBe(Math.max(...ages));
+    });
+
+    test("should reject fields outside the whitelist", async () => {
+      const response = await api
+        .get("/api/v1/users?sort=passwordHash")
+        .expect(400);
+
+      expect(response.body.errors[0]).toMatchObject({
+        field: "sort",
+        message: expect.stringContaining("Cannot sort by passwordHash"),
+      });
+    });
+
+    test("should reject an empty sort", async () => {
+      await api.get("/api/v1/orders?sort=,").expect(400);
+    });
+  });
+
+  describe("fields", () => {
+    test("should return only the requested fields plus id", async () => {
+      const response = await api
+        .get("/api/v1/products?fields=name,price")
+        .expect(200);
+
+      response.body.data.forEach((product) => {
+        expect(Object.keys(product).sort()).toEqual(["id", "name", "price"]);
+      });
+    });
+
+    test("should never select the password hash", async () => {
+      await api.get("/api/v1/users?fields=name,passwordHash").expect(400);
+    });
+
+    test("should work together with sort", async () => {
+      const response = await api
+        .get("/api/v1/orders?sort=-totalAmount&fields=status")
+        .expect(200);
+
+      expect(response.body.data[0]).toEqual({
+        id: "770e8400-e29b-41d4-a716-446655440000",
+        status: "delivered",
+      });
+    });
+
+    test("should reject unknown fields", async () => {
+      const response = await api
+        .get("/api/v1/orders?fields=status,secret")
+        .expect(400);
+
+      expect(response.body.errors[0].message).toContain("Unknown field secret");
+    });
+  });
+});
@@ -0,0 +1,117 @@
+const { createTestApp, authedAgent } = require("./helpers");
+
+describe("Pagination", () => {
+  let app, store, api;
+
+  beforeEach(() => {
+    ({ app, store } = createTestApp());
+    api = authedAgent(app);
+    ["Pen", "Mug", "Cup", "Hat"].forEach((name) =>
+      store.productOperations.create({ name, price: 5, category: "home" })
+    );
+  });
+
+  // Path and query of an absolute link, ready for supertest
+  const pathOf = (link) => {
+    const url = new URL(link);
+    return url.pathname + url.search;
+  };
+
+  const names = (response) => response.body.data.map((product) => product.name);
+
+  describe("page mode", () => {
+    test("should link to neighbouring pages", async () => {
+      const response = await api
+        .get("/api/v1/products?page=2&limit=3&category=home")
+        .expect(200);
+
+      const { links } = response.body;
+      expect(pathOf(links.prev)).toBe(
+        "/api/v1/products?limit=3&category=home&page=1"
+      );
+      expect(links.next).toBeNull();
+      expect(pathOf(links.last)).toBe(
+        "/api/v1/products?limit=3&category=home&page=2"
+      );
+    });
+
+    test("should send an RFC 8288 Link header", async () => {
+      const response = await api.get("/api/v1/products?limit=3").expect(200);
+
+      const link = response.headers.link;
+      expect(link).toContain(`<${response.body.links.next}>; rel="next"`);
+      expect(link).toContain(`<${response.body.links.first}>; rel="first"`);
+      expect(link).not.toContain('rel="prev"');
+    });
+  });
+
+  describe("cursor mode", () => {
+    test("should walk every record once by following next links", async () => {
+      const seen = [];
+      let url = "/api/v1/products?limit=3&after=";
+
+      while (url) {
+        const response = await api.get(url).expect(200);
+        seen.push(...names(response));
+        url = response.body.links.next && pathOf(response.body.links.next);
+      }
+
+      expect(seen).toHaveLength(7);
+      expect(new Set(seen).size).toBe(7);
+    });
+
+    test("should not repeat rows when records are added between fetches", async () => {
+      const first = await api
+        .get("/api/v1/products?sort=name&limit=3&after=")
+        .expect(200);
+      expect(names(first)).toEqual(["Cotton T-Shirt", "Cup", "Hat"]);
+
+      store.productOperations.create({
+        name: "Apron",
+        price: 9,
+        category: "home",
+      });
+
+      const second = await api.get(pathOf(first.body.links.next)).expect(200);
+      expect(names(second)).toEqual(["iPhone 15 Pro", "MacBook Air M2", "Mug"]);
+    });
+
+    test("should page backwards from the end", async () => {
+      const last = await api
+        .get("/api/v1/products?sort=name&limit=3&before=")
+        .expect(200);
+      expect(names(last)).toEqual(["MacBook Air M2", "Mug", "Pen"]);
+      expect(last.body.pagination).toMatchObject({
+        hasPrev: true,
+        hasNext: false,
+        total: 7,
+      });
+
+      const previous = await api.get(pathOf(last.body.links.prev)).expect(200);
+      expect(names(previous)).toEqual(["Cup", "Hat", "iPhone 15 Pro"]);
+    });
+
+    test("should keep the cursor tied to its sort order", async () => {
+      const first = await api
+        .get("/api/v1/products?sort=-price&limit=2&after=")
+        .expect(200);
+      const cursor = new URL(first.body.links.next).searchParams.get("after");
+
+      const response = await api
+        .get(`/api/v1/products?sort=name&after=${cursor}`)
+        .expect(400);
+      expect(response.body.errors[0].message).toBe(
+        "Cursor does not match the sort order"
+      );
+    });
+
+    test("should reject malformed cursors", async () => {
+      await api.get("/api/v1/products?after=not-a-cursor").expect(400);
+    });
+
+    test("should reject mixing pagination modes", async () => {
+      await api.get("/api/v1/products?page=2&after=").expect(400);
+      await api.get("/api/v1/orders?after=&before=").expect(400);
+    });
+  });
+});
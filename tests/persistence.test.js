@@ -0,0 +1,103 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createPersistence } = require("../data/persistence");
+
+describe("File-backed persistence", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "store-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  const openStore = (collections, options = {}) => {
+    const persistence = createPersistence({
+      dir,
+      compactInterval: 0,
+      ...options,
+    });
+    const loaded = persistence.load();
+    const state = loaded || collections;
+    persistence.open(() => state);
+    return { persistence, state, loaded };
+  };
+
+  test("should return null when nothing has been persisted", () => {
+    const { persistence, loaded } = openStore({ users: [] });
+    expect(loaded).toBeNull();
+    persistence.close();
+  });
+
+  test("should replay journal entries after a restart", () => {
+    const { persistence, state } = openStore({ users: [] });
+    const user = { id: "1", name: "Ada" };
+    persistence.recordPut("users", user);
+    state.users.push(user);
+    persistence.recordPut("users", { ...user, name: "Ada Lovelace" });
+    persistence.recordPut("users", { id: "2", name: "Grace" });
+    persistence.recordDelete("users", "2");
+
+    // Simulate a crash: no close(), so no final snapshot
+    const reopened = createPersistence({ dir, compactInterval: 0 });
+    expect(reopened.load()).toEqual({
+      users: [{ id: "1", name: "Ada Lovelace" }],
+    });
+  });
+
+  test("should discard a torn final journal line", () => {
+    const { persistence } = openStore({ users: [] });
+    persistence.recordPut("users", { id: "1", name: "Ada" });
+
+    const journalPath = path.join(dir, "journal.ndjson");
+    const intact = fs.readFileSync(journalPath, "utf8");
+    fs.appendFileSync(journalPath, '{"seq":2,"op":"put","collection":"us');
+
+    const reopened = createPersistence({ dir, compactInterval: 0 });
+    expect(reopened.load()).toEqual({ users: [{ id: "1", name: "Ada" }] });
+    expect(fs.readFileSync(journalPath, "utf8")).toBe(intact);
+  });
+
+  test("should compact the journal into a snapshot", () => {
+    const { persistence, state } = openStore(
+      { users: [] },
+      { compactThreshold: 2 }
+    );
+    for (const id of ["1", "2", "3"]) {
+      const user = { id, name: `User ${id}` };
+      persistence.recordPut("users", user);
+      state.users.push(user);
+    }
+
+    const snapshot = JSON.parse(
+      fs.readFileSync(path.join(dir, "snapshot.json"), "utf8")
+    );
+    expect(snapshot.collections.users).toHaveLength(2);
+    expect(snapshot.sequence).toBe(2);
+
+    const reopened = createPersistence({ dir, compactInterval: 0 });
+    expect(reopened.load().users.map((user) => user.id)).toEqual([
+      "1",
+      "2",
+      "3",
+    ]);
+  });
+
+  test("should skip journal entries already covered by the snapshot", () => {
+    const { persistence, state } = openStore({ users: [] });
+    const user = { id: "1", name: "Ada" };
+    persistence.recordPut("users", user);
+    state.users.push(user);
+
+    // Crash after the snapshot was written but before the journal was reset
+    const journal = fs.readFileSync(path.join(dir, "journal.ndjson"));
+    persistence.compact();
+    fs.writeFileSync(path.join(dir, "journal.ndjson"), journal);
+
+    const reopened = createPersistence({ dir, compactInterval: 0 });
+    expect(reopened.load()).toEqual({ users: [{ id: "1", name: "Ada" }] });
+  });
+});
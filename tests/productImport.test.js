@@ -0,0 +1,347 @@
+const { createTestApp, authedAgent, JOHN_ID } = require("./helpers");
+const defaultConfig = require("../config");
+const {
+  createCsvParser,
+  formatRow,
+  unguardFormula,
+} = require("../services/csv");
+
+const IPHONE_ID = "660e8400-e29b-41d4-a716-446655440000";
+const TSHIRT_ID = "660e8400-e29b-41d4-a716-446655440002";
+
+const config = {
+  ...defaultConfig,
+  productImport: { maxRows: 5 },
+};
+
+const csv = (...rows) => rows.map(formatRow).join("");
+
+describe("Product import and export", () => {
+  let app, store, admin;
+
+  beforeEach(() => {
+    ({ app, store } = createTestApp({ config }));
+    admin = authedAgent(app);
+  });
+
+  const importProducts = (type, body, query = "") =>
+    admin
+      .post(`/api/v1/products/import${query}`)
+      .set("Content-Type", type)
+      .send(body);
+
+  const bySku = (sku) => store.productOperations.getBySku(sku);
+
+  describe("Import", () => {
+    test("should create and update products from CSV", async () => {
+      store.productOperations.update(TSHIRT_ID, { sku: "TS-01" });
+
+      const response = await importProducts(
+        "text/csv",
+        csv(
+          ["sku", "name", "description", "price", "category", "stockQuantity"],
+          [
+            "LMP-01",
+            "Desk Lamp",
+            "Warm light, dimmable\nLED",
+            "24.99",
+            "home",
+            "40",
+          ],
+          ["TS-01", "", "", "19.5", "", ""],
+          ["", "Untitled", "", "-3", "toys", ""]
+        )
+      ).expect(200);
+
+      expect(response.body).toMatchObject({
+        success: false,
+        message: "Import finished: 1 created, 1 updated, 1 failed",
+        dryRun: false,
+        summary: { total: 3, created: 1, updated: 1, failed: 1 },
+      });
+      expect(response.body.errors).toEqual([
+        {
+          row: 4,
+          errors: [
+            {
+              field: "price",
+              message: "Price must be a non-negative number",
+            },
+            {
+              field: "category",
+              message:
+                "Category must be one of: electronics, clothing, books, home",
+            },
+          ],
+        },
+      ]);
+
+      expect(bySku("LMP-01")).toMatchObject({
+        name: "Desk Lamp",
+        description: "Warm light, dimmable\nLED",
+        price: 24.99,
+        stockQuantity: 40,
+        inStock: true,
+      });
+      // Empty cells leave the other fields alone
+      expect(store.productOperations.getById(TSHIRT_ID)).toMatchObject({
+        name: "Cotton T-Shirt",
+        price: 19.5,
+        category: "clothing",
+      });
+    });
+
+    test("should update by id and honour the version column", async () => {
+      const response = await importProducts(
+        "text/csv",
+        csv(
+          ["id", "version", "price"],
+          [IPHONE_ID, "1", "899"],
+          [TSHIRT_ID, "7", "1"],
+          ["660e8400-e29b-41d4-a716-446655440999", "", "1"]
+        )
+      ).expect(200);
+
+      expect(response.body.summary).toEqual({
+        total: 3,
+        created: 0,
+        updated: 1,
+        failed: 2,
+      });
+      expect(response.body.errors).toEqual([
+        {
+          row: 3,
+          id: TSHIRT_ID,
+          errors: [
+            { message: "Resource has been modified (current version is 1)" },
+          ],
+        },
+        {
+          row: 4,
+          id: "660e8400-e29b-41d4-a716-446655440999",
+          errors: [{ field: "id", message: "Product not found" }],
+        },
+      ]);
+      expect(store.productOperations.getById(IPHONE_ID).price).toBe(899);
+      expect(store.productOperations.getById(TSHIRT_ID).price).toBe(29.99);
+    });
+
+    test("should check every row without writing in a dry run", async () => {
+      const events = [];
+      store.events.on("change", (event) => events.push(event));
+
+      const response = await importProducts(
+        "application/x-ndjson",
+        [
+          JSON.stringify({
+            sku: "BK-1",
+            name: "Atlas",
+            price: 30,
+            category: "books",
+          }),
+          JSON.stringify({ sku: "BK-1", price: 28 }),
+          "",
+          "{not json",
+          "[1, 2]",
+        ].join("\n"),
+        "?dryRun=true"
+      ).expect(200);
+
+      expect(response.body).toMatchObject({
+        message: "Dry run: 1 created, 1 updated, 2 failed",
+        dryRun: true,
+      });
+      expect(response.body.errors).toEqual([
+        { row: 4, errors: [{ message: "Invalid JSON" }] },
+        { row: 5, errors: [{ message: "Each line must be a JSON object" }] },
+      ]);
+      expect(bySku("BK-1")).toBeUndefined();
+      expect(events).toEqual([]);
+    });
+
+    test("should import a JSON array and refuse SKUs owned by another product", async () => {
+      store.productOperations.update(TSHIRT_ID, { sku: "TS-01" });
+
+      const response = await importProducts("application/json", [
+        { name: "Mug", price: 8, category: "home", sku: "MUG-1" },
+        { id: IPHONE_ID, sku: "TS-01" },
+      ]).expect(200);
+
+      expect(response.body.summary).toMatchObject({ created: 1, failed: 1 });
+      expect(response.body.errors[0]).toEqual({
+        row: 2,
+        id: IPHONE_ID,
+        sku: "TS-01",
+        errors: [
+          { field: "sku", message: "SKU already belongs to another product" },
+        ],
+      });
+      expect(bySku("MUG-1").name).toBe("Mug");
+    });
+
+    test("should stop after the configured number of rows", async () => {
+      const rows = [1, 2, 3, 4, 5, 6, 7].map((n) => [
+        `GEN-${n}`,
+        `Item ${n}`,
+        "1",
+        "home",
+      ]);
+
+      const response = await importProducts(
+        "text/csv",
+        csv(["sku", "name", "price", "category"], ...rows)
+      ).expect(200);
+
+      expect(response.body.summary.created).toBe(5);
+      expect(response.body.success).toBe(false);
+      expect(response.body.errors).toEqual([
+        {
+          row: 7,
+          errors: [
+            {
+              message:
+                "Only 5 rows are imported at a time; this row and the rest were skipped",
+            },
+          ],
+        },
+      ]);
+      expect(bySku("GEN-6")).toBeUndefined();
+    });
+
+    test("should reject unknown columns, other content types and customers", async () => {
+      const invalid = await importProducts(
+        "text/csv",
+        csv(["name", "colour"], ["Lamp", "red"])
+      ).expect(400);
+      expect(invalid.body.code).toBe("invalid_columns");
+
+      const unsupported = await importProducts(
+        "text/plain",
+        "name\nLamp"
+      ).expect(415);
+      expect(unsupported.body.code).toBe("unsupported_media_type");
+
+      await authedAgent(app, JOHN_ID)
+        .post("/api/v1/products/import")
+        .set("Content-Type", "text/csv")
+        .send("name\nLamp\n")
+        .expect(403);
+    });
+  });
+
+  describe("Export", () => {
+    test("should export CSV that imports back unchanged", async () => {
+      store.productOperations.update(TSHIRT_ID, {
+        name: '=HYPERLINK("http://evil")',
+        description: 'Soft, "organic" cotton',
+      });
+
+      const exported = await admin.get("/api/v1/products/export").expect(200);
+      expect(exported.headers["content-type"]).toMatch(/^text\/csv/);
+      expect(exported.headers["content-disposition"]).toBe(
+        'attachment; filename="products.csv"'
+      );
+
+      const lines = exported.text.split("\r\n");
+      expect(lines[0]).toBe(
+        "id,name,sku,description,price,category,inStock,stockQuantity,version,deletedAt,createdAt,updatedAt"
+      );
+      expect(lines).toHaveLength(5);
+      expect(lines[3]).toContain(
+        `"'=HYPERLINK(""http://evil"")",,"Soft, ""organic"" cotton"`
+      );
+
+      const before = store.productOperations.getById(TSHIRT_ID);
+      const reimported = await importProducts("text/csv", exported.text).expect(
+        200
+      );
+      expect(reimported.body.summary).toEqual({
+        total: 3,
+        created: 0,
+        updated: 3,
+        failed: 0,
+      });
+      expect(store.productOperations.getById(TSHIRT_ID)).toMatchObject({
+        name: before.name,
+        description: before.description,
+        price: before.price,
+      });
+    });
+
+    test("should export NDJSON when asked and apply filters", async () => {
+      const response = await admin
+        .get("/api/v1/products/export?filter[category]=electronics")
+        .set("Accept", "application/x-ndjson")
+        .expect(200);
+
+      expect(response.headers["content-type"]).toMatch(
+        /^application\/x-ndjson/
+      );
+      const products = response.text
+        .trim()
+        .split("\n")
+        .map((line) => JSON.parse(line));
+      expect(products.map(({ category }) => category)).toEqual([
+        "electronics",
+        "electronics",
+      ]);
+
+      const csvResponse = await admin
+        .get("/api/v1/products/export?format=csv")
+        .set("Accept", "application/x-ndjson")
+        .expect(200);
+      expect(csvResponse.headers["content-type"]).toMatch(/^text\/csv/);
+    });
+  });
+
+  describe("SKUs", () => {
+    test("should keep SKUs unique", async () => {
+      await admin
+        .patch(`/api/v1/products/${IPHONE_ID}`)
+        .send({ sku: "APL-15" })
+        .expect(200);
+
+      const response = await admin
+        .post("/api/v1/products")
+        .send({ name: "Copy", price: 1, category: "home", sku: "APL-15" })
+        .expect(409);
+      expect(response.body.code).toBe("sku_taken");
+
+      await admin
+        .patch(`/api/v1/products/${IPHONE_ID}`)
+        .send({ sku: "APL-15" })
+        .expect(200);
+    });
+  });
+
+  describe("CSV", () => {
+    test("should parse quoted fields split across chunks", () => {
+      const parser = createCsvParser();
+      const text = '\uFEFFa,b\r\n"x, ""y""","line\r\nbreak"\n1,\n';
+
+      const records = [];
+      for (const char of text) records.push(...parser.push(char));
+      records.push(...parser.end());
+
+      expect(records).toEqual([
+        ["a", "b"],
+        ['x, "y"', "line\r\nbreak"],
+        ["1", ""],
+      ]);
+    });
+
+    test("should refuse an unterminated quote", () => {
+      const parser = createCsvParser();
+      parser.push('a,"open');
+      expect(() => parser.end()).toThrow("Quoted field is never closed");
+    });
+
+    test("should guard formulas and take the guard off again", () => {
+      expect(formatRow(["=1+1", -1, null, { a: 1 }])).toBe(
+        `'=1+1,-1,,"{""a"":1}"\r\n`
+      );
+      expect(unguardFormula("'=1+1")).toBe("=1+1");
+      expect(unguardFormula("'quoted'")).toBe("'quoted'");
+    });
+  });
+});
@@ -0,0 +1,243 @@
+const express = require("express");
+const request = require("supertest");
+const defaultConfig = require("../config");
+const responseValidation = require("../middleware/responseValidation");
+const errorHandler = require("../middleware/errorHandler");
+const { NotFoundError } = require("../services/errors");
+const {
+  validateSchema,
+  createResponseCoverage,
+} = require("../services/openapi");
+
+const problem = {
+  "application/problem+json": {
+    schema: { $ref: "#/components/schemas/Problem" },
+  },
+};
+
+const spec = {
+  paths: {
+    "/widgets/{id}": {
+      get: {
+        responses: {
+          200: {
+            content: {
+              "application/json": {
+                schema: {
+                  type: "object",
+                  properties: {
+                    data: { $ref: "#/components/schemas/Widget" },
+                  },
+                },
+              },
+            },
+          },
+          404: { $ref: "#/components/responses/NotFound" },
+        },
+      },
+    },
+    "/widgets/count": {
+      get: {
+        responses: {
+          200: {
+            content: {
+              "application/json": { schema: { type: "integer" } },
+            },
+          },
+        },
+      },
+    },
+  },
+  components: {
+    responses: { NotFound: { content: problem } },
+    schemas: {
+      Widget: {
+        type: "object",
+        required: ["id"],
+        additionalProperties: false,
+        properties: {
+          id: { type: "string" },
+          size: { type: "integer", minimum: 1 },
+          colour: { type: "string", nullable: true },
+          secret: { type: "string", writeOnly: true },
+        },
+      },
+      Problem: {
+        type: "object",
+        properties: { status: { type: "integer" }, code: { type: "string" } },
+      },
+    },
+  },
+};
+
+// A tiny app whose routes send whatever the test asks for
+const widgetApp = (options, send) => {
+  const app = express();
+  app.locals.config = defaultConfig;
+  app.use(responseValidation(spec, options));
+  app.get("/widgets/count", (req, res) => res.json(3));
+  app.get("/widgets/:id", (req, res, next) => {
+    if (req.params.id === "missing") return next(new NotFoundError());
+    send(res);
+  });
+  app.use(errorHandler);
+  return app;
+};
+
+describe("Response validation", () => {
+  beforeEach(() => {
+    jest.spyOn(console, "warn").mockImplementation(() => {});
+    jest.spyOn(console, "error").mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe("fail mode", () => {
+    test("should send documented responses unchanged", async () => {
+      const app = widgetApp({ mode: "fail" }, (res) =>
+        res.json({ data: { id: "w1", size: 2, colour: null } })
+      );
+
+      const ok = await request(app).get("/widgets/w1").expect(200);
+      expect(ok.body).toEqual({ data: { id: "w1", size: 2, colour: null } });
+
+      await request(app).get("/widgets/missing").expect(404);
+      await request(app).get("/widgets/count").expect(200);
+      expect(console.warn).not.toHaveBeenCalled();
+    });
+
+    test("should replace a response that does not match with a 500", async () => {
+      const app = widgetApp({ mode: "fail" }, (res) =>
+        res.json({ data: { size: 0, secret: "s", extra: true } })
+      );
+
+      const response = await request(app).get("/widgets/w1").expect(500);
+
+      expect(response.body).toMatchObject({
+        code: "response_validation_failed",
+        operation: "GET /widgets/{id}",
+        responseStatus: 200,
+      });
+      expect(response.body.violations).toEqual([
+        { path: "body.data.id", message: "is required" },
+        { path: "body.data.size", message: "must be at least 1" },
+        { path: "body.data.secret", message: "is write-only" },
+        { path: "body.data.extra", message: "is not documented" },
+      ]);
+    });
+
+    test("should reject undocumented statuses and content types", async () => {
+      const status = await request(
+        widgetApp({ mode: "fail" }, (res) => res.status(418).json({}))
+      )
+        .get("/widgets/w1")
+        .expect(500);
+      expect(status.body.violations).toEqual([
+        { path: "status", message: "418 is not documented" },
+      ]);
+
+      const legacy = await request(widgetApp({ mode: "fail" }))
+        .get("/widgets/missing")
+        .set("Accept", "application/json")
+        .expect(500);
+      expect(legacy.body.violations).toEqual([
+        {
+          path: "content-type",
+          message: "application/json is not documented for 404",
+        },
+      ]);
+    });
+  });
+
+  test("should only log mismatches in log mode", async () => {
+    const app = widgetApp({ mode: "log" }, (res) =>
+      res.json({ data: { id: 7 } })
+    );
+
+    const response = await request(app).get("/widgets/w1").expect(200);
+
+    expect(response.body).toEqual({ data: { id: 7 } });
+    expect(console.warn).toHaveBeenCalledWith(
+      "Response does not match the API documentation:",
+      expect.objectContaining({
+        violations: [
+          { path: "body.data.id", message: "must be string, got integer" },
+        ],
+      })
+    );
+  });
+
+  test("should record which documented responses were sent", async () => {
+    const coverage = createResponseCoverage(spec);
+    const app = widgetApp({ mode: "off", coverage }, (res) =>
+      res.json({ data: { id: "w1" } })
+    );
+
+    await request(app).get("/widgets/w1").expect(200);
+    await request(app).get("/widgets/missing").expect(404);
+    await request(app).get("/widgets/w1").expect(200);
+    await request(app).get("/unknown").expect(404);
+
+    const report = coverage.report();
+    expect(report.operations).toEqual([
+      {
+        operation: "GET /widgets/{id}",
+        exercised: true,
+        responses: { 200: true, 404: true },
+        undocumented: [],
+      },
+      {
+        operation: "GET /widgets/count",
+        exercised: false,
+        responses: { 200: false },
+        undocumented: [],
+      },
+    ]);
+    expect(report.summary).toEqual({
+      operations: 2,
+      operationsExercised: 1,
+      responses: 3,
+      responsesExercised: 2,
+    });
+  });
+
+  test("should check formats, enums and allOf", () => {
+    const schema = {
+      allOf: [
+        { $ref: "#/components/schemas/Problem" },
+        {
+          type: "object",
+          properties: {
+            at: { type: "string", format: "date-time" },
+            kind: { type: "string", enum: ["a", "b"] },
+          },
+        },
+      ],
+    };
+
+    expect(
+      validateSchema(spec, schema, {
+        status: 404,
+        at: "2024-01-15T10:00:00.000Z",
+        kind: "a",
+      })
+    ).toEqual([]);
+    expect(
+      validateSchema(spec, schema, {
+        status: "404",
+        at: "yesterday",
+        kind: "c",
+      })
+    ).toEqual([
+      { path: "body.status", message: "must be integer, got string" },
+      { path: "body.at", message: "must be a date-time" },
+      { path: "body.kind", message: "must be one of a, b" },
+    ]);
+  });
+
+  test("should fail on mismatches by default in tests", () => {
+    expect(defaultConfig.responseValidation.mode).toBe("fail");
+  });
+});
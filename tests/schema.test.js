@@ -0,0 +1,203 @@
+const { createTestApp, authedAgent, JOHN_ID } = require("./helpers");
+const { swaggerSpec } = require("../app");
+const schemas = require("../schemas");
+const {
+  OPERATIONS,
+  bodyValidators,
+  serializer,
+  selectableFields,
+} = require("../services/schema");
+
+const IPHONE_ID = "660e8400-e29b-41d4-a716-446655440000";
+
+// Body fields the generated chains validate, e.g. ["userId", "products", "products.*.productId"]
+const validatedFields = (schema, operation) =>
+  bodyValidators(schema, operation).map(
+    (chain) => chain.builder.build().fields[0]
+  );
+
+describe("Resource schemas", () => {
+  let app, store, api;
+
+  beforeEach(() => {
+    ({ app, store } = createTestApp());
+    api = authedAgent(app);
+  });
+
+  describe("OpenAPI", () => {
+    const { schemas: components, parameters } = swaggerSpec.components;
+    const VARIANTS = { create: "Create", replace: "Replace", update: "Update" };
+
+    test.each(
+      Object.values(schemas)
+        .filter((schema) => !schema.readOnly)
+        .map((schema) => [schema.name, schema])
+    )("should document exactly the fields %s validates", (name, schema) => {
+      OPERATIONS.forEach((operation) => {
+        const documented = Object.keys(
+          components[`${name}${VARIANTS[operation]}`].properties
+        );
+        const validated = validatedFields(schema, operation).filter(
+          (field) => !field.includes(".")
+        );
+        expect(documented).toEqual(validated);
+      });
+    });
+
+    test("should point every request body at a generated schema", () => {
+      Object.values(swaggerSpec.paths).forEach((methods) =>
+        Object.values(methods).forEach(({ requestBody }) => {
+          if (!requestBody) return;
+          const { $ref } = requestBody.content["application/json"].schema;
+          if (!$ref) return;
+          expect(components[$ref.split("/").pop()]).toBeDefined();
+        })
+      );
+    });
+
+    test("should only accept client prices where the server checks them", () => {
+      expect(components.OrderProduct.required).toEqual([
+        "productId",
+        "quantity",
+      ]);
+      expect(Object.keys(components.OrderCreate.properties)).toEqual([
+        "userId",
+        "products",
+        "totalAmount",
+      ]);
+      expect(Object.keys(components.OrderUpdate.properties)).toEqual([
+        "status",
+      ]);
+    });
+
+    test("should keep the password out of responses", () => {
+      expect(components.User.properties.password.writeOnly).toBe(true);
+      expect(components.UserCreate.required).toContain("password");
+      expect(components.UserReplace.required).not.toContain("password");
+    });
+
+    test("should list the fields each list endpoint accepts", () => {
+      expect(parameters.ProductSort.description).toContain(
+        "name, sku, price, category, stockQuantity, deletedAt, createdAt, updatedAt"
+      );
+      expect(parameters.UserFields.description).not.toContain("password");
+      expect(parameters.OrderFilter.description).toContain("processedAt");
+    });
+  });
+
+  describe("validation", () => {
+    test("should validate nested order lines", async () => {
+      const response = await api
+        .post("/api/v1/orders")
+        .send({
+          userId: JOHN_ID,
+          products: [{ productId: IPHONE_ID, quantity: 0, price: -1 }],
+        })
+        .expect(400);
+
+      expect(response.body.errors.map(({ field }) => field)).toEqual([
+        "products[0].quantity",
+        "products[0].price",
+      ]);
+    });
+
+    test("should check client prices and totals on POST as on PUT", async () => {
+      const price = await api
+        .post("/api/v1/orders")
+        .send({
+          userId: JOHN_ID,
+          products: [{ productId: IPHONE_ID, quantity: 1, price: 1 }],
+        })
+        .expect(400);
+      expect(price.body.code).toBe("price_mismatch");
+
+      const total = await api
+        .post("/api/v1/orders")
+        .send({
+          userId: JOHN_ID,
+          products: [{ productId: IPHONE_ID, quantity: 2 }],
+          totalAmount: 5,
+        })
+        .expect(400);
+      expect(total.body.code).toBe("total_mismatch");
+
+      await api
+        .post("/api/v1/orders")
+        .send({
+          userId: JOHN_ID,
+          products: [{ productId: IPHONE_ID, quantity: 2, price: 999.99 }],
+          totalAmount: 1999.98,
+        })
+        .expect(201);
+    });
+
+    test("should reject values of the wrong type", async () => {
+      const response = await api
+        .post("/api/v1/products")
+        .send({ name: 42, price: 10, category: "books" })
+        .expect(400);
+
+      expect(response.body.errors).toEqual([
+        {
+          field: "name",
+          location: "body",
+          message: "Name must be between 1 and 100 characters",
+        },
+      ]);
+    });
+
+    test("should ignore fields the operation does not accept", async () => {
+      const response = await api
+        .post("/api/v1/products")
+        .send({
+          name: "Lamp",
+          price: 40,
+          category: "home",
+          stockQuantity: 0,
+          inStock: true,
+          version: 99,
+          colour: "red",
+        })
+        .expect(201);
+
+      expect(response.body.data).toMatchObject({ inStock: false, version: 1 });
+      expect(response.body.data).not.toHaveProperty("colour");
+      expect(
+        store.productOperations.getById(response.body.data.id)
+      ).not.toHaveProperty("colour");
+    });
+  });
+
+  describe("serializers", () => {
+    test("should only return fields the schema lists", async () => {
+      store.userOperations.update(JOHN_ID, { internalNote: "vip" });
+
+      const response = await api.get(`/api/v1/users/${JOHN_ID}`).expect(200);
+
+      // Everything the schema lists except deletedAt, which John has never had
+      expect(Object.keys(response.body.data)).toEqual([
+        "id",
+        ...selectableFields(schemas.user).filter(
+          (field) => field !== "deletedAt"
+        ),
+      ]);
+      expect(response.body.data).not.toHaveProperty("passwordHash");
+      expect(response.body.data).not.toHaveProperty("internalNote");
+    });
+
+    test("should serialize nested records and skip missing fields", () => {
+      const serializeOrder = serializer(schemas.order);
+
+      expect(
+        serializeOrder({
+          id: "o1",
+          products: [{ productId: "p1", quantity: 1, price: 2, cost: 1 }],
+          secret: true,
+        })
+      ).toEqual({
+        id: "o1",
+        products: [{ productId: "p1", quantity: 1, price: 2 }],
+      });
+    });
+  });
+});
@@ -0,0 +1,162 @@
+const { createTestApp, authedAgent } = require("./helpers");
+const { createSearchIndex, stem, tokenize } = require("../services/search");
+
+describe("Product search", () => {
+  let app, store, api;
+
+  beforeEach(() => {
+    ({ app, store } = createTestApp());
+    api = authedAgent(app);
+    store.productOperations.create({
+      name: "Wireless Charger",
+      description: "Fast charging pad for phones and earbuds",
+      price: 30,
+      category: "electronics",
+    });
+    store.productOperations.create({
+      name: "Charging Cable",
+      description: "Braided USB-C cable",
+      price: 10,
+      category: "electronics",
+    });
+  });
+
+  const search = (q) =>
+    api.get(`/api/v1/products/search?q=${encodeURIComponent(q)}`).expect(200);
+  const names = (response) =>
+    response.body.data.map((result) => result.product.name);
+
+  test("should rank name matches above description matches", async () => {
+    const response = await search("laptop");
+    expect(names(response)).toEqual(["MacBook Air M2"]);
+
+    const charging = await search("charging");
+    expect(names(charging)).toEqual(["Charging Cable", "Wireless Charger"]);
+    expect(charging.body.data[0].score).toBeGreaterThan(
+      charging.body.data[1].score
+    );
+  });
+
+  test("should require every query word to match", async () => {
+    const response = await search("charging cable");
+
+    expect(names(response)).toEqual(["Charging Cable"]);
+  });
+
+  test("should match prefixes and tolerate typos", async () => {
+    expect(names(await search("macb"))).toEqual(["MacBook Air M2"]);
+    expect(names(await search("wirless"))).toEqual(["Wireless Charger"]);
+
+    const strict = await api
+      .get("/api/v1/products/search?q=wirless&fuzzy=false")
+      .expect(200);
+    expect(strict.body.data).toHaveLength(0);
+  });
+
+  test("should highlight matches and cut descriptions to a snippet", async () => {
+    const response = await search("phones");
+    const [result] = response.body.data;
+
+    expect(result.product.name).toBe("Wireless Charger");
+    expect(result.highlights).toEqual({
+      description: "Fast charging pad for <mark>phones</mark> and earbuds",
+    });
+
+    const long = store.productOperations.create({
+      name: "Desk Lamp",
+      description: `${"Sturdy metal base. ".repeat(5)}Warm <dimmable> light.`,
+      price: 25,
+      category: "home",
+    });
+    const lamp = await search("dimmable");
+    expect(lamp.body.data[0].product.id).toBe(long.id);
+    expect(lamp.body.data[0].highlights.description).toMatch(
+      /^….*&lt;<mark>dimmable<\/mark>&gt; light\.$/
+    );
+  });
+
+  test("should keep the index in step with changes", async () => {
+    const [charger] = store.productOperations
+      .getAll()
+      .filter((product) => product.name === "Wireless Charger");
+
+    await api
+      .patch(`/api/v1/products/${charger.id}`)
+      .send({ name: "Qi Charging Stand" })
+      .expect(200);
+    expect(names(await search("wireless"))).toEqual([]);
+    expect(names(await search("stand"))).toEqual(["Qi Charging Stand"]);
+
+    await api.delete(`/api/v1/products/${charger.id}`).expect(200);
+    expect(names(await search("stand"))).toEqual([]);
+
+    await api.post(`/api/v1/products/${charger.id}/restore`).expect(200);
+    expect(names(await search("stand"))).toEqual(["Qi Charging Stand"]);
+  });
+
+  test("should not index changes from a rolled back transaction", async () => {
+    expect(() =>
+      store.transaction(() => {
+        store.productOperations.create({
+          name: "Ghost Speaker",
+          price: 50,
+          category: "electronics",
+        });
+        throw new Error("rollback");
+      })
+    ).toThrow("rollback");
+
+    expect(names(await search("speaker"))).toEqual([]);
+  });
+
+  test("should paginate results", async () => {
+    const response = await api
+      .get("/api/v1/products/search?q=electronics&limit=2&page=2")
+      .expect(200);
+
+    expect(response.body.data).toHaveLength(2);
+    expect(response.body.pagination).toEqual({
+      page: 2,
+      limit: 2,
+      total: 4,
+      totalPages: 2,
+    });
+  });
+
+  test("should require search text", async () => {
+    await api.get("/api/v1/products/search").expect(400);
+    await api.get("/api/v1/products/search?q=%20%20").expect(400);
+  });
+
+  describe("text analysis", () => {
+    test.each([
+      ["chargers", "charger"],
+      ["batteries", "battery"],
+      ["boxes", "box"],
+      ["running", "run"],
+      ["speed", "speed"],
+      ["string", "string"],
+    ])("should stem %s to %s", (word, expected) => {
+      expect(stem(word)).toBe(expected);
+    });
+
+    test("should drop stop words and keep positions", () => {
+      expect(tokenize("The Pen of Truth")).toEqual([
+        { term: "pen", start: 4, end: 7 },
+        { term: "truth", start: 11, end: 16 },
+      ]);
+    });
+
+    test("should forget removed documents", () => {
+      const index = createSearchIndex();
+      index.add({ id: "1", name: "Blue Mug" });
+      index.add({ id: "2", name: "Red Mug" });
+      index.remove("1");
+
+      expect(index.search("mug").map((result) => result.product.id)).toEqual([
+        "2",
+      ]);
+      expect(index.size()).toBe(1);
+    });
+  });
+});
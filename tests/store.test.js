@@ -0,0 +1,259 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const {
+  createAdapter,
+  createMemoryAdapter,
+  createSqliteAdapter,
+} = require("../data/adapters");
+const { createStore } = require("../data/store");
+const { verifyPassword } = require("../services/auth");
+
+const adapters = [
+  ["memory", () => createMemoryAdapter()],
+  ["sqlite", () => createSqliteAdapter()],
+];
+
+describe.each(adapters)("Store on the %s adapter", (name, createAdapter) => {
+  let store;
+
+  beforeEach(() => {
+    store = createStore(createAdapter());
+  });
+
+  afterEach(() => {
+    store.close();
+  });
+
+  test("should load the seed data", () => {
+    expect(store.userOperations.getAll()).toHaveLength(4);
+    expect(store.productOperations.getAll()).toHaveLength(3);
+    expect(store.orderOperations.getAll()).toHaveLength(1);
+  });
+
+  test("should create, update and delete records", () => {
+    const user = store.userOperations.create({
+      name: "Ada",
+      email: "ada@example.com",
+      age: 36,
+    });
+    expect(store.userOperations.getById(user.id)).toEqual(user);
+
+    const updated = store.userOperations.update(user.id, { age: 37 });
+    expect(updated).toMatchObject({ id: user.id, name: "Ada", age: 37 });
+    expect(store.userOperations.getById(user.id).age).toBe(37);
+
+    expect(store.userOperations.delete(user.id)).toBe(true);
+    expect(store.userOperations.getById(user.id)).toBeUndefined();
+    expect(store.userOperations.delete(user.id)).toBe(false);
+    expect(store.userOperations.update(user.id, { age: 1 })).toBeNull();
+  });
+
+  test("should version records and refuse stale writes", () => {
+    const product = store.productOperations.create({
+      name: "Lamp",
+      price: 20,
+      category: "home",
+    });
+    expect(product.version).toBe(1);
+
+    const updated = store.productOperations.update(
+      product.id,
+      { price: 25 },
+      { expectedVersion: 1 }
+    );
+    expect(updated.version).toBe(2);
+
+    expect(() =>
+      store.productOperations.update(
+        product.id,
+        { price: 30 },
+        { expectedVersion: 1 }
+      )
+    ).toThrow(expect.objectContaining({ statusCode: 412 }));
+    expect(() =>
+      store.productOperations.delete(product.id, { expectedVersion: 1 })
+    ).toThrow(expect.objectContaining({ statusCode: 412 }));
+    expect(store.productOperations.getById(product.id).price).toBe(25);
+  });
+
+  test("should keep insertion order", () => {
+    const product = store.productOperations.create({
+      name: "Lamp",
+      price: 20,
+      category: "home",
+    });
+    const ids = store.productOperations.getAll().map((item) => item.id);
+    expect(ids[ids.length - 1]).toBe(product.id);
+  });
+
+  test("should look up records by indexed fields", () => {
+    expect(store.userOperations.getByEmail("jane.smith@example.com").name).toBe(
+      "Jane Smith"
+    );
+    expect(
+      store.orderOperations.getByUserId("550e8400-e29b-41d4-a716-446655440000")
+    ).toHaveLength(1);
+
+    const lamp = store.productOperations.create({
+      name: "Lamp",
+      sku: "LMP-01",
+      price: 20,
+      category: "home",
+    });
+    expect(store.productOperations.getBySku("LMP-01").id).toBe(lamp.id);
+    store.productOperations.delete(lamp.id);
+    expect(store.productOperations.getBySku("LMP-01")).toBeUndefined();
+  });
+
+  test("should store idempotency keys with their stored response", () => {
+    const record = store.idempotencyKeyOperations.create({
+      id: "key-hash",
+      userId: "550e8400-e29b-41d4-a716-446655440000",
+      key: "order-1",
+      response: { statusCode: 201, body: { success: true } },
+    });
+
+    expect(store.idempotencyKeyOperations.getById("key-hash")).toEqual(record);
+    expect(
+      store.idempotencyKeyOperations.getByUserId(
+        "550e8400-e29b-41d4-a716-446655440000"
+      )
+    ).toEqual([record]);
+  });
+
+  test("should keep an order whose user reference was cleared", () => {
+    const [order] = store.orderOperations.getAll();
+
+    store.orderOperations.update(order.id, { userId: null });
+
+    expect(store.orderOperations.getById(order.id).userId).toBeNull();
+  });
+
+  test("should roll back every write when a transaction throws", () => {
+    expect(() =>
+      store.transaction(() => {
+        store.productOperations.create({
+          name: "Lamp",
+          price: 20,
+          category: "home",
+        });
+        throw new Error("abort");
+      })
+    ).toThrow("abort");
+
+    expect(store.productOperations.getAll()).toHaveLength(3);
+  });
+
+  test("should emit change events once a transaction commits", () => {
+    const events = [];
+    store.events.on("change", (event) => events.push(event));
+
+    store.transaction(() => {
+      const lamp = store.productOperations.create({
+        name: "Lamp",
+        price: 20,
+        category: "home",
+      });
+      store.productOperations.delete(lamp.id);
+      expect(events).toHaveLength(0);
+    });
+
+    expect(events.map(({ type, collection }) => [type, collection])).toEqual([
+      ["created", "products"],
+      ["deleted", "products"],
+    ]);
+    expect(events[1].record.deletedAt).toEqual(expect.any(String));
+  });
+
+  test("should roll back an async transaction and lock out other writes", async () => {
+    const events = [];
+    store.events.on("change", (event) => events.push(event));
+    const lamp = { name: "Lamp", price: 20, category: "home" };
+
+    let release;
+    const transaction = store.transactionAsync(async () => {
+      store.productOperations.create(lamp);
+      await new Promise((resolve) => (release = resolve));
+      store.transaction(() => store.productOperations.create(lamp));
+      throw new Error("abort");
+    });
+
+    expect(() => store.productOperations.create(lamp)).toThrow("locked");
+    release();
+    await expect(transaction).rejects.toThrow("abort");
+
+    expect(store.productOperations.getAll()).toHaveLength(3);
+    expect(events).toEqual([]);
+
+    await store.transactionAsync(async () =>
+      store.productOperations.create(lamp)
+    );
+    expect(store.productOperations.getAll()).toHaveLength(4);
+    expect(events).toHaveLength(1);
+  });
+});
+
+describe("SQLite adapter", () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "sqlite-"));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test("should migrate once and keep data across reopen", () => {
+    const filename = path.join(dir, "store.sqlite");
+    const first = createStore(createSqliteAdapter({ filename }));
+    first.userOperations.create({
+      name: "Ada",
+      email: "ada@example.com",
+      age: 36,
+    });
+    first.close();
+
+    const second = createStore(createSqliteAdapter({ filename }));
+    expect(second.userOperations.getAll()).toHaveLength(5);
+    expect(second.userOperations.getByEmail("ada@example.com").name).toBe(
+      "Ada"
+    );
+    second.close();
+  });
+});
+
+describe("Seeding an empty store", () => {
+  const storeWith = (options) =>
+    createStore(
+      createAdapter({
+        driver: "memory",
+        sampleData: false,
+        adminEmail: "root@example.com",
+        adminPassword: null,
+        ...options,
+      })
+    );
+
+  test("should load the sample data only when asked to", () => {
+    const store = storeWith({ sampleData: true });
+    expect(store.userOperations.getByEmail("admin@example.com")).toBeDefined();
+    expect(store.productOperations.getAll()).toHaveLength(3);
+  });
+
+  test("should otherwise start with just the bootstrap admin", () => {
+    const store = storeWith({ adminPassword: "Bootstrap-Secret-1" });
+
+    const [admin] = store.userOperations.getAll();
+    expect(store.userOperations.getAll()).toHaveLength(1);
+    expect(admin).toMatchObject({ email: "root@example.com", role: "admin" });
+    expect(verifyPassword("Bootstrap-Secret-1", admin.passwordHash)).toBe(true);
+    expect(verifyPassword("Password123!", admin.passwordHash)).toBe(false);
+    expect(store.productOperations.getAll()).toEqual([]);
+  });
+
+  test("should create no accounts without an admin password", () => {
+    expect(storeWith({}).userOperations.getAll()).toEqual([]);
+  });
+});
@@ -0,0 +1,358 @@
+const request = require("supertest");
+const {
+  createTestApp,
+  authedAgent,
+  SEED_PASSWORD,
+  JOHN_ID,
+  JANE_ID,
+  STAFF_ID,
+} = require("./helpers");
+const { initialStatus } = require("../services/orderStatus");
+const { purgeTrash } = require("../services/trash");
+
+const MACBOOK_ID = "660e8400-e29b-41d4-a716-446655440001";
+const DAY = 24 * 60 * 60 * 1000;
+
+describe("Soft delete", () => {
+  let app, store, admin;
+
+  beforeEach(() => {
+    ({ app, store } = createTestApp());
+    admin = authedAgent(app);
+  });
+
+  // Pending order for Jane that holds 2 MacBooks
+  const createPendingOrder = () => {
+    store.productOperations.update(MACBOOK_ID, { stockQuantity: 23 });
+    return store.orderOperations.create({
+      userId: JANE_ID,
+      products: [
+        {
+          productId: MACBOOK_ID,
+          name: "MacBook Air M2",
+          quantity: 2,
+          price: 1199.99,
+        },
+      ],
+      totalAmount: 2399.98,
+      ...initialStatus(),
+    });
+  };
+
+  const stockOf = (productId) =>
+    store.productOperations.getById(productId, { includeDeleted: true })
+      .stockQuantity;
+
+  describe("Deleting", () => {
+    test("should keep the record with a deletedAt stamp", async () => {
+      await admin.delete(`/api/v1/products/${MACBOOK_ID}`).expect(200);
+
+      const product = store.productOperations.getById(MACBOOK_ID, {
+        includeDeleted: true,
+      });
+      expect(product.deletedAt).toEqual(expect.any(String));
+      expect(product.version).toBe(2);
+    });
+
+    test("should hide deleted records from lists and lookups", async () => {
+      await admin.delete(`/api/v1/products/${MACBOOK_ID}`).expect(200);
+
+      const list = await admin.get("/api/v1/products").expect(200);
+      expect(list.body.data.map((product) => product.id)).not.toContain(
+        MACBOOK_ID
+      );
+      expect(list.body.pagination.total).toBe(2);
+
+      await admin.get(`/api/v1/products/${MACBOOK_ID}`).expect(404);
+      await admin.delete(`/api/v1/products/${MACBOOK_ID}`).expect(404);
+    });
+
+    test("should refuse to order a deleted product", async () => {
+      await admin.delete(`/api/v1/products/${MACBOOK_ID}`).expect(200);
+
+      await admin
+        .post("/api/v1/orders")
+        .send({
+          userId: JOHN_ID,
+          products: [{ productId: MACBOOK_ID, quantity: 1 }],
+        })
+        .expect(404);
+    });
+
+    test("should stop a deleted user from logging in", async () => {
+      await admin.delete(`/api/v1/users/${JANE_ID}`).expect(200);
+
+      await request(app)
+        .post("/api/v1/auth/login")
+        .send({ email: "jane.smith@example.com", password: SEED_PASSWORD })
+        .expect(401);
+      await authedAgent(app, JANE_ID).get("/api/v1/products").expect(401);
+    });
+
+    test("should return the stock of a deleted pending order", async () => {
+      const order = createPendingOrder();
+
+      await admin.delete(`/api/v1/orders/${order.id}`).expect(200);
+
+      expect(stockOf(MACBOOK_ID)).toBe(25);
+    });
+  });
+
+  describe("includeDeleted", () => {
+    beforeEach(async () => {
+      await admin.delete(`/api/v1/users/${JANE_ID}`).expect(200);
+    });
+
+    test("should let admins list deleted records", async () => {
+      const response = await admin
+        .get("/api/v1/users?includeDeleted=true")
+        .expect(200);
+
+      const jane = response.body.data.find((user) => user.id === JANE_ID);
+      expect(jane.deletedAt).toEqual(expect.any(String));
+      expect(response.body.pagination.total).toBe(4);
+    });
+
+    test("should let admins read a deleted record", async () => {
+      const response = await admin
+        .get(`/api/v1/users/${JANE_ID}?includeDeleted=true`)
+        .expect(200);
+
+      expect(response.body.data).toHaveProperty("id", JANE_ID);
+    });
+
+    test("should refuse includeDeleted to everyone else", async () => {
+      const staff = authedAgent(app, STAFF_ID);
+
+      await staff.get("/api/v1/users?includeDeleted=true").expect(403);
+      await staff.get("/api/v1/orders?includeDeleted=true").expect(403);
+      await staff.get("/api/v1/users?includeDeleted=false").expect(200);
+    });
+
+    test("should reject a non-boolean value", async () => {
+      await admin.get("/api/v1/users?includeDeleted=maybe").expect(400);
+    });
+  });
+
+  describe("Trash listing", () => {
+    test("should list only deleted records, newest first", async () => {
+      await admin.delete(`/api/v1/products/${MACBOOK_ID}`).expect(200);
+      const lamp = store.productOperations.create({
+        name: "Lamp",
+        price: 20,
+        category: "home",
+      });
+      await admin.delete(`/api/v1/products/${lamp.id}`).expect(200);
+      store.productOperations.update(
+        MACBOOK_ID,
+        { deletedAt: new Date(Date.now() - DAY).toISOString() },
+        { includeDeleted: true }
+      );
+
+      const response = await admin.get("/api/v1/products/trash").expect(200);
+
+      expect(response.body.data.map((product) => product.id)).toEqual([
+        lamp.id,
+        MACBOOK_ID,
+      ]);
+      expect(response.body.pagination.total).toBe(2);
+    });
+
+    test("should sort, select fields and link pages like other lists", async () => {
+      await admin.delete(`/api/v1/products/${MACBOOK_ID}`).expect(200);
+      const lamp = store.productOperations.create({
+        name: "Lamp",
+        price: 20,
+        category: "home",
+      });
+      await admin.delete(`/api/v1/products/${lamp.id}`).expect(200);
+
+      const response = await admin
+        .get("/api/v1/products/trash?sort=price&fields=name&limit=1")
+        .expect(200);
+
+      expect(response.body.data).toEqual([{ id: lamp.id, name: "Lamp" }]);
+      expect(response.body.pagination).toMatchObject({
+        total: 2,
+        totalPages: 2,
+      });
+      expect(response.body.links.next).toMatch(/page=2/);
+      expect(response.headers.link).toMatch(/rel="next"/);
+
+      await admin.get("/api/v1/products/trash?sort=secret").expect(400);
+    });
+
+    test("should page through the trash with cursors", async () => {
+      const ids = [];
+      for (const name of ["Lamp", "Rug", "Vase"]) {
+        const { id } = store.productOperations.create({
+          name,
+          price: 20,
+          category: "home",
+        });
+        await admin.delete(`/api/v1/products/${id}`).expect(200);
+        ids.push(id);
+      }
+
+      const first = await admin
+        .get("/api/v1/products/trash?limit=2&after=")
+        .expect(200);
+      expect(first.body.pagination).toMatchObject({
+        total: 3,
+        hasPrev: false,
+        hasNext: true,
+      });
+      expect(first.headers.link).toMatch(/rel="next"/);
+
+      const next = new URL(first.body.links.next);
+      const second = await admin.get(next.pathname + next.search).expect(200);
+      expect(
+        [...first.body.data, ...second.body.data].map(({ id }) => id).sort()
+      ).toEqual([...ids].sort());
+
+      await admin.get("/api/v1/products/trash?after=nonsense").expect(400);
+    });
+
+    test("should never expose password hashes", async () => {
+      await admin.delete(`/api/v1/users/${JANE_ID}`).expect(200);
+
+      const response = await admin.get("/api/v1/users/trash").expect(200);
+
+      expect(response.body.data).toHaveLength(1);
+      expect(response.body.data[0]).not.toHaveProperty("passwordHash");
+    });
+
+    test("should be admin only", async () => {
+      await authedAgent(app, STAFF_ID).get("/api/v1/orders/trash").expect(403);
+    });
+  });
+
+  describe("Restoring", () => {
+    test("should bring a product back", async () => {
+      await admin.delete(`/api/v1/products/${MACBOOK_ID}`).expect(200);
+
+      const response = await admin
+        .post(`/api/v1/products/${MACBOOK_ID}/restore`)
+        .expect(200);
+
+      expect(response.body.data.deletedAt).toBeNull();
+      expect(response.headers.etag).toBe('"3"');
+      await admin.get(`/api/v1/products/${MACBOOK_ID}`).expect(200);
+    });
+
+    test("should check If-Match", async () => {
+      await admin.delete(`/api/v1/products/${MACBOOK_ID}`).expect(200);
+
+      await admin
+        .post(`/api/v1/products/${MACBOOK_ID}/restore`)
+        .set("If-Match", '"1"')
+        .expect(412);
+    });
+
+    test("should answer 404 for a record that is not in the trash", async () => {
+      await admin.post(`/api/v1/products/${MACBOOK_ID}/restore`).expect(404);
+      await admin
+        .post("/api/v1/users/550e8400-e29b-41d4-a716-446655449999/restore")
+        .expect(404);
+    });
+
+    test("should reserve stock again for a restored pending order", async () => {
+      const order = createPendingOrder();
+      await admin.delete(`/api/v1/orders/${order.id}`).expect(200);
+
+      await admin.post(`/api/v1/orders/${order.id}/restore`).expect(200);
+
+      expect(stockOf(MACBOOK_ID)).toBe(23);
+    });
+
+    test("should refuse to restore an order whose stock has gone", async () => {
+      const order = createPendingOrder();
+      await admin.delete(`/api/v1/orders/${order.id}`).expect(200);
+      store.productOperations.update(MACBOOK_ID, { stockQuantity: 1 });
+
+      const response = await admin
+        .post(`/api/v1/orders/${order.id}/restore`)
+        .expect(409);
+
+      expect(response.body.shortages).toEqual([
+        {
+          productId: MACBOOK_ID,
+          name: "MacBook Air M2",
+          requested: 2,
+          available: 1,
+        },
+      ]);
+      expect(store.orderOperations.getById(order.id)).toBeUndefined();
+    });
+
+    test("should refuse to restore a user whose email was taken", async () => {
+      await admin.delete(`/api/v1/users/${JANE_ID}`).expect(200);
+      await admin
+        .post("/api/v1/users")
+        .send({
+          name: "Jane Smith",
+          email: "jane.smith@example.com",
+          age: 28,
+          password: SEED_PASSWORD,
+        })
+        .expect(201);
+
+      await admin.post(`/api/v1/users/${JANE_ID}/restore`).expect(409);
+    });
+
+    test("should be admin only", async () => {
+      await admin.delete(`/api/v1/products/${MACBOOK_ID}`).expect(200);
+
+      await authedAgent(app, STAFF_ID)
+        .post(`/api/v1/products/${MACBOOK_ID}/restore`)
+        .expect(403);
+    });
+  });
+
+  describe("Purge", () => {
+    const deleteDaysAgo = (operations, id, days) =>
+      operations.update(
+        id,
+        { deletedAt: new Date(Date.now() - days * DAY).toISOString() },
+        { includeDeleted: true }
+      );
+
+    test("should hard-delete records past the retention period", async () => {
+      await admin.delete(`/api/v1/products/${MACBOOK_ID}`).expect(200);
+      await admin.delete(`/api/v1/users/${JANE_ID}`).expect(200);
+      deleteDaysAgo(store.productOperations, MACBOOK_ID, 31);
+
+      const purged = purgeTrash(store, 30 * DAY);
+
+      expect(purged).toEqual({ orders: 0, products: 1, users: 0 });
+      expect(
+        store.productOperations.getById(MACBOOK_ID, { includeDeleted: true })
+      ).toBeUndefined();
+      expect(
+        store.userOperations.getById(JANE_ID, { includeDeleted: true })
+      ).toBeDefined();
+    });
+
+    test("should remove a purged user's sessions", async () => {
+      await request(app)
+        .post("/api/v1/auth/login")
+        .send({ email: "jane.smith@example.com", password: SEED_PASSWORD })
+        .expect(200);
+      await admin.delete(`/api/v1/users/${JANE_ID}`).expect(200);
+      deleteDaysAgo(store.userOperations, JANE_ID, 31);
+
+      purgeTrash(store, 30 * DAY);
+
+      expect(store.refreshTokenOperations.getByUserId(JANE_ID)).toEqual([]);
+    });
+
+    test("should leave live records alone", () => {
+      expect(purgeTrash(store, 0)).toEqual({
+        orders: 0,
+        products: 0,
+        users: 0,
+      });
+      expect(store.productOperations.getAll()).toHaveLength(3);
+    });
+  });
+});
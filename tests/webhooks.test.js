@@ -0,0 +1,452 @@
+const http = require("http");
+const { createTestApp, authedAgent, JOHN_ID } = require("./helpers");
+const defaultConfig = require("../config");
+const {
+  signPayload,
+  verifySignature,
+  retryDelay,
+  isPrivateUrl,
+} = require("../services/webhooks");
+
+const IPHONE_ID = "660e8400-e29b-41d4-a716-446655440000";
+const RETRY_BASE_MS = 1000;
+
+const config = {
+  ...defaultConfig,
+  webhooks: {
+    ...defaultConfig.webhooks,
+    maxAttempts: 3,
+    retryBaseMs: RETRY_BASE_MS,
+    retryMaxMs: 60 * 1000,
+  },
+};
+
+// Local endpoint that records every delivery and answers with statusCode
+const startReceiver = () =>
+  new Promise((resolve) => {
+    const receiver = { requests: [], statusCode: 200 };
+    receiver.server = http.createServer((req, res) => {
+      let body = "";
+      req.on("data", (chunk) => (body += chunk));
+      req.on("end", () => {
+        receiver.requests.push({ headers: req.headers, body });
+        res.writeHead(receiver.statusCode).end();
+      });
+    });
+    receiver.server.listen(0, "127.0.0.1", () => {
+      receiver.url = `http://127.0.0.1:${receiver.server.address().port}/hooks`;
+      resolve(receiver);
+    });
+  });
+
+describe("Webhooks", () => {
+  let app, store, admin, receiver;
+
+  beforeEach(async () => {
+    ({ app, store } = createTestApp({ config }));
+    admin = authedAgent(app);
+    receiver = await startReceiver();
+  });
+
+  afterEach(
+    () => new Promise((resolve) => receiver.server.close(() => resolve()))
+  );
+
+  const subscribe = async (events, extra = {}) => {
+    const response = await admin
+      .post("/api/v1/webhooks")
+      .send({ url: receiver.url, events, ...extra })
+      .expect(201);
+    return response.body;
+  };
+
+  const settle = () => app.locals.webhooks.idle();
+
+  const deliveriesOf = (webhookId) =>
+    store.webhookDeliveryOperations.getByWebhookId(webhookId);
+
+  describe("Subscriptions", () => {
+    test("should return the signing secret only on creation", async () => {
+      const { data, secret } = await subscribe(["order.created"], {
+        description: "Fulfilment",
+      });
+
+      expect(secret).toMatch(/^whsec_/);
+      expect(data).toMatchObject({
+        url: receiver.url,
+        events: ["order.created"],
+        description: "Fulfilment",
+        active: true,
+        version: 1,
+      });
+
+      const fetched = await admin
+        .get(`/api/v1/webhooks/${data.id}`)
+        .expect(200);
+      expect(fetched.body.data).not.toHaveProperty("secret");
+    });
+
+    test("should reject unknown events and non-HTTP URLs", async () => {
+      const response = await admin
+        .post("/api/v1/webhooks")
+        .send({ url: "ftp://example.com", events: ["order.shipped"] })
+        .expect(400);
+
+      expect(response.body.errors.map(({ field }) => field)).toEqual([
+        "url",
+        "events[0]",
+      ]);
+    });
+
+    test("should page, sort and link subscriptions like other lists", async () => {
+      const first = await subscribe(["order.created"]);
+      const second = await subscribe(["product.updated"]);
+
+      const page = await admin
+        .get("/api/v1/webhooks?sort=-createdAt&limit=1")
+        .expect(200);
+      expect(page.body.pagination).toMatchObject({ total: 2, totalPages: 2 });
+      expect(page.headers.link).toMatch(/rel="next"/);
+      expect(page.body.links.next).toMatch(/page=2/);
+      const next = await admin
+        .get("/api/v1/webhooks?sort=-createdAt&limit=1&page=2")
+        .expect(200);
+      expect(
+        [...page.body.data, ...next.body.data].map(({ id }) => id).sort()
+      ).toEqual([first.data.id, second.data.id].sort());
+
+      const cursor = await admin
+        .get("/api/v1/webhooks?limit=1&after=")
+        .expect(200);
+      expect(cursor.body.pagination).toMatchObject({
+        limit: 1,
+        hasNext: true,
+      });
+
+      await admin.get("/api/v1/webhooks?sort=url").expect(400);
+    });
+
+    test("should only let admins manage webhooks", async () => {
+      await authedAgent(app, JOHN_ID).get("/api/v1/webhooks").expect(403);
+    });
+
+    test("should remove the delivery log with the subscription", async () => {
+      const { data } = await subscribe(["product.updated"]);
+      store.productOperations.update(IPHONE_ID, { price: 899 });
+      await settle();
+      expect(deliveriesOf(data.id)).toHaveLength(1);
+
+      await admin.delete(`/api/v1/webhooks/${data.id}`).expect(200);
+
+      expect(deliveriesOf(data.id)).toEqual([]);
+      await admin.get(`/api/v1/webhooks/${data.id}`).expect(404);
+    });
+  });
+
+  describe("Delivery", () => {
+    test("should POST signed events to subscribers", async () => {
+      const { data, secret } = await subscribe(["order.created"]);
+
+      const order = await admin
+        .post("/api/v1/orders")
+        .send({
+          userId: JOHN_ID,
+          products: [{ productId: IPHONE_ID, quantity: 1 }],
+        })
+        .expect(201);
+      await settle();
+
+      expect(receiver.requests).toHaveLength(1);
+      const [{ headers, body }] = receiver.requests;
+      expect(headers["webhook-event"]).toBe("order.created");
+      expect(headers["webhook-id"]).toBe(deliveriesOf(data.id)[0].id);
+      expect(verifySignature(secret, headers["webhook-signature"], body)).toBe(
+        true
+      );
+      expect(JSON.parse(body)).toMatchObject({
+        type: "order.created",
+        data: { id: order.body.data.id, status: "pending" },
+      });
+      expect(deliveriesOf(data.id)[0]).toMatchObject({
+        status: "delivered",
+        attempts: [{ responseStatus: 200 }],
+      });
+    });
+
+    test("should announce status changes with the previous status", async () => {
+      const order = await admin
+        .post("/api/v1/orders")
+        .send({
+          userId: JOHN_ID,
+          products: [{ productId: IPHONE_ID, quantity: 1 }],
+        })
+        .expect(201);
+      await subscribe(["order.status_changed"]);
+
+      await admin
+        .patch(`/api/v1/orders/${order.body.data.id}`)
+        .send({ status: "processing" })
+        .expect(200);
+      await settle();
+
+      expect(receiver.requests).toHaveLength(1);
+      expect(JSON.parse(receiver.requests[0].body)).toMatchObject({
+        type: "order.status_changed",
+        previousStatus: "pending",
+        data: { id: order.body.data.id, status: "processing" },
+      });
+    });
+
+    test("should only send fields the resource schema lists", async () => {
+      await subscribe(["user.created"]);
+
+      await admin
+        .post("/api/v1/users")
+        .send({
+          name: "Webhook Test",
+          email: "webhook@example.com",
+          age: 30,
+          password: "Password123!",
+        })
+        .expect(201);
+      await settle();
+
+      const { data } = JSON.parse(receiver.requests[0].body);
+      expect(data.email).toBe("webhook@example.com");
+      expect(data).not.toHaveProperty("passwordHash");
+    });
+
+    test("should not send events to inactive subscriptions", async () => {
+      const { data } = await subscribe(["product.updated"], { active: false });
+
+      store.productOperations.update(IPHONE_ID, { price: 899 });
+      await settle();
+
+      expect(receiver.requests).toEqual([]);
+      expect(deliveriesOf(data.id)).toEqual([]);
+    });
+
+    test("should record an attempt that finishes while a transaction holds the store", async () => {
+      const { data } = await subscribe(["product.updated"]);
+      const logged = jest.spyOn(console, "error").mockImplementation(() => {});
+
+      store.productOperations.update(IPHONE_ID, { price: 899 });
+      await store.transactionAsync(async () => {
+        while (receiver.requests.length === 0) {
+          await new Promise((resolve) => setTimeout(resolve, 5));
+        }
+        // Let the response come back before committing
+        await new Promise((resolve) => setTimeout(resolve, 50));
+        store.productOperations.update(IPHONE_ID, { stockQuantity: 40 });
+      });
+      await settle();
+      logged.mockRestore();
+
+      expect(logged).not.toHaveBeenCalled();
+      const [first, second] = deliveriesOf(data.id).sort((a, b) =>
+        a.attempts[0].at.localeCompare(b.attempts[0].at)
+      );
+      expect(first).toMatchObject({
+        status: "delivered",
+        attempts: [{ responseStatus: 200 }],
+      });
+      expect(second.status).toBe("delivered");
+      expect(receiver.requests).toHaveLength(2);
+    });
+  });
+
+  describe("Retries", () => {
+    test("should back off exponentially and dead-letter after the last attempt", async () => {
+      receiver.statusCode = 500;
+      const { data } = await subscribe(["product.updated"]);
+
+      store.productOperations.update(IPHONE_ID, { price: 899 });
+      await settle();
+
+      expect(deliveriesOf(data.id)).toHaveLength(1);
+      let [delivery] = deliveriesOf(data.id);
+      expect(delivery.status).toBe("pending");
+      expect(delivery.attempts).toEqual([
+        expect.objectContaining({
+          responseStatus: 500,
+          error: "Receiver responded with 500",
+        }),
+      ]);
+      const firstRetry = Date.parse(delivery.nextAttemptAt);
+
+      // Not due yet
+      await app.locals.webhooks.deliverDue(firstRetry - 1);
+      expect(receiver.requests).toHaveLength(1);
+
+      await app.locals.webhooks.deliverDue(firstRetry);
+      [delivery] = deliveriesOf(data.id);
+      expect(delivery.attempts).toHaveLength(2);
+      expect(
+        Date.parse(delivery.nextAttemptAt) - Date.parse(delivery.attempts[1].at)
+      ).toBeGreaterThanOrEqual(2 * RETRY_BASE_MS);
+
+      await app.locals.webhooks.deliverDue(Date.parse(delivery.nextAttemptAt));
+      [delivery] = deliveriesOf(data.id);
+      expect(delivery).toMatchObject({ status: "dead", nextAttemptAt: null });
+      expect(receiver.requests).toHaveLength(3);
+
+      // Dead letters are never retried on their own
+      await app.locals.webhooks.deliverDue(Date.now() + 24 * 60 * 60 * 1000);
+      expect(receiver.requests).toHaveLength(3);
+    });
+
+    test("should record connection failures as attempts", async () => {
+      // Nothing listens on a port that was just released
+      const closed = await startReceiver();
+      await new Promise((resolve) => closed.server.close(resolve));
+      const { data } = await subscribe(["product.updated"], {
+        url: closed.url,
+      });
+
+      store.productOperations.update(IPHONE_ID, { price: 899 });
+      await settle();
+
+      const [delivery] = deliveriesOf(data.id);
+      expect(delivery.status).toBe("pending");
+      expect(delivery.attempts[0]).toEqual({
+        at: expect.any(String),
+        error: expect.stringContaining("ECONNREFUSED"),
+        durationMs: expect.any(Number),
+      });
+    });
+
+    test("should list dead letters and redeliver them", async () => {
+      receiver.statusCode = 503;
+      const { data } = await subscribe(["product.updated"]);
+      store.productOperations.update(IPHONE_ID, { price: 899 });
+      await settle();
+      for (let i = 1; i < config.webhooks.maxAttempts; i += 1) {
+        await app.locals.webhooks.deliverDue(Date.now() + 60 * 60 * 1000);
+      }
+
+      const log = await admin
+        .get(`/api/v1/webhooks/${data.id}/deliveries?status=dead`)
+        .expect(200);
+      expect(log.body.pagination.total).toBe(1);
+      const [dead] = log.body.data;
+      expect(dead.attempts).toHaveLength(3);
+
+      receiver.statusCode = 204;
+      const response = await admin
+        .post(`/api/v1/webhooks/${data.id}/deliveries/${dead.id}/redeliver`)
+        .expect(202);
+      await settle();
+
+      expect(response.body.data).toMatchObject({
+        redeliveryOf: dead.id,
+        eventId: dead.eventId,
+      });
+      const redelivered = store.webhookDeliveryOperations.getById(
+        response.body.data.id
+      );
+      expect(redelivered.status).toBe("delivered");
+      expect(JSON.parse(receiver.requests[3].body)).toEqual(dead.payload);
+    });
+
+    test("should prune finished deliveries after the retention period", async () => {
+      const { data } = await subscribe(["product.updated"]);
+      store.productOperations.update(IPHONE_ID, { price: 899 });
+      await settle();
+      receiver.statusCode = 500;
+      store.productOperations.update(IPHONE_ID, { price: 799 });
+      await settle();
+
+      const later = Date.now() + config.webhooks.retentionMs;
+      expect(app.locals.webhooks.prune(Date.now())).toBe(0);
+      expect(app.locals.webhooks.prune(later + 1)).toBe(1);
+
+      // Deliveries still being retried are kept
+      expect(deliveriesOf(data.id)).toEqual([
+        expect.objectContaining({ status: "pending" }),
+      ]);
+    });
+  });
+
+  describe("Private targets", () => {
+    beforeEach(() => {
+      ({ app, store } = createTestApp({
+        config: {
+          ...config,
+          webhooks: { ...config.webhooks, allowPrivateTargets: false },
+        },
+      }));
+      admin = authedAgent(app);
+    });
+
+    test("should refuse subscriptions to loopback and private addresses", async () => {
+      for (const url of [
+        receiver.url,
+        "http://localhost:8080/hooks",
+        "http://169.254.169.254/latest/meta-data",
+        "http://10.1.2.3/hooks",
+        "http://[::1]/hooks",
+      ]) {
+        const response = await admin
+          .post("/api/v1/webhooks")
+          .send({ url, events: ["order.created"] })
+          .expect(400);
+        expect(response.body.errors).toEqual([
+          expect.objectContaining({
+            field: "url",
+            message: "URL must not point at a loopback or private address",
+          }),
+        ]);
+      }
+
+      await subscribe(["order.created"], { url: "https://hooks.example.com/" });
+    });
+
+    test("should not deliver to a private address", async () => {
+      const webhook = store.webhookOperations.create({
+        url: receiver.url,
+        events: ["product.updated"],
+        active: true,
+        secret: "whsec_test",
+      });
+
+      store.productOperations.update(IPHONE_ID, { price: 899 });
+      await settle();
+
+      expect(receiver.requests).toEqual([]);
+      const [delivery] = deliveriesOf(webhook.id);
+      expect(delivery.attempts[0].error).toBe("127.0.0.1 is a private address");
+    });
+
+    test("should tell private addresses from public ones", () => {
+      expect(isPrivateUrl("http://[::ffff:127.0.0.1]/")).toBe(true);
+      expect(isPrivateUrl("http://192.168.1.10/")).toBe(true);
+      expect(isPrivateUrl("http://172.32.0.1/")).toBe(false);
+      expect(isPrivateUrl("https://8.8.8.8/")).toBe(false);
+      expect(isPrivateUrl("https://api.example.com/")).toBe(false);
+    });
+  });
+
+  describe("Signatures", () => {
+    const body = JSON.stringify({ type: "order.created" });
+
+    test("should reject tampered bodies, wrong secrets and old timestamps", () => {
+      const header = signPayload("whsec_a", body);
+
+      expect(verifySignature("whsec_a", header, body)).toBe(true);
+      expect(verifySignature("whsec_a", header, `${body} `)).toBe(false);
+      expect(verifySignature("whsec_b", header, body)).toBe(false);
+      expect(
+        verifySignature("whsec_a", header, body, {
+          now: Date.now() + 10 * 60 * 1000,
+        })
+      ).toBe(false);
+    });
+
+    test("should double the retry delay up to the maximum", () => {
+      const delays = [1, 2, 3, 4, 5].map((attempt) =>
+        retryDelay(attempt, { retryBaseMs: 1000, retryMaxMs: 10000 })
+      );
+      expect(delays).toEqual([1000, 2000, 4000, 8000, 10000]);
+    });
+  });
+});